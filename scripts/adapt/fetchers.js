@@ -0,0 +1,135 @@
+// scripts/adapt/fetchers.js
+// Fetchers do modo --urls. Todo fetcher é uma função
+//   async (url) => { status, contentType, body, retryAfter? }
+// httpFetcher busca na rede; fixtureFetcher lê HTML/JSON salvos (offline).
+// withRetry e rateLimited embrulham qualquer fetcher.
+
+const fs = require("fs");
+const path = require("path");
+const fetch = require("node-fetch");
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+function httpFetcher({ timeoutMs = 20000 } = {}) {
+  return async (url) => {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), timeoutMs);
+    try {
+      const resp = await fetch(url, {
+        headers: {
+          Accept: "application/json, text/html;q=0.9",
+          "User-Agent": "sistema-avaliacoes-import/1.0",
+        },
+        signal: controller.signal,
+      });
+      return {
+        status: resp.status,
+        contentType: resp.headers.get("content-type") || "",
+        retryAfter: resp.headers.get("retry-after"),
+        body: await resp.text(),
+      };
+    } finally {
+      clearTimeout(timer);
+    }
+  };
+}
+
+// Nome do arquivo salvo para uma URL: host + caminho + query, sem símbolos
+const fixtureName = (url) => {
+  const u = new URL(url);
+  return `${u.hostname}${u.pathname}${u.search}`
+    .replace(/[^\w.-]+/g, "_")
+    .replace(/_+$/, "");
+};
+
+/**
+ * Lê <dir>/<fixtureName(url)>.json ou .html. Um <dir>/index.json opcional
+ * ({ "url": "arquivo" }) liga URLs a nomes livres. Sem arquivo → 404.
+ */
+function fixtureFetcher(dir) {
+  const indexPath = path.join(dir, "index.json");
+  const index = fs.existsSync(indexPath)
+    ? JSON.parse(fs.readFileSync(indexPath, "utf-8"))
+    : {};
+  return async (url) => {
+    const candidates = index[url]
+      ? [index[url]]
+      : [`${fixtureName(url)}.json`, `${fixtureName(url)}.html`];
+    for (const name of candidates) {
+      const file = path.join(dir, name);
+      if (!fs.existsSync(file)) continue;
+      return {
+        status: 200,
+        contentType: file.endsWith(".json") ? "application/json" : "text/html",
+        body: fs.readFileSync(file, "utf-8"),
+      };
+    }
+    return { status: 404, contentType: "text/plain", body: "" };
+  };
+}
+
+// Fetcher próprio: módulo que exporta a função (ou { fetcher })
+function loadFetcher(modulePath) {
+  const mod = require(path.resolve(modulePath));
+  const fn = typeof mod === "function" ? mod : mod.fetcher;
+  if (typeof fn !== "function")
+    throw new Error(`${modulePath} não exporta um fetcher (função).`);
+  return fn;
+}
+
+const RETRY_STATUS = [408, 425, 429, 500, 502, 503, 504];
+
+/**
+ * Repete falhas de rede e respostas 408/429/5xx com espera exponencial
+ * (ou o Retry-After do servidor). Depois de `retries` novas tentativas
+ * devolve a última resposta ou lança o último erro.
+ */
+function withRetry(fetcher, { retries = 3, baseDelayMs = 1000, onRetry } = {}) {
+  return async (url) => {
+    for (let attempt = 0; ; attempt++) {
+      let resp;
+      let error;
+      try {
+        resp = await fetcher(url);
+        if (!RETRY_STATUS.includes(resp.status)) return resp;
+      } catch (e) {
+        error = e;
+      }
+      if (attempt >= retries) {
+        if (error) throw error;
+        return resp;
+      }
+      const retryAfter = Number(resp?.retryAfter);
+      const delay =
+        retryAfter > 0 ? retryAfter * 1000 : baseDelayMs * 2 ** attempt;
+      if (onRetry)
+        onRetry({
+          url,
+          attempt: attempt + 1,
+          delay,
+          reason: error?.message || `HTTP ${resp.status}`,
+        });
+      await sleep(delay);
+    }
+  };
+}
+
+// No máximo uma requisição a cada `minIntervalMs` (também entre retries)
+function rateLimited(fetcher, { minIntervalMs = 1000 } = {}) {
+  let next = 0;
+  return async (url) => {
+    const wait = next - Date.now();
+    next = Math.max(next, Date.now()) + minIntervalMs;
+    if (wait > 0) await sleep(wait);
+    return fetcher(url);
+  };
+}
+
+module.exports = {
+  httpFetcher,
+  fixtureFetcher,
+  fixtureName,
+  loadFetcher,
+  withRetry,
+  rateLimited,
+};
@@ -0,0 +1,210 @@
+// scripts/adapt/parse.js
+// Resposta de uma URL do LibreTexts/ADAPT → item no formato aceito por
+// /questions/import/adapt: { title, question, answers: [{ text, is_correct }],
+// url, license?, attribution?, questionCode? }. O HTML fica como veio; o
+// servidor limpa (mantém sobrescritos, fórmulas...) ou converte para texto.
+//
+// Aceita:
+//  - JSON da API do ADAPT ({ question: {...} } ou a questão direto), com
+//    qti_json (prompt + simpleChoice) ou question/answers já separados;
+//  - página HTML com esse JSON embutido (<script type="application/json">
+//    ou atributo data-qti-json);
+//  - página HTML com a questão marcada (classe prompt/question e lista de
+//    alternativas com data-correct="true" ou classe "correct").
+
+const { decodeEntities } = require("../../src/formats/common");
+
+// Códigos de licença do ADAPT → nome usual
+const LICENSES = {
+  ccby: "CC BY",
+  ccbysa: "CC BY-SA",
+  ccbync: "CC BY-NC",
+  ccbyncsa: "CC BY-NC-SA",
+  ccbynd: "CC BY-ND",
+  ccbyncnd: "CC BY-NC-ND",
+  publicdomain: "Domínio público",
+};
+
+const firstOf = (...values) =>
+  values.find((v) => v !== undefined && v !== null && v !== "");
+
+function fromQti(qti) {
+  const data = typeof qti === "string" ? JSON.parse(qti) : qti;
+  if (!data || !Array.isArray(data.simpleChoice)) return null;
+  if (data.questionType && data.questionType !== "multiple_choice")
+    throw new Error(`Tipo não suportado: ${data.questionType}.`);
+  return {
+    question: firstOf(data.prompt, data.itemBody, ""),
+    answers: data.simpleChoice.map((c) => ({
+      text: firstOf(c.value, c.text, ""),
+      is_correct: c.correctResponse === true || c.correctResponse === "true",
+    })),
+  };
+}
+
+// Objeto JSON (da API ou embutido) → item; null se não parece questão
+function fromJson(json, url) {
+  const q =
+    json?.question && typeof json.question === "object" ? json.question : json;
+  if (!q || typeof q !== "object") return null;
+
+  let content = q.qti_json ? fromQti(q.qti_json) : null;
+  if (!content) {
+    const answers = firstOf(q.answers, q.choices, q.options);
+    if (!Array.isArray(answers)) return null;
+    content = {
+      question: firstOf(q.question, q.statement, q.prompt, q.body, ""),
+      answers: answers.map((a) => ({
+        text: firstOf(a.text, a.html, a.value, a.label, ""),
+        is_correct: Boolean(a.is_correct || a.correct || a.correctResponse),
+      })),
+    };
+  }
+  if (typeof content.question !== "string") return null;
+
+  const license = [LICENSES[q.license] || q.license, q.license_version]
+    .filter(Boolean)
+    .join(" ");
+  return {
+    title: firstOf(q.title, q.name, ""),
+    ...content,
+    url: firstOf(q.url, q.technology_iframe_src, url),
+    license: license || undefined,
+    attribution: firstOf(q.attribution, q.author) || undefined,
+    questionCode: q.id ? `ADAPT-${q.id}` : undefined,
+    subject: firstOf(q.subject, q.topic) || undefined,
+    tags: Array.isArray(q.tags) ? q.tags : undefined,
+  };
+}
+
+const attr = (tag, name) => {
+  const m = new RegExp(`\\b${name}\\s*=\\s*("([^"]*)"|'([^']*)')`, "i").exec(
+    tag
+  );
+  return m ? decodeEntities(m[2] ?? m[3]) : undefined;
+};
+
+// Conteúdo do primeiro elemento com a classe `name` (null se não há)
+function innerByClass(html, name) {
+  const open = new RegExp(
+    `<(\\w+)\\b[^>]*\\bclass\\s*=\\s*["'](?:[^"']*\\s)?${name}(?:\\s[^"']*)?["'][^>]*>`,
+    "i"
+  ).exec(html);
+  if (!open) return null;
+  // Acha o fechamento equilibrando tags de mesmo nome
+  const tag = open[1].toLowerCase();
+  const re = new RegExp(`<(/?)${tag}\\b[^>]*>`, "gi");
+  re.lastIndex = open.index + open[0].length;
+  let depth = 1;
+  for (let m; (m = re.exec(html)); ) {
+    depth += m[1] ? -1 : 1;
+    if (!depth) return html.slice(open.index + open[0].length, m.index);
+  }
+  return html.slice(open.index + open[0].length);
+}
+
+// Primeira classe da lista presente na página
+const innerByClasses = (html, names) =>
+  names.map((n) => innerByClass(html, n)).find((v) => v != null) ?? null;
+
+function fromHtml(html, url) {
+  // 1) JSON embutido
+  const embedded = [
+    ...[
+      ...html.matchAll(
+        /<script\b[^>]*type\s*=\s*["']application\/(?:ld\+)?json["'][^>]*>([\s\S]*?)<\/script>/gi
+      ),
+    ].map((m) => m[1]),
+    ...[
+      ...html.matchAll(/<[^>]+\bdata-qti-json\s*=\s*("[^"]*"|'[^']*')/gi),
+    ].map((m) =>
+      JSON.stringify({ qti_json: decodeEntities(m[1].slice(1, -1)) })
+    ),
+  ];
+  for (const raw of embedded) {
+    try {
+      const item = fromJson(JSON.parse(raw), url);
+      if (item) return item;
+    } catch (e) {
+      if (/Tipo não suportado/.test(e.message)) throw e;
+    }
+  }
+
+  // 2) Marcação da questão
+  const title = firstOf(
+    attr(
+      /<meta\b[^>]*property\s*=\s*["']og:title["'][^>]*>/i.exec(html)?.[0] ||
+        "",
+      "content"
+    ),
+    decodeEntities(
+      /<title[^>]*>([\s\S]*?)<\/title>/i.exec(html)?.[1] || ""
+    ).trim()
+  );
+  const list = innerByClasses(html, [
+    "choices",
+    "answers",
+    "options",
+    "simpleChoices",
+  ]);
+  // Bloco "question" inteiro pode conter a lista: fica só o enunciado
+  const question = innerByClasses(html, [
+    "qti-prompt",
+    "question-text",
+    "prompt",
+    "question",
+  ])?.replace(/<(ol|ul)\b[\s\S]*<\/\1>/i, "");
+  if (question == null || list == null) return null;
+  const answers = [...list.matchAll(/<li\b([^>]*)>([\s\S]*?)<\/li>/gi)].map(
+    ([, attrs, text]) => ({
+      text: text.trim(),
+      is_correct:
+        attr(attrs, "data-correct") === "true" ||
+        (attr(attrs, "class") || "").split(/\s+/).includes("correct"),
+    })
+  );
+  const licenseTag =
+    /<meta\b[^>]*name\s*=\s*["'](?:license|dc\.rights)["'][^>]*>/i.exec(
+      html
+    )?.[0] || /<link\b[^>]*rel\s*=\s*["']license["'][^>]*>/i.exec(html)?.[0];
+  return {
+    title: title || "",
+    question: question.trim(),
+    answers,
+    url,
+    license: licenseTag
+      ? attr(licenseTag, "content") || attr(licenseTag, "href")
+      : undefined,
+    attribution: attr(
+      /<meta\b[^>]*name\s*=\s*["']author["'][^>]*>/i.exec(html)?.[0] || "",
+      "content"
+    ),
+  };
+}
+
+/**
+ * Retorna { item } ou { error } (mensagem para o relatório).
+ */
+function parseAdaptResponse(url, { contentType = "", body = "" }) {
+  try {
+    const text = String(body).replace(/^\uFEFF/, "");
+    const looksJson = /json/i.test(contentType) || /^\s*[{[]/.test(text);
+    const item = looksJson
+      ? fromJson(JSON.parse(text), url)
+      : fromHtml(text, url);
+    if (!item) return { error: "Questão não encontrada na resposta." };
+    if (!item.answers.length) return { error: "Questão sem alternativas." };
+    if (!item.answers.some((a) => a.is_correct))
+      return { error: "Nenhuma alternativa marcada como correta." };
+    // Campos vazios ficam de fora (o servidor aplica os padrões)
+    return {
+      item: Object.fromEntries(
+        Object.entries(item).filter(([, v]) => v !== undefined && v !== "")
+      ),
+    };
+  } catch (e) {
+    return { error: e.message };
+  }
+}
+
+module.exports = { parseAdaptResponse };
@@ -0,0 +1,129 @@
+// scripts/adapt/urls.js
+// Modo --urls: busca cada URL, converte em item e envia em lotes.
+// O progresso vai para um arquivo JSON depois de cada passo, então uma
+// execução interrompida continua de onde parou:
+//   fetched  → item convertido, ainda não enviado (não busca de novo)
+//   imported → enviado; guarda o status do servidor (inserted, duplicate...)
+//   failed / invalid → tenta de novo na próxima execução
+
+const fs = require("fs");
+const { parseAdaptResponse } = require("./parse");
+
+// Lista de URLs: argumentos ou arquivo (uma por linha, # comenta)
+function readUrlList(args) {
+  const isUrl = (v) => /^https?:\/\//i.test(v);
+  if (args.length === 1 && !isUrl(args[0]) && !fs.existsSync(args[0]))
+    throw new Error(`Arquivo de URLs não encontrado: ${args[0]}`);
+  const lines =
+    args.length === 1 && !isUrl(args[0])
+      ? fs.readFileSync(args[0], "utf-8").split(/\r?\n/)
+      : args;
+  const urls = lines.map((l) => l.replace(/#.*$/, "").trim()).filter(Boolean);
+  const bad = urls.filter((u) => !isUrl(u));
+  if (bad.length) throw new Error(`URLs inválidas: ${bad.join(", ")}`);
+  return [...new Set(urls)];
+}
+
+function loadProgress(file) {
+  if (!fs.existsSync(file)) return { urls: {} };
+  const data = JSON.parse(fs.readFileSync(file, "utf-8"));
+  return { urls: data.urls || {} };
+}
+
+// Grava em arquivo temporário e renomeia: nunca deixa o JSON pela metade
+function saveProgress(file, progress) {
+  fs.writeFileSync(`${file}.tmp`, JSON.stringify(progress, null, 2));
+  fs.renameSync(`${file}.tmp`, file);
+}
+
+/**
+ * urls: lista já normalizada. fetcher: async (url) → { status, contentType, body }
+ * submit: async (items) → relatório de /questions/import/adapt.
+ * Retorna { fetched, sent, failed, invalid, skipped, reports }.
+ */
+async function importFromUrls(
+  urls,
+  {
+    fetcher,
+    submit,
+    progressFile,
+    batchSize = 25,
+    dryRun = false,
+    log = console.log,
+  }
+) {
+  const progress = loadProgress(progressFile);
+  const stats = { fetched: 0, sent: 0, failed: 0, invalid: 0, skipped: 0 };
+  const reports = [];
+  const queue = [];
+  const mark = (url, entry) => {
+    progress.urls[url] = { ...entry, updatedAt: new Date().toISOString() };
+    saveProgress(progressFile, progress);
+  };
+
+  const flush = async () => {
+    if (!queue.length) return;
+    const batch = queue.splice(0);
+    const report = await submit(batch.map((b) => b.item));
+    reports.push(report);
+    for (const it of report.items || []) {
+      const { url } = batch[it.index];
+      if (it.status === "invalid") {
+        stats.invalid++;
+        mark(url, { state: "invalid", error: (it.errors || []).join("; ") });
+      } else {
+        stats.sent++;
+        // Na simulação o item continua "fetched" para o envio de verdade
+        if (!dryRun)
+          mark(url, {
+            state: "imported",
+            status: it.status,
+            questionId: it.questionId || it.existingId,
+          });
+      }
+    }
+  };
+
+  for (const [i, url] of urls.entries()) {
+    const saved = progress.urls[url];
+    if (saved?.state === "imported") {
+      stats.skipped++;
+      continue;
+    }
+    if (saved?.state === "fetched" && saved.item) {
+      queue.push({ url, item: saved.item });
+    } else {
+      log(`-> [${i + 1}/${urls.length}] ${url}`);
+      let resp;
+      try {
+        resp = await fetcher(url);
+      } catch (e) {
+        stats.failed++;
+        mark(url, { state: "failed", error: e.message });
+        log(`   ✖ ${e.message}`);
+        continue;
+      }
+      if (resp.status !== 200) {
+        stats.failed++;
+        mark(url, { state: "failed", error: `HTTP ${resp.status}` });
+        log(`   ✖ HTTP ${resp.status}`);
+        continue;
+      }
+      const { item, error } = parseAdaptResponse(url, resp);
+      if (error) {
+        stats.invalid++;
+        mark(url, { state: "invalid", error });
+        log(`   ✖ ${error}`);
+        continue;
+      }
+      stats.fetched++;
+      mark(url, { state: "fetched", item });
+      queue.push({ url, item });
+    }
+    if (queue.length >= batchSize) await flush();
+  }
+  await flush();
+  return { ...stats, reports };
+}
+
+module.exports = { readUrlList, importFromUrls };
@@ -4,6 +4,14 @@ require("dotenv").config();
 const fs = require("fs");
 const path = require("path");
 const fetch = require("node-fetch"); // ✅ CORREÇÃO: adicionando node-fetch
+const {
+  httpFetcher,
+  fixtureFetcher,
+  loadFetcher,
+  withRetry,
+  rateLimited,
+} = require("./adapt/fetchers");
+const { readUrlList, importFromUrls } = require("./adapt/urls");
 
 const API = process.env.API_URL || "http://localhost:5000";
 const EMAIL = process.env.EMAIL || "prof@teste.com";
@@ -26,10 +34,12 @@ async function getToken() {
   return data.token;
 }
 
-// Helper: importar questões
-async function importItems(token, items) {
+// Helper: importar questões (dryRun = só o relatório, nada é gravado)
+async function importItems(token, items, dryRun = false) {
   console.log(
-    `-> Enviando ${items.length} itens para ${API}/questions/import/adapt`
+    `-> Enviando ${items.length} itens para ${API}/questions/import/adapt${
+      dryRun ? " (simulação)" : ""
+    }`
   );
 
   const resp = await fetch(`${API}/questions/import/adapt`, {
@@ -38,11 +48,31 @@ async function importItems(token, items) {
       "Content-Type": "application/json",
       Authorization: `Bearer ${token}`,
     },
-    body: JSON.stringify({ items }),
+    body: JSON.stringify({ items, dryRun }),
   });
 
   if (!resp.ok) {
     const txt = await resp.text();
+    // Lote sem nenhum item válido: o 400 traz os motivos por item
+    if (resp.status === 400) {
+      let data = {};
+      try {
+        data = JSON.parse(txt || "{}");
+      } catch (e) {
+        // Resposta que não é JSON (proxy, página de erro): cai no erro abaixo
+      }
+      if (Array.isArray(data?.items))
+        return {
+          dryRun,
+          inserted: 0,
+          updated: 0,
+          unchanged: 0,
+          duplicates: 0,
+          probableDuplicates: 0,
+          skipped: data.items.length,
+          items: data.items,
+        };
+    }
     throw new Error(
       `Falha no import: ${resp.status} ${resp.statusText}\n${txt}`
     );
@@ -51,6 +81,86 @@ async function importItems(token, items) {
   return resp.json();
 }
 
+// Helper: resumo do relatório de importação
+function printReport(result) {
+  console.log(
+    `✔ Importação ${result.dryRun ? "simulada" : "concluída"}: ` +
+      `${result.inserted} inseridas, ${result.updated} atualizadas, ` +
+      `${result.unchanged} sem mudança, ${result.duplicates} duplicadas, ` +
+      `${result.probableDuplicates} prováveis duplicadas, ` +
+      `${result.skipped} inválidas.`
+  );
+  for (const it of result.items || []) {
+    if (it.status === "probable-duplicate")
+      console.log(
+        `  • item ${it.index}: parecido com ${
+          it.similarTo || `item ${it.similarToIndex}`
+        } (${Math.round(it.similarity * 100)}%)`
+      );
+    else if (["invalid", "failed"].includes(it.status) && it.errors?.length)
+      console.log(`  • item ${it.index}: ${it.errors.join("; ")}`);
+  }
+}
+
+// Valor após a flag (ex.: --rate 500) ou o padrão
+function argValue(args, flag, fallback) {
+  const i = args.indexOf(flag);
+  return i >= 0 && args[i + 1] && !args[i + 1].startsWith("--")
+    ? args[i + 1]
+    : fallback;
+}
+
+// --urls: busca as URLs (rede, fixtures ou fetcher próprio) e importa
+async function runUrls(args) {
+  const start = args.indexOf("--urls") + 1;
+  const end = args.findIndex((a, i) => i >= start && a.startsWith("--"));
+  const urls = readUrlList(args.slice(start, end < 0 ? undefined : end));
+  if (!urls.length)
+    throw new Error("Informe as URLs ou um arquivo .txt após --urls");
+
+  const dryRun = args.includes("--dry-run");
+  const progressFile = path.resolve(
+    argValue(args, "--progress", ".adapt-progress.json")
+  );
+  const base = args.includes("--fixtures")
+    ? fixtureFetcher(path.resolve(argValue(args, "--fixtures", ".")))
+    : args.includes("--fetcher")
+    ? loadFetcher(argValue(args, "--fetcher"))
+    : httpFetcher();
+  const fetcher = withRetry(
+    rateLimited(base, {
+      minIntervalMs: Number(argValue(args, "--rate", 1000)),
+    }),
+    {
+      retries: Number(argValue(args, "--retries", 3)),
+      onRetry: ({ attempt, delay, reason }) =>
+        console.log(
+          `   ↻ ${reason}; tentativa ${attempt} em ${Math.round(delay / 1000)}s`
+        ),
+    }
+  );
+
+  console.log(`-> ${urls.length} URLs; progresso em ${progressFile}`);
+  let token;
+  const stats = await importFromUrls(urls, {
+    fetcher,
+    progressFile,
+    dryRun,
+    batchSize: Number(argValue(args, "--batch", 25)),
+    submit: async (items) => {
+      token = token || (await getToken());
+      const result = await importItems(token, items, dryRun);
+      printReport(result);
+      return result;
+    },
+  });
+  console.log(
+    `✔ URLs: ${stats.fetched} buscadas, ${stats.sent} enviadas, ` +
+      `${stats.skipped} já importadas, ${stats.failed} com falha, ` +
+      `${stats.invalid} inválidas.`
+  );
+}
+
 // MAIN
 (async () => {
   try {
@@ -73,16 +183,29 @@ async function importItems(token, items) {
       }
 
       const token = await getToken();
-      const result = await importItems(token, json.items);
-      console.log("✔ Importação concluída:", result);
+      const result = await importItems(
+        token,
+        json.items,
+        args.includes("--dry-run")
+      );
+      printReport(result);
     } else if (args.includes("--urls")) {
-      console.log("⚠ Import por URLs ainda não implementado.");
+      await runUrls(args);
     } else {
       console.log("Uso:");
       console.log(
-        "  node scripts/import_from_adapt.js --file ./adapt_items.json"
+        "  node scripts/import_from_adapt.js --file ./adapt_items.json [--dry-run]"
+      );
+      console.log(
+        "  node scripts/import_from_adapt.js --urls <urls.txt | url...> [--dry-run]"
+      );
+      console.log(
+        "      [--fixtures <pasta> | --fetcher <módulo.js>] [--progress <arquivo>]"
+      );
+      console.log(
+        "      [--rate <ms entre requisições>] [--retries <n>] [--batch <n>]"
       );
-      console.log("  node scripts/import_from_adapt.js --urls");
+      console.log("  npm run import:adapt:urls -- <urls.txt> [--dry-run]");
     }
   } catch (err) {
     console.error("ERRO:", err.message);
@@ -0,0 +1,314 @@
+// src/exporters/docx.js
+// Prova .docx: cabeçalho da escola, questões completas e gabarito opcional.
+
+const {
+  AlignmentType,
+  BorderStyle,
+  Document,
+  Footer,
+  ImageRun,
+  Packer,
+  PageNumber,
+  Paragraph,
+  SectionType,
+  Table,
+  TableCell,
+  TableRow,
+  TextRun,
+  WidthType,
+} = require("docx");
+
+const { loadImage, fitImage } = require("./images");
+const { contentBlocks } = require("../lib/richContent");
+
+// Largura útil (px a 96 dpi) em página A4 com margens padrão
+const CONTENT_WIDTH_PX = 600;
+
+const text = (value, opts = {}) =>
+  new TextRun({ text: String(value ?? ""), size: 22, ...opts });
+
+// Run do conteúdo rico (negrito, itálico, sobrescrito...)
+const richRun = (r) =>
+  text(r.text, {
+    bold: r.bold,
+    italics: r.italics,
+    strike: r.strike,
+    superScript: r.superScript,
+    subScript: r.subScript,
+    ...(r.underline ? { underline: {} } : {}),
+  });
+
+// Figura centralizada; null se não for possível carregar
+async function imageParagraph(src, { width, imageResolvers }) {
+  const img = await loadImage(src, { resolvers: imageResolvers });
+  if (!img) return null;
+  return new Paragraph({
+    keepNext: true,
+    alignment: AlignmentType.CENTER,
+    spacing: { before: 80, after: 80 },
+    children: [
+      new ImageRun({
+        type: img.type,
+        data: img.data,
+        transformation: fitImage(img, width),
+      }),
+    ],
+  });
+}
+
+function headerParagraphs(exam) {
+  const out = [];
+  if (exam.school) {
+    out.push(
+      new Paragraph({
+        alignment: AlignmentType.CENTER,
+        children: [text(exam.school, { bold: true, size: 28 })],
+      })
+    );
+  }
+  out.push(
+    new Paragraph({
+      alignment: AlignmentType.CENTER,
+      spacing: { after: 120 },
+      children: [
+        text(exam.title, { bold: true, size: 32 }),
+        ...(exam.version
+          ? [text(`  —  Versão ${exam.version}`, { bold: true, size: 28 })]
+          : []),
+      ],
+    }),
+    new Paragraph({
+      spacing: { before: 120, after: 120 },
+      children: [
+        text("Nome: ________________________________________________"),
+      ],
+    }),
+    new Paragraph({
+      spacing: { after: 240 },
+      border: {
+        bottom: {
+          style: BorderStyle.SINGLE,
+          size: 6,
+          color: "999999",
+          space: 4,
+        },
+      },
+      children: [
+        text("Turma: ____________________        Data: ____/____/________"),
+      ],
+    })
+  );
+  return out;
+}
+
+// Parágrafos de uma questão; keepNext evita quebrar a questão entre páginas
+async function questionParagraphs(
+  q,
+  { imageWidth, pageBreakBefore, imageResolvers }
+) {
+  const out = [
+    new Paragraph({
+      keepNext: true,
+      pageBreakBefore,
+      spacing: { before: 240, after: 80 },
+      children: [
+        text(`Questão ${q.number}`, { bold: true }),
+        ...(q.subject
+          ? [text(`  (${q.subject})`, { italics: true, color: "555555" })]
+          : []),
+      ],
+    }),
+  ];
+  for (const block of contentBlocks(q.statement, q.contentFormat)) {
+    const p = block.image
+      ? await imageParagraph(block.image, { width: imageWidth, imageResolvers })
+      : new Paragraph({
+          keepNext: true,
+          keepLines: true,
+          children: block.runs.map(richRun),
+        });
+    if (p) out.push(p);
+  }
+  for (const src of q.images) {
+    const p = await imageParagraph(src, { width: imageWidth, imageResolvers });
+    if (p) out.push(p);
+  }
+  if (q.instruction)
+    out.push(
+      new Paragraph({
+        keepNext: true,
+        spacing: { after: 60 },
+        children: [text(q.instruction, { italics: true, size: 20 })],
+      })
+    );
+  if (q.options.length) {
+    for (const [i, opt] of q.options.entries()) {
+      const keepNext = i < q.options.length - 1;
+      // Primeiro parágrafo junto da letra; os demais (e figuras) recuados
+      const blocks = contentBlocks(opt.text, q.contentFormat);
+      const first = blocks.findIndex((b) => b.runs);
+      out.push(
+        new Paragraph({
+          keepNext: keepNext || blocks.length > 1,
+          keepLines: true,
+          indent: { left: 360, hanging: 360 },
+          spacing: { after: 40 },
+          children: [
+            text(`${opt.letter}) `, { bold: true }),
+            ...(first >= 0 ? blocks[first].runs.map(richRun) : []),
+          ],
+        })
+      );
+      for (const [j, block] of blocks.entries()) {
+        if (j === first) continue;
+        const p = block.image
+          ? await imageParagraph(block.image, {
+              width: imageWidth / 2,
+              imageResolvers,
+            })
+          : new Paragraph({
+              keepNext,
+              keepLines: true,
+              indent: { left: 360 },
+              spacing: { after: 40 },
+              children: block.runs.map(richRun),
+            });
+        if (p) out.push(p);
+      }
+    }
+  } else if (!q.answerLines.length) {
+    out.push(
+      new Paragraph({ children: [text("(A)   (B)   (C)   (D)   (E)")] })
+    );
+  }
+  // Soma, valor numérico ou linhas da resposta aberta
+  for (const [i, line] of q.answerLines.entries())
+    out.push(
+      new Paragraph({
+        keepNext: i < q.answerLines.length - 1,
+        spacing: { before: 120 },
+        children: [text(line)],
+      })
+    );
+  return out;
+}
+
+function answerKeyTable(exam) {
+  const cell = (value, bold = false) =>
+    new TableCell({
+      children: [new Paragraph({ children: [text(value, { bold })] })],
+    });
+  return new Table({
+    width: { size: 100, type: WidthType.PERCENTAGE },
+    rows: [
+      new TableRow({
+        tableHeader: true,
+        children: [
+          cell("Questão", true),
+          cell("Resposta", true),
+          cell("Assunto", true),
+        ],
+      }),
+      ...exam.answerKey.map(
+        (k) =>
+          new TableRow({
+            children: [cell(k.number), cell(k.answer), cell(k.subject)],
+          })
+      ),
+    ],
+  });
+}
+
+function answerKeyChildren(exam) {
+  return [
+    new Paragraph({
+      alignment: AlignmentType.CENTER,
+      spacing: { after: 200 },
+      children: [
+        text(
+          `Gabarito — ${exam.title}${
+            exam.version ? ` (Versão ${exam.version})` : ""
+          }`,
+          {
+            bold: true,
+            size: 28,
+          }
+        ),
+      ],
+    }),
+    answerKeyTable(exam),
+  ];
+}
+
+const pageFooter = () => ({
+  default: new Footer({
+    children: [
+      new Paragraph({
+        alignment: AlignmentType.CENTER,
+        children: [
+          new TextRun({ children: ["Página ", PageNumber.CURRENT], size: 18 }),
+        ],
+      }),
+    ],
+  }),
+});
+
+/**
+ * options.columns: 1 ou 2
+ * options.answerKey: "none" | "appendix" (gabarito em página final)
+ * options.pageBreakEvery: nova página a cada N questões (0 = fluxo contínuo)
+ */
+async function buildExamDocx(exam, options = {}) {
+  const columns = options.columns === 2 ? 2 : 1;
+  const every = Math.max(parseInt(options.pageBreakEvery) || 0, 0);
+  const imageWidth =
+    columns === 2 ? CONTENT_WIDTH_PX / 2 - 20 : CONTENT_WIDTH_PX;
+
+  const body = [];
+  for (const [idx, q] of exam.questions.entries()) {
+    body.push(
+      ...(await questionParagraphs(q, {
+        imageWidth,
+        pageBreakBefore: every > 0 && idx > 0 && idx % every === 0,
+        imageResolvers: options.imageResolvers,
+      }))
+    );
+  }
+
+  const sections = [
+    { properties: {}, footers: pageFooter(), children: headerParagraphs(exam) },
+    {
+      properties: {
+        type: SectionType.CONTINUOUS,
+        column: { count: columns, space: 567, separate: columns === 2 },
+      },
+      footers: pageFooter(),
+      children: body,
+    },
+  ];
+  if (options.answerKey === "appendix" && exam.answerKey) {
+    sections.push({
+      properties: { type: SectionType.NEXT_PAGE },
+      footers: pageFooter(),
+      children: answerKeyChildren(exam),
+    });
+  }
+
+  const doc = new Document({
+    title: exam.title,
+    creator: exam.school || "Sistema de Avaliações",
+    sections,
+  });
+  return Packer.toBuffer(doc);
+}
+
+async function buildAnswerKeyDocx(exam) {
+  const doc = new Document({
+    title: `Gabarito — ${exam.title}`,
+    creator: exam.school || "Sistema de Avaliações",
+    sections: [{ properties: {}, children: answerKeyChildren(exam) }],
+  });
+  return Packer.toBuffer(doc);
+}
+
+module.exports = { buildExamDocx, buildAnswerKeyDocx };
@@ -0,0 +1,111 @@
+// src/exporters/examData.js
+// Dados da prova prontos para impressão (DOCX/PDF usam a mesma estrutura).
+
+const {
+  applyPermutation,
+  basePermutation,
+  deriveVersionKey,
+} = require("../lib/shuffle");
+const {
+  typeOf,
+  propositionLabel,
+  formatKeyAnswer,
+} = require("../lib/questionTypes");
+
+const LETTERS = ["A", "B", "C", "D", "E"];
+
+// Orientação impressa antes das alternativas e linhas de resposta depois
+const INSTRUCTIONS = {
+  multiple: "Assinale todas as alternativas corretas.",
+  truefalse:
+    "Indique a soma dos números das proposições verdadeiras (01, 02, 04...).",
+};
+const OPEN_LINES = 5;
+
+function answerLines(type, unit) {
+  switch (type) {
+    case "truefalse":
+      return ["Soma: ________"];
+    case "numeric":
+      return [`Resposta: ____________________${unit ? ` ${unit}` : ""}`];
+    case "open":
+      return Array(OPEN_LINES).fill("_".repeat(60));
+    default:
+      return [];
+  }
+}
+
+/**
+ * assessment: documento lean da avaliação (questions com snapshot)
+ * keyDoc: gabarito vigente (opcional)
+ * options.version: nome da versão impressa (A, B, ...)
+ */
+function buildExamData(assessment, keyDoc, { version, school } = {}) {
+  let examVersion = null;
+  if (version) {
+    examVersion = (assessment.versions || []).find((v) => v.name === version);
+    if (!examVersion) return null;
+  }
+  // Sem versão: valores da impressão única nas parametrizadas
+  const perm = examVersion
+    ? examVersion.permutation
+    : basePermutation(assessment);
+
+  // Tipo: o gabarito manda; senão, o snapshot da questão
+  const keyByNumber = new Map(
+    (keyDoc?.answers || []).map((k) => [k.questionNumber, k])
+  );
+  const questions = applyPermutation(assessment.questions, perm).map((q) => {
+    const keyItem = keyByNumber.get(q.number);
+    const type = keyItem?.type || typeOf(q);
+    const unit = keyItem?.unit || q.unit || "";
+    return {
+      number: q.displayNumber,
+      canonicalNumber: q.number,
+      subject: q.subject || "",
+      statement: q.statement || "",
+      contentFormat: q.contentFormat || "text",
+      type,
+      images: q.images || [],
+      instruction: INSTRUCTIONS[type] || null,
+      // Sem texto nas alternativas (avaliação manual): só as letras.
+      // Somatória: proposições numeradas 01, 02, 04...
+      options:
+        type === "truefalse"
+          ? (q.propositions || []).map((text, i) => ({
+              letter: propositionLabel(i),
+              text,
+            }))
+          : LETTERS.filter((l) => q.options?.[l]).map((letter) => ({
+              letter,
+              text: q.options[letter],
+            })),
+      answerLines: answerLines(type, unit),
+    };
+  });
+
+  const subjects = new Map(
+    assessment.questions.map((q) => [q.number, q.subject])
+  );
+  const answerKey = keyDoc
+    ? deriveVersionKey(perm, keyDoc.answers).map((k) => ({
+        number: k.questionNumber,
+        answer: formatKeyAnswer(k),
+        subject: k.subject || subjects.get(k.canonicalNumber) || "",
+      }))
+    : null;
+
+  return {
+    id: String(assessment._id),
+    title: assessment.name,
+    school: school || process.env.SCHOOL_NAME || "",
+    version: examVersion?.name || null,
+    questions,
+    answerKey,
+    keyVersion: keyDoc?.version || null,
+    // Data fixa da avaliação: a saída não muda entre downloads
+    date: assessment.updatedAt ? new Date(assessment.updatedAt) : new Date(0),
+  };
+}
+
+module.exports = { buildExamData };
@@ -0,0 +1,150 @@
+// src/exporters/images.js
+// Carrega figuras das questões (data: URI ou http/https) para os exportadores.
+
+const dns = require("dns");
+const http = require("http");
+const https = require("https");
+const net = require("net");
+const fetch = require("node-fetch");
+
+const MAX_IMAGE_BYTES = 5 * 1024 * 1024;
+
+// Endereços que o servidor não busca: rede interna, loopback, link-local
+// (metadados de nuvem em 169.254.169.254), multicast e reservados
+const BLOCKED = new net.BlockList();
+for (const [net4, prefix] of [
+  ["0.0.0.0", 8],
+  ["10.0.0.0", 8],
+  ["100.64.0.0", 10],
+  ["127.0.0.0", 8],
+  ["169.254.0.0", 16],
+  ["172.16.0.0", 12],
+  ["192.0.0.0", 24],
+  ["192.168.0.0", 16],
+  ["198.18.0.0", 15],
+  ["224.0.0.0", 4],
+  ["240.0.0.0", 4],
+])
+  BLOCKED.addSubnet(net4, prefix, "ipv4");
+for (const [net6, prefix] of [
+  ["::", 128],
+  ["::1", 128],
+  ["fc00::", 7],
+  ["fe80::", 10],
+  ["ff00::", 8],
+])
+  BLOCKED.addSubnet(net6, prefix, "ipv6");
+
+function isPublicAddress(address) {
+  // IPv4 mapeado em IPv6 (::ffff:10.0.0.1) vale pelo IPv4
+  const mapped = /^::ffff:(\d+\.\d+\.\d+\.\d+)$/i.exec(address);
+  if (mapped) return isPublicAddress(mapped[1]);
+  const family = net.isIP(address);
+  if (!family) return false;
+  return !BLOCKED.check(address, family === 4 ? "ipv4" : "ipv6");
+}
+
+// Resolve o nome e recusa endereços internos na própria conexão (a
+// checagem vale para o IP conectado, não para uma consulta anterior)
+function guardedLookup(hostname, options, callback) {
+  dns.lookup(hostname, { ...options, all: true }, (err, addresses) => {
+    if (err) return callback(err);
+    const blocked = addresses.find((a) => !isPublicAddress(a.address));
+    if (blocked)
+      return callback(
+        new Error(`Endereço interno recusado: ${blocked.address}`)
+      );
+    if (options.all) return callback(null, addresses);
+    callback(null, addresses[0].address, addresses[0].family);
+  });
+}
+
+const agents = {
+  "http:": new http.Agent({ lookup: guardedLookup }),
+  "https:": new https.Agent({ lookup: guardedLookup }),
+};
+
+// Figura externa: só endereços públicos e sem seguir redirecionamentos
+async function fetchImage(src) {
+  const url = new URL(src);
+  const host = url.hostname.replace(/^\[|\]$/g, "");
+  // IP literal não passa pelo lookup
+  if (net.isIP(host) && !isPublicAddress(host))
+    throw new Error(`Endereço interno recusado: ${host}`);
+  const resp = await fetch(url.href, {
+    agent: agents[url.protocol],
+    redirect: "manual",
+    timeout: 10000,
+    size: MAX_IMAGE_BYTES,
+  });
+  return resp.ok ? resp.buffer() : null;
+}
+
+// Dimensões a partir do cabeçalho PNG/JPEG (sem decodificar a imagem)
+function imageInfo(buf) {
+  if (buf.length > 24 && buf.readUInt32BE(0) === 0x89504e47) {
+    return {
+      type: "png",
+      width: buf.readUInt32BE(16),
+      height: buf.readUInt32BE(20),
+    };
+  }
+  if (buf.length > 4 && buf[0] === 0xff && buf[1] === 0xd8) {
+    let i = 2;
+    while (i + 9 < buf.length) {
+      if (buf[i] !== 0xff) return null;
+      const marker = buf[i + 1];
+      const len = buf.readUInt16BE(i + 2);
+      // SOF0..SOF15 (exceto DHT/JPG/DAC) trazem altura/largura
+      if (
+        marker >= 0xc0 &&
+        marker <= 0xcf &&
+        ![0xc4, 0xc8, 0xcc].includes(marker)
+      ) {
+        return {
+          type: "jpg",
+          height: buf.readUInt16BE(i + 5),
+          width: buf.readUInt16BE(i + 7),
+        };
+      }
+      i += 2 + len;
+    }
+  }
+  return null;
+}
+
+/**
+ * Retorna { data, type, width, height } ou null se não for possível carregar.
+ * resolvers: funções (src) => Promise<Buffer|null> tentadas antes do HTTP
+ */
+async function loadImage(src, { resolvers = [] } = {}) {
+  try {
+    let data = null;
+    for (const resolve of resolvers) {
+      data = await resolve(src);
+      if (data) break;
+    }
+    if (!data) {
+      const m = /^data:image\/(png|jpe?g);base64,(.+)$/i.exec(src);
+      if (m) data = Buffer.from(m[2], "base64");
+      else if (/^https?:\/\//i.test(src)) data = await fetchImage(src);
+    }
+    if (!data) return null;
+    const info = imageInfo(data);
+    return info ? { data, ...info } : null;
+  } catch (e) {
+    console.error("Imagem ignorada:", src, e.message);
+    return null;
+  }
+}
+
+// Ajusta para caber na largura máxima mantendo a proporção
+function fitImage(img, maxWidth) {
+  const scale = Math.min(1, maxWidth / img.width);
+  return {
+    width: Math.round(img.width * scale),
+    height: Math.round(img.height * scale),
+  };
+}
+
+module.exports = { loadImage, imageInfo, fitImage, isPublicAddress };
@@ -0,0 +1,632 @@
+// src/exporters/pdf.js
+// PDFs gerados no servidor (prova, folha de respostas e relatório de
+// resultados). Layout determinístico: mesma entrada → mesmo arquivo.
+
+const PDFDocument = require("pdfkit");
+const QRCode = require("qrcode");
+
+const { loadImage } = require("./images");
+const { contentBlocks, flattenRuns } = require("../lib/richContent");
+const { BUBBLE_TYPES } = require("../lib/questionTypes");
+const layout = require("../lib/answerSheetLayout");
+
+const MARGIN = 50;
+const COLUMN_GAP = 20;
+
+// DejaVu cobre acentos e símbolos (π, ², ·); sem ela, cai na Helvetica
+function registerFonts(doc) {
+  try {
+    doc.registerFont(
+      "Regular",
+      require.resolve("dejavu-fonts-ttf/ttf/DejaVuSans.ttf")
+    );
+    doc.registerFont(
+      "Bold",
+      require.resolve("dejavu-fonts-ttf/ttf/DejaVuSans-Bold.ttf")
+    );
+    doc.registerFont(
+      "Italic",
+      require.resolve("dejavu-fonts-ttf/ttf/DejaVuSans-Oblique.ttf")
+    );
+  } catch {
+    doc.registerFont("Regular", "Helvetica");
+    doc.registerFont("Bold", "Helvetica-Bold");
+    doc.registerFont("Italic", "Helvetica-Oblique");
+  }
+}
+
+function createDoc({ title, author, date }) {
+  const stamp = date instanceof Date && !isNaN(date) ? date : new Date(0);
+  const doc = new PDFDocument({
+    size: "A4",
+    margin: MARGIN,
+    bufferPages: true,
+    info: {
+      Title: title,
+      Author: author || "Sistema de Avaliações",
+      Creator: "Sistema de Avaliações",
+      Producer: "Sistema de Avaliações",
+      CreationDate: stamp,
+      ModDate: stamp,
+    },
+  });
+  registerFonts(doc);
+  const chunks = [];
+  doc.on("data", (c) => chunks.push(c));
+  doc.done = new Promise((resolve, reject) => {
+    doc.on("end", () => resolve(Buffer.concat(chunks)));
+    doc.on("error", reject);
+  });
+  return doc;
+}
+
+// "Página i de n" em todas as páginas (sem margem inferior para não paginar)
+function finish(doc, { footer = true } = {}) {
+  if (footer) {
+    const range = doc.bufferedPageRange();
+    for (let i = range.start; i < range.start + range.count; i++) {
+      doc.switchToPage(i);
+      const bottom = doc.page.margins.bottom;
+      doc.page.margins.bottom = 0;
+      doc
+        .font("Regular")
+        .fontSize(8)
+        .fillColor("#666666")
+        .text(
+          `Página ${i + 1} de ${range.count}`,
+          MARGIN,
+          doc.page.height - 30,
+          {
+            width: doc.page.width - 2 * MARGIN,
+            align: "center",
+            lineBreak: false,
+          }
+        );
+      doc.page.margins.bottom = bottom;
+    }
+  }
+  doc.end();
+  return doc.done;
+}
+
+function examHeader(doc, exam) {
+  const width = doc.page.width - 2 * MARGIN;
+  doc.fillColor("#000000");
+  if (exam.school)
+    doc
+      .font("Bold")
+      .fontSize(14)
+      .text(exam.school, MARGIN, MARGIN, { width, align: "center" });
+  doc
+    .font("Bold")
+    .fontSize(16)
+    .text(`${exam.title}${exam.version ? ` — Versão ${exam.version}` : ""}`, {
+      width,
+      align: "center",
+    });
+  doc.moveDown(0.8);
+  doc
+    .font("Regular")
+    .fontSize(11)
+    .text("Nome: ______________________________________________________", {
+      width,
+    });
+  doc.moveDown(0.4);
+  doc.text("Turma: ____________________          Data: ____/____/________", {
+    width,
+  });
+  doc.moveDown(0.5);
+  doc
+    .moveTo(MARGIN, doc.y)
+    .lineTo(MARGIN + width, doc.y)
+    .strokeColor("#999999")
+    .stroke();
+  doc.moveDown(0.8);
+}
+
+// Fluxo em 1 ou 2 colunas: cada bloco é medido e só então desenhado
+function createFlow(doc, columns) {
+  const width =
+    (doc.page.width - 2 * MARGIN - COLUMN_GAP * (columns - 1)) / columns;
+  const state = { col: 0, top: doc.y, y: doc.y };
+  const bottom = () => doc.page.height - MARGIN - 20;
+  const advance = () => {
+    if (state.col < columns - 1) {
+      state.col++;
+    } else {
+      doc.addPage();
+      state.col = 0;
+      state.top = MARGIN;
+    }
+    state.y = state.top;
+  };
+  return {
+    width,
+    remaining: () => bottom() - state.y,
+    full: () => bottom() - state.top,
+    empty: () => state.y === state.top,
+    advance,
+    // Garante espaço (muda de coluna/página se preciso) e devolve a posição
+    place(height) {
+      if (state.y + height > bottom() && !this.empty()) advance();
+      const at = { x: MARGIN + state.col * (width + COLUMN_GAP), y: state.y };
+      state.y += height;
+      return at;
+    },
+  };
+}
+
+async function questionPieces(doc, q, width, imageResolvers) {
+  const pieces = [];
+  const textPiece = (font, size, str, opts = {}) => {
+    doc.font(font).fontSize(size);
+    const height =
+      doc.heightOfString(str, { width: width - (opts.indent || 0) }) +
+      (opts.after || 2);
+    pieces.push({
+      height,
+      draw: (x, y) =>
+        doc
+          .font(font)
+          .fontSize(size)
+          .fillColor(opts.color || "#000000")
+          .text(str, x + (opts.indent || 0), y, {
+            width: width - (opts.indent || 0),
+          }),
+    });
+  };
+
+  // Parágrafo com trechos em negrito/itálico (sobrescritos já em texto)
+  const richPiece = (runs, opts = {}) => {
+    const fragments = flattenRuns(runs).map((f) => ({
+      ...f,
+      font: f.bold ? "Bold" : f.italics ? "Italic" : "Regular",
+    }));
+    const str = fragments.map((f) => f.text).join("");
+    const w = width - (opts.indent || 0);
+    // Mede com a fonte mais larga presente (negrito), por segurança
+    doc.font(fragments.some((f) => f.bold) ? "Bold" : "Regular").fontSize(10.5);
+    pieces.push({
+      height: doc.heightOfString(str, { width: w }) + (opts.after || 2),
+      draw: (x, y) => {
+        doc.fillColor("#000000");
+        fragments.forEach((f, i) => {
+          const options = {
+            width: w,
+            underline: f.underline,
+            strike: f.strike,
+            continued: i < fragments.length - 1,
+          };
+          doc.font(f.font).fontSize(10.5);
+          if (i === 0) doc.text(f.text, x + (opts.indent || 0), y, options);
+          else doc.text(f.text, options);
+        });
+      },
+    });
+  };
+  const imagePiece = async (src, maxWidth = width) => {
+    const img = await loadImage(src, { resolvers: imageResolvers });
+    if (!img) return;
+    const scale = Math.min(1, maxWidth / img.width, 220 / img.height);
+    const w = img.width * scale;
+    const h = img.height * scale;
+    pieces.push({
+      height: h + 6,
+      draw: (x, y) =>
+        doc.image(img.data, x + (width - w) / 2, y, { width: w, height: h }),
+    });
+  };
+
+  textPiece(
+    "Bold",
+    11,
+    `Questão ${q.number}${q.subject ? ` (${q.subject})` : ""}`,
+    { after: 4 }
+  );
+  const blocks = contentBlocks(q.statement, q.contentFormat);
+  for (const [i, block] of blocks.entries()) {
+    if (block.image) await imagePiece(block.image);
+    else richPiece(block.runs, { after: i === blocks.length - 1 ? 6 : 2 });
+  }
+  for (const src of q.images) await imagePiece(src);
+  if (q.instruction)
+    textPiece("Italic", 10, q.instruction, { indent: 12, after: 4 });
+  if (q.options.length) {
+    for (const opt of q.options) {
+      const optBlocks = contentBlocks(opt.text, q.contentFormat);
+      const first = optBlocks.findIndex((b) => b.runs);
+      richPiece(
+        [
+          { text: `${opt.letter}) ` },
+          ...(first >= 0 ? optBlocks[first].runs : []),
+        ],
+        { indent: 12, after: 3 }
+      );
+      for (const [j, block] of optBlocks.entries()) {
+        if (j === first) continue;
+        if (block.image) await imagePiece(block.image, width / 2);
+        else richPiece(block.runs, { indent: 24, after: 3 });
+      }
+    }
+  } else if (!q.answerLines.length) {
+    textPiece("Regular", 10.5, "(A)   (B)   (C)   (D)   (E)", { indent: 12 });
+  }
+  // Soma, valor numérico ou linhas da resposta aberta
+  for (const line of q.answerLines)
+    textPiece("Regular", 10.5, line, { indent: 12, after: 8 });
+  pieces.push({ height: 12, draw: () => {} });
+  return pieces;
+}
+
+function drawTable(doc, columns, rows, { x = MARGIN, fontSize = 9 } = {}) {
+  const rowHeight = fontSize + 8;
+  const total = columns.reduce((acc, c) => acc + c.width, 0);
+  const header = () => {
+    doc.font("Bold").fontSize(fontSize).fillColor("#000000");
+    let cx = x;
+    for (const c of columns) {
+      doc.text(c.header, cx + 3, doc.y + 4, {
+        width: c.width - 6,
+        align: c.align || "left",
+        lineBreak: false,
+      });
+      doc.y -= fontSize + 4;
+      cx += c.width;
+    }
+    doc.y += rowHeight;
+    doc
+      .moveTo(x, doc.y)
+      .lineTo(x + total, doc.y)
+      .strokeColor("#999999")
+      .stroke();
+  };
+  header();
+  for (const row of rows) {
+    if (doc.y + rowHeight > doc.page.height - MARGIN - 20) {
+      doc.addPage();
+      header();
+    }
+    const y = doc.y;
+    let cx = x;
+    doc.font("Regular").fontSize(fontSize).fillColor("#000000");
+    columns.forEach((c, i) => {
+      doc.text(String(row[i] ?? ""), cx + 3, y + 4, {
+        width: c.width - 6,
+        align: c.align || "left",
+        lineBreak: false,
+        ellipsis: true,
+      });
+      cx += c.width;
+    });
+    doc.y = y + rowHeight;
+  }
+  doc.x = x;
+  doc.moveDown(1);
+}
+
+/**
+ * Prova em PDF.
+ * options.columns: 1 ou 2; options.answerKey: "none" | "appendix"
+ */
+async function buildExamPdf(exam, options = {}) {
+  const columns = options.columns === 2 ? 2 : 1;
+  const doc = createDoc({
+    title: exam.title,
+    author: exam.school,
+    date: exam.date,
+  });
+  examHeader(doc, exam);
+
+  const flow = createFlow(doc, columns);
+  for (const q of exam.questions) {
+    const pieces = await questionPieces(
+      doc,
+      q,
+      flow.width,
+      options.imageResolvers
+    );
+    const total = pieces.reduce((acc, p) => acc + p.height, 0);
+    // Questão inteira na mesma coluna quando couber
+    if (total > flow.remaining() && total <= flow.full() && !flow.empty())
+      flow.advance();
+    for (const p of pieces) {
+      const at = flow.place(p.height);
+      p.draw(at.x, at.y);
+    }
+  }
+
+  if (options.answerKey === "appendix" && exam.answerKey) {
+    doc.addPage();
+    answerKeyPage(doc, exam);
+  }
+  return finish(doc);
+}
+
+function answerKeyPage(doc, exam) {
+  doc
+    .font("Bold")
+    .fontSize(14)
+    .fillColor("#000000")
+    .text(
+      `Gabarito — ${exam.title}${
+        exam.version ? ` (Versão ${exam.version})` : ""
+      }`,
+      MARGIN,
+      MARGIN,
+      {
+        width: doc.page.width - 2 * MARGIN,
+        align: "center",
+      }
+    );
+  doc.moveDown(1);
+  drawTable(
+    doc,
+    [
+      { header: "Questão", width: 70, align: "center" },
+      { header: "Resposta", width: 110, align: "center" },
+      { header: "Assunto", width: 315 },
+    ],
+    exam.answerKey.map((k) => [k.number, k.answer, k.subject]),
+    { fontSize: 10 }
+  );
+}
+
+async function buildAnswerKeyPdf(exam) {
+  const doc = createDoc({
+    title: `Gabarito — ${exam.title}`,
+    author: exam.school,
+    date: exam.date,
+  });
+  answerKeyPage(doc, exam);
+  return finish(doc);
+}
+
+// QR desenhado com retângulos (vetorial), com margem de 2 módulos
+function drawQr(doc, box, text) {
+  const { modules } = QRCode.create(text, { errorCorrectionLevel: "M" });
+  const cell = box.size / (modules.size + 4);
+  doc.fillColor("#000000");
+  for (let row = 0; row < modules.size; row++)
+    for (let col = 0; col < modules.size; col++)
+      if (modules.get(row, col))
+        doc
+          .rect(box.x + (col + 2) * cell, box.y + (row + 2) * cell, cell, cell)
+          .fill();
+}
+
+/**
+ * Folha de respostas com bolhas e marcadores de alinhamento.
+ * sheets: [{ studentName, registration, className, idCode }] — uma página
+ * por aluno; idCode vira o QR lido na correção óptica; vazio gera uma folha
+ * em branco.
+ */
+async function buildAnswerSheetPdf(exam, sheets = []) {
+  const doc = createDoc({
+    title: `Folha de respostas — ${exam.title}`,
+    author: exam.school,
+    date: exam.date,
+  });
+  const list = sheets.length ? sheets : [{}];
+  const count = Math.min(exam.questions.length, layout.MAX_QUESTIONS);
+
+  for (const [i, sheet] of list.entries()) {
+    if (i > 0) doc.addPage();
+    doc.page.margins.bottom = 0;
+
+    // Marcadores de alinhamento
+    doc.fillColor("#000000");
+    for (const m of Object.values(layout.MARKERS))
+      doc.rect(m.x, m.y, layout.MARKER_SIZE, layout.MARKER_SIZE).fill();
+
+    // Cabeçalho
+    const left = 70;
+    const width = layout.ID_BOX.x - left - 15;
+    doc
+      .font("Bold")
+      .fontSize(13)
+      .text(exam.school || "Folha de respostas", left, 70, { width });
+    doc
+      .font("Bold")
+      .fontSize(11)
+      .text(
+        `${exam.title}${exam.version ? ` — Versão ${exam.version}` : ""}`,
+        left,
+        doc.y + 4,
+        { width }
+      );
+    doc.font("Regular").fontSize(10);
+    doc.text(
+      `Nome: ${
+        sheet.studentName || "_________________________________________"
+      }`,
+      left,
+      doc.y + 10,
+      { width }
+    );
+    doc.text(
+      `Turma: ${sheet.className || "______________"}    Matrícula: ${
+        sheet.registration || "____________"
+      }`,
+      left,
+      doc.y + 6,
+      { width }
+    );
+    doc.text("Data: ____/____/________", left, doc.y + 6, { width });
+    doc
+      .fontSize(8)
+      .fillColor("#444444")
+      .text(
+        "Use caneta preta ou azul e preencha completamente a bolha. Não rasure nem dobre a folha.",
+        left,
+        doc.y + 10,
+        { width }
+      );
+
+    // Código de identificação (QR) ou caixa reservada
+    const box = layout.ID_BOX;
+    if (sheet.idCode) {
+      drawQr(doc, box, sheet.idCode);
+    } else {
+      doc
+        .rect(box.x, box.y, box.size, box.size)
+        .lineWidth(0.5)
+        .strokeColor("#999999")
+        .stroke();
+    }
+
+    // Cabeçalho das colunas (letras) e bolhas
+    const g = layout.GRID;
+    doc.fillColor("#000000").strokeColor("#000000").lineWidth(1);
+    const usedColumns = Math.ceil(count / g.rowsPerColumn);
+    for (let col = 0; col < usedColumns; col++) {
+      layout.LETTERS.forEach((letter, li) => {
+        const c = layout.bubbleCenter(col * g.rowsPerColumn, li);
+        doc
+          .font("Bold")
+          .fontSize(8)
+          .text(letter, c.x - 5, c.y - g.rowHeight + 4, {
+            width: 10,
+            align: "center",
+            lineBreak: false,
+          });
+      });
+    }
+    for (let qi = 0; qi < count; qi++) {
+      const q = exam.questions[qi];
+      const label = layout.questionLabelPosition(qi);
+      doc
+        .font("Bold")
+        .fontSize(9)
+        .text(String(q.number).padStart(2, "0"), label.x, label.y - 5, {
+          width: 24,
+          align: "right",
+          lineBreak: false,
+        });
+      // Somatória, numérica e aberta: resposta só no caderno
+      if (!BUBBLE_TYPES.includes(q.type)) {
+        const c = layout.bubbleCenter(qi, 0);
+        doc
+          .font("Regular")
+          .fontSize(8)
+          .fillColor("#444444")
+          .text("resposta no caderno", c.x - g.bubbleRadius, c.y - 4, {
+            lineBreak: false,
+          })
+          .fillColor("#000000");
+        continue;
+      }
+      const letters = q.options.length || layout.LETTERS.length;
+      for (let li = 0; li < letters; li++) {
+        const c = layout.bubbleCenter(qi, li);
+        doc.circle(c.x, c.y, g.bubbleRadius).lineWidth(0.8).stroke();
+      }
+    }
+  }
+  return finish(doc, { footer: false });
+}
+
+/**
+ * Relatório de resultados da turma (mesmos dados de GET /assessments/:id/results).
+ */
+async function buildResultsReportPdf(exam, results, { className } = {}) {
+  const doc = createDoc({
+    title: `Resultados — ${exam.title}`,
+    author: exam.school,
+    date: exam.date,
+  });
+  const width = doc.page.width - 2 * MARGIN;
+
+  if (exam.school)
+    doc.font("Bold").fontSize(13).text(exam.school, { width, align: "center" });
+  doc
+    .font("Bold")
+    .fontSize(15)
+    .text(`Resultados — ${exam.title}`, { width, align: "center" });
+  if (className)
+    doc
+      .font("Regular")
+      .fontSize(11)
+      .text(`Turma: ${className}`, { width, align: "center" });
+  doc.moveDown(1);
+
+  const s = results.summary;
+  doc
+    .font("Regular")
+    .fontSize(10)
+    .text(
+      `Respostas: ${s.submissions}    Média: ${s.average}%    Maior: ${s.highest}%    Menor: ${s.lowest}%`,
+      { width }
+    );
+  doc.moveDown(1);
+
+  doc.font("Bold").fontSize(12).text("Ranking", { width });
+  doc.moveDown(0.3);
+  drawTable(
+    doc,
+    [
+      { header: "#", width: 35, align: "center" },
+      { header: "Aluno", width: 240 },
+      { header: "Acertos", width: 80, align: "center" },
+      { header: "%", width: 80, align: "center" },
+      { header: "Nota", width: 60, align: "center" },
+    ],
+    results.students.map((st) => [
+      st.rank,
+      st.studentName,
+      `${st.correct}/${st.total}`,
+      st.percentage,
+      st.grade?.display ?? "-",
+    ])
+  );
+
+  doc
+    .font("Bold")
+    .fontSize(12)
+    .text("Acerto por assunto", MARGIN, doc.y, { width });
+  doc.moveDown(0.3);
+  drawTable(
+    doc,
+    [
+      { header: "Assunto", width: 295 },
+      { header: "Acertos", width: 100, align: "center" },
+      { header: "%", width: 100, align: "center" },
+    ],
+    results.subjects.map((sub) => [
+      sub.subject,
+      `${sub.correct}/${sub.total}`,
+      sub.accuracy,
+    ])
+  );
+
+  doc
+    .font("Bold")
+    .fontSize(12)
+    .text("Acerto por questão", MARGIN, doc.y, { width });
+  doc.moveDown(0.3);
+  drawTable(
+    doc,
+    [
+      { header: "Questão", width: 60, align: "center" },
+      { header: "Assunto", width: 175 },
+      { header: "%", width: 50, align: "center" },
+      ...layout.LETTERS.map((l) => ({ header: l, width: 35, align: "center" })),
+      { header: "Branco", width: 35, align: "center" },
+    ],
+    results.questions.map((q) => [
+      q.questionNumber,
+      q.subject,
+      q.hitRate,
+      ...layout.LETTERS.map((l) => q.choices?.[l] || 0),
+      q.choices?.blank || 0,
+    ])
+  );
+
+  return finish(doc);
+}
+
+module.exports = {
+  buildExamPdf,
+  buildAnswerKeyPdf,
+  buildAnswerSheetPdf,
+  buildResultsReportPdf,
+};
@@ -0,0 +1,235 @@
+// src/formats/common.js
+// Peças comuns dos conversores Moodle XML / GIFT / QTI.
+// Cada importador devolve [{ title, question, warnings, error }] e cada
+// exportador registra o que não pôde ser representado no formato.
+
+const {
+  sanitizeRich,
+  hasRichMarkup,
+  plainToHtml,
+  isBlankContent,
+} = require("../lib/richContent");
+
+const LETTERS = ["A", "B", "C", "D", "E"];
+
+const ENTITIES = {
+  nbsp: " ",
+  lt: "<",
+  gt: ">",
+  amp: "&",
+  quot: '"',
+  apos: "'",
+  ndash: "–",
+  mdash: "—",
+  hellip: "…",
+};
+
+const decodeEntities = (s) =>
+  String(s).replace(/&(#x?[0-9a-f]+|\w+);/gi, (m, e) => {
+    if (e[0] === "#")
+      return String.fromCodePoint(
+        e[1].toLowerCase() === "x"
+          ? parseInt(e.slice(2), 16)
+          : Number(e.slice(1))
+      );
+    return ENTITIES[e.toLowerCase()] ?? m;
+  });
+
+// HTML → texto simples (títulos e conteúdo sem formatação relevante)
+const htmlToText = (html) =>
+  decodeEntities(
+    String(html ?? "")
+      .replace(/<br\s*\/?>/gi, "\n")
+      .replace(/<\/(p|div|li|h\d)>/gi, "\n")
+      .replace(/<[^>]+>/g, "")
+  )
+    .replace(/[ \t]+\n/g, "\n")
+    .replace(/\n{3,}/g, "\n\n")
+    .trim();
+
+const imageSources = (html) =>
+  [
+    ...String(html ?? "").matchAll(/<img\b[^>]*\bsrc\s*=\s*["']([^"']+)["']/gi),
+  ].map((m) => decodeEntities(m[1]));
+
+const escapeXml = (s) =>
+  String(s ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+
+const cdata = (s) =>
+  `<![CDATA[${String(s ?? "").replace(/]]>/g, "]]]]><![CDATA[>")}]]>`;
+
+// Texto do banco → HTML simples (parágrafos + figuras)
+const textToHtml = (text, images = []) =>
+  [
+    ...String(text ?? "")
+      .split(/\n{2,}/)
+      .filter(Boolean)
+      .map((p) => `<p>${escapeXml(p).replace(/\n/g, "<br>")}</p>`),
+    ...images.map((src) => `<p><img src="${escapeXml(src)}" alt=""></p>`),
+  ].join("");
+
+// Conteúdo da questão (texto ou HTML conforme contentFormat) → HTML
+const questionHtml = (value, format, images = []) =>
+  format === "html"
+    ? [
+        value || "",
+        ...images.map((src) => `<p><img src="${escapeXml(src)}" alt="" /></p>`),
+      ].join("")
+    : textToHtml(value, images);
+
+// Título curto do item: código ou início do enunciado sem marcação
+const questionTitle = (q, max) =>
+  q.questionCode ||
+  (q.contentFormat === "html"
+    ? htmlToText(q.statement)
+    : String(q.statement || "")
+  )
+    .replace(/\s+/g, " ")
+    .slice(0, max);
+
+// Metadados sem campo próprio nos formatos viajam como tags "chave:valor"
+const META_FIELDS = [
+  "subject",
+  "difficulty",
+  "exam",
+  "year",
+  "license",
+  "attribution",
+];
+
+function metaTags(q) {
+  const tags = [...(q.tags || [])];
+  for (const field of META_FIELDS)
+    if (q[field] !== undefined && q[field] !== null && q[field] !== "")
+      tags.push(`${field}:${q[field]}`);
+  return tags;
+}
+
+function splitMetaTags(tags) {
+  const meta = {};
+  const plain = [];
+  for (const tag of tags) {
+    const m = /^(\w+):(.+)$/.exec(tag);
+    if (m && META_FIELDS.includes(m[1])) meta[m[1]] = m[2].trim();
+    else plain.push(tag);
+  }
+  if (meta.year) meta.year = Number(meta.year) || undefined;
+  return { tags: plain, meta };
+}
+
+/**
+ * Alternativas do formato → options A–E + correctAnswer.
+ * choices: [{ text, fraction }] (fraction em %, 100 = correta)
+ */
+function mapChoices(choices, warnings) {
+  const valid = choices.filter((c) => c.text);
+  if (valid.length < 2) return { error: "Menos de duas alternativas." };
+
+  const best = Math.max(...valid.map((c) => c.fraction || 0));
+  if (best <= 0) return { error: "Nenhuma alternativa correta." };
+  const correct = valid.filter((c) => (c.fraction || 0) > 0);
+  const correctIndex = valid.findIndex((c) => c.fraction === best);
+  if (correct.length > 1 || best < 100)
+    warnings.push(
+      `Pontuação parcial/várias corretas; mantida só a alternativa ${
+        LETTERS[correctIndex] || correctIndex + 1
+      }.`
+    );
+  if (correctIndex >= LETTERS.length)
+    return { error: "A alternativa correta fica além da letra E." };
+  if (valid.length > LETTERS.length)
+    warnings.push(`${valid.length} alternativas; só A–E foram importadas.`);
+
+  const options = {};
+  valid
+    .slice(0, LETTERS.length)
+    .forEach((c, i) => (options[LETTERS[i]] = c.text));
+  return { options, correctAnswer: LETTERS[correctIndex] };
+}
+
+// Figuras vão para images; o HTML guardado fica sem <img>
+const withoutImages = (html) =>
+  String(html ?? "")
+    .replace(/<img\b[^>]*>/gi, "")
+    .replace(/<p\b[^>]*>\s*<\/p>/gi, "");
+
+/**
+ * Campos do banco a partir do item convertido. statementHtml e
+ * choices[].html (opcionais) trazem o HTML original: com formatação
+ * relevante (sobrescrito, fórmula, tabela...) a questão fica em HTML limpo
+ * (contentFormat "html"); senão, texto simples.
+ */
+function toQuestion(
+  {
+    statement,
+    statementHtml,
+    choices,
+    tags = [],
+    images = [],
+    code,
+    subject,
+    source,
+  },
+  warnings
+) {
+  // HTML limpo de cada parte (avisa sobre marcação fora da lista)
+  const clean = (html) => sanitizeRich(withoutImages(html), warnings);
+  const statementClean = statementHtml != null ? clean(statementHtml) : null;
+  const choicesClean = choices.map((c) =>
+    c.html != null ? clean(c.html) : null
+  );
+  const rich = [statementClean, ...choicesClean].some(
+    (html) => html != null && hasRichMarkup(html)
+  );
+  if (rich) {
+    statement = statementClean ?? plainToHtml(statement);
+    choices = choices.map((c, i) => {
+      const html = choicesClean[i] ?? plainToHtml(c.text);
+      return { ...c, text: isBlankContent(html, "html") ? "" : html };
+    });
+  } else {
+    // Texto do HTML já limpo (sem conteúdo de <script>/<style>)
+    if (statementClean != null) statement = htmlToText(statementClean);
+    choices = choices.map((c, i) =>
+      choicesClean[i] != null ? { ...c, text: htmlToText(choicesClean[i]) } : c
+    );
+  }
+
+  const mapped = mapChoices(choices, warnings);
+  if (mapped.error) return { error: mapped.error };
+  const { tags: plain, meta } = splitMetaTags(tags);
+  return {
+    question: {
+      statement,
+      contentFormat: rich ? "html" : "text",
+      options: mapped.options,
+      correctAnswer: mapped.correctAnswer,
+      tags: plain,
+      images,
+      questionCode: code || undefined,
+      source,
+      ...meta,
+      subject: meta.subject || subject || undefined,
+    },
+  };
+}
+
+module.exports = {
+  LETTERS,
+  decodeEntities,
+  htmlToText,
+  imageSources,
+  escapeXml,
+  cdata,
+  textToHtml,
+  questionHtml,
+  questionTitle,
+  metaTags,
+  splitMetaTags,
+  mapChoices,
+  toQuestion,
+};
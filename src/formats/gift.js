@@ -0,0 +1,239 @@
+// src/formats/gift.js
+// GIFT (formato texto do Moodle). Importa múltipla escolha e V/F;
+// comentários "// [id:...] [tag:...]" trazem código e tags.
+
+const {
+  LETTERS,
+  htmlToText,
+  imageSources,
+  questionHtml,
+  questionTitle,
+  metaTags,
+  toQuestion,
+} = require("./common");
+
+// Remove as barras de escape (\~ \= \# \{ \} \: \n)
+const unescape = (s) => s.replace(/\\(.)/g, (_, c) => (c === "n" ? "\n" : c));
+const escape = (s) =>
+  String(s ?? "")
+    .replace(/([~=#{}:\\])/g, "\\$1")
+    .replace(/\r?\n/g, "\\n");
+
+// Índice do próximo caractere não escapado de `chars` a partir de `from`
+function findUnescaped(text, chars, from = 0) {
+  for (let i = from; i < text.length; i++) {
+    if (text[i] === "\\") i++;
+    else if (chars.includes(text[i])) return i;
+  }
+  return -1;
+}
+
+// Blocos separados por linha em branco; comentários guardam id/tags
+function splitBlocks(text) {
+  const blocks = [];
+  let lines = [];
+  let meta = { tags: [] };
+  const flush = () => {
+    if (lines.join("").trim()) blocks.push({ text: lines.join("\n"), ...meta });
+    lines = [];
+    meta = { tags: [] };
+  };
+  for (const line of String(text)
+    .replace(/^\uFEFF/, "")
+    .split(/\r?\n/)) {
+    if (/^\s*\/\//.test(line)) {
+      for (const [, key, value] of line.matchAll(/\[(id|tag):([^\]]+)\]/g))
+        if (key === "id") meta.id = value.trim();
+        else meta.tags.push(value.trim());
+      continue;
+    }
+    if (!line.trim()) {
+      if (
+        findUnescaped(lines.join("\n"), "{") < 0 ||
+        lines.join("\n").includes("}")
+      )
+        flush();
+      continue;
+    }
+    lines.push(line);
+  }
+  flush();
+  return blocks;
+}
+
+// Corpo entre chaves → [{ text, fraction, feedback }]
+function parseAnswers(body) {
+  const choices = [];
+  let i = findUnescaped(body, "=~");
+  while (i >= 0) {
+    const next = findUnescaped(body, "=~", i + 1);
+    let raw = body.slice(i + 1, next < 0 ? undefined : next);
+    let fraction = body[i] === "=" ? 100 : 0;
+    const weight = /^\s*%(-?\d+(?:\.\d+)?)%/.exec(raw);
+    if (weight) {
+      fraction = Number(weight[1]);
+      raw = raw.slice(weight[0].length);
+    }
+    const hash = findUnescaped(raw, "#");
+    choices.push({
+      text: unescape(hash < 0 ? raw : raw.slice(0, hash)).trim(),
+      fraction,
+      feedback: hash >= 0,
+    });
+    i = next;
+  }
+  return choices;
+}
+
+function parse(text) {
+  const items = [];
+  let category = null;
+  for (const block of splitBlocks(text)) {
+    let src = block.text.trim();
+    // "$CATEGORY: $course$/Física/Cinemática" → assunto dos itens seguintes
+    const cat = /^\$CATEGORY:\s*(.*)$/m.exec(src);
+    if (cat && cat.index === 0) {
+      category = cat[1].split("/").filter(Boolean).pop()?.trim() || null;
+      src = src.slice(cat[0].length).trim();
+      if (!src) continue;
+    }
+
+    const warnings = [];
+    let title = "";
+    const titled = /^::((?:\\.|[^:])*)::/.exec(src);
+    if (titled) {
+      title = unescape(titled[1]).trim();
+      src = src.slice(titled[0].length);
+    }
+    const open = findUnescaped(src, "{");
+    const close = open < 0 ? -1 : findUnescaped(src, "}", open);
+    if (open < 0 || close < 0) {
+      items.push({ title, warnings, error: "Bloco sem {respostas}." });
+      continue;
+    }
+
+    let before = src.slice(0, open);
+    const after = src.slice(close + 1).trim();
+    const body = src.slice(open + 1, close).trim();
+    const format = /^\s*\[(html|plain|markdown|moodle)\]/i.exec(before);
+    if (format) before = before.slice(format[0].length);
+    const isHtml = format?.[1].toLowerCase() === "html";
+    const toText = (s) =>
+      isHtml ? htmlToText(unescape(s)) : unescape(s).trim();
+    let statement = toText(before);
+    let statementHtml = isHtml ? unescape(before).trim() : undefined;
+    const images = isHtml ? imageSources(unescape(before)) : [];
+    if (after) {
+      warnings.push('Lacuna no meio do enunciado convertida em "_____".');
+      statement = `${statement} _____ ${toText(after)}`.trim();
+      if (isHtml)
+        statementHtml = `${statementHtml} _____ ${unescape(after).trim()}`;
+    }
+
+    let choices;
+    if (/^(T|TRUE|F|FALSE)(#.*)?$/is.test(body)) {
+      warnings.push("Verdadeiro/falso convertida em múltipla escolha.");
+      const isTrue = /^T(RUE)?\b/i.test(body);
+      choices = [
+        { text: "Verdadeiro", fraction: isTrue ? 100 : 0 },
+        { text: "Falso", fraction: isTrue ? 0 : 100 },
+      ];
+    } else if (body.startsWith("#")) {
+      items.push({ title, warnings, error: "Tipo não suportado: numérica." });
+      continue;
+    } else {
+      choices = parseAnswers(body);
+      if (isHtml)
+        choices = choices.map((c) => ({
+          ...c,
+          text: htmlToText(c.text),
+          html: c.text,
+        }));
+      if (!choices.length) {
+        items.push({
+          title,
+          warnings,
+          error: "Tipo não suportado: dissertativa.",
+        });
+        continue;
+      }
+      if (choices.some((c) => c.text.includes("->"))) {
+        items.push({
+          title,
+          warnings,
+          error: "Tipo não suportado: associação.",
+        });
+        continue;
+      }
+      if (choices.every((c) => c.fraction > 0)) {
+        items.push({
+          title,
+          warnings,
+          error: "Tipo não suportado: resposta curta.",
+        });
+        continue;
+      }
+      if (choices.some((c) => c.feedback))
+        warnings.push("Feedback descartado.");
+    }
+
+    const { question, error } = toQuestion(
+      {
+        statement,
+        statementHtml,
+        choices,
+        images,
+        tags: block.tags,
+        code: block.id,
+        subject: category,
+        source: "GIFT",
+      },
+      warnings
+    );
+    items.push({ title, question, warnings: [...new Set(warnings)], error });
+  }
+  return items;
+}
+
+function serialize(questions) {
+  const items = [];
+  const out = [];
+  let category = null;
+  for (const q of questions) {
+    const warnings = [];
+    if (q.subject && q.subject !== category) {
+      category = q.subject;
+      out.push(`$CATEGORY: $course$/${category.replace(/\//g, "-")}`, "");
+    }
+    const comment = [
+      q.questionCode && `[id:${q.questionCode}]`,
+      ...metaTags(q).map((t) => `[tag:${t.replace(/]/g, ")")}]`),
+    ].filter(Boolean);
+    if (comment.length) out.push(`// ${comment.join(" ")}`);
+    // Com figuras ou conteúdo rico o enunciado vai em [html]
+    const html = q.images?.length > 0 || q.contentFormat === "html";
+    const statement = html
+      ? `[html]${escape(questionHtml(q.statement, q.contentFormat, q.images))}`
+      : escape(q.statement);
+    const title = escape(questionTitle(q, 40));
+    out.push(`::${title}::${statement} {`);
+    for (const l of LETTERS.filter((l) => q.options?.[l]))
+      out.push(
+        `\t${l === q.correctAnswer ? "=" : "~"}${escape(
+          html ? questionHtml(q.options[l], q.contentFormat) : q.options[l]
+        )}`
+      );
+    out.push("}", "");
+    if (!q.correctAnswer) warnings.push("Sem resposta correta definida.");
+    items.push({ questionId: q._id, warnings });
+  }
+  return { content: out.join("\n"), items };
+}
+
+module.exports = {
+  name: "gift",
+  extension: "gift.txt",
+  contentType: "text/plain; charset=utf-8",
+  parse,
+  serialize,
+};
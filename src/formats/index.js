@@ -0,0 +1,10 @@
+// src/formats/index.js
+// Formatos de intercâmbio do banco de questões, por nome na rota.
+// parse(conteúdo) → [{ title, question, warnings, error }] (pode ser async)
+// serialize(questões) → { content, items: [{ questionId, warnings }] }
+
+const moodle = require("./moodle");
+const gift = require("./gift");
+const qti = require("./qti");
+
+module.exports = { moodle, gift, qti };
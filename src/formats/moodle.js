@@ -0,0 +1,202 @@
+// src/formats/moodle.js
+// Moodle XML (<quiz><question type="...">). Importa múltipla escolha e
+// verdadeiro/falso; exporta múltipla escolha com figuras embutidas.
+
+const { XMLParser } = require("fast-xml-parser");
+
+const {
+  LETTERS,
+  htmlToText,
+  imageSources,
+  escapeXml,
+  cdata,
+  questionHtml,
+  questionTitle,
+  metaTags,
+  toQuestion,
+} = require("./common");
+
+const MIME = {
+  png: "image/png",
+  jpg: "image/jpeg",
+  jpeg: "image/jpeg",
+  gif: "image/gif",
+  svg: "image/svg+xml",
+  webp: "image/webp",
+};
+
+const parser = new XMLParser({
+  ignoreAttributes: false,
+  attributeNamePrefix: "@_",
+  textNodeName: "#text",
+  parseTagValue: false,
+  trimValues: false,
+  isArray: (name) => ["question", "answer", "tag", "file"].includes(name),
+});
+
+const textOf = (node) =>
+  node == null
+    ? ""
+    : typeof node === "object"
+    ? textOf(node.text ?? node["#text"])
+    : String(node);
+
+// @@PLUGINFILE@@/nome → data: URI do <file> embutido
+function resolveImages(node, warnings) {
+  const files = new Map(
+    (node?.file || []).map((f) => {
+      const ext = String(f["@_name"]).split(".").pop().toLowerCase();
+      return [
+        f["@_name"],
+        `data:${MIME[ext] || "application/octet-stream"};base64,${String(
+          f["#text"] || ""
+        ).trim()}`,
+      ];
+    })
+  );
+  return imageSources(textOf(node)).flatMap((src) => {
+    if (!src.startsWith("@@PLUGINFILE@@/")) return [src];
+    const file = files.get(
+      decodeURIComponent(src.slice("@@PLUGINFILE@@/".length))
+    );
+    if (!file) warnings.push(`Figura ${src} não encontrada no arquivo.`);
+    return file ? [file] : [];
+  });
+}
+
+function parse(xml) {
+  const doc = parser.parse(String(xml));
+  const questions = doc?.quiz?.question;
+  if (!questions) throw new Error("Arquivo Moodle XML sem <quiz><question>.");
+
+  const items = [];
+  let category = null;
+  for (const q of questions) {
+    const type = q["@_type"];
+    // Categoria "$course$/Física/Cinemática" vira o assunto dos itens seguintes
+    if (type === "category") {
+      category = textOf(q.category).split("/").filter(Boolean).pop() || null;
+      continue;
+    }
+    const title = textOf(q.name).trim();
+    const warnings = [];
+    if (type !== "multichoice" && type !== "truefalse") {
+      items.push({ title, warnings, error: `Tipo não suportado: ${type}.` });
+      continue;
+    }
+
+    const statementHtml = textOf(q.questiontext);
+    const images = resolveImages(q.questiontext, warnings);
+    let choices = (q.answer || []).map((a) => ({
+      text: htmlToText(textOf(a)),
+      html: textOf(a),
+      fraction: Number(a["@_fraction"]) || 0,
+    }));
+    if (type === "truefalse") {
+      warnings.push("Verdadeiro/falso convertida em múltipla escolha.");
+      choices = choices.map((c) => ({
+        fraction: c.fraction,
+        text: /^true$/i.test(c.text)
+          ? "Verdadeiro"
+          : /^false$/i.test(c.text)
+          ? "Falso"
+          : c.text,
+      }));
+    }
+    if (
+      textOf(q.generalfeedback).trim() ||
+      (q.answer || []).some((a) => textOf(a.feedback).trim())
+    )
+      warnings.push("Feedback descartado.");
+    if ((q.answer || []).some((a) => imageSources(textOf(a)).length))
+      warnings.push("Figuras nas alternativas descartadas.");
+
+    const { question, error } = toQuestion(
+      {
+        statement: htmlToText(statementHtml),
+        statementHtml,
+        choices,
+        images,
+        tags: (q.tags?.tag || []).map((t) => textOf(t).trim()).filter(Boolean),
+        code: textOf(q.idnumber).trim(),
+        subject: category,
+        source: "Moodle XML",
+      },
+      warnings
+    );
+    items.push({ title, question, warnings: [...new Set(warnings)], error });
+  }
+  return items;
+}
+
+// data: URI → <file> embutido; URLs ficam no <img src>
+function figureHtml(images) {
+  const files = [];
+  const srcs = images.map((src, i) => {
+    const m = /^data:image\/(\w+)[^;]*;base64,(.+)$/.exec(src);
+    if (!m) return src;
+    const name = `figura${i + 1}.${
+      m[1] === "jpeg" ? "jpg" : m[1].replace("svg+xml", "svg")
+    }`;
+    files.push(
+      `<file name="${name}" path="/" encoding="base64">${m[2]}</file>`
+    );
+    return `@@PLUGINFILE@@/${name}`;
+  });
+  return { srcs, files };
+}
+
+/**
+ * Questões do banco → Moodle XML.
+ * Retorna { content, items: [{ questionId, warnings }] }.
+ */
+function serialize(questions) {
+  const items = [];
+  const out = ['<?xml version="1.0" encoding="UTF-8"?>', "<quiz>"];
+  for (const q of questions) {
+    const warnings = [];
+    const { srcs, files } = figureHtml(q.images || []);
+    const letters = LETTERS.filter((l) => q.options?.[l]);
+    out.push(
+      '  <question type="multichoice">',
+      `    <name><text>${escapeXml(questionTitle(q, 60))}</text></name>`,
+      `    <questiontext format="html"><text>${cdata(
+        questionHtml(q.statement, q.contentFormat, srcs)
+      )}</text>${files.join("")}</questiontext>`,
+      '    <generalfeedback format="html"><text></text></generalfeedback>',
+      "    <defaultgrade>1</defaultgrade>",
+      "    <penalty>0</penalty>",
+      "    <hidden>0</hidden>",
+      `    <idnumber>${escapeXml(q.questionCode || "")}</idnumber>`,
+      "    <single>true</single>",
+      "    <shuffleanswers>false</shuffleanswers>",
+      "    <answernumbering>ABCD</answernumbering>",
+      ...letters.map(
+        (l) =>
+          `    <answer fraction="${
+            l === q.correctAnswer ? 100 : 0
+          }" format="html"><text>${cdata(
+            questionHtml(q.options[l], q.contentFormat)
+          )}</text></answer>`
+      ),
+      "    <tags>",
+      ...metaTags(q).map(
+        (t) => `      <tag><text>${escapeXml(t)}</text></tag>`
+      ),
+      "    </tags>",
+      "  </question>"
+    );
+    if (!q.correctAnswer) warnings.push("Sem resposta correta definida.");
+    items.push({ questionId: q._id, warnings });
+  }
+  out.push("</quiz>", "");
+  return { content: out.join("\n"), items };
+}
+
+module.exports = {
+  name: "moodle",
+  extension: "xml",
+  contentType: "application/xml; charset=utf-8",
+  parse,
+  serialize,
+};
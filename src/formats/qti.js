@@ -0,0 +1,331 @@
+// src/formats/qti.js
+// IMS QTI 2.1: importa <assessmentItem> com uma choiceInteraction (XML
+// avulso ou pacote .zip com imsmanifest.xml); exporta pacote .zip.
+
+const JSZip = require("jszip");
+const { XMLParser } = require("fast-xml-parser");
+
+const {
+  LETTERS,
+  htmlToText,
+  imageSources,
+  escapeXml,
+  questionHtml,
+  questionTitle,
+  metaTags,
+  toQuestion,
+} = require("./common");
+
+const MIME = {
+  png: "image/png",
+  jpg: "image/jpeg",
+  jpeg: "image/jpeg",
+  gif: "image/gif",
+  svg: "image/svg+xml",
+  webp: "image/webp",
+};
+
+// itemBody fica como XML bruto (conteúdo misto); o resto vira objeto
+const parser = new XMLParser({
+  ignoreAttributes: false,
+  attributeNamePrefix: "@_",
+  textNodeName: "#text",
+  parseTagValue: false,
+  removeNSPrefix: true,
+  stopNodes: ["*.itemBody"],
+  isArray: (name) =>
+    [
+      "responseDeclaration",
+      "value",
+      "resource",
+      "file",
+      "keyword",
+      "string",
+      "langstring",
+    ].includes(name),
+});
+
+const textOf = (node) =>
+  node == null
+    ? ""
+    : typeof node === "object"
+    ? textOf(node["#text"])
+    : String(node);
+
+// Prefixos de namespace (<m:math>, <xhtml:p>) fora: o HTML guardado usa os
+// nomes simples
+const xhtml = (html) => String(html ?? "").replace(/<(\/?)[\w-]+:/g, "<$1");
+
+const asArray = (v) => (v == null ? [] : Array.isArray(v) ? v : [v]);
+
+// Textos LOM: <string> (LOM 1.0) ou <langstring> (IMS MD 1.2)
+const lomText = (node) =>
+  asArray(node).flatMap((n) =>
+    [...asArray(n?.string), ...asArray(n?.langstring)].map(textOf)
+  );
+
+// Um <assessmentItem>; resolve figuras pelo pacote (relativas ao item)
+async function parseItem(xml, { meta = {}, resolve } = {}) {
+  const warnings = [];
+  const item = parser.parse(xml)?.assessmentItem;
+  if (!item) return { title: "", warnings, error: "XML sem <assessmentItem>." };
+  const title = item["@_title"] || item["@_identifier"] || "";
+  const body = String(item.itemBody || "");
+
+  const interactions = [...body.matchAll(/<(?:\w+:)?(\w+Interaction)\b/g)].map(
+    (m) => m[1]
+  );
+  if (interactions.length !== 1 || interactions[0] !== "choiceInteraction")
+    return {
+      title,
+      warnings,
+      error: `Tipo não suportado: ${
+        interactions.join(", ") || "sem interação"
+      }.`,
+    };
+
+  const interaction =
+    /<(?:\w+:)?choiceInteraction\b([^>]*)>([\s\S]*?)<\/(?:\w+:)?choiceInteraction>/.exec(
+      body
+    );
+  const responseId = /responseIdentifier\s*=\s*"([^"]+)"/.exec(
+    interaction[1]
+  )?.[1];
+  const maxChoices = Number(
+    /maxChoices\s*=\s*"(\d+)"/.exec(interaction[1])?.[1] ?? 1
+  );
+  const declaration = asArray(item.responseDeclaration).find(
+    (d) => d["@_identifier"] === responseId
+  );
+  const correct = new Set(
+    asArray(declaration?.correctResponse?.value).map((v) => textOf(v).trim())
+  );
+  if (maxChoices !== 1)
+    warnings.push("Resposta múltipla convertida em escolha única.");
+
+  const prompt =
+    /<(?:\w+:)?prompt\b[^>]*>([\s\S]*?)<\/(?:\w+:)?prompt>/.exec(
+      interaction[2]
+    )?.[1] || "";
+  const choices = [
+    ...interaction[2].matchAll(
+      /<(?:\w+:)?simpleChoice\b[^>]*identifier\s*=\s*"([^"]+)"[^>]*>([\s\S]*?)<\/(?:\w+:)?simpleChoice>/g
+    ),
+  ].map(([, id, html]) => {
+    const content = xhtml(
+      html.replace(
+        /<(?:\w+:)?feedbackInline\b[\s\S]*?<\/(?:\w+:)?feedbackInline>/g,
+        ""
+      )
+    );
+    return {
+      text: htmlToText(content),
+      html: content,
+      fraction: correct.has(id) ? 100 : 0,
+    };
+  });
+  if (/<(?:\w+:)?(modalFeedback|feedbackInline)\b/.test(xml))
+    warnings.push("Feedback descartado.");
+
+  const stem = xhtml(body.replace(interaction[0], ""));
+  const statement = [htmlToText(stem), htmlToText(prompt)]
+    .filter(Boolean)
+    .join("\n");
+  const images = [];
+  for (const src of imageSources(stem + prompt)) {
+    const data = /^(https?:|data:)/i.test(src)
+      ? src
+      : resolve && (await resolve(src));
+    if (data) images.push(data);
+    else warnings.push(`Figura ${src} não encontrada no pacote.`);
+  }
+
+  const { question, error } = toQuestion(
+    {
+      statement,
+      statementHtml: [stem, xhtml(prompt)].filter((h) => h.trim()).join(""),
+      choices,
+      images,
+      tags: meta.tags,
+      code: meta.code || item["@_identifier"],
+      source: "QTI 2.1",
+    },
+    warnings
+  );
+  if (question && !question.license && meta.license)
+    question.license = meta.license;
+  return { title, question, warnings: [...new Set(warnings)], error };
+}
+
+// Pacote de conteúdo: cada resource imsqti_item_xmlv2p1 é um item
+async function parsePackage(buffer) {
+  const zip = await JSZip.loadAsync(buffer);
+  const manifestFile = zip.file(/(^|\/)imsmanifest\.xml$/i)[0];
+  const base = (p) => p.replace(/[^/]*$/, "");
+  const resolveFrom = (dir) => async (src) => {
+    const path = (dir + src).replace(/(^|\/)\.\//g, "$1");
+    const file = zip.file(decodeURIComponent(path));
+    if (!file) return null;
+    const ext = path.split(".").pop().toLowerCase();
+    return `data:${
+      MIME[ext] || "application/octet-stream"
+    };base64,${await file.async("base64")}`;
+  };
+
+  let entries;
+  if (manifestFile) {
+    const manifest = parser.parse(await manifestFile.async("string"))?.manifest;
+    const root = base(manifestFile.name);
+    entries = asArray(manifest?.resources?.resource)
+      .filter((r) => String(r["@_type"] || "").startsWith("imsqti_item"))
+      .map((r) => {
+        const lom = r.metadata?.lom || {};
+        const keywords = lomText(lom.general?.keyword);
+        const rights = lomText(lom.rights?.description)[0];
+        return {
+          path: root + r["@_href"],
+          meta: { tags: keywords, license: rights, code: r["@_identifier"] },
+        };
+      });
+  } else {
+    entries = zip.file(/\.xml$/i).map((f) => ({ path: f.name, meta: {} }));
+  }
+
+  const items = [];
+  for (const { path, meta } of entries) {
+    const file = zip.file(path);
+    if (!file) {
+      items.push({
+        title: path,
+        warnings: [],
+        error: "Arquivo do item não encontrado no pacote.",
+      });
+      continue;
+    }
+    items.push(
+      await parseItem(await file.async("string"), {
+        meta,
+        resolve: resolveFrom(base(path)),
+      })
+    );
+  }
+  return items;
+}
+
+async function parse(input) {
+  const buffer = Buffer.isBuffer(input) ? input : Buffer.from(String(input));
+  if (buffer[0] === 0x50 && buffer[1] === 0x4b) return parsePackage(buffer);
+  return [await parseItem(buffer.toString("utf8"))];
+}
+
+const itemId = (q, i) => `item-${String(q._id || i + 1)}`;
+
+// HTML → XHTML do itemBody (tags vazias fechadas, MathML com namespace)
+const itemHtml = (html) =>
+  html
+    .replace(/<br>/g, "<br/>")
+    .replace(/(<img [^>]*[^/])>/g, "$1/>")
+    .replace(
+      /<math(?![^>]*xmlns)/g,
+      '<math xmlns="http://www.w3.org/1998/Math/MathML"'
+    );
+
+function itemXml(q, id) {
+  const letters = LETTERS.filter((l) => q.options?.[l]);
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<assessmentItem xmlns="http://www.imsglobal.org/xsd/imsqti_v2p1" xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance"',
+    '  xsi:schemaLocation="http://www.imsglobal.org/xsd/imsqti_v2p1 http://www.imsglobal.org/xsd/qti/qtiv2p1/imsqti_v2p1.xsd"',
+    `  identifier="${escapeXml(id)}" title="${escapeXml(
+      questionTitle(q, 60)
+    )}" adaptive="false" timeDependent="false">`,
+    '  <responseDeclaration identifier="RESPONSE" cardinality="single" baseType="identifier">',
+    `    <correctResponse><value>${
+      q.correctAnswer || ""
+    }</value></correctResponse>`,
+    "  </responseDeclaration>",
+    '  <outcomeDeclaration identifier="SCORE" cardinality="single" baseType="float"/>',
+    "  <itemBody>",
+    `    <div>${itemHtml(
+      questionHtml(q.statement, q.contentFormat, q.images || [])
+    )}</div>`,
+    '    <choiceInteraction responseIdentifier="RESPONSE" shuffle="false" maxChoices="1">',
+    ...letters.map(
+      (l) =>
+        `      <simpleChoice identifier="${l}">${
+          q.contentFormat === "html"
+            ? itemHtml(q.options[l])
+            : escapeXml(q.options[l])
+        }</simpleChoice>`
+    ),
+    "    </choiceInteraction>",
+    "  </itemBody>",
+    '  <responseProcessing template="http://www.imsglobal.org/question/qti_v2p1/rptemplates/match_correct"/>',
+    "</assessmentItem>",
+    "",
+  ].join("\n");
+}
+
+/**
+ * Pacote .zip (imsmanifest.xml + um XML por item). Tags, assunto e demais
+ * metadados vão como keywords LOM; a licença também em rights.
+ */
+async function serialize(questions) {
+  const zip = new JSZip();
+  const items = [];
+  const resources = [];
+  questions.forEach((q, i) => {
+    const warnings = [];
+    const id = itemId(q, i);
+    zip.file(`items/${id}.xml`, itemXml(q, id), { date: new Date(0) });
+    const keywords = metaTags(q)
+      .map(
+        (t) =>
+          `<imsmd:keyword><imsmd:string>${escapeXml(
+            t
+          )}</imsmd:string></imsmd:keyword>`
+      )
+      .join("");
+    const rights = q.license
+      ? `<imsmd:rights><imsmd:description><imsmd:string>${escapeXml(
+          q.license
+        )}</imsmd:string></imsmd:description></imsmd:rights>`
+      : "";
+    resources.push(
+      `    <resource identifier="${escapeXml(
+        q.questionCode || id
+      )}" type="imsqti_item_xmlv2p1" href="items/${id}.xml">`,
+      `      <metadata><imsmd:lom><imsmd:general>${keywords}</imsmd:general>${rights}</imsmd:lom></metadata>`,
+      `      <file href="items/${id}.xml"/>`,
+      "    </resource>"
+    );
+    if (!q.correctAnswer) warnings.push("Sem resposta correta definida.");
+    items.push({ questionId: q._id, warnings });
+  });
+
+  const manifest = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<manifest xmlns="http://www.imsglobal.org/xsd/imscp_v1p1" xmlns:imsmd="http://ltsc.ieee.org/xsd/LOM" identifier="MANIFEST-1">',
+    "  <organizations/>",
+    "  <resources>",
+    ...resources,
+    "  </resources>",
+    "</manifest>",
+    "",
+  ].join("\n");
+  zip.file("imsmanifest.xml", manifest, { date: new Date(0) });
+
+  const content = await zip.generateAsync({
+    type: "nodebuffer",
+    compression: "DEFLATE",
+  });
+  return { content, items };
+}
+
+module.exports = {
+  name: "qti",
+  extension: "zip",
+  contentType: "application/zip",
+  parse,
+  serialize,
+};
@@ -0,0 +1,369 @@
+// src/helpers.js
+// Autenticação, permissões e utilitários compartilhados pelas rotas:
+// correção de submissões, roster, snapshots de questões e planilhas.
+
+const mongoose = require("mongoose");
+const crypto = require("crypto");
+const jwt = require("jsonwebtoken");
+const multer = require("multer");
+
+const { readSpreadsheet, mapColumns } = require("./lib/spreadsheet");
+const { sanitizeRich } = require("./lib/richContent");
+const {
+  QUESTION_TYPES,
+  OPTION_TYPES,
+  MAX_PROPOSITIONS,
+  typeOf,
+  gradeAnswer,
+  partialCredit,
+} = require("./lib/questionTypes");
+const { instanceFor } = require("./lib/parametric");
+const { gradingOf, computeGrade } = require("./lib/grading");
+
+const { User, Class, AnswerKey } = require("./models");
+
+const JWT_SECRET = process.env.JWT_SECRET;
+const BASE_URL =
+  process.env.BASE_URL || `http://localhost:${process.env.PORT || 5000}`;
+
+function signToken(user) {
+  return jwt.sign({ uid: user._id, role: user.role }, JWT_SECRET, {
+    expiresIn: "7d",
+  });
+}
+// O role vem do banco (não do token), para promoções/desativações valerem na hora
+async function auth(req, res, next) {
+  const h = req.headers.authorization || "";
+  const token = h.startsWith("Bearer ") ? h.slice(7) : null;
+  if (!token) return res.status(401).json({ error: "Token ausente." });
+  let payload;
+  try {
+    payload = jwt.verify(token, JWT_SECRET);
+  } catch {
+    return res.status(401).json({ error: "Token inválido." });
+  }
+  try {
+    const user = await User.findById(payload.uid, {
+      role: 1,
+      active: 1,
+    }).lean();
+    if (!user) return res.status(401).json({ error: "Token inválido." });
+    if (user.active === false)
+      return res.status(403).json({ error: "Conta desativada." });
+    req.user = { ...payload, role: user.role };
+    return next();
+  } catch (e) {
+    console.error(e);
+    return res.status(500).json({ error: "Erro na autenticação." });
+  }
+}
+const isTeacherRole = (role) => role === "professor" || role === "admin";
+function onlyProfessor(req, res, next) {
+  if (!isTeacherRole(req.user?.role))
+    return res.status(403).json({ error: "Apenas professores." });
+  next();
+}
+function onlyAdmin(req, res, next) {
+  if (req.user?.role !== "admin")
+    return res.status(403).json({ error: "Apenas administradores." });
+  next();
+}
+const hashToken = (t) => crypto.createHash("sha256").update(t).digest("hex");
+const publicUser = (user) => ({
+  id: user._id,
+  name: user.name,
+  email: user.email,
+  role: user.role,
+});
+const isId = (v) => mongoose.Types.ObjectId.isValid(v);
+
+// Filtros de acesso para documentos com dono + compartilhamento
+const readableBy = (uid) => ({
+  $or: [{ ownerId: uid }, { "sharedWith.userId": uid }],
+});
+const editableBy = (uid) => ({
+  $or: [
+    { ownerId: uid },
+    { sharedWith: { $elemMatch: { userId: uid, permission: "edit" } } },
+  ],
+});
+// Questões públicas (sem dono) também podem ser lidas/usadas; excluídas não
+const questionReadableBy = (uid) => ({
+  $or: [{ ownerId: uid }, { "sharedWith.userId": uid }, { ownerId: null }],
+  deletedAt: null,
+});
+
+// Nome normalizado para comparar com o roster (sem acento/caixa/espaços extras)
+const normalizeName = (v) =>
+  String(v || "")
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .trim()
+    .replace(/\s+/g, " ")
+    .toLowerCase();
+
+const escapeRegex = (v) => String(v).replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+const newInviteCode = () => crypto.randomBytes(4).toString("hex").toUpperCase();
+
+// Valida que todas as turmas existem e pertencem ao professor; null se inválido
+async function resolveOwnedClassIds(classIds, ownerId) {
+  if (classIds === undefined || classIds === null) return [];
+  if (!Array.isArray(classIds) || !classIds.every(isId)) return null;
+  const unique = [...new Set(classIds.map(String))];
+  const count = await Class.countDocuments({ _id: { $in: unique }, ownerId });
+  return count === unique.length ? unique : null;
+}
+
+// Procura o aluno nos rosters das turmas informadas
+async function findRosterEntry(classIds, who) {
+  if (!classIds?.length) return null;
+  const classes = await Class.find(
+    { _id: { $in: classIds } },
+    { students: 1 }
+  ).lean();
+  const matchers = [
+    (st) => who.rosterEntryId && String(st._id) === String(who.rosterEntryId),
+    (st) => who.studentId && String(st.userId) === String(who.studentId),
+    (st) =>
+      who.registration &&
+      st.registration &&
+      st.registration === String(who.registration).trim(),
+    (st) =>
+      who.studentName &&
+      normalizeName(st.name) === normalizeName(who.studentName),
+  ];
+  for (const match of matchers) {
+    for (const c of classes) {
+      const entry = c.students.find(match);
+      if (entry) return { classId: c._id, entry };
+    }
+  }
+  return null;
+}
+
+const LETTERS = ["A", "B", "C", "D", "E"];
+
+// Copia o conteúdo da questão do banco para dentro da avaliação
+// (só o que o aluno vê: proposições sem a indicação de verdadeira)
+const snapshotQuestion = (q, number) => {
+  const type = typeOf(q);
+  return {
+    number,
+    subject: q.subject || "Assunto",
+    questionId: q._id,
+    questionRevision: q.revision || 1,
+    statement: q.statement,
+    contentFormat: q.contentFormat === "html" ? "html" : undefined,
+    type: type === "choice" ? undefined : type,
+    options: OPTION_TYPES.includes(type) ? q.options : undefined,
+    propositions:
+      type === "truefalse"
+        ? (q.propositions || []).map((p) => p.text)
+        : undefined,
+    unit:
+      type === "numeric" || type === "parametric"
+        ? q.numericAnswer?.unit || undefined
+        : undefined,
+    parameters: type === "parametric" ? q.parameters : undefined,
+    formula: type === "parametric" ? q.formula : undefined,
+    tolerance:
+      type === "parametric"
+        ? q.numericAnswer?.tolerance ?? undefined
+        : undefined,
+    images: q.images?.length ? q.images : undefined,
+  };
+};
+
+// Questões enviadas direto na avaliação: HTML também passa pela lista
+const cleanQuestionRefs = (questions) =>
+  questions.map((q) => {
+    const type = q && QUESTION_TYPES.includes(q.type) ? q.type : undefined;
+    const propositions = Array.isArray(q?.propositions)
+      ? q.propositions.slice(0, MAX_PROPOSITIONS).map(String)
+      : undefined;
+    if (q?.contentFormat !== "html")
+      return { ...q, type, propositions, contentFormat: undefined };
+    return {
+      ...q,
+      type,
+      statement: sanitizeRich(q.statement),
+      options:
+        q.options &&
+        Object.fromEntries(
+          LETTERS.filter((l) => q.options[l] != null).map((l) => [
+            l,
+            sanitizeRich(q.options[l]),
+          ])
+        ),
+      propositions: propositions?.map((p) => sanitizeRich(p)),
+    };
+  });
+
+// Gabarito vigente = maior versão
+const latestKey = (assessmentId) =>
+  AnswerKey.findOne({ assessmentId })
+    .sort({ version: -1, createdAt: -1 })
+    .lean();
+
+// Correção pelo tipo de cada item (lib/questionTypes). Aberta fica null
+// até a correção manual (manualGrade), que a recorreção preserva junto
+// com o crédito parcial (score).
+// perm: permutação servida (valores sorteados das parametrizadas);
+// grading.partialCredit: errada em várias corretas/somatória vale parte
+function gradeAnswers(keyDoc, answers, perm, grading = {}) {
+  const byNumber = new Map(keyDoc.answers.map((k) => [k.questionNumber, k]));
+  return answers.map((a) => {
+    const item = byNumber.get(a.questionNumber);
+    const isCorrect = gradeAnswer(
+      item,
+      a.answer,
+      instanceFor(perm, a.questionNumber)
+    );
+    if (isCorrect === null)
+      return {
+        ...a,
+        isCorrect: a.manualGrade?.isCorrect ?? null,
+        score: a.manualGrade?.score ?? undefined,
+      };
+    const credit =
+      !isCorrect && grading.partialCredit ? partialCredit(item, a.answer) : 0;
+    return { ...a, isCorrect, score: credit > 0 ? credit : undefined };
+  });
+}
+
+// Corrige os itens e calcula a nota final com a configuração da avaliação
+function gradeSubmission(assessment, keyDoc, answers, perm) {
+  const graded = gradeAnswers(keyDoc, answers, perm, gradingOf(assessment));
+  return {
+    answers: graded,
+    grade: {
+      ...computeGrade(assessment, keyDoc, graded),
+      computedAt: new Date(),
+    },
+  };
+}
+
+// Tipo do item: o gabarito manda; senão, o snapshot da questão
+const itemTypeOf = (question, keyItem) =>
+  keyItem?.type ? keyItem.type : typeOf(question);
+
+const escapeHtml = (v) =>
+  String(v ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+
+const rosterStudentFields = (found) => ({
+  studentName: found.entry.name,
+  studentId: found.entry.userId || undefined,
+  classId: found.classId,
+  rosterEntryId: found.entry._id,
+});
+
+// Upload de um arquivo (campo "file") em memória; erro vira 400 em JSON
+const singleFile = (maxMb) => {
+  const upload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: maxMb * 1024 * 1024, files: 1 },
+  }).single("file");
+  return (req, res, next) =>
+    upload(req, res, (err) =>
+      err
+        ? res.status(400).json({ error: `Arquivo inválido (até ${maxMb} MB).` })
+        : next()
+    );
+};
+
+/* ---- Planilhas (.csv / .xlsx) ---- */
+const spreadsheetFile = singleFile(5);
+
+// mapping: JSON { campo: "Cabeçalho" } (string no multipart); null se inválido
+function parseMapping(raw) {
+  if (!raw) return {};
+  if (typeof raw === "object") return raw;
+  try {
+    const mapping = JSON.parse(raw);
+    return mapping && typeof mapping === "object" ? mapping : null;
+  } catch {
+    return null;
+  }
+}
+
+// Planilha do upload → linhas por campo. { value } ou { status, error }
+async function loadSpreadsheet(req, fields) {
+  if (!req.file)
+    return {
+      status: 400,
+      error: "Envie a planilha (.csv ou .xlsx) no campo 'file'.",
+    };
+  const mapping = parseMapping(req.body.mapping || req.query.mapping);
+  if (!mapping)
+    return {
+      status: 400,
+      error: 'mapping inválido: use JSON { "campo": "Cabeçalho" }.',
+    };
+  let sheet;
+  try {
+    sheet = await readSpreadsheet(req.file.buffer, {
+      sheet: req.body.sheet || req.query.sheet,
+    });
+  } catch (e) {
+    return { status: 400, error: `Planilha inválida: ${e.message}` };
+  }
+  const mapped = mapColumns(sheet, fields, mapping);
+  if (mapped.unknown.length)
+    return {
+      status: 400,
+      error: `Colunas não encontradas: ${mapped.unknown.join(", ")}.`,
+      headers: sheet.headers,
+    };
+  return { value: mapped };
+}
+
+// "linha 14: correctAnswer 'F' é inválido"
+const rowErrors = (items) =>
+  items.flatMap((it) => (it.errors || []).map((e) => `linha ${it.row}: ${e}`));
+
+// Flags por query ou body (no multipart chegam como texto)
+const flag = (req, name) =>
+  [req.query[name], req.body?.[name]].some((v) => v === true || v === "true");
+const importOptions = (req) => ({
+  dryRun: flag(req, "dryRun"),
+  allowProbable: flag(req, "allowProbable"),
+});
+
+module.exports = {
+  BASE_URL,
+  signToken,
+  auth,
+  isTeacherRole,
+  onlyProfessor,
+  onlyAdmin,
+  hashToken,
+  publicUser,
+  isId,
+  readableBy,
+  editableBy,
+  questionReadableBy,
+  normalizeName,
+  escapeRegex,
+  newInviteCode,
+  resolveOwnedClassIds,
+  findRosterEntry,
+  LETTERS,
+  snapshotQuestion,
+  cleanQuestionRefs,
+  latestKey,
+  gradeSubmission,
+  itemTypeOf,
+  escapeHtml,
+  rosterStudentFields,
+  singleFile,
+  spreadsheetFile,
+  loadSpreadsheet,
+  rowErrors,
+  importOptions,
+};
@@ -0,0 +1,73 @@
+// src/lib/answerSheetLayout.js
+// Geometria da folha de respostas (A4, em pontos PDF). Usada tanto para
+// desenhar a folha quanto para localizar as bolhas na leitura óptica.
+
+const LETTERS = ["A", "B", "C", "D", "E"];
+
+const PAGE = { width: 595.28, height: 841.89 };
+
+// Marcadores de alinhamento: quadrados pretos nos quatro cantos
+const MARKER_SIZE = 24;
+const MARKER_MARGIN = 28;
+const MARKERS = {
+  topLeft: { x: MARKER_MARGIN, y: MARKER_MARGIN },
+  topRight: { x: PAGE.width - MARKER_MARGIN - MARKER_SIZE, y: MARKER_MARGIN },
+  bottomLeft: {
+    x: MARKER_MARGIN,
+    y: PAGE.height - MARKER_MARGIN - MARKER_SIZE,
+  },
+  bottomRight: {
+    x: PAGE.width - MARKER_MARGIN - MARKER_SIZE,
+    y: PAGE.height - MARKER_MARGIN - MARKER_SIZE,
+  },
+};
+// Centro de cada marcador (referência para o alinhamento)
+const markerCenter = (name) => ({
+  x: MARKERS[name].x + MARKER_SIZE / 2,
+  y: MARKERS[name].y + MARKER_SIZE / 2,
+});
+
+// Área reservada para o código de identificação (QR)
+const ID_BOX = { x: PAGE.width - 170, y: 70, size: 110 };
+
+// Grade de bolhas: 3 colunas × 17 linhas (até 51 questões)
+const GRID = {
+  top: 270,
+  left: 92,
+  columnWidth: 170,
+  rowHeight: 28,
+  rowsPerColumn: 17,
+  columns: 3,
+  bubbleSpacing: 22,
+  bubbleRadius: 7,
+};
+const MAX_QUESTIONS = GRID.rowsPerColumn * GRID.columns;
+
+// Centro da bolha da questão (índice 0-based) e alternativa (0 = A)
+function bubbleCenter(questionIndex, letterIndex) {
+  const col = Math.floor(questionIndex / GRID.rowsPerColumn);
+  const row = questionIndex % GRID.rowsPerColumn;
+  return {
+    x: GRID.left + col * GRID.columnWidth + letterIndex * GRID.bubbleSpacing,
+    y: GRID.top + row * GRID.rowHeight,
+  };
+}
+
+// Posição do número da questão (à esquerda das bolhas)
+function questionLabelPosition(questionIndex) {
+  const { x, y } = bubbleCenter(questionIndex, 0);
+  return { x: x - 40, y };
+}
+
+module.exports = {
+  LETTERS,
+  PAGE,
+  MARKER_SIZE,
+  MARKERS,
+  markerCenter,
+  ID_BOX,
+  GRID,
+  MAX_QUESTIONS,
+  bubbleCenter,
+  questionLabelPosition,
+};
@@ -0,0 +1,113 @@
+// src/lib/dedupe.js
+// Detecção de questões duplicadas: hash do conteúdo normalizado (idênticas)
+// e shingles de palavras + MinHash/LSH (quase idênticas).
+
+const crypto = require("crypto");
+
+const LETTERS = ["A", "B", "C", "D", "E"];
+const SHINGLE_SIZE = 2;
+const BANDS = 8;
+const ROWS = 4; // BANDS × ROWS = tamanho da assinatura MinHash
+// Jaccard a partir do qual o item é considerado provável duplicata
+const PROBABLE_DUPLICATE = 0.75;
+
+// Sem acentos, caixa, tags, pontuação e espaços extras
+const normalizeText = (v) =>
+  String(v ?? "")
+    .replace(/<[^>]+>/g, " ")
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}]+/gu, " ")
+    .trim();
+
+// Alternativas em ordem alfabética: embaralhar não gera questão "nova"
+const normalizedOptions = (q) =>
+  LETTERS.map((l) => normalizeText(q.options?.[l]))
+    .filter(Boolean)
+    .sort();
+
+const contentHash = (q) =>
+  crypto
+    .createHash("sha1")
+    .update(
+      [normalizeText(q.statement), ...normalizedOptions(q)].join("\n"),
+      "utf8"
+    )
+    .digest("hex");
+
+// Conjunto de bigramas de palavras (enunciado + alternativas)
+function shingles(q) {
+  const words = [normalizeText(q.statement), ...normalizedOptions(q)]
+    .join(" ")
+    .split(" ")
+    .filter(Boolean);
+  const set = new Set();
+  if (words.length < SHINGLE_SIZE) {
+    if (words.length) set.add(words.join(" "));
+    return set;
+  }
+  for (let i = 0; i + SHINGLE_SIZE <= words.length; i++)
+    set.add(words.slice(i, i + SHINGLE_SIZE).join(" "));
+  return set;
+}
+
+function jaccard(a, b) {
+  if (!a.size && !b.size) return 1;
+  let common = 0;
+  for (const s of a) if (b.has(s)) common++;
+  return common / (a.size + b.size - common);
+}
+
+// FNV-1a 32 bits + mistura final (murmur3) com semente
+function fnv1a(str) {
+  let h = 0x811c9dc5;
+  for (let i = 0; i < str.length; i++) {
+    h ^= str.charCodeAt(i);
+    h = Math.imul(h, 0x01000193);
+  }
+  return h >>> 0;
+}
+function mix(h, seed) {
+  h = (h ^ seed) >>> 0;
+  h = Math.imul(h ^ (h >>> 16), 0x85ebca6b);
+  h = Math.imul(h ^ (h >>> 13), 0xc2b2ae35);
+  return (h ^ (h >>> 16)) >>> 0;
+}
+
+function minhash(set) {
+  const hashes = [...set].map(fnv1a);
+  return Array.from({ length: BANDS * ROWS }, (_, i) => {
+    const seed = Math.imul(i + 1, 0x9e3779b1);
+    let min = 0xffffffff;
+    for (const h of hashes) min = Math.min(min, mix(h, seed));
+    return min;
+  });
+}
+
+// Chaves LSH: questões que compartilham uma banda são candidatas
+function lshBands(set) {
+  const sig = minhash(set);
+  return Array.from(
+    { length: BANDS },
+    (_, b) =>
+      `${b}:${fnv1a(sig.slice(b * ROWS, (b + 1) * ROWS).join(".")).toString(
+        36
+      )}`
+  );
+}
+
+// Campos gravados na questão para as buscas de duplicatas
+const dedupeKeys = (q) => ({
+  contentHash: contentHash(q),
+  lshBands: lshBands(shingles(q)),
+});
+
+module.exports = {
+  PROBABLE_DUPLICATE,
+  normalizeText,
+  contentHash,
+  shingles,
+  jaccard,
+  dedupeKeys,
+};
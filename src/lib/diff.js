@@ -0,0 +1,61 @@
+// src/lib/diff.js
+// Diff por palavras (LCS) para comparar revisões de questões.
+
+// Acima disso (palavras × palavras) o texto é tratado como trocado por inteiro
+const MAX_CELLS = 4e6;
+
+const tokenize = (text) =>
+  String(text ?? "")
+    .split(/(\s+)/)
+    .filter(Boolean);
+
+// Junta trechos vizinhos com a mesma operação
+function pushSegment(out, op, text) {
+  const last = out[out.length - 1];
+  if (last && last.op === op) last.text += text;
+  else out.push({ op, text });
+}
+
+/**
+ * Segmentos { op: "equal" | "insert" | "delete", text } que transformam
+ * `before` em `after`.
+ */
+function diffWords(before, after) {
+  const a = tokenize(before);
+  const b = tokenize(after);
+  const out = [];
+  if (a.length * b.length > MAX_CELLS) {
+    if (a.length) out.push({ op: "delete", text: a.join("") });
+    if (b.length) out.push({ op: "insert", text: b.join("") });
+    return out;
+  }
+
+  // lcs[i][j] = LCS de a[i..] e b[j..]
+  const cols = b.length + 1;
+  const lcs = new Uint32Array((a.length + 1) * cols);
+  for (let i = a.length - 1; i >= 0; i--)
+    for (let j = b.length - 1; j >= 0; j--)
+      lcs[i * cols + j] =
+        a[i] === b[j]
+          ? lcs[(i + 1) * cols + j + 1] + 1
+          : Math.max(lcs[(i + 1) * cols + j], lcs[i * cols + j + 1]);
+
+  let i = 0;
+  let j = 0;
+  while (i < a.length && j < b.length) {
+    if (a[i] === b[j]) {
+      pushSegment(out, "equal", a[i]);
+      i++;
+      j++;
+    } else if (lcs[(i + 1) * cols + j] >= lcs[i * cols + j + 1]) {
+      pushSegment(out, "delete", a[i++]);
+    } else {
+      pushSegment(out, "insert", b[j++]);
+    }
+  }
+  while (i < a.length) pushSegment(out, "delete", a[i++]);
+  while (j < b.length) pushSegment(out, "insert", b[j++]);
+  return out;
+}
+
+module.exports = { diffWords };
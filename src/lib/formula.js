@@ -0,0 +1,187 @@
+// src/lib/formula.js
+// Fórmulas das questões parametrizadas ("a * t", "sqrt(2 * g * h)").
+// Parser próprio (descida recursiva): nada de eval/new Function, só
+// números, variáveis, + - * / ^, parênteses e as funções abaixo.
+
+const FUNCTIONS = {
+  sqrt: Math.sqrt,
+  abs: Math.abs,
+  sin: Math.sin,
+  sen: Math.sin,
+  cos: Math.cos,
+  tan: Math.tan,
+  tg: Math.tan,
+  asin: Math.asin,
+  acos: Math.acos,
+  atan: Math.atan,
+  exp: Math.exp,
+  ln: Math.log,
+  log: Math.log10,
+  min: Math.min,
+  max: Math.max,
+  rad: (deg) => (deg * Math.PI) / 180,
+  deg: (rad) => (rad * 180) / Math.PI,
+};
+const CONSTANTS = { pi: Math.PI, e: Math.E };
+const MAX_LENGTH = 500;
+
+const lookup = (table, name) =>
+  Object.hasOwn(table, name) ? table[name] : undefined;
+
+function tokenize(src) {
+  const tokens = [];
+  const re =
+    /\s*(?:(\d+(?:\.\d+)?(?:[eE][+-]?\d+)?|\.\d+)|([A-Za-z_]\w*)|(\*\*|[-+*/^(),×·π]))/y;
+  let pos = 0;
+  while (pos < src.length) {
+    if (/^\s*$/.test(src.slice(pos))) break;
+    re.lastIndex = pos;
+    const m = re.exec(src);
+    if (!m) throw new Error(`Fórmula inválida: "${src.slice(pos).trim()}"`);
+    pos = re.lastIndex;
+    if (m[1]) tokens.push({ kind: "num", value: Number(m[1]) });
+    else if (m[2]) tokens.push({ kind: "name", value: m[2] });
+    else {
+      const op = { "**": "^", "×": "*", "·": "*" }[m[3]] || m[3];
+      // "π" é a constante, não operador
+      if (op === "π") tokens.push({ kind: "name", value: "pi" });
+      else tokens.push({ kind: "op", value: op });
+    }
+  }
+  return tokens;
+}
+
+/**
+ * Gramática (menor → maior precedência):
+ *   expr  = term (("+" | "-") term)*
+ *   term  = unary (("*" | "/") unary)*
+ *   unary = ("-" | "+") unary | power
+ *   power = atom ("^" unary)?          (direita: 2^3^2 = 2^9; -2^2 = -4)
+ *   atom  = número | nome | nome "(" expr ("," expr)* ")" | "(" expr ")"
+ * Decimal com ponto ("2.5"): a vírgula separa argumentos (max(a, b)).
+ */
+function parse(tokens) {
+  let i = 0;
+  const peek = () => tokens[i];
+  const isOp = (value) => peek()?.kind === "op" && peek().value === value;
+  const expect = (value) => {
+    if (!isOp(value)) throw new Error(`Fórmula inválida: falta "${value}".`);
+    i++;
+  };
+
+  function expr() {
+    let node = term();
+    while (isOp("+") || isOp("-")) {
+      const op = tokens[i++].value;
+      node = { op, args: [node, term()] };
+    }
+    return node;
+  }
+  function term() {
+    let node = unary();
+    while (isOp("*") || isOp("/")) {
+      const op = tokens[i++].value;
+      node = { op, args: [node, unary()] };
+    }
+    return node;
+  }
+  function unary() {
+    if (isOp("-")) {
+      i++;
+      return { op: "neg", args: [unary()] };
+    }
+    if (isOp("+")) {
+      i++;
+      return unary();
+    }
+    return power();
+  }
+  function power() {
+    const base = atom();
+    if (!isOp("^")) return base;
+    i++;
+    return { op: "^", args: [base, unary()] };
+  }
+  function atom() {
+    const tok = tokens[i++];
+    if (!tok) throw new Error("Fórmula inválida: termina de forma incompleta.");
+    if (tok.kind === "num") return { num: tok.value };
+    if (tok.kind === "name") {
+      if (isOp("(")) {
+        const fn = lookup(FUNCTIONS, tok.value.toLowerCase());
+        if (!fn)
+          throw new Error(
+            `Fórmula inválida: função "${tok.value}" não existe.`
+          );
+        i++;
+        const args = [expr()];
+        while (isOp(",")) {
+          i++;
+          args.push(expr());
+        }
+        expect(")");
+        return { fn, args };
+      }
+      return { name: tok.value };
+    }
+    if (tok.value === "(") {
+      const node = expr();
+      expect(")");
+      return node;
+    }
+    throw new Error(`Fórmula inválida: "${tok.value}" fora de lugar.`);
+  }
+
+  const tree = expr();
+  if (i < tokens.length)
+    throw new Error(`Fórmula inválida: "${tokens[i].value}" fora de lugar.`);
+  return tree;
+}
+
+const OPS = {
+  "+": (a, b) => a + b,
+  "-": (a, b) => a - b,
+  "*": (a, b) => a * b,
+  "/": (a, b) => a / b,
+  "^": (a, b) => a ** b,
+  neg: (a) => -a,
+};
+
+function collectNames(node, out) {
+  if (node.name !== undefined) out.add(node.name);
+  for (const arg of node.args || []) collectNames(arg, out);
+  return out;
+}
+
+/**
+ * Fórmula → { variables, evaluate(values) }. values: { nome: número }.
+ * Constantes pi e e valem se não houver variável com o mesmo nome.
+ * Lança Error("Fórmula inválida: ...") se a sintaxe estiver errada.
+ */
+function compile(src) {
+  const text = String(src ?? "").trim();
+  if (!text) throw new Error("Fórmula inválida: vazia.");
+  if (text.length > MAX_LENGTH)
+    throw new Error(`Fórmula inválida: mais de ${MAX_LENGTH} caracteres.`);
+  const tree = parse(tokenize(text));
+  const names = [...collectNames(tree, new Set())];
+
+  const run = (node, values) => {
+    if (node.num !== undefined) return node.num;
+    if (node.name !== undefined) {
+      if (Object.hasOwn(values, node.name)) return Number(values[node.name]);
+      return lookup(CONSTANTS, node.name) ?? NaN;
+    }
+    const args = node.args.map((arg) => run(arg, values));
+    return node.fn ? node.fn(...args) : OPS[node.op](...args);
+  };
+  return {
+    variables: names.filter((n) => !Object.hasOwn(CONSTANTS, n)),
+    evaluate: (values = {}) => run(tree, values),
+  };
+}
+
+// Nomes reservados (não podem ser parâmetros)
+const RESERVED = [...Object.keys(FUNCTIONS), ...Object.keys(CONSTANTS)];
+
+module.exports = { compile, RESERVED };
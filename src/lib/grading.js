@@ -0,0 +1,250 @@
+// src/lib/grading.js
+// Nota final da submissão: pontos por questão (peso), crédito parcial,
+// desconto por erro (vestibulares com "uma errada anula uma certa" ou
+// correção de chute), escala da escola (0–10, 0–100, conceitos) e
+// política de arredondamento. A configuração fica em assessment.grading.
+
+const { typeOf, BUBBLE_TYPES } = require("./questionTypes");
+
+const GRADING_SCALES = ["0-10", "0-100", "letters"];
+const PENALTY_MODES = ["none", "fixed", "guess"];
+const ROUNDING_MODES = ["none", "nearest", "up", "down"];
+const MAX_POINTS = 1000;
+const DEFAULT_OPTIONS = 5;
+
+// Conceitos: menor percentual (0–100) de cada letra, do maior para o menor
+const DEFAULT_LETTERS = [
+  { letter: "A", min: 90 },
+  { letter: "B", min: 75 },
+  { letter: "C", min: 60 },
+  { letter: "D", min: 40 },
+  { letter: "E", min: 0 },
+];
+// Passo padrão do arredondamento em cada escala
+const DEFAULT_STEP = { "0-10": 0.1, "0-100": 1, letters: 1 };
+
+const DEFAULT_GRADING = {
+  scale: "0-10",
+  partialCredit: false,
+  penalty: { mode: "none", value: 0 },
+  floorAtZero: true,
+  rounding: { mode: "nearest" },
+  letters: DEFAULT_LETTERS,
+};
+
+// Configuração salva (ou ausente) com os padrões preenchidos
+function gradingOf(assessment) {
+  const g = assessment?.grading || {};
+  const scale = GRADING_SCALES.includes(g.scale) ? g.scale : "0-10";
+  return {
+    scale,
+    partialCredit: Boolean(g.partialCredit),
+    penalty: {
+      mode: PENALTY_MODES.includes(g.penalty?.mode) ? g.penalty.mode : "none",
+      value: g.penalty?.value || 0,
+    },
+    floorAtZero: g.floorAtZero !== false,
+    rounding: {
+      mode: ROUNDING_MODES.includes(g.rounding?.mode)
+        ? g.rounding.mode
+        : "nearest",
+      step: g.rounding?.step > 0 ? g.rounding.step : DEFAULT_STEP[scale],
+    },
+    letters: g.letters?.length ? g.letters : DEFAULT_LETTERS,
+  };
+}
+
+/**
+ * Corpo enviado → configuração a gravar ({ error } se inválida). Só os
+ * campos presentes mudam: scale, partialCredit, penalty { mode, value },
+ * floorAtZero, rounding { mode, step }, letters [{ letter, min }].
+ */
+function gradingConfig(body, current = {}) {
+  const next = { ...DEFAULT_GRADING, ...current };
+  if (body.scale !== undefined) {
+    if (!GRADING_SCALES.includes(body.scale))
+      return {
+        error: `Escala inválida (use ${GRADING_SCALES.join(", ")}).`,
+      };
+    next.scale = body.scale;
+  }
+  if (body.partialCredit !== undefined) {
+    if (typeof body.partialCredit !== "boolean")
+      return { error: "partialCredit inválido." };
+    next.partialCredit = body.partialCredit;
+  }
+  if (body.floorAtZero !== undefined) {
+    if (typeof body.floorAtZero !== "boolean")
+      return { error: "floorAtZero inválido." };
+    next.floorAtZero = body.floorAtZero;
+  }
+  if (body.penalty !== undefined) {
+    const mode = body.penalty?.mode ?? "none";
+    if (!PENALTY_MODES.includes(mode))
+      return {
+        error: `Desconto inválido (use ${PENALTY_MODES.join(", ")}).`,
+      };
+    const value = mode === "fixed" ? Number(body.penalty.value) : 0;
+    // fixed: fração dos pontos da questão descontada por erro (0.25, 1...)
+    if (mode === "fixed" && !(value > 0 && value <= 1))
+      return { error: "O desconto por erro deve estar entre 0 e 1." };
+    next.penalty = { mode, value };
+  }
+  if (body.rounding !== undefined) {
+    const mode = body.rounding?.mode ?? "nearest";
+    if (!ROUNDING_MODES.includes(mode))
+      return {
+        error: `Arredondamento inválido (use ${ROUNDING_MODES.join(", ")}).`,
+      };
+    const step =
+      body.rounding.step === undefined || body.rounding.step === null
+        ? undefined
+        : Number(body.rounding.step);
+    if (step !== undefined && !(step > 0 && step <= 10))
+      return { error: "Passo de arredondamento inválido." };
+    next.rounding = { mode, step };
+  }
+  if (body.letters !== undefined) {
+    if (!Array.isArray(body.letters) || !body.letters.length)
+      return { error: "Informe os conceitos." };
+    const letters = body.letters
+      .map((l) => ({
+        letter: String(l?.letter ?? "").trim(),
+        min: Number(l?.min),
+      }))
+      .sort((a, b) => b.min - a.min);
+    if (
+      letters.some(
+        (l) =>
+          !l.letter || l.letter.length > 10 || !(l.min >= 0 && l.min <= 100)
+      ) ||
+      new Set(letters.map((l) => l.letter)).size !== letters.length
+    )
+      return { error: "Conceitos inválidos." };
+    // O menor conceito cobre qualquer nota
+    if (letters[letters.length - 1].min !== 0)
+      return { error: "O menor conceito precisa começar em 0%." };
+    next.letters = letters;
+  }
+  return { grading: next };
+}
+
+// Pontos da questão na avaliação (sem peso = 1); null se inválido
+function parsePoints(raw) {
+  const points = Number(raw);
+  return points > 0 && points <= MAX_POINTS ? points : null;
+}
+
+// Arredonda conforme a política ("nearest" de 0,5 em 0,5, "up"...)
+function roundGrade(value, { mode, step }) {
+  if (mode === "none" || !(step > 0)) return value;
+  const ratio = value / step;
+  // Folga para 7.45 / 0.1 = 74.49999...
+  const units =
+    mode === "up"
+      ? Math.ceil(ratio - 1e-9)
+      : mode === "down"
+      ? Math.floor(ratio + 1e-9)
+      : Math.round(ratio + 1e-9);
+  return Number((units * step).toFixed(10));
+}
+
+const decimal = (v) => String(v).replace(".", ",");
+
+// Crédito do item (0–1) como nos resultados: score parcial ou acerto
+const creditOf = (a) => a.score ?? (a.isCorrect ? 1 : 0);
+
+/**
+ * Nota da submissão.
+ * assessment: { questions: [{ number, points, options }], grading }
+ * keyDoc: gabarito usado na correção (tipo e anulação de cada item)
+ * answers: itens já corrigidos ({ questionNumber, answer, isCorrect, score })
+ */
+function computeGrade(assessment, keyDoc, answers) {
+  const grading = gradingOf(assessment);
+  const keyByNumber = new Map(
+    (keyDoc?.answers || []).map((k) => [k.questionNumber, k])
+  );
+  const byNumber = new Map(answers.map((a) => [a.questionNumber, a]));
+
+  let points = 0;
+  let maxPoints = 0;
+  let penalty = 0;
+  let pending = 0;
+  for (const q of assessment.questions || []) {
+    const weight = q.points || 1;
+    maxPoints += weight;
+    const a = byNumber.get(q.number);
+    if (!a) continue;
+    if (a.isCorrect === null || a.isCorrect === undefined) {
+      pending++;
+      continue;
+    }
+    const credit = creditOf(a);
+    points += weight * credit;
+
+    // Desconto só para erro marcado (branco não perde) em itens automáticos
+    const keyItem = keyByNumber.get(q.number);
+    const type = typeOf(keyItem);
+    if (
+      grading.penalty.mode === "none" ||
+      credit > 0 ||
+      !a.answer ||
+      !keyItem ||
+      keyItem.annulled ||
+      type === "open"
+    )
+      continue;
+    if (grading.penalty.mode === "fixed")
+      penalty += weight * grading.penalty.value;
+    else if (BUBBLE_TYPES.includes(type)) {
+      // Correção de chute: o valor esperado do chute aleatório fica zero
+      const options =
+        Object.values(q.options || {}).filter(Boolean).length ||
+        DEFAULT_OPTIONS;
+      if (options > 1) penalty += weight / (options - 1);
+    }
+  }
+
+  let raw = points - penalty;
+  if (grading.floorAtZero) raw = Math.max(0, raw);
+  const percentage = maxPoints ? (raw / maxPoints) * 100 : 0;
+
+  const grade = {
+    scale: grading.scale,
+    points: Math.round(points * 10000) / 10000,
+    penalty: Math.round(penalty * 10000) / 10000,
+    maxPoints,
+    percentage: Math.round(percentage * 100) / 100,
+    // Abertas sem correção: a nota ainda pode mudar
+    provisional: pending > 0,
+  };
+  if (grading.scale === "letters") {
+    const rounded = roundGrade(percentage, grading.rounding);
+    const found =
+      grading.letters.find((l) => rounded >= l.min) ||
+      grading.letters[grading.letters.length - 1];
+    grade.value = rounded;
+    grade.letter = found.letter;
+    grade.display = found.letter;
+  } else {
+    grade.value = roundGrade(
+      grading.scale === "0-100" ? percentage : percentage / 10,
+      grading.rounding
+    );
+    grade.display = decimal(grade.value);
+  }
+  return grade;
+}
+
+module.exports = {
+  GRADING_SCALES,
+  PENALTY_MODES,
+  ROUNDING_MODES,
+  DEFAULT_LETTERS,
+  gradingOf,
+  gradingConfig,
+  parsePoints,
+  roundGrade,
+  computeGrade,
+};
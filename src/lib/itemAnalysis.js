@@ -0,0 +1,128 @@
+// src/lib/itemAnalysis.js
+// Estatísticas clássicas (TCT) de itens a partir das respostas corrigidas.
+
+const CHOICES = ["A", "B", "C", "D", "E"];
+
+const mean = (xs) =>
+  xs.length ? xs.reduce((a, b) => a + b, 0) / xs.length : 0;
+// Desvio padrão populacional
+const stdev = (xs) => {
+  const m = mean(xs);
+  return Math.sqrt(mean(xs.map((x) => (x - m) ** 2)));
+};
+const round = (v, d = 3) =>
+  Number.isFinite(v) ? Math.round(v * 10 ** d) / 10 ** d : null;
+
+// Índice de dificuldade (p) → rótulo usado no banco de questões
+function difficultyLabel(p) {
+  if (p === null || p === undefined) return null;
+  if (p >= 0.7) return "Fácil";
+  if (p >= 0.3) return "Médio";
+  return "Difícil";
+}
+
+// Correlação ponto-bisserial entre o item (0/1) e um escore contínuo
+function pointBiserial(itemScores, totals) {
+  const sd = stdev(totals);
+  const p = mean(itemScores);
+  if (!sd || p === 0 || p === 1) return null;
+  const right = totals.filter((_, i) => itemScores[i] === 1);
+  const wrong = totals.filter((_, i) => itemScores[i] === 0);
+  return ((mean(right) - mean(wrong)) / sd) * Math.sqrt(p * (1 - p));
+}
+
+/**
+ * submissions: [{ answers: [{ questionNumber, answer, isCorrect }] }]
+ * questionNumbers: números das questões da avaliação
+ * options.groupFraction: fração dos grupos superior/inferior (padrão 27%)
+ */
+function analyzeItems(submissions, questionNumbers, options = {}) {
+  const groupFraction = options.groupFraction || 0.27;
+  const n = submissions.length;
+
+  // Matriz aluno × questão (0/1) e alternativa marcada
+  const rows = submissions.map((sub) => {
+    const byNumber = new Map(sub.answers.map((a) => [a.questionNumber, a]));
+    return questionNumbers.map((num) => {
+      const a = byNumber.get(num);
+      return { score: a?.isCorrect ? 1 : 0, choice: a?.answer || "" };
+    });
+  });
+  const totals = rows.map((r) => r.reduce((acc, c) => acc + c.score, 0));
+
+  // Grupos superior/inferior pelo escore total
+  const order = totals
+    .map((t, i) => ({ t, i }))
+    .sort((a, b) => b.t - a.t || a.i - b.i)
+    .map((x) => x.i);
+  const groupSize = n ? Math.max(Math.round(n * groupFraction), 1) : 0;
+  const upper = new Set(order.slice(0, groupSize));
+  const lower = new Set(order.slice(Math.max(n - groupSize, 0)));
+
+  const items = questionNumbers.map((num, q) => {
+    const itemScores = rows.map((r) => r[q].score);
+    // Escore "resto" (sem o próprio item) evita inflar a discriminação
+    const rest = totals.map((t, i) => t - itemScores[i]);
+    const p = n ? mean(itemScores) : null;
+
+    const distractors = {};
+    for (const choice of [...CHOICES, ""]) {
+      const key = choice || "blank";
+      let total = 0;
+      let up = 0;
+      let low = 0;
+      rows.forEach((r, i) => {
+        if (r[q].choice !== choice) return;
+        total++;
+        if (upper.has(i)) up++;
+        if (lower.has(i)) low++;
+      });
+      if (!total && !choice) continue;
+      distractors[key] = {
+        count: total,
+        proportion: n ? round(total / n) : 0,
+        upper: groupSize ? round(up / groupSize) : 0,
+        lower: groupSize ? round(low / groupSize) : 0,
+      };
+    }
+
+    const pUpper = groupSize
+      ? [...upper].reduce((acc, i) => acc + itemScores[i], 0) / groupSize
+      : 0;
+    const pLower = groupSize
+      ? [...lower].reduce((acc, i) => acc + itemScores[i], 0) / groupSize
+      : 0;
+
+    return {
+      questionNumber: num,
+      n,
+      pValue: round(p),
+      difficulty: difficultyLabel(p),
+      discrimination: round(pointBiserial(itemScores, rest)),
+      discriminationIndex: round(pUpper - pLower),
+      distractors,
+    };
+  });
+
+  // KR-20 (consistência interna para itens dicotômicos)
+  const k = questionNumbers.length;
+  const variance = stdev(totals) ** 2;
+  const sumPQ = items.reduce(
+    (acc, it) => acc + (it.pValue || 0) * (1 - (it.pValue || 0)),
+    0
+  );
+  const kr20 =
+    k > 1 && variance > 0 ? (k / (k - 1)) * (1 - sumPQ / variance) : null;
+
+  return {
+    n,
+    k,
+    meanScore: round(mean(totals)),
+    sdScore: round(stdev(totals)),
+    kr20: round(kr20),
+    groupSize,
+    items,
+  };
+}
+
+module.exports = { analyzeItems, difficultyLabel, pointBiserial };
@@ -0,0 +1,134 @@
+// src/lib/manualGrading.js
+// Correção manual (respostas abertas): rubricas com critérios pontuados,
+// nota enviada pelo professor e apelido para a correção às cegas.
+// A nota vira "score" (crédito de 0 a 1 do item), somado nos resultados.
+
+const crypto = require("crypto");
+
+const MAX_CRITERIA = 20;
+const MAX_COMMENT = 2000;
+
+/**
+ * Critérios enviados → critérios da rubrica ({ error } se inválidos).
+ * list: [{ id?, title, description?, points }]. O id de um critério já
+ * existente é mantido, para as notas dadas continuarem ligadas a ele.
+ */
+function rubricCriteria(list, existing = []) {
+  if (!Array.isArray(list) || !list.length || list.length > MAX_CRITERIA)
+    return { error: `Informe de 1 a ${MAX_CRITERIA} critérios.` };
+  const known = new Set(existing.map((c) => String(c._id)));
+  const used = new Set();
+  const criteria = [];
+  for (const c of list) {
+    const title = String(c?.title ?? "").trim();
+    if (!title) return { error: "Todo critério precisa de título." };
+    const points = Number(c.points);
+    if (!Number.isFinite(points) || points <= 0)
+      return { error: `Pontuação inválida no critério "${title}".` };
+    const criterion = {
+      title: title.slice(0, 200),
+      description: String(c.description ?? "")
+        .trim()
+        .slice(0, 1000),
+      points,
+    };
+    const id = String(c.id ?? c._id ?? "");
+    if (known.has(id) && !used.has(id)) {
+      criterion._id = id;
+      used.add(id);
+    }
+    criteria.push(criterion);
+  }
+  return { criteria };
+}
+
+const isBlank = (v) =>
+  v === undefined || v === null || (typeof v === "string" && !v.trim());
+
+/**
+ * Corpo da correção → nota do item ({ error } se inválido). Aceita:
+ *  - criteria: [{ criterionId, points }] (todos os critérios da rubrica);
+ *  - score: crédito de 0 a 1;
+ *  - isCorrect: certo/errado (crédito 1 ou 0).
+ * comment é opcional. isCorrect da nota = crédito integral.
+ */
+function manualGradeFrom(body, rubric) {
+  const comment = isBlank(body.comment)
+    ? undefined
+    : String(body.comment).trim().slice(0, MAX_COMMENT);
+
+  if (body.criteria !== undefined) {
+    if (!rubric?.criteria?.length)
+      return { error: "Questão sem rubrica; envie isCorrect ou score." };
+    if (!Array.isArray(body.criteria)) return { error: "Critérios inválidos." };
+    const given = new Map(
+      body.criteria.map((c) => [String(c?.criterionId), c?.points])
+    );
+    const ids = new Set(rubric.criteria.map((c) => String(c._id)));
+    if ([...given.keys()].some((id) => !ids.has(id)))
+      return { error: "Critério inexistente na rubrica." };
+
+    const criteria = [];
+    for (const c of rubric.criteria) {
+      const raw = given.get(String(c._id));
+      const points = isBlank(raw) ? NaN : Number(raw);
+      if (!(points >= 0 && points <= c.points))
+        return {
+          error: `Pontos inválidos no critério "${c.title}" (0 a ${c.points}).`,
+        };
+      criteria.push({
+        criterionId: c._id,
+        title: c.title,
+        points,
+        maxPoints: c.points,
+      });
+    }
+    const points = criteria.reduce((acc, c) => acc + c.points, 0);
+    const maxPoints = criteria.reduce((acc, c) => acc + c.maxPoints, 0);
+    const score = Math.round((points / maxPoints) * 10000) / 10000;
+    return {
+      grade: {
+        score,
+        isCorrect: score >= 1,
+        points,
+        maxPoints,
+        criteria,
+        comment,
+      },
+    };
+  }
+
+  if (body.score !== undefined) {
+    const score = isBlank(body.score) ? NaN : Number(body.score);
+    if (!(score >= 0 && score <= 1))
+      return { error: "score deve estar entre 0 e 1." };
+    return { grade: { score, isCorrect: score >= 1, comment } };
+  }
+
+  if (typeof body.isCorrect === "boolean")
+    return {
+      grade: {
+        score: body.isCorrect ? 1 : 0,
+        isCorrect: body.isCorrect,
+        comment,
+      },
+    };
+
+  return { error: "Informe isCorrect, score ou os pontos dos critérios." };
+}
+
+// Apelido estável da resposta na correção às cegas ("Aluno 3F9A2C")
+const blindAlias = (studentAnswerId) =>
+  `Aluno ${crypto
+    .createHash("sha256")
+    .update(`blind|${studentAnswerId}`)
+    .digest("hex")
+    .slice(0, 6)
+    .toUpperCase()}`;
+
+module.exports = {
+  MAX_CRITERIA,
+  rubricCriteria,
+  manualGradeFrom,
+  blindAlias,
+};
@@ -0,0 +1,95 @@
+// src/lib/mediaStore.js
+// Bytes das figuras enviadas em POST /media. Dois backends:
+//  - "disk" (padrão): arquivos em MEDIA_DIR, nome = sha256 do conteúdo;
+//  - "gridfs": bucket "media" do próprio MongoDB (MEDIA_STORE=gridfs).
+// Os metadados (dono, tipo, tamanho) ficam no model Media do servidor.
+
+const fs = require("fs");
+const path = require("path");
+const mongoose = require("mongoose");
+
+function diskStore(dir) {
+  const fileOf = (key) => path.join(dir, path.basename(key));
+  return {
+    name: "disk",
+    // Mesmo conteúdo = mesmo arquivo; grava em .tmp e renomeia
+    async put(data, { sha256 }) {
+      await fs.promises.mkdir(dir, { recursive: true });
+      const file = fileOf(sha256);
+      if (!fs.existsSync(file)) {
+        const tmp = `${file}.${process.pid}.tmp`;
+        await fs.promises.writeFile(tmp, data);
+        await fs.promises.rename(tmp, file);
+      }
+      return sha256;
+    },
+    async get(key) {
+      try {
+        return await fs.promises.readFile(fileOf(key));
+      } catch (e) {
+        if (e.code === "ENOENT") return null;
+        throw e;
+      }
+    },
+    remove: (key) => fs.promises.rm(fileOf(key), { force: true }),
+  };
+}
+
+function gridStore(connection) {
+  let bucket;
+  // O bucket só existe depois da conexão aberta
+  const media = () =>
+    (bucket =
+      bucket ||
+      new mongoose.mongo.GridFSBucket(connection.db, { bucketName: "media" }));
+  return {
+    name: "gridfs",
+    put: (data, { fileName, contentType, sha256 }) =>
+      new Promise((resolve, reject) => {
+        const upload = media().openUploadStream(fileName || sha256, {
+          metadata: { contentType, sha256 },
+        });
+        upload.once("error", reject);
+        upload.once("finish", () => resolve(String(upload.id)));
+        upload.end(data);
+      }),
+    async get(key) {
+      if (!mongoose.isValidObjectId(key)) return null;
+      const chunks = [];
+      try {
+        for await (const chunk of media().openDownloadStream(
+          new mongoose.Types.ObjectId(key)
+        ))
+          chunks.push(chunk);
+      } catch (e) {
+        if (/FileNotFound/i.test(e.code || e.message)) return null;
+        throw e;
+      }
+      return Buffer.concat(chunks);
+    },
+    async remove(key) {
+      try {
+        await media().delete(new mongoose.Types.ObjectId(key));
+      } catch (e) {
+        if (!/FileNotFound/i.test(e.code || e.message)) throw e;
+      }
+    },
+  };
+}
+
+/**
+ * Backend conforme MEDIA_STORE ("disk" | "gridfs").
+ * Cada backend: put(data, meta) → key, get(key) → Buffer|null, remove(key)
+ */
+function createMediaStore({
+  kind = process.env.MEDIA_STORE || "disk",
+  dir = process.env.MEDIA_DIR || path.join(process.cwd(), "uploads", "media"),
+  connection = mongoose.connection,
+} = {}) {
+  if (kind === "gridfs") return gridStore(connection);
+  if (kind !== "disk")
+    throw new Error(`MEDIA_STORE inválido: ${kind} (use disk ou gridfs)`);
+  return diskStore(dir);
+}
+
+module.exports = { createMediaStore };
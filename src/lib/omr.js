@@ -0,0 +1,436 @@
+// src/lib/omr.js
+// Leitura óptica da folha de respostas (PNG/JPEG ou PDF digitalizado),
+// 100% JS: localiza os marcadores dos cantos, corrige a perspectiva e mede
+// o preenchimento de cada bolha. O QR identifica avaliação/versão/aluno.
+
+const zlib = require("zlib");
+const { PNG } = require("pngjs");
+const jpeg = require("jpeg-js");
+const jsQR = require("jsqr");
+const { PDFDocument, PDFName, PDFArray, PDFRawStream } = require("pdf-lib");
+
+const layout = require("./answerSheetLayout");
+
+// Preenchimento (fração de pixels escuros no miolo da bolha)
+const FILLED = 0.45;
+const PARTIAL = 0.18;
+// Imagens maiores são reduzidas (150–200 dpi bastam para as bolhas)
+const MAX_WIDTH = 1700;
+
+/* ---------- Código de identificação (QR) ---------- */
+const CODE_PREFIX = "SA1";
+
+const sheetCode = ({ assessmentId, version, classId, rosterEntryId }) =>
+  [CODE_PREFIX, assessmentId, version, classId, rosterEntryId]
+    .map((v) => (v ? String(v) : ""))
+    .join("|");
+
+function parseSheetCode(text) {
+  const parts = String(text || "").split("|");
+  if (parts[0] !== CODE_PREFIX || parts.length !== 5) return null;
+  const [, assessmentId, version, classId, rosterEntryId] = parts;
+  return {
+    assessmentId,
+    version: version || undefined,
+    classId: classId || undefined,
+    rosterEntryId: rosterEntryId || undefined,
+  };
+}
+
+/* ---------- Decodificação ---------- */
+// RGBA/cinza/RGB → tons de cinza (reduzindo por média de blocos)
+function toGray(data, width, height, channels) {
+  const f = Math.max(1, Math.ceil(width / MAX_WIDTH));
+  const w = Math.floor(width / f);
+  const h = Math.floor(height / f);
+  const gray = new Uint8Array(w * h);
+  for (let y = 0; y < h; y++) {
+    for (let x = 0; x < w; x++) {
+      let sum = 0;
+      for (let dy = 0; dy < f; dy++) {
+        for (let dx = 0; dx < f; dx++) {
+          const i = ((y * f + dy) * width + (x * f + dx)) * channels;
+          sum +=
+            channels >= 3
+              ? data[i] * 0.299 + data[i + 1] * 0.587 + data[i + 2] * 0.114
+              : data[i];
+        }
+      }
+      gray[y * w + x] = sum / (f * f);
+    }
+  }
+  return { width: w, height: h, gray };
+}
+
+const pdfNumber = (dict, key) => dict.get(PDFName.of(key))?.asNumber?.();
+const pdfNames = (obj) =>
+  obj instanceof PDFArray
+    ? obj.asArray().map((n) => n.toString())
+    : obj
+    ? [obj.toString()]
+    : [];
+
+// Imagem embutida no PDF (DCT = JPEG; Flate com 1 ou 8 bits por componente)
+function decodePdfImage(stream) {
+  const dict = stream.dict;
+  const filters = pdfNames(dict.get(PDFName.of("Filter")));
+  const width = pdfNumber(dict, "Width");
+  const height = pdfNumber(dict, "Height");
+
+  if (filters.length === 1 && filters[0] === "/DCTDecode") {
+    const img = jpeg.decode(Buffer.from(stream.contents), {
+      useTArray: true,
+      maxMemoryUsageInMB: 512,
+    });
+    return toGray(img.data, img.width, img.height, 4);
+  }
+  if (
+    filters.length <= 1 &&
+    (!filters.length || filters[0] === "/FlateDecode") &&
+    !dict.get(PDFName.of("DecodeParms"))
+  ) {
+    const raw = filters.length
+      ? zlib.inflateSync(Buffer.from(stream.contents))
+      : Buffer.from(stream.contents);
+    const bits = pdfNumber(dict, "BitsPerComponent");
+    const space = String(dict.get(PDFName.of("ColorSpace")) || "");
+    const channels =
+      space === "/DeviceRGB" ? 3 : space === "/DeviceGray" ? 1 : 0;
+    if (bits === 8 && channels) return toGray(raw, width, height, channels);
+    if (bits === 1 && channels === 1) {
+      const rowBytes = Math.ceil(width / 8);
+      const data = new Uint8Array(width * height);
+      for (let y = 0; y < height; y++)
+        for (let x = 0; x < width; x++)
+          data[y * width + x] =
+            raw[y * rowBytes + (x >> 3)] & (0x80 >> (x & 7)) ? 255 : 0;
+      return toGray(data, width, height, 1);
+    }
+  }
+  return null;
+}
+
+// Maior imagem de cada página (a página digitalizada)
+async function pdfPages(buffer) {
+  const pdf = await PDFDocument.load(buffer, {
+    ignoreEncryption: true,
+    updateMetadata: false,
+  });
+  return pdf.getPages().map((page) => {
+    const xobjects = page.node.Resources()?.lookup(PDFName.of("XObject"));
+    let best = null;
+    for (const [, ref] of xobjects ? xobjects.entries() : []) {
+      const stream = pdf.context.lookup(ref);
+      if (!(stream instanceof PDFRawStream)) continue;
+      if (String(stream.dict.get(PDFName.of("Subtype"))) !== "/Image") continue;
+      const area =
+        pdfNumber(stream.dict, "Width") * pdfNumber(stream.dict, "Height");
+      if (!best || area > best.area) best = { stream, area };
+    }
+    if (!best) return { error: "Página sem imagem digitalizada." };
+    const image = decodePdfImage(best.stream);
+    return image || { error: "Formato de imagem do PDF não suportado." };
+  });
+}
+
+/**
+ * Converte o arquivo enviado em páginas em tons de cinza.
+ * Retorna [{ page, image } | { page, error }].
+ */
+async function decodeUpload(buffer) {
+  const head = buffer.subarray(0, 8);
+  let pages;
+  if (head.subarray(0, 4).toString("latin1") === "%PDF") {
+    pages = await pdfPages(buffer);
+  } else if (head[0] === 0x89 && head.subarray(1, 4).toString() === "PNG") {
+    const png = PNG.sync.read(buffer);
+    pages = [toGray(png.data, png.width, png.height, 4)];
+  } else if (head[0] === 0xff && head[1] === 0xd8) {
+    const img = jpeg.decode(buffer, {
+      useTArray: true,
+      maxMemoryUsageInMB: 512,
+    });
+    pages = [toGray(img.data, img.width, img.height, 4)];
+  } else {
+    return [
+      { page: 1, error: "Formato não suportado (use PNG, JPEG ou PDF)." },
+    ];
+  }
+  return pages.map((p, i) =>
+    p.error ? { page: i + 1, error: p.error } : { page: i + 1, image: p }
+  );
+}
+
+/* ---------- Geometria ---------- */
+// Limiar de Otsu sobre o histograma (escuro = valor < limiar)
+function otsu(gray) {
+  const hist = new Array(256).fill(0);
+  for (const v of gray) hist[v]++;
+  const total = gray.length;
+  let sum = 0;
+  for (let i = 0; i < 256; i++) sum += i * hist[i];
+  let sumB = 0;
+  let wB = 0;
+  let best = 0;
+  let threshold = 128;
+  for (let t = 0; t < 256; t++) {
+    wB += hist[t];
+    if (!wB) continue;
+    const wF = total - wB;
+    if (!wF) break;
+    sumB += t * hist[t];
+    const mB = sumB / wB;
+    const mF = (sum - sumB) / wF;
+    const between = wB * wF * (mB - mF) ** 2;
+    if (between > best) {
+      best = between;
+      threshold = t + 1;
+    }
+  }
+  return threshold;
+}
+
+// Componentes escuros quadrados dentro de uma região (candidatos a marcador)
+function findSquares(img, threshold, region, expectedSide) {
+  const { width, gray } = img;
+  const rw = region.x1 - region.x0;
+  const rh = region.y1 - region.y0;
+  const seen = new Uint8Array(rw * rh);
+  const found = [];
+  const stack = [];
+  for (let y = 0; y < rh; y++) {
+    for (let x = 0; x < rw; x++) {
+      const start = y * rw + x;
+      if (seen[start]) continue;
+      seen[start] = 1;
+      if (gray[(y + region.y0) * width + x + region.x0] >= threshold) continue;
+
+      let area = 0;
+      let sx = 0;
+      let sy = 0;
+      let minX = x;
+      let maxX = x;
+      let minY = y;
+      let maxY = y;
+      stack.push(start);
+      while (stack.length) {
+        const p = stack.pop();
+        const px = p % rw;
+        const py = (p - px) / rw;
+        area++;
+        sx += px;
+        sy += py;
+        if (px < minX) minX = px;
+        if (px > maxX) maxX = px;
+        if (py < minY) minY = py;
+        if (py > maxY) maxY = py;
+        for (const [nx, ny] of [
+          [px + 1, py],
+          [px - 1, py],
+          [px, py + 1],
+          [px, py - 1],
+        ]) {
+          if (nx < 0 || ny < 0 || nx >= rw || ny >= rh) continue;
+          const n = ny * rw + nx;
+          if (seen[n]) continue;
+          seen[n] = 1;
+          if (gray[(ny + region.y0) * width + nx + region.x0] < threshold)
+            stack.push(n);
+        }
+      }
+
+      const bw = maxX - minX + 1;
+      const bh = maxY - minY + 1;
+      const expectedArea = expectedSide * expectedSide;
+      if (
+        area >= expectedArea * 0.3 &&
+        area <= expectedArea * 3 &&
+        area / (bw * bh) >= 0.7 &&
+        bw / bh >= 0.6 &&
+        bw / bh <= 1.6
+      )
+        found.push({ x: sx / area + region.x0, y: sy / area + region.y0 });
+    }
+  }
+  return found;
+}
+
+// Centros dos quatro marcadores na imagem (o mais próximo de cada canto)
+function locateMarkers(img, threshold) {
+  const { width, height } = img;
+  const side = (layout.MARKER_SIZE * width) / layout.PAGE.width;
+  const rw = Math.floor(width * 0.22);
+  const rh = Math.floor(height * 0.16);
+  const corners = {
+    topLeft: { x0: 0, y0: 0, cx: 0, cy: 0 },
+    topRight: { x0: width - rw, y0: 0, cx: width, cy: 0 },
+    bottomLeft: { x0: 0, y0: height - rh, cx: 0, cy: height },
+    bottomRight: { x0: width - rw, y0: height - rh, cx: width, cy: height },
+  };
+  const markers = {};
+  for (const [name, c] of Object.entries(corners)) {
+    const candidates = findSquares(
+      img,
+      threshold,
+      { x0: c.x0, y0: c.y0, x1: c.x0 + rw, y1: c.y0 + rh },
+      side
+    );
+    if (!candidates.length) return null;
+    const dist = (p) => Math.hypot(p.x - c.cx, p.y - c.cy);
+    markers[name] = candidates.reduce((a, b) => (dist(b) < dist(a) ? b : a));
+  }
+  return markers;
+}
+
+// Homografia (folha → imagem) a partir de 4 pares de pontos
+function homography(src, dst) {
+  const A = [];
+  for (let i = 0; i < 4; i++) {
+    const { x, y } = src[i];
+    const { x: u, y: v } = dst[i];
+    A.push([x, y, 1, 0, 0, 0, -u * x, -u * y, u]);
+    A.push([0, 0, 0, x, y, 1, -v * x, -v * y, v]);
+  }
+  // Eliminação de Gauss com pivoteamento parcial
+  for (let c = 0; c < 8; c++) {
+    let pivot = c;
+    for (let r = c + 1; r < 8; r++)
+      if (Math.abs(A[r][c]) > Math.abs(A[pivot][c])) pivot = r;
+    [A[c], A[pivot]] = [A[pivot], A[c]];
+    if (Math.abs(A[c][c]) < 1e-12) return null;
+    for (let r = 0; r < 8; r++) {
+      if (r === c) continue;
+      const f = A[r][c] / A[c][c];
+      for (let k = c; k < 9; k++) A[r][k] -= f * A[c][k];
+    }
+  }
+  const h = A.map((row, i) => row[8] / row[i]);
+  return (x, y) => {
+    const d = h[6] * x + h[7] * y + 1;
+    return {
+      x: (h[0] * x + h[1] * y + h[2]) / d,
+      y: (h[3] * x + h[4] * y + h[5]) / d,
+    };
+  };
+}
+
+const CORNERS = ["topLeft", "topRight", "bottomRight", "bottomLeft"];
+
+function sheetTransform(markers, rotated) {
+  // Folha de cabeça para baixo: cada canto da folha está no canto oposto
+  const order = rotated ? [2, 3, 0, 1] : [0, 1, 2, 3];
+  return homography(
+    CORNERS.map((name) => layout.markerCenter(name)),
+    order.map((i) => markers[CORNERS[i]])
+  );
+}
+
+// Fração de pixels escuros no miolo da bolha
+function bubbleFill(img, threshold, map, center) {
+  const r = layout.GRID.bubbleRadius * 0.6;
+  const step = r / 4;
+  let dark = 0;
+  let total = 0;
+  for (let dy = -r; dy <= r + 1e-9; dy += step) {
+    for (let dx = -r; dx <= r + 1e-9; dx += step) {
+      if (dx * dx + dy * dy > r * r) continue;
+      const p = map(center.x + dx, center.y + dy);
+      const x = Math.round(p.x);
+      const y = Math.round(p.y);
+      if (x < 0 || y < 0 || x >= img.width || y >= img.height) continue;
+      total++;
+      if (img.gray[y * img.width + x] < threshold) dark++;
+    }
+  }
+  return total ? dark / total : 0;
+}
+
+// QR lido sobre a imagem já binarizada (menos sensível a ruído do scanner)
+function readQr(img, threshold) {
+  const rgba = new Uint8ClampedArray(img.width * img.height * 4);
+  for (let i = 0; i < img.gray.length; i++) {
+    const v = img.gray[i] < threshold ? 0 : 255;
+    rgba[i * 4] = rgba[i * 4 + 1] = rgba[i * 4 + 2] = v;
+    rgba[i * 4 + 3] = 255;
+  }
+  return jsQR(rgba, img.width, img.height, { inversionAttempts: "dontInvert" });
+}
+
+/**
+ * Lê uma página digitalizada.
+ * questions: [{ number, optionCount, multiple, skip }] na ordem impressa na
+ * folha, ou função (code) => questions quando a grade depende da versão lida
+ * no QR. multiple: várias bolhas valem ("AC"); skip: sem bolhas (resposta
+ * no caderno), fica em branco sem flag.
+ * Retorna { code, answers: [{ questionNumber, answer, fills, flag }] }
+ * flag: null | "blank" | "multiple" | "ambiguous"; ou { error }.
+ */
+function readSheet(img, questions) {
+  const threshold = Math.min(otsu(img.gray), 160);
+  const markers = locateMarkers(img, threshold);
+  if (!markers) return { error: "Marcadores de alinhamento não encontrados." };
+
+  const qr = readQr(img, threshold);
+  let map = sheetTransform(markers, false);
+  if (!map) return { error: "Marcadores de alinhamento inválidos." };
+  if (qr) {
+    // Orientação: o QR deve cair dentro da área reservada
+    const box = layout.ID_BOX;
+    const { topLeftCorner: a, bottomRightCorner: b } = qr.location;
+    const qrCenter = { x: (a.x + b.x) / 2, y: (a.y + b.y) / 2 };
+    const boxCenter = (m) => m(box.x + box.size / 2, box.y + box.size / 2);
+    const off = (m) => {
+      const p = boxCenter(m);
+      return Math.hypot(p.x - qrCenter.x, p.y - qrCenter.y);
+    };
+    const rotated = sheetTransform(markers, true);
+    if (rotated && off(rotated) < off(map)) map = rotated;
+  }
+
+  const code = qr ? parseSheetCode(qr.data) : null;
+  const grid = typeof questions === "function" ? questions(code) : questions;
+  const answers = grid
+    .slice(0, layout.MAX_QUESTIONS)
+    .map(({ number, optionCount, multiple, skip }, qi) => {
+      if (skip)
+        return {
+          questionNumber: number,
+          answer: undefined,
+          fills: [],
+          flag: null,
+        };
+      const fills = layout.LETTERS.slice(0, optionCount || 5).map(
+        (_, li) =>
+          Math.round(
+            bubbleFill(img, threshold, map, layout.bubbleCenter(qi, li)) * 100
+          ) / 100
+      );
+      const marked = fills.filter((f) => f >= FILLED).length;
+      const partial = fills.filter((f) => f >= PARTIAL && f < FILLED).length;
+      let flag = null;
+      if (marked > 1 && !multiple) flag = "multiple";
+      else if (partial) flag = "ambiguous";
+      else if (!marked) flag = "blank";
+      return {
+        questionNumber: number,
+        answer: flag
+          ? undefined
+          : layout.LETTERS.filter((_, li) => fills[li] >= FILLED).join(""),
+        fills,
+        flag,
+      };
+    });
+
+  return {
+    rawCode: qr?.data,
+    code,
+    answers,
+  };
+}
+
+module.exports = {
+  sheetCode,
+  parseSheetCode,
+  decodeUpload,
+  readSheet,
+};
@@ -0,0 +1,98 @@
+// src/lib/omrWorker.js
+// Leitura óptica fora da thread principal: decodificar uma página e medir
+// as bolhas custa segundos de CPU e travaria as requisições de todos.
+// Um único worker atende uma fila; as imagens decodificadas não saem dele.
+
+const path = require("path");
+const { Worker, isMainThread, parentPort } = require("worker_threads");
+
+const { decodeUpload, readSheet } = require("./omr");
+
+/**
+ * Lê todas as páginas de um arquivo enviado.
+ * grids: { [versão | ""]: questions } (ver readSheet); version: versão
+ * informada no envio, usada quando a folha não tem QR.
+ * Retorna [{ page, error } | { page, read }] (read = resultado de readSheet).
+ */
+async function readUploadNow(buffer, { grids, version }) {
+  let pages;
+  try {
+    pages = await decodeUpload(buffer);
+  } catch (err) {
+    return [{ page: 1, error: "Arquivo ilegível." }];
+  }
+  return pages.map(({ page, image, error }) =>
+    error
+      ? { page, error }
+      : {
+          page,
+          read: readSheet(
+            image,
+            (code) => grids[code?.version || version || ""] || []
+          ),
+        }
+  );
+}
+
+/* ---------- Lado do worker ---------- */
+if (!isMainThread) {
+  // Um arquivo por vez: a memória das páginas decodificadas não se acumula
+  let queue = Promise.resolve();
+  parentPort.on("message", ({ id, buffer, options }) => {
+    queue = queue
+      .then(() =>
+        readUploadNow(
+          Buffer.from(buffer.buffer, buffer.byteOffset, buffer.byteLength),
+          options
+        )
+      )
+      .then(
+        (pages) => parentPort.postMessage({ id, pages }),
+        (err) => parentPort.postMessage({ id, error: err.message })
+      );
+  });
+}
+
+/* ---------- Lado do servidor ---------- */
+let worker = null;
+let nextId = 1;
+const pending = new Map();
+
+function failPending(err) {
+  for (const { reject } of pending.values()) reject(err);
+  pending.clear();
+  worker = null;
+}
+
+function getWorker() {
+  if (worker) return worker;
+  worker = new Worker(path.join(__dirname, "omrWorker.js"));
+  worker.on("message", ({ id, pages, error }) => {
+    const job = pending.get(id);
+    if (!job) return;
+    pending.delete(id);
+    if (error) job.reject(new Error(error));
+    else job.resolve(pages);
+    // Fila vazia: o worker ocioso não segura o processo aberto
+    if (!pending.size) worker.unref();
+  });
+  worker.on("error", failPending);
+  worker.on("exit", (code) => {
+    if (pending.size) failPending(new Error(`Leitor óptico parou (${code}).`));
+    worker = null;
+  });
+  return worker;
+}
+
+// Enfileira a leitura de um arquivo no worker (mesmo retorno de readUploadNow)
+function readUpload(buffer, options) {
+  return new Promise((resolve, reject) => {
+    const id = nextId++;
+    pending.set(id, { resolve, reject });
+    const w = getWorker();
+    w.ref();
+    w.postMessage({ id, buffer, options });
+  });
+}
+
+module.exports = { readUpload, readUploadNow };
@@ -0,0 +1,246 @@
+// src/lib/parametric.js
+// Questões parametrizadas: o enunciado tem variáveis ({a}, {t}) sorteadas
+// em faixas (a ∈ [1, 5], passo 1) e a resposta é uma fórmula ("a * t").
+// Cada tentativa/versão recebe uma "instância": os valores sorteados e as
+// cinco alternativas (a correta e distratores gerados), guardada na
+// permutação para a correção reproduzir exatamente o que o aluno viu.
+
+const { compile, RESERVED } = require("./formula");
+
+const LETTERS = ["A", "B", "C", "D", "E"];
+const MAX_PARAMETERS = 10;
+const MAX_STEPS = 10000;
+// Distância relativa mínima entre alternativas (fica acima da tolerância)
+const MIN_GAP = 0.1;
+const MAX_DRAWS = 20;
+
+const NAME_RE = /^[A-Za-z_]\w{0,19}$/;
+
+// Placeholders {nome} do enunciado
+const templateVariables = (statement) => [
+  ...new Set(
+    [...String(statement ?? "").matchAll(/\{([A-Za-z_]\w*)\}/g)].map(
+      (m) => m[1]
+    )
+  ),
+];
+
+const stepOf = (p) => (p.step > 0 ? p.step : 1);
+
+// Mensagem do erro de sintaxe da fórmula, ou null
+function formulaError(src) {
+  try {
+    compile(src);
+    return null;
+  } catch (e) {
+    return e.message;
+  }
+}
+
+// Primeiro problema dos parâmetros/fórmula da questão, ou null
+function parametricError(q) {
+  const params = q.parameters || [];
+  if (!params.length || params.length > MAX_PARAMETERS)
+    return `Informe de 1 a ${MAX_PARAMETERS} parâmetros.`;
+  const names = new Set();
+  for (const p of params) {
+    if (!NAME_RE.test(p.name || "") || RESERVED.includes(p.name))
+      return `Nome de parâmetro inválido: "${p.name || ""}".`;
+    if (names.has(p.name)) return `Parâmetro repetido: "${p.name}".`;
+    names.add(p.name);
+    if (!Number.isFinite(p.min) || !Number.isFinite(p.max) || p.min > p.max)
+      return `Faixa inválida no parâmetro "${p.name}".`;
+    if (p.step !== undefined && p.step !== null && !(p.step > 0))
+      return `Passo inválido no parâmetro "${p.name}".`;
+    if ((p.max - p.min) / stepOf(p) > MAX_STEPS)
+      return `Passo pequeno demais no parâmetro "${p.name}".`;
+  }
+  const used = templateVariables(q.statement);
+  const missing = [...names].find((n) => !used.includes(n));
+  if (missing) return `O parâmetro "${missing}" não aparece no enunciado.`;
+
+  const error = formulaError(q.formula);
+  if (error) return error;
+  const formula = compile(q.formula);
+  const unknown = formula.variables.find((v) => !names.has(v));
+  if (unknown) return `A fórmula usa "${unknown}", que não é parâmetro.`;
+  // Extremos e meio das faixas precisam dar um valor finito
+  for (const pick of [(p) => p.min, (p) => p.max, (p) => (p.min + p.max) / 2])
+    if (
+      !Number.isFinite(
+        formula.evaluate(
+          Object.fromEntries(params.map((p) => [p.name, pick(p)]))
+        )
+      )
+    )
+      return "A fórmula não dá um valor finito para as faixas informadas.";
+  return null;
+}
+
+// Valor sorteado: min + k·passo (sem resíduo de ponto flutuante)
+function drawValues(parameters, rand) {
+  return parameters.map((p) => {
+    const step = stepOf(p);
+    const count = Math.floor((p.max - p.min) / step + 1e-9) + 1;
+    const k = Math.floor(rand() * count);
+    return { name: p.name, value: Number((p.min + k * step).toFixed(10)) };
+  });
+}
+
+const valuesObject = (values) =>
+  Object.fromEntries((values || []).map((v) => [v.name, v.value]));
+
+const far = (a, b, gap) =>
+  Math.abs(a - b) > gap * Math.max(Math.abs(a), Math.abs(b), 1e-12);
+
+/**
+ * Alternativas: a correta e 4 distratores, em ordem sorteada. Os distratores
+ * vêm de erros típicos (variável dobrada/esquecida, fator 2, 10, sinal) e,
+ * se faltarem, de valores vizinhos (±10%, ±20%...).
+ */
+function generateChoices(formula, values, rand, tolerance = 0) {
+  const correct = formula.evaluate(valuesObject(values));
+  const gap = Math.max(MIN_GAP, 3 * tolerance);
+  const candidates = [];
+  for (const v of values) {
+    for (const factor of [2, 0.5])
+      candidates.push(
+        formula.evaluate({
+          ...valuesObject(values),
+          [v.name]: v.value * factor,
+        })
+      );
+    candidates.push(formula.evaluate({ ...valuesObject(values), [v.name]: 1 }));
+  }
+  candidates.push(
+    correct * 2,
+    correct / 2,
+    correct * 10,
+    correct / 10,
+    -correct
+  );
+  // Ordem sorteada: alunos diferentes veem distratores diferentes
+  for (let i = candidates.length - 1; i > 0; i--) {
+    const j = Math.floor(rand() * (i + 1));
+    [candidates[i], candidates[j]] = [candidates[j], candidates[i]];
+  }
+
+  const choices = [correct];
+  const accept = (c) => {
+    if (
+      choices.length < LETTERS.length &&
+      Number.isFinite(c) &&
+      choices.every((other) => far(c, other, gap))
+    )
+      choices.push(c);
+  };
+  candidates.forEach(accept);
+  const base = correct || 1;
+  for (let k = 1; choices.length < LETTERS.length && k <= 50; k++) {
+    accept(base * (1 + k * gap));
+    accept(base * (1 - k * gap));
+  }
+  for (let i = choices.length - 1; i > 0; i--) {
+    const j = Math.floor(rand() * (i + 1));
+    [choices[i], choices[j]] = [choices[j], choices[i]];
+  }
+  return choices;
+}
+
+/**
+ * Instância da questão: valores sorteados + alternativas. Sorteia de novo
+ * (até MAX_DRAWS vezes) se a fórmula não der valor finito; sem sucesso,
+ * a instância fica sem alternativas.
+ */
+function drawInstance(q, rand) {
+  const formula = compile(q.formula);
+  let values;
+  for (let draw = 0; draw < MAX_DRAWS; draw++) {
+    values = drawValues(q.parameters, rand);
+    if (Number.isFinite(formula.evaluate(valuesObject(values))))
+      return {
+        questionNumber: q.number,
+        values,
+        choices: generateChoices(formula, values, rand, q.tolerance),
+      };
+  }
+  return { questionNumber: q.number, values, choices: [] };
+}
+
+const instanceFor = (perm, questionNumber) =>
+  perm?.instances?.find((i) => i.questionNumber === questionNumber);
+
+const SIGNIFICANT = 3;
+
+// Número → texto com vírgula decimal ("12,5"; "1,2 × 10^-7")
+function formatNumber(v, significant) {
+  let value = Number(v);
+  if (!Number.isFinite(value)) return "?";
+  if (significant) value = Number(value.toPrecision(significant));
+  const abs = Math.abs(value);
+  if (abs !== 0 && (abs < 1e-3 || abs >= 1e6)) {
+    const [mantissa, exponent] = value
+      .toExponential(significant ? significant - 1 : undefined)
+      .split("e");
+    return `${String(Number(mantissa)).replace(".", ",")} × 10^${Number(
+      exponent
+    )}`;
+  }
+  return String(value).replace(".", ",");
+}
+
+const escapeHtml = (v) =>
+  String(v).replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;");
+
+/**
+ * Questão (snapshot) com os valores da instância no enunciado e as
+ * alternativas A–E geradas ("12,5 m/s"). Sem instância, fica como está.
+ */
+function renderInstance(q, instance) {
+  if (!instance) return q;
+  const values = valuesObject(instance.values);
+  const html = q.contentFormat === "html";
+  const text = (s) => (html ? escapeHtml(s) : s);
+  const statement = String(q.statement ?? "").replace(
+    /\{([A-Za-z_]\w*)\}/g,
+    (m, name) =>
+      Object.hasOwn(values, name) ? text(formatNumber(values[name])) : m
+  );
+  const options = Object.fromEntries(
+    (instance.choices || []).map((c, i) => [
+      LETTERS[i],
+      text(`${formatNumber(c, SIGNIFICANT)}${q.unit ? ` ${q.unit}` : ""}`),
+    ])
+  );
+  return { ...q, statement, options };
+}
+
+// Valor esperado com os valores da instância (NaN se não der para avaliar)
+function expectedValue(formulaSrc, instance) {
+  if (!instance) return NaN;
+  try {
+    return compile(formulaSrc).evaluate(valuesObject(instance.values));
+  } catch {
+    return NaN;
+  }
+}
+
+// Valor da alternativa marcada ("C" → 12.5); undefined se não existir
+const choiceValue = (instance, letter) =>
+  instance?.choices?.[LETTERS.indexOf(String(letter ?? ""))];
+
+module.exports = {
+  MAX_PARAMETERS,
+  SIGNIFICANT,
+  templateVariables,
+  formulaError,
+  parametricError,
+  drawValues,
+  generateChoices,
+  drawInstance,
+  instanceFor,
+  formatNumber,
+  renderInstance,
+  expectedValue,
+  choiceValue,
+};
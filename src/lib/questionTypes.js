@@ -0,0 +1,497 @@
+// src/lib/questionTypes.js
+// Tipos de questão e correção automática. Toda resposta (do aluno e do
+// gabarito) é gravada como texto canônico:
+//  - "choice"    escolha única (legado): "B"
+//  - "multiple"  várias corretas: letras em ordem, "ACD"
+//  - "truefalse" somatória (UFSC/UEM): soma das proposições verdadeiras,
+//                valendo 01, 02, 04... 64; "13"
+//  - "numeric"   valor numérico: "9.81"; certo dentro da tolerância relativa
+//                (absoluta quando o valor esperado é 0)
+//  - "open"      resposta aberta curta: o texto; corrigida manualmente
+//  - "parametric" valores sorteados por aluno/versão (ver lib/parametric):
+//                a letra marcada; certa se o valor da alternativa bate com a
+//                fórmula avaliada nos valores daquela instância
+
+const { normalizeContent, isBlankContent } = require("./richContent");
+const {
+  formulaError,
+  parametricError,
+  expectedValue,
+  choiceValue,
+  formatNumber,
+  SIGNIFICANT,
+} = require("./parametric");
+
+const LETTERS = ["A", "B", "C", "D", "E"];
+const QUESTION_TYPES = [
+  "choice",
+  "multiple",
+  "truefalse",
+  "numeric",
+  "open",
+  "parametric",
+];
+// Tipos marcados em bolhas (folha óptica, formulário com letras)
+const BUBBLE_TYPES = ["choice", "multiple", "parametric"];
+// Tipos com alternativas fixas no banco (a parametrizada gera as suas)
+const OPTION_TYPES = ["choice", "multiple"];
+const MAX_PROPOSITIONS = 7;
+const DEFAULT_TOLERANCE = 0.01;
+const MAX_OPEN_ANSWER = 2000;
+
+const typeOf = (item) =>
+  QUESTION_TYPES.includes(item?.type) ? item.type : "choice";
+
+// Número da proposição i (0, 1, 2...) → "01", "02", "04"...
+const propositionLabel = (i) => String(2 ** i).padStart(2, "0");
+
+const SUPERSCRIPT_DIGITS = "⁰¹²³⁴⁵⁶⁷⁸⁹";
+
+/**
+ * Texto digitado → número (NaN se inválido). Aceita vírgula decimal,
+ * separador de milhar, "1,5e-3", "1,5 × 10^-3" e "1,5·10⁻³".
+ */
+function parseNumber(raw) {
+  if (typeof raw === "number") return Number.isFinite(raw) ? raw : NaN;
+  const s = String(raw ?? "")
+    .trim()
+    .replace(/−/g, "-")
+    .replace(/\s+/g, "")
+    .replace(
+      /[⁻⁰¹²³⁴⁵⁶⁷⁸⁹]+$/,
+      (sup) =>
+        "^" +
+        [...sup]
+          .map((c) => (c === "⁻" ? "-" : SUPERSCRIPT_DIGITS.indexOf(c)))
+          .join("")
+    );
+  const m =
+    /^([+-]?[\d.,]*\d[\d.,]*)(?:[eE]([+-]?\d+)|[x×*·]10\^([+-]?\d+))?$/.exec(s);
+  if (!m) return NaN;
+  let mantissa = m[1];
+  const commas = mantissa.split(",").length - 1;
+  const dots = mantissa.split(".").length - 1;
+  if (commas && dots) {
+    // "1.234,5" ou "1,234.5": o último separador é o decimal
+    const decimal =
+      mantissa.lastIndexOf(",") > mantissa.lastIndexOf(".") ? "," : ".";
+    mantissa = mantissa
+      .split(decimal === "," ? "." : ",")
+      .join("")
+      .replace(",", ".");
+  } else if (commas > 1 || dots > 1) {
+    mantissa = mantissa.replace(/[.,]/g, "");
+  } else {
+    mantissa = mantissa.replace(",", ".");
+  }
+  const exponent = m[2] ?? m[3];
+  const value = Number(exponent ? `${mantissa}e${exponent}` : mantissa);
+  return Number.isFinite(value) ? value : NaN;
+}
+
+// Tolerância relativa: 0.02 ou "2%"; vazio = padrão
+function parseTolerance(raw) {
+  if (raw === undefined || raw === null || raw === "") return DEFAULT_TOLERANCE;
+  const s = String(raw).trim();
+  const value = s.endsWith("%")
+    ? parseNumber(s.slice(0, -1)) / 100
+    : parseNumber(s);
+  return value >= 0 ? value : NaN;
+}
+
+// "A, C", "ca", ["A", "C"] → ["A", "C"]; null se houver algo fora de A–E
+function parseLetters(raw) {
+  const chars = [
+    ...(Array.isArray(raw) ? raw.join("") : String(raw ?? ""))
+      .toUpperCase()
+      .replace(/[\s,;/+]+/g, ""),
+  ];
+  if (!chars.length || chars.some((c) => !LETTERS.includes(c))) return null;
+  return [...new Set(chars)].sort();
+}
+
+// Soma ("13") ou lista dos números marcados ([1, 4, 8]) → 13; null se inválida
+function parseSum(raw) {
+  const max = 2 ** MAX_PROPOSITIONS - 1;
+  if (Array.isArray(raw)) {
+    const values = [...new Set(raw.map(Number))];
+    if (
+      values.some(
+        (v) => !Number.isInteger(v) || v < 1 || v > max || (v & (v - 1)) !== 0
+      )
+    )
+      return null;
+    return values.reduce((acc, v) => acc + v, 0);
+  }
+  const s = String(raw ?? "").trim();
+  if (!/^\d{1,3}$/.test(s) || Number(s) > max) return null;
+  return Number(s);
+}
+
+/**
+ * Resposta enviada → texto canônico do tipo do item (gabarito ou questão).
+ * undefined = em branco; null = inválida.
+ */
+function normalizeAnswer(item, raw) {
+  if (raw === undefined || raw === null) return undefined;
+  const type = typeOf(item);
+  if (type === "open") {
+    const text = String(raw)
+      .replace(/\r\n?/g, "\n")
+      .trim()
+      .slice(0, MAX_OPEN_ANSWER);
+    return text || undefined;
+  }
+  if (Array.isArray(raw) ? !raw.length : String(raw).trim() === "")
+    return undefined;
+  switch (type) {
+    case "multiple": {
+      const letters = parseLetters(raw);
+      return letters ? letters.join("") : null;
+    }
+    case "truefalse": {
+      const sum = parseSum(raw);
+      return sum === null ? null : String(sum);
+    }
+    case "numeric": {
+      let s = String(raw).trim();
+      // Unidade digitada junto do número
+      if (item.unit && s.endsWith(item.unit)) s = s.slice(0, -item.unit.length);
+      const value = parseNumber(s);
+      return Number.isFinite(value) ? String(value) : null;
+    }
+    default: {
+      const letter = String(raw).trim().toUpperCase();
+      return LETTERS.includes(letter) ? letter : null;
+    }
+  }
+}
+
+function withinTolerance(value, expected, tolerance) {
+  const margin = expected === 0 ? tolerance : Math.abs(expected) * tolerance;
+  // Folga para erros de arredondamento (9.81 * 1.01 etc.)
+  return Math.abs(value - expected) <= margin * (1 + 1e-9) + 1e-12;
+}
+
+// Parametrizada: letra da alternativa certa na instância (ou undefined)
+function parametricLetter(item, instance) {
+  const expected = expectedValue(item.formula, instance);
+  const tolerance = item.tolerance ?? DEFAULT_TOLERANCE;
+  const index = (instance?.choices || []).findIndex((c) =>
+    withinTolerance(c, expected, tolerance)
+  );
+  return index < 0 ? undefined : LETTERS[index];
+}
+
+/**
+ * Correção de um item: anulada vale para todos; aceita respostas
+ * alternativas. Devolve null para resposta aberta (correção manual).
+ * instance: valores/alternativas sorteados da parametrizada.
+ */
+function gradeAnswer(item, answer, instance) {
+  if (!item) return false;
+  if (item.annulled) return true;
+  if (answer === undefined || answer === null || answer === "") return false;
+  const accepted = [item.correctAnswer, ...(item.acceptedAnswers || [])];
+  switch (typeOf(item)) {
+    case "open":
+      return null;
+    case "parametric": {
+      const value = choiceValue(instance, answer);
+      return (
+        value !== undefined &&
+        withinTolerance(
+          value,
+          expectedValue(item.formula, instance),
+          item.tolerance ?? DEFAULT_TOLERANCE
+        )
+      );
+    }
+    case "numeric": {
+      const value = Number(answer);
+      const tolerance = item.tolerance ?? DEFAULT_TOLERANCE;
+      return accepted.some(
+        (expected) =>
+          expected != null &&
+          withinTolerance(value, Number(expected), tolerance)
+      );
+    }
+    default:
+      return accepted.includes(answer);
+  }
+}
+
+/**
+ * Crédito parcial (0–1) de uma resposta errada, quando a avaliação usa
+ * pontuação parcial; null se o tipo não tem (escolha única, numérica...).
+ *  - várias corretas: (certas marcadas − erradas marcadas) / certas
+ *  - somatória: proposições verdadeiras marcadas / verdadeiras, zerando
+ *    se alguma falsa foi marcada
+ */
+function partialCredit(item, answer) {
+  if (!item || item.annulled || !answer || !item.correctAnswer) return null;
+  switch (typeOf(item)) {
+    case "multiple": {
+      const correct = [...item.correctAnswer];
+      const marked = [...answer];
+      const hits = marked.filter((l) => correct.includes(l)).length;
+      const misses = marked.length - hits;
+      return Math.max(0, (hits - misses) / correct.length);
+    }
+    case "truefalse": {
+      const correct = Number(item.correctAnswer);
+      const marked = Number(answer);
+      if (!correct || marked & ~correct) return 0;
+      const bits = (n) => n.toString(2).replace(/0/g, "").length;
+      return bits(marked) / bits(correct);
+    }
+    default:
+      return null;
+  }
+}
+
+/**
+ * Item do gabarito enviado pelo professor → item normalizado, ou null se
+ * inválido. Sem type = escolha única (gabaritos antigos).
+ */
+function keyItemFrom(a) {
+  if (!a || !Number.isInteger(Number(a.questionNumber))) return null;
+  const type = a.type === undefined || a.type === null ? "choice" : a.type;
+  if (!QUESTION_TYPES.includes(type)) return null;
+  const item = {
+    questionNumber: Number(a.questionNumber),
+    annulled: Boolean(a.annulled),
+    subject: a.subject,
+  };
+  if (type !== "choice") item.type = type;
+  if (type === "numeric" || type === "parametric") {
+    item.tolerance = parseTolerance(a.tolerance);
+    if (Number.isNaN(item.tolerance)) return null;
+    if (a.unit) item.unit = String(a.unit).trim();
+  }
+  // Aberta: sem resposta esperada no gabarito
+  if (type === "open") return item;
+  // Parametrizada: a fórmula faz o papel da resposta
+  if (type === "parametric") {
+    item.formula = String(a.formula ?? "").trim();
+    return formulaError(item.formula) ? null : item;
+  }
+
+  const normalize = (v) => normalizeAnswer(item, v);
+  if (a.correctAnswer !== undefined && a.correctAnswer !== null) {
+    item.correctAnswer = normalize(a.correctAnswer);
+    if (!item.correctAnswer) return null;
+  } else if (!item.annulled) return null;
+  if (a.acceptedAnswers !== undefined) {
+    if (!Array.isArray(a.acceptedAnswers)) return null;
+    item.acceptedAnswers = a.acceptedAnswers.map(normalize);
+    if (item.acceptedAnswers.some((v) => !v)) return null;
+  }
+  return item;
+}
+
+// Item do gabarito a partir da questão do banco (sem número/assunto)
+function keyFromQuestion(q) {
+  const type = typeOf(q);
+  switch (type) {
+    case "multiple":
+      return {
+        type,
+        correctAnswer: [...(q.correctAnswers || [])].sort().join(""),
+      };
+    case "truefalse":
+      return {
+        type,
+        correctAnswer: String(
+          (q.propositions || []).reduce(
+            (acc, p, i) => (p.correct ? acc + 2 ** i : acc),
+            0
+          )
+        ),
+      };
+    case "numeric":
+      return {
+        type,
+        correctAnswer: String(q.numericAnswer?.value),
+        tolerance: q.numericAnswer?.tolerance ?? DEFAULT_TOLERANCE,
+        unit: q.numericAnswer?.unit || undefined,
+      };
+    case "open":
+      return { type };
+    case "parametric":
+      return {
+        type,
+        formula: q.formula,
+        tolerance: q.numericAnswer?.tolerance ?? DEFAULT_TOLERANCE,
+        unit: q.numericAnswer?.unit || undefined,
+      };
+    default:
+      return { correctAnswer: q.correctAnswer || "A" };
+  }
+}
+
+/**
+ * Campos de resposta enviados para o banco (só os presentes no corpo):
+ * type, correctAnswer, correctAnswers ("A,C" ou lista), propositions
+ * ([{ text, correct }] ou textos), numericAnswer ({ value, unit,
+ * tolerance }), answerGuide (orientação de correção da aberta) e, na
+ * parametrizada, parameters ([{ name, min, max, step }]) e formula.
+ */
+function answerFields(body, format = "text", warnings) {
+  const out = {};
+  if (body.type !== undefined) out.type = body.type;
+  if (body.correctAnswer !== undefined)
+    out.correctAnswer =
+      String(body.correctAnswer ?? "")
+        .trim()
+        .toUpperCase() || undefined;
+  if (body.correctAnswers !== undefined)
+    out.correctAnswers = parseLetters(body.correctAnswers) || [];
+  if (body.propositions !== undefined)
+    out.propositions = (
+      Array.isArray(body.propositions) ? body.propositions : []
+    )
+      .map((p) => ({
+        text: normalizeContent(
+          typeof p === "object" && p ? p.text : p,
+          format,
+          warnings
+        ),
+        correct: Boolean(p?.correct),
+      }))
+      .filter((p) => !isBlankContent(p.text, format));
+  if (body.numericAnswer !== undefined) {
+    const n = body.numericAnswer || {};
+    out.numericAnswer = {
+      value: parseNumber(n.value),
+      unit: String(n.unit ?? "").trim() || undefined,
+      tolerance: parseTolerance(n.tolerance),
+    };
+  }
+  if (body.answerGuide !== undefined)
+    out.answerGuide = String(body.answerGuide ?? "").trim();
+  if (body.parameters !== undefined)
+    out.parameters = (
+      Array.isArray(body.parameters) ? body.parameters : []
+    ).map((p) => ({
+      name: String(p?.name ?? "").trim(),
+      min: parseNumber(p?.min),
+      max: parseNumber(p?.max),
+      step:
+        p?.step === undefined || p?.step === null || p?.step === ""
+          ? undefined
+          : parseNumber(p.step),
+    }));
+  if (body.formula !== undefined)
+    out.formula = String(body.formula ?? "").trim();
+  return out;
+}
+
+// Primeiro problema dos campos de resposta da questão, ou null
+function answerError(q) {
+  const options = LETTERS.filter((l) => q.options?.[l]);
+  switch (typeOf(q)) {
+    case "multiple": {
+      if (options.length < 2) return "Informe ao menos duas alternativas.";
+      const correct = q.correctAnswers || [];
+      if (!correct.length) return "Marque ao menos uma alternativa correta.";
+      if (correct.some((l) => !options.includes(l)))
+        return "As respostas corretas precisam estar entre as alternativas.";
+      return null;
+    }
+    case "truefalse": {
+      const count = q.propositions?.length || 0;
+      if (count < 2 || count > MAX_PROPOSITIONS)
+        return `Informe de 2 a ${MAX_PROPOSITIONS} proposições.`;
+      return null;
+    }
+    case "numeric": {
+      const n = q.numericAnswer || {};
+      if (!Number.isFinite(n.value))
+        return "Informe o valor numérico da resposta.";
+      if (!(n.tolerance >= 0)) return "Tolerância inválida.";
+      return null;
+    }
+    case "open":
+      return null;
+    case "parametric": {
+      const tolerance = q.numericAnswer?.tolerance;
+      if (tolerance !== undefined && !(tolerance >= 0))
+        return "Tolerância inválida.";
+      return parametricError(q);
+    }
+    default:
+      if (options.length < 2) return "Informe ao menos duas alternativas.";
+      if (!options.includes(q.correctAnswer))
+        return "A resposta correta precisa ser uma das alternativas.";
+      return null;
+  }
+}
+
+const decimal = (v) => String(v).replace(".", ",");
+
+// Resposta canônica → texto para pessoas ("A, C", "13", "9,81 m/s")
+function formatAnswer(item, answer) {
+  if (answer === undefined || answer === null || answer === "") return "";
+  switch (typeOf(item)) {
+    case "multiple":
+      return [...answer].join(", ");
+    case "truefalse":
+      return answer.padStart(2, "0");
+    case "numeric":
+      return `${decimal(answer)}${item.unit ? ` ${item.unit}` : ""}`;
+    default:
+      return answer;
+  }
+}
+
+// Resposta do gabarito impresso ("9,81 m/s (±1%)", "A/B", "Aberta")
+function formatKeyAnswer(k) {
+  if (k.annulled) return "Anulada";
+  const type = typeOf(k);
+  if (type === "open") return "Aberta";
+  // Parametrizada: só há letra no gabarito de uma versão/instância
+  if (type === "parametric")
+    return k.correctAnswer
+      ? `${k.correctAnswer} (${formatNumber(k.value, SIGNIFICANT)}${
+          k.unit ? ` ${k.unit}` : ""
+        })`
+      : "Parametrizada";
+  const answers = [k.correctAnswer, ...(k.acceptedAnswers || [])]
+    .filter(Boolean)
+    .map((a) => formatAnswer(k, a))
+    // "/" também aparece em unidades (m/s)
+    .join(type === "numeric" ? " ou " : "/");
+  if (type !== "numeric") return answers;
+  const tolerance = k.tolerance ?? DEFAULT_TOLERANCE;
+  const margin =
+    Number(k.correctAnswer) === 0
+      ? decimal(tolerance)
+      : `${decimal(Math.round(tolerance * 10000) / 100)}%`;
+  return `${answers} (±${margin})`;
+}
+
+module.exports = {
+  QUESTION_TYPES,
+  BUBBLE_TYPES,
+  OPTION_TYPES,
+  MAX_PROPOSITIONS,
+  DEFAULT_TOLERANCE,
+  MAX_OPEN_ANSWER,
+  typeOf,
+  propositionLabel,
+  parseNumber,
+  parseTolerance,
+  parseLetters,
+  parseSum,
+  normalizeAnswer,
+  gradeAnswer,
+  partialCredit,
+  parametricLetter,
+  keyItemFrom,
+  keyFromQuestion,
+  answerFields,
+  answerError,
+  formatAnswer,
+  formatKeyAnswer,
+};
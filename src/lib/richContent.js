@@ -0,0 +1,562 @@
+// src/lib/richContent.js
+// Conteúdo rico de enunciados e alternativas. A questão diz o formato em
+// contentFormat:
+//  - "text": texto simples (legado); quebras de linha são preservadas;
+//  - "html": HTML limitado à lista SANITIZE (inclui MathML e <img>).
+// Nos dois formatos, LaTeX entre \( \), \[ \] ou $$ $$ é renderizado com
+// KaTeX no servidor (a CSP não deixa carregar scripts de CDN). Para DOCX/PDF
+// o conteúdo vira blocos de "runs" (negrito, itálico, sobrescrito...).
+
+const katex = require("katex");
+const sanitizeHtml = require("sanitize-html");
+
+const CONTENT_FORMATS = ["text", "html"];
+
+const MATHML_TAGS = [
+  "math",
+  "semantics",
+  "annotation",
+  "mrow",
+  "mi",
+  "mn",
+  "mo",
+  "ms",
+  "mtext",
+  "mspace",
+  "msup",
+  "msub",
+  "msubsup",
+  "mfrac",
+  "msqrt",
+  "mroot",
+  "mover",
+  "munder",
+  "munderover",
+  "mtable",
+  "mtr",
+  "mtd",
+  "mstyle",
+  "mpadded",
+  "mphantom",
+  "menclose",
+  "mfenced",
+];
+
+// Figuras: http(s), data: de imagem raster ou a mídia do próprio sistema
+const SAFE_IMAGE_SRC =
+  /^(https?:\/\/|\/media\/[a-f0-9]{24}$|data:image\/(png|jpe?g|gif|webp);base64,)/i;
+
+const SANITIZE = {
+  allowedTags: [
+    "p",
+    "br",
+    "div",
+    "span",
+    "b",
+    "strong",
+    "i",
+    "em",
+    "u",
+    "s",
+    "sub",
+    "sup",
+    "small",
+    "ul",
+    "ol",
+    "li",
+    "blockquote",
+    "pre",
+    "code",
+    "hr",
+    "h3",
+    "h4",
+    "h5",
+    "h6",
+    "table",
+    "thead",
+    "tbody",
+    "tfoot",
+    "tr",
+    "th",
+    "td",
+    "caption",
+    "figure",
+    "figcaption",
+    "img",
+    ...MATHML_TAGS,
+  ],
+  allowedAttributes: {
+    img: ["src", "alt", "title", "width", "height"],
+    td: ["colspan", "rowspan"],
+    th: ["colspan", "rowspan"],
+    ol: ["start", "type"],
+    math: ["display", "xmlns"],
+    annotation: ["encoding"],
+    mi: ["mathvariant"],
+    mn: ["mathvariant"],
+    mtext: ["mathvariant"],
+    mo: ["stretchy", "fence", "separator", "form", "lspace", "rspace"],
+    mstyle: ["displaystyle", "scriptlevel", "mathvariant"],
+    mfrac: ["linethickness"],
+    menclose: ["notation"],
+    mspace: ["width"],
+    mover: ["accent"],
+    munder: ["accentunder"],
+    mfenced: ["open", "close", "separators"],
+  },
+  allowedSchemes: ["http", "https", "data"],
+  allowProtocolRelative: false,
+  exclusiveFilter: (frame) =>
+    frame.tag === "img" && !SAFE_IMAGE_SRC.test(frame.attribs.src || ""),
+};
+
+const escapeText = (v) =>
+  String(v ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+
+const decodeBasic = (s) =>
+  s
+    .replace(/&lt;/g, "<")
+    .replace(/&gt;/g, ">")
+    .replace(/&quot;/g, '"')
+    .replace(/&#39;|&apos;/g, "'")
+    .replace(/&nbsp;/g, " ")
+    .replace(/&amp;/g, "&");
+
+const tagNames = (html) =>
+  [...String(html ?? "").matchAll(/<([a-zA-Z][\w-]*)/g)].map((m) =>
+    m[1].toLowerCase()
+  );
+
+/**
+ * HTML da lista permitida. Com `warnings`, avisa quando havia marcação
+ * fora da lista (scripts, estilos, links...), que é descartada.
+ */
+function sanitizeRich(html, warnings) {
+  const src = String(html ?? "");
+  if (warnings && tagNames(src).some((t) => !SANITIZE.allowedTags.includes(t)))
+    warnings.push("Marcação HTML não suportada removida.");
+  return sanitizeHtml(src, SANITIZE).trim();
+}
+
+// Há formatação além de parágrafos/quebras? (senão o texto simples basta)
+const hasRichMarkup = (html) =>
+  tagNames(html).some((t) => !["p", "br", "div", "span"].includes(t));
+
+const plainToHtml = (text) => escapeText(text).replace(/\r?\n/g, "<br />");
+
+// Texto de um HTML já limpo (para buscas, títulos e alternativas vazias)
+const htmlToPlain = (html) =>
+  decodeBasic(
+    String(html ?? "")
+      .replace(/<br\s*\/?>/gi, "\n")
+      .replace(/<\/(p|div|li|h\d|tr)>/gi, "\n")
+      .replace(/<annotation\b[\s\S]*?<\/annotation>/gi, "")
+      .replace(/<[^>]+>/g, "")
+  )
+    .replace(/[ \t]+\n/g, "\n")
+    .replace(/\n{3,}/g, "\n\n")
+    .trim();
+
+/**
+ * Valor gravado a partir da entrada: HTML é limpo; texto fica como está.
+ */
+const normalizeContent = (value, format, warnings) =>
+  format === "html" ? sanitizeRich(value, warnings) : String(value ?? "");
+
+// Sem texto, figura nem fórmula (ex.: "<p></p>")
+const isBlankContent = (value, format) =>
+  format === "html"
+    ? !htmlToPlain(value) && !/<(img|math)\b/i.test(String(value ?? ""))
+    : !String(value ?? "").trim();
+
+/* ---- LaTeX ---- */
+
+const LATEX = /\\\(([\s\S]+?)\\\)|\\\[([\s\S]+?)\\\]|\$\$([\s\S]+?)\$\$/g;
+
+const katexOptions = (displayMode, output) => ({
+  displayMode,
+  output,
+  throwOnError: false,
+  strict: "ignore",
+  trust: false,
+  maxSize: 20,
+  maxExpand: 500,
+});
+
+// Fórmulas dos trechos de texto (fora de tags, <math>, <code> e <pre>)
+function renderLatex(html) {
+  let skip = 0;
+  return html
+    .split(/(<[^>]+>)/)
+    .map((part) => {
+      const tag = /^<(\/?)(math|code|pre)\b/i.exec(part);
+      if (tag) skip += tag[1] ? -1 : 1;
+      if (part.startsWith("<") || skip > 0) return part;
+      return part.replace(LATEX, (m, inline, block, block2) =>
+        katex.renderToString(
+          decodeBasic(inline ?? block ?? block2),
+          katexOptions(inline === undefined, "htmlAndMathml")
+        )
+      );
+    })
+    .join("");
+}
+
+/**
+ * HTML pronto para exibir (formulário online, pré-visualização).
+ */
+const renderContent = (value, format) =>
+  renderLatex(format === "html" ? sanitizeRich(value) : plainToHtml(value));
+
+/* ---- DOCX / PDF: blocos de runs ---- */
+
+const VOID_TAGS = ["br", "img", "hr", "mspace"];
+
+// Árvore simples do HTML limpo: { tag, attrs, children } | string
+function parseTree(html) {
+  const root = { tag: "root", attrs: {}, children: [] };
+  const stack = [root];
+  const re = /<(\/?)([a-zA-Z][\w-]*)([^>]*?)(\/?)>|([^<]+)/g;
+  for (let m; (m = re.exec(html)); ) {
+    const top = stack[stack.length - 1];
+    if (m[5] !== undefined) {
+      top.children.push(decodeBasic(m[5]));
+      continue;
+    }
+    const tag = m[2].toLowerCase();
+    if (m[1]) {
+      const at = stack.map((n) => n.tag).lastIndexOf(tag);
+      if (at > 0) stack.length = at;
+      continue;
+    }
+    const attrs = {};
+    for (const a of m[3].matchAll(/([\w-]+)\s*=\s*"([^"]*)"/g))
+      attrs[a[1].toLowerCase()] = decodeBasic(a[2]);
+    const node = { tag, attrs, children: [] };
+    top.children.push(node);
+    if (!m[4] && !VOID_TAGS.includes(tag)) stack.push(node);
+  }
+  return root;
+}
+
+const textOf = (node) =>
+  typeof node === "string" ? node : node.children.map(textOf).join("");
+
+// Acentos do <mover> como caracteres combinantes (vetor, chapéu, barra, ponto)
+const ACCENTS = {
+  "\u2192": "\u20d7",
+  "\u20d7": "\u20d7",
+  "^": "\u0302",
+  "\u02c6": "\u0302",
+  "\u00af": "\u0305",
+  "\u203e": "\u0305",
+  "\u02d9": "\u0307",
+  ".": "\u0307",
+  "~": "\u0303",
+  "\u02dc": "\u0303",
+};
+
+// Agrupa com parênteses quando o trecho tem mais de um símbolo
+const grouped = (runs) => {
+  const text = runs.map((r) => r.text).join("");
+  return text.length > 1 && /[^\p{L}\p{N}.,]/u.test(text)
+    ? [{ ...runs[0], text: "(" }, ...runs, { ...runs[0], text: ")" }]
+    : runs;
+};
+
+// MathML → runs lineares (a/b, √(x), sobrescritos e subscritos)
+function mathRuns(node, style) {
+  if (typeof node === "string") {
+    const text = node.replace(/\s+/g, " ");
+    return text.trim() ? [{ ...style, text: text.trim() }] : [];
+  }
+  const kids = node.children.filter((c) => typeof c !== "string" || c.trim());
+  const sub = (n, extra) => mathRuns(n, { ...style, ...extra });
+  switch (node.tag) {
+    case "annotation":
+      return [];
+    case "semantics":
+      return kids.length ? sub(kids[0]) : [];
+    case "mo": {
+      const op = textOf(node).trim();
+      // Espaço em volta de relações e operadores binários (fora de índices)
+      const script = style.superScript || style.subScript;
+      return op && !script && /^[=+\-−×⋅·÷<>≤≥≠≈±→⇒∈]$/.test(op)
+        ? [{ ...style, text: ` ${op} ` }]
+        : op
+        ? [{ ...style, text: op }]
+        : [];
+    }
+    case "msup":
+      return [
+        ...sub(kids[0]),
+        ...(kids[1] ? sub(kids[1], { superScript: true }) : []),
+      ];
+    case "msub":
+      return [
+        ...sub(kids[0]),
+        ...(kids[1] ? sub(kids[1], { subScript: true }) : []),
+      ];
+    case "msubsup":
+    case "munderover":
+      return [
+        ...sub(kids[0]),
+        ...(kids[1] ? sub(kids[1], { subScript: true }) : []),
+        ...(kids[2] ? sub(kids[2], { superScript: true }) : []),
+      ];
+    case "mfrac":
+      return [
+        ...grouped(sub(kids[0])),
+        { ...style, text: "/" },
+        ...grouped(sub(kids[1] || "")),
+      ];
+    case "msqrt":
+      return [{ ...style, text: "√" }, ...grouped(kids.flatMap((k) => sub(k)))];
+    case "mroot":
+      return [
+        ...(kids[1] ? sub(kids[1], { superScript: true }) : []),
+        { ...style, text: "√" },
+        ...grouped(sub(kids[0])),
+      ];
+    case "mover": {
+      const accent = ACCENTS[textOf(kids[1] || "").trim()];
+      const base = sub(kids[0]);
+      if (accent && base.length) {
+        base[base.length - 1] = {
+          ...base[base.length - 1],
+          text: base[base.length - 1].text + accent,
+        };
+        return base;
+      }
+      return [...base, ...(kids[1] ? sub(kids[1], { superScript: true }) : [])];
+    }
+    case "munder":
+      return [
+        ...sub(kids[0]),
+        ...(kids[1] ? sub(kids[1], { subScript: true }) : []),
+      ];
+    case "mtable":
+      return kids.flatMap((row, i) => [
+        ...(i ? [{ ...style, text: "; " }] : []),
+        ...sub(row),
+      ]);
+    case "mtd":
+      return [...kids.flatMap((k) => sub(k)), { ...style, text: " " }];
+    case "mfenced": {
+      const inner = kids.flatMap((k, i) => [
+        ...(i ? [{ ...style, text: node.attrs.separators?.[0] || "," }] : []),
+        ...sub(k),
+      ]);
+      return [
+        { ...style, text: node.attrs.open ?? "(" },
+        ...inner,
+        { ...style, text: node.attrs.close ?? ")" },
+      ];
+    }
+    default:
+      return kids.flatMap((k) => sub(k));
+  }
+}
+
+// LaTeX → MathML do KaTeX → runs
+function latexRuns(tex, style) {
+  const mathml = katex.renderToString(tex, katexOptions(false, "mathml"));
+  const math = parseTree(mathml).children[0]?.children?.[0];
+  const runs = math ? mathRuns(math, style) : [{ ...style, text: tex }];
+  // Sinal no início da fórmula (-x) não leva espaço antes
+  if (runs[0]) runs[0] = { ...runs[0], text: runs[0].text.replace(/^ /, "") };
+  return runs;
+}
+
+// Runs de um texto com LaTeX embutido
+function textRuns(text, style) {
+  const runs = [];
+  let last = 0;
+  for (const m of text.matchAll(LATEX)) {
+    if (m.index > last)
+      runs.push({ ...style, text: text.slice(last, m.index) });
+    runs.push(...latexRuns(m[1] ?? m[2] ?? m[3], style));
+    last = m.index + m[0].length;
+  }
+  if (last < text.length) runs.push({ ...style, text: text.slice(last) });
+  return runs;
+}
+
+const BLOCK_TAGS = [
+  "p",
+  "div",
+  "li",
+  "h3",
+  "h4",
+  "h5",
+  "h6",
+  "blockquote",
+  "pre",
+  "tr",
+  "figure",
+  "figcaption",
+  "caption",
+  "table",
+  "ul",
+  "ol",
+];
+const STYLE_TAGS = {
+  b: { bold: true },
+  strong: { bold: true },
+  h3: { bold: true },
+  h4: { bold: true },
+  h5: { bold: true },
+  h6: { bold: true },
+  th: { bold: true },
+  i: { italics: true },
+  em: { italics: true },
+  u: { underline: true },
+  s: { strike: true },
+  sup: { superScript: true },
+  sub: { subScript: true },
+};
+
+/**
+ * Conteúdo → [{ runs: [{ text, bold, italics, underline, strike,
+ * superScript, subScript }] } | { image: src }]
+ */
+function contentBlocks(value, format) {
+  const blocks = [];
+  let current = null;
+  const flush = () => {
+    if (current?.runs.some((r) => r.text.trim())) blocks.push(current);
+    current = null;
+  };
+  const push = (runs) => {
+    if (!current) current = { runs: [] };
+    current.runs.push(...runs);
+  };
+
+  if (format !== "html") {
+    for (const line of String(value ?? "").split(/\r?\n/)) {
+      push(textRuns(line, {}));
+      flush();
+    }
+    return blocks;
+  }
+
+  const walk = (node, style, list) => {
+    if (typeof node === "string") {
+      if (node.trim() || current)
+        push(textRuns(node.replace(/\s+/g, " "), style));
+      return;
+    }
+    const { tag } = node;
+    if (tag === "br" || tag === "hr") return flush();
+    if (tag === "img") {
+      flush();
+      blocks.push({ image: node.attrs.src });
+      return;
+    }
+    if (tag === "math") {
+      push(mathRuns(node, style));
+      return;
+    }
+    const block = BLOCK_TAGS.includes(tag);
+    if (block) flush();
+    if (tag === "li") {
+      list.n++;
+      push([{ ...style, text: list.ordered ? `${list.n}. ` : "• " }]);
+    }
+    if ((tag === "td" || tag === "th") && current)
+      push([{ ...style, text: " | " }]);
+    const next = { ...style, ...STYLE_TAGS[tag] };
+    const childList =
+      tag === "ol" || tag === "ul"
+        ? { ordered: tag === "ol", n: Number(node.attrs.start || 1) - 1 }
+        : list;
+    for (const child of node.children) walk(child, next, childList);
+    if (block) flush();
+  };
+  walk(parseTree(sanitizeRich(value)), {}, { ordered: false, n: 0 });
+  flush();
+  // Espaços duplicados entre runs (texto + fórmula)
+  for (const b of blocks)
+    if (b.runs) {
+      b.runs[0].text = b.runs[0].text.replace(/^\s+/, "");
+      const lastRun = b.runs[b.runs.length - 1];
+      lastRun.text = lastRun.text.replace(/\s+$/, "");
+    }
+  return blocks;
+}
+
+// Sobrescritos/subscritos Unicode (PDF); sem equivalente → ^(...) / _(...)
+const SUPERSCRIPT = Object.fromEntries(
+  [..."0123456789+-=()ni−"].map((c, i) => [c, [..."⁰¹²³⁴⁵⁶⁷⁸⁹⁺⁻⁼⁽⁾ⁿⁱ⁻"][i]])
+);
+const SUBSCRIPT = Object.fromEntries(
+  [..."0123456789+-=()aeoxhklmnpstijruv−"].map((c, i) => [
+    c,
+    [..."₀₁₂₃₄₅₆₇₈₉₊₋₌₍₎ₐₑₒₓₕₖₗₘₙₚₛₜᵢⱼᵣᵤᵥ₋"][i],
+  ])
+);
+
+function scriptText(text, map, marker) {
+  const chars = [...text.replace(/\s+/g, "")];
+  if (chars.every((c) => map[c])) return chars.map((c) => map[c]).join("");
+  return chars.length === 1 ? `${marker}${text}` : `${marker}(${text})`;
+}
+
+/**
+ * Runs → fragmentos só com estilo de fonte (negrito, itálico, sublinhado,
+ * tachado), com sobrescritos e subscritos já convertidos em texto.
+ */
+function flattenRuns(runs) {
+  // Índices vizinhos (10^{-3}) são convertidos juntos
+  const merged = [];
+  for (const r of runs) {
+    const prev = merged[merged.length - 1];
+    if (
+      prev &&
+      (r.superScript || r.subScript) &&
+      !!prev.superScript === !!r.superScript &&
+      !!prev.subScript === !!r.subScript &&
+      !!prev.bold === !!r.bold &&
+      !!prev.italics === !!r.italics
+    )
+      prev.text += r.text;
+    else merged.push({ ...r });
+  }
+  const out = [];
+  for (const r of merged) {
+    const text = r.superScript
+      ? scriptText(r.text, SUPERSCRIPT, "^")
+      : r.subScript
+      ? scriptText(r.text, SUBSCRIPT, "_")
+      : r.text;
+    const prev = out[out.length - 1];
+    const style = {
+      bold: !!r.bold,
+      italics: !!r.italics,
+      underline: !!r.underline,
+      strike: !!r.strike,
+    };
+    if (prev && Object.keys(style).every((k) => prev[k] === style[k]))
+      prev.text += text;
+    else out.push({ text, ...style });
+  }
+  return out;
+}
+
+module.exports = {
+  CONTENT_FORMATS,
+  SAFE_IMAGE_SRC,
+  sanitizeRich,
+  hasRichMarkup,
+  plainToHtml,
+  htmlToPlain,
+  normalizeContent,
+  isBlankContent,
+  renderContent,
+  contentBlocks,
+  flattenRuns,
+};
@@ -0,0 +1,219 @@
+// src/lib/shuffle.js
+// Embaralhamento determinístico de questões e alternativas.
+// A mesma semente sempre gera a mesma ordem (reabrir a prova não muda nada).
+
+const crypto = require("crypto");
+const {
+  drawInstance,
+  instanceFor,
+  renderInstance,
+  expectedValue,
+} = require("./parametric");
+const { parametricLetter } = require("./questionTypes");
+
+const LETTERS = ["A", "B", "C", "D", "E"];
+
+// Semente de 32 bits a partir de qualquer combinação de valores
+function seedFrom(...parts) {
+  const digest = crypto.createHash("sha256").update(parts.join("|")).digest();
+  return digest.readUInt32BE(0);
+}
+
+// PRNG mulberry32: rápido e reprodutível
+function mulberry32(seed) {
+  let a = seed >>> 0;
+  return () => {
+    a = (a + 0x6d2b79f5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+function shuffled(list, rand) {
+  const out = [...list];
+  for (let i = out.length - 1; i > 0; i--) {
+    const j = Math.floor(rand() * (i + 1));
+    [out[i], out[j]] = [out[j], out[i]];
+  }
+  return out;
+}
+
+// Letras que realmente têm texto (questões "só A–E" não são embaralhadas;
+// somatória, numérica e aberta não têm alternativas; a parametrizada gera
+// as suas na instância)
+const usedLetters = (q) => LETTERS.filter((l) => q.options?.[l]);
+
+/**
+ * Gera a permutação servida ao aluno.
+ * questionOrder: números canônicos na ordem exibida
+ * optionOrders[i].order[k]: letra canônica exibida na posição LETTERS[k]
+ * instances: valores e alternativas sorteados das questões parametrizadas
+ */
+function buildPermutation(
+  questions,
+  { shuffleQuestions, shuffleOptions },
+  seed
+) {
+  const rand = mulberry32(seed);
+  const numbers = questions.map((q) => q.number);
+  const questionOrder = shuffleQuestions ? shuffled(numbers, rand) : numbers;
+  const optionOrders = [];
+  if (shuffleOptions) {
+    for (const q of questions) {
+      const letters = usedLetters(q);
+      if (letters.length < 2) continue;
+      optionOrders.push({
+        questionNumber: q.number,
+        order: shuffled(letters, rand),
+      });
+    }
+  }
+  const instances = questions
+    .filter((q) => q.type === "parametric")
+    .map((q) => drawInstance(q, rand));
+  return { questionOrder, optionOrders, instances };
+}
+
+// Sem versão (impressão única, envio manual): mesma ordem, valores das
+// parametrizadas fixos por avaliação; null se não há parametrizada
+function basePermutation(assessment) {
+  if (!assessment.questions.some((q) => q.type === "parametric")) return null;
+  return buildPermutation(
+    assessment.questions,
+    {},
+    seedFrom(assessment._id, "base")
+  );
+}
+
+function optionOrderFor(perm, questionNumber) {
+  return perm?.optionOrders?.find((o) => o.questionNumber === questionNumber)
+    ?.order;
+}
+
+// Aplica fn a cada letra; várias letras ("AC", ["A", "C"]) voltam em ordem
+function mapLetters(value, fn) {
+  const letters = [
+    ...(Array.isArray(value) ? value.join("") : String(value)).toUpperCase(),
+  ].filter((l) => LETTERS.includes(l));
+  const mapped = letters.map(fn);
+  if (!letters.length || mapped.some((l) => !l)) return undefined;
+  return [...new Set(mapped)].sort().join("");
+}
+
+// Letra exibida → letra canônica (do gabarito)
+function toCanonicalLetter(perm, questionNumber, displayed) {
+  const order = optionOrderFor(perm, questionNumber);
+  if (!order || !displayed) return displayed;
+  return mapLetters(displayed, (l) => {
+    const idx = LETTERS.indexOf(l);
+    return idx < order.length ? order[idx] : undefined;
+  });
+}
+
+// Letra canônica → letra exibida (gabarito derivado de uma versão)
+function toDisplayedLetter(perm, questionNumber, canonical) {
+  const order = optionOrderFor(perm, questionNumber);
+  if (!order || !canonical) return canonical;
+  return mapLetters(canonical, (l) =>
+    order.includes(l) ? LETTERS[order.indexOf(l)] : l
+  );
+}
+
+// Questões na ordem/alternativas exibidas, com o número exibido
+function applyPermutation(questions, perm) {
+  const byNumber = new Map(questions.map((q) => [q.number, q]));
+  const order = perm?.questionOrder?.length
+    ? perm.questionOrder
+    : questions.map((q) => q.number);
+  return order
+    .map((num, idx) => {
+      const q = byNumber.get(num);
+      if (!q) return null;
+      if (q.type === "parametric")
+        return {
+          ...renderInstance(q, instanceFor(perm, num)),
+          displayNumber: idx + 1,
+        };
+      const optOrder = optionOrderFor(perm, num);
+      const options = optOrder
+        ? Object.fromEntries(
+            optOrder.map((canonical, i) => [LETTERS[i], q.options[canonical]])
+          )
+        : q.options;
+      return { ...q, displayNumber: idx + 1, options };
+    })
+    .filter(Boolean);
+}
+
+// Respostas numeradas/letradas como na versão → numeração canônica
+function answersToCanonical(perm, answers) {
+  return answers.map((a) => {
+    const displayed = Number(a.questionNumber);
+    const number = perm?.questionOrder?.length
+      ? perm.questionOrder[displayed - 1]
+      : displayed;
+    return {
+      ...a,
+      questionNumber: number,
+      answer: toCanonicalLetter(perm, number, a.answer),
+    };
+  });
+}
+
+// Gabarito da versão, derivado do gabarito canônico
+function deriveVersionKey(perm, keyAnswers) {
+  const byNumber = new Map(keyAnswers.map((k) => [k.questionNumber, k]));
+  const order = perm?.questionOrder?.length
+    ? perm.questionOrder
+    : keyAnswers.map((k) => k.questionNumber);
+  return order
+    .map((number, idx) => {
+      const k = byNumber.get(number);
+      if (!k) return null;
+      if (k.type === "parametric") {
+        // Letra e valor certos com os valores sorteados desta versão
+        const instance = instanceFor(perm, number);
+        return {
+          questionNumber: idx + 1,
+          canonicalNumber: number,
+          type: k.type,
+          tolerance: k.tolerance,
+          unit: k.unit,
+          correctAnswer: parametricLetter(k, instance),
+          value: expectedValue(k.formula, instance),
+          values: instance?.values || [],
+          annulled: Boolean(k.annulled),
+          subject: k.subject,
+        };
+      }
+      return {
+        questionNumber: idx + 1,
+        canonicalNumber: number,
+        type: k.type,
+        tolerance: k.tolerance,
+        unit: k.unit,
+        correctAnswer: toDisplayedLetter(perm, number, k.correctAnswer),
+        acceptedAnswers: (k.acceptedAnswers || []).map((l) =>
+          toDisplayedLetter(perm, number, l)
+        ),
+        annulled: Boolean(k.annulled),
+        subject: k.subject,
+      };
+    })
+    .filter(Boolean);
+}
+
+module.exports = {
+  seedFrom,
+  mulberry32,
+  shuffled,
+  buildPermutation,
+  basePermutation,
+  applyPermutation,
+  toCanonicalLetter,
+  toDisplayedLetter,
+  answersToCanonical,
+  deriveVersionKey,
+};
@@ -0,0 +1,135 @@
+// src/lib/spreadsheet.js
+// Leitura de planilhas (.xlsx / .csv) e mapeamento de colunas para campos.
+// As linhas guardam o número da planilha (cabeçalho = linha 1) para que os
+// erros possam ser relatados como "linha 14: ...".
+
+const ExcelJS = require("exceljs");
+const { parse: parseCsv } = require("csv-parse/sync");
+
+const MAX_ROWS = 5000;
+
+// Cabeçalho comparável: sem acento, caixa, espaços e pontuação
+const normalizeHeader = (v) =>
+  String(v ?? "")
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .replace(/[^a-z0-9]/g, "");
+
+// Valor de célula do exceljs → texto
+function cellText(value) {
+  if (value == null) return "";
+  if (value instanceof Date) return value.toISOString().slice(0, 10);
+  if (typeof value !== "object") return String(value);
+  if (value.richText) return value.richText.map((r) => r.text).join("");
+  if (value.text !== undefined) return cellText(value.text); // hyperlink
+  if (value.result !== undefined) return cellText(value.result); // fórmula
+  if (value.error) return "";
+  return String(value);
+}
+
+async function readXlsx(buffer, sheetName) {
+  const workbook = new ExcelJS.Workbook();
+  await workbook.xlsx.load(buffer);
+  const sheet = sheetName
+    ? workbook.getWorksheet(sheetName)
+    : workbook.worksheets[0];
+  if (!sheet)
+    throw new Error(
+      sheetName ? `Aba "${sheetName}" não encontrada.` : "Planilha vazia."
+    );
+
+  const table = [];
+  sheet.eachRow({ includeEmpty: false }, (row, number) => {
+    const cells = [];
+    row.eachCell({ includeEmpty: true }, (cell, col) => {
+      cells[col - 1] = cellText(cell.value).trim();
+    });
+    table.push({ row: number, cells: Array.from(cells, (c) => c ?? "") });
+  });
+  return table;
+}
+
+// Separador mais frequente na primeira linha (planilhas pt-BR usam ";")
+function detectDelimiter(text) {
+  const first = text.split(/\r?\n/, 1)[0];
+  return [",", ";", "\t"]
+    .map((d) => ({ d, n: first.split(d).length }))
+    .sort((a, b) => b.n - a.n)[0].d;
+}
+
+function readCsv(buffer) {
+  const text = buffer.toString("utf8").replace(/^\uFEFF/, "");
+  const records = parseCsv(text, {
+    delimiter: detectDelimiter(text),
+    relax_column_count: true,
+    skip_empty_lines: false,
+    info: true,
+  });
+  return records
+    .map(({ record, info }) => ({
+      row: info.lines,
+      cells: record.map((c) => String(c).trim()),
+    }))
+    .filter((r) => r.cells.some(Boolean));
+}
+
+/**
+ * Lê a primeira aba (ou `sheet`) de um .xlsx ou um .csv.
+ * Retorna { headers, rows: [{ row, values: { cabeçalho: texto } }] }.
+ */
+async function readSpreadsheet(buffer, { sheet } = {}) {
+  const isXlsx = buffer[0] === 0x50 && buffer[1] === 0x4b; // zip
+  const table = isXlsx ? await readXlsx(buffer, sheet) : readCsv(buffer);
+  if (!table.length) throw new Error("Planilha vazia.");
+  if (table.length - 1 > MAX_ROWS)
+    throw new Error(`Planilha com mais de ${MAX_ROWS} linhas.`);
+
+  const [head, ...body] = table;
+  const headers = head.cells.map((h, i) => h || `Coluna ${i + 1}`);
+  const rows = body.map(({ row, cells }) => ({
+    row,
+    values: Object.fromEntries(headers.map((h, i) => [h, cells[i] ?? ""])),
+  }));
+  return { headers, rows };
+}
+
+/**
+ * Liga campos a colunas. fields: { campo: [apelidos] }; mapping (opcional)
+ * força { campo: "Cabeçalho" }. Retorna { columns, unknown, unmapped, rows }
+ * com rows: [{ row, data: { campo: texto } }].
+ */
+function mapColumns({ headers, rows }, fields, mapping = {}) {
+  const byHeader = new Map(headers.map((h) => [normalizeHeader(h), h]));
+  const columns = {};
+  const unknown = [];
+  for (const [field, aliases] of Object.entries(fields)) {
+    if (mapping[field]) {
+      const header = byHeader.get(normalizeHeader(mapping[field]));
+      if (header) columns[field] = header;
+      else unknown.push(mapping[field]);
+      continue;
+    }
+    const header = [field, ...aliases]
+      .map((a) => byHeader.get(normalizeHeader(a)))
+      .find(Boolean);
+    if (header) columns[field] = header;
+  }
+  const used = new Set(Object.values(columns));
+  return {
+    columns,
+    unknown,
+    unmapped: headers.filter((h) => !used.has(h)),
+    rows: rows.map(({ row, values }) => ({
+      row,
+      data: Object.fromEntries(
+        Object.entries(columns).map(([field, header]) => [
+          field,
+          values[header],
+        ])
+      ),
+    })),
+  };
+}
+
+module.exports = { MAX_ROWS, readSpreadsheet, mapColumns };
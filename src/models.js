@@ -0,0 +1,749 @@
+// src/models.js
+// Schemas e models do Mongoose, e as regras de status do banco de questões.
+
+const mongoose = require("mongoose");
+
+const { CONTENT_FORMATS } = require("./lib/richContent");
+const { QUESTION_TYPES } = require("./lib/questionTypes");
+
+// Usuários
+const UserSchema = new mongoose.Schema(
+  {
+    name: { type: String, required: true, trim: true },
+    email: { type: String, required: true, unique: true, index: true },
+    passwordHash: { type: String, required: true },
+    role: {
+      type: String,
+      enum: ["aluno", "professor", "admin"],
+      default: "aluno",
+    },
+    active: { type: Boolean, default: true },
+    deactivatedAt: { type: Date },
+  },
+  { timestamps: true }
+);
+const User = mongoose.model("User", UserSchema);
+
+// Pedido de perfil professor (aprovado por um admin)
+const RoleRequestSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+      index: true,
+    },
+    requestedRole: { type: String, enum: ["professor"], default: "professor" },
+    message: { type: String, default: "" },
+    status: {
+      type: String,
+      enum: ["pending", "approved", "rejected"],
+      default: "pending",
+      index: true,
+    },
+    decidedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+    decidedAt: { type: Date },
+    note: { type: String, default: "" },
+  },
+  { timestamps: true }
+);
+const RoleRequest = mongoose.model("RoleRequest", RoleRequestSchema);
+
+// Convite de professor (token de uso único; guardamos apenas o hash)
+const ProfessorInviteSchema = new mongoose.Schema(
+  {
+    tokenHash: { type: String, required: true, unique: true, index: true },
+    email: { type: String, lowercase: true, trim: true }, // opcional: restringe
+    createdBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+    expiresAt: { type: Date, required: true },
+    usedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+    usedAt: { type: Date },
+  },
+  { timestamps: true }
+);
+const ProfessorInvite = mongoose.model(
+  "ProfessorInvite",
+  ProfessorInviteSchema
+);
+
+// Turmas (roster: alunos cadastrados ou apenas nome/matrícula)
+const RosterEntrySchema = new mongoose.Schema(
+  {
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+    name: { type: String, required: true, trim: true },
+    registration: { type: String, trim: true }, // matrícula
+    email: { type: String, lowercase: true, trim: true },
+    enrolledAt: { type: Date, default: Date.now },
+  },
+  { _id: true }
+);
+const ClassSchema = new mongoose.Schema(
+  {
+    name: { type: String, required: true, trim: true },
+    year: { type: Number },
+    description: { type: String, default: "" },
+    ownerId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+      index: true,
+    },
+    inviteCode: { type: String, unique: true, sparse: true, index: true },
+    inviteEnabled: { type: Boolean, default: true },
+    students: { type: [RosterEntrySchema], default: [] },
+  },
+  { timestamps: true }
+);
+ClassSchema.index({ "students.userId": 1 });
+const Class = mongoose.model("Class", ClassSchema);
+
+// Compartilhamento com colegas (view: consultar/usar; edit: também alterar)
+const ShareSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    permission: { type: String, enum: ["view", "edit"], default: "view" },
+  },
+  { _id: false }
+);
+const ownerField = {
+  type: mongoose.Schema.Types.ObjectId,
+  ref: "User",
+  index: true,
+};
+
+// Variável da questão parametrizada: {name} ∈ [min, max], de step em step
+const ParameterSchema = new mongoose.Schema(
+  { name: String, min: Number, max: Number, step: Number },
+  { _id: false }
+);
+
+// Ordem servida: questionOrder = números canônicos na ordem exibida;
+// optionOrders[].order[k] = letra canônica exibida na posição A, B, C...
+// instances: valores sorteados e alternativas (A–E) das parametrizadas
+const PermutationSchema = new mongoose.Schema(
+  {
+    questionOrder: [Number],
+    optionOrders: [{ _id: false, questionNumber: Number, order: [String] }],
+    instances: {
+      type: [
+        {
+          _id: false,
+          questionNumber: Number,
+          values: [{ _id: false, name: String, value: Number }],
+          choices: [Number],
+        },
+      ],
+      default: undefined,
+    },
+  },
+  { _id: false }
+);
+
+// Versão impressa (Prova A/B/C...) = permutação nomeada da avaliação
+const ExamVersionSchema = new mongoose.Schema(
+  {
+    name: { type: String, required: true },
+    seed: Number,
+    permutation: { type: PermutationSchema },
+    createdAt: { type: Date, default: Date.now },
+  },
+  { _id: false }
+);
+
+// Avaliação
+// Cópia (snapshot) da questão do banco: editar o banco não altera a prova
+const QuestionRefSchema = new mongoose.Schema(
+  {
+    number: Number,
+    subject: String,
+    questionId: { type: mongoose.Schema.Types.ObjectId, ref: "Question" },
+    questionRevision: Number, // revisão do banco usada na montagem
+    statement: String,
+    contentFormat: String, // ausente = "text"
+    type: String, // ausente = "choice" (ver lib/questionTypes)
+    options: { A: String, B: String, C: String, D: String, E: String },
+    propositions: { type: [String], default: undefined }, // somatória
+    unit: String, // numérica e parametrizada
+    // Parametrizada: faixas das variáveis, fórmula e tolerância (geram as
+    // alternativas de cada versão/tentativa)
+    parameters: { type: [ParameterSchema], default: undefined },
+    formula: String,
+    tolerance: Number,
+    points: Number, // peso na nota (ausente = 1)
+    images: { type: [String], default: undefined },
+  },
+  { _id: false }
+);
+// Rubrica da correção manual de uma questão: critérios com pontuação
+// (o _id de cada critério liga as notas dadas a ele)
+const RubricSchema = new mongoose.Schema(
+  {
+    questionNumber: { type: Number, required: true },
+    criteria: [
+      {
+        title: { type: String, required: true },
+        description: String,
+        points: { type: Number, required: true, min: 0 },
+      },
+    ],
+    updatedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+    updatedAt: Date,
+  },
+  { _id: false }
+);
+const AssessmentSchema = new mongoose.Schema(
+  {
+    name: { type: String, required: true },
+    questionsCount: { type: Number, required: true, min: 1, max: 50 },
+    questions: { type: [QuestionRefSchema], default: [] },
+    classIds: [
+      { type: mongoose.Schema.Types.ObjectId, ref: "Class", index: true },
+    ],
+    ownerId: { ...ownerField, required: true },
+    sharedWith: { type: [ShareSchema], default: [] },
+    versions: { type: [ExamVersionSchema], default: [] },
+    rubrics: { type: [RubricSchema], default: [] },
+    // Correção às cegas: a fila de correção não mostra quem respondeu
+    blindGrading: { type: Boolean, default: false },
+    // Nota final (ver lib/grading); ausente = 0–10, sem desconto
+    grading: {
+      scale: { type: String, enum: ["0-10", "0-100", "letters"] },
+      partialCredit: Boolean, // várias corretas / somatória
+      penalty: {
+        mode: { type: String, enum: ["none", "fixed", "guess"] },
+        value: Number, // fixed: fração dos pontos da questão por erro
+      },
+      floorAtZero: Boolean,
+      rounding: {
+        mode: { type: String, enum: ["none", "nearest", "up", "down"] },
+        step: Number,
+      },
+      letters: {
+        type: [{ _id: false, letter: String, min: Number }],
+        default: undefined,
+      },
+    },
+  },
+  { timestamps: true }
+);
+const Assessment = mongoose.model("Assessment", AssessmentSchema);
+
+// Gabarito
+const AnswerKeyItemSchema = new mongoose.Schema(
+  {
+    questionNumber: Number,
+    type: { type: String, enum: QUESTION_TYPES }, // ausente = "choice"
+    // Resposta canônica do tipo ("B", "AC", "13", "9.81"); aberta não tem
+    correctAnswer: String,
+    // Outras respostas também aceitas como corretas
+    acceptedAnswers: { type: [String], default: undefined },
+    tolerance: Number, // numérica: relativa (0.02 = 2%)
+    unit: String,
+    formula: String, // parametrizada: resposta em função dos parâmetros
+    annulled: { type: Boolean, default: false }, // anulada: todos pontuam
+    subject: String,
+  },
+  { _id: false }
+);
+// Cada alteração gera uma nova versão; a maior versão é a vigente
+const AnswerKeySchema = new mongoose.Schema(
+  {
+    assessmentId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Assessment",
+      required: true,
+    },
+    version: { type: Number, default: 1 },
+    ownerId: ownerField,
+    createdBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+    note: { type: String, default: "" },
+    answers: { type: [AnswerKeyItemSchema], default: [] },
+  },
+  { timestamps: true }
+);
+AnswerKeySchema.index(
+  { assessmentId: 1, version: -1 },
+  { unique: true, partialFilterExpression: { version: { $exists: true } } }
+);
+const AnswerKey = mongoose.model("AnswerKey", AnswerKeySchema);
+
+// Nota da correção manual (resposta aberta): crédito de 0 a 1, com os
+// pontos por critério quando a questão tem rubrica
+const ManualGradeSchema = new mongoose.Schema(
+  {
+    isCorrect: Boolean, // crédito integral
+    score: Number,
+    points: Number,
+    maxPoints: Number,
+    criteria: {
+      type: [
+        {
+          _id: false,
+          criterionId: mongoose.Schema.Types.ObjectId,
+          title: String,
+          points: Number,
+          maxPoints: Number,
+        },
+      ],
+      default: undefined,
+    },
+    comment: String,
+    gradedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+    gradedAt: Date,
+  },
+  { _id: false }
+);
+
+// Nota final da submissão (lib/grading): pontos com peso, desconto por
+// erro e valor na escala da avaliação ("7,5" ou conceito "B")
+const GradeSchema = new mongoose.Schema(
+  {
+    scale: String,
+    points: Number,
+    penalty: Number,
+    maxPoints: Number,
+    percentage: Number,
+    value: Number,
+    letter: String,
+    display: String,
+    provisional: Boolean, // abertas ainda sem correção manual
+    computedAt: Date,
+  },
+  { _id: false }
+);
+
+// Respostas dos alunos
+const StudentAnswerItemSchema = new mongoose.Schema(
+  {
+    questionNumber: Number,
+    answer: String, // canônica do tipo; vazio = em branco
+    isCorrect: Boolean, // null = aberta aguardando correção manual
+    // Crédito parcial (0–1) da correção manual ou da pontuação parcial;
+    // ausente = isCorrect
+    score: Number,
+    subject: String,
+    // Correção manual (resposta aberta); prevalece na recorreção
+    manualGrade: { type: ManualGradeSchema },
+  },
+  { _id: false }
+);
+const StudentAnswerSchema = new mongoose.Schema(
+  {
+    assessmentId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Assessment",
+      required: true,
+    },
+    studentName: { type: String, required: true },
+    studentId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      index: true,
+    },
+    classId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Class",
+      index: true,
+    },
+    rosterEntryId: { type: mongoose.Schema.Types.ObjectId },
+    answers: { type: [StudentAnswerItemSchema], default: [] },
+    formId: { type: String, index: true },
+    attemptId: { type: mongoose.Schema.Types.ObjectId, ref: "FormAttempt" },
+    permutation: { type: PermutationSchema }, // ordem servida ao aluno
+    version: { type: String }, // versão impressa respondida (A, B, ...)
+    keyVersion: { type: Number }, // versão do gabarito usada na correção
+    gradedAt: { type: Date },
+    grade: { type: GradeSchema }, // nota final com pesos/desconto/escala
+  },
+  { timestamps: true }
+);
+const StudentAnswer = mongoose.model("StudentAnswer", StudentAnswerSchema);
+
+// Auditoria das recorreções
+const RegradeChangeSchema = new mongoose.Schema(
+  {
+    studentAnswerId: { type: mongoose.Schema.Types.ObjectId },
+    studentName: String,
+    correctBefore: Number,
+    correctAfter: Number,
+    gradeBefore: String,
+    gradeAfter: String,
+  },
+  { _id: false }
+);
+const RegradeLogSchema = new mongoose.Schema(
+  {
+    assessmentId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Assessment",
+      required: true,
+      index: true,
+    },
+    reason: {
+      type: String,
+      enum: ["answer-key", "annul", "manual", "grading"],
+      default: "manual",
+    },
+    keyVersion: Number,
+    triggeredBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+    status: {
+      type: String,
+      enum: ["running", "done", "failed"],
+      default: "running",
+    },
+    submissions: { type: Number, default: 0 },
+    changedSubmissions: { type: Number, default: 0 },
+    changes: { type: [RegradeChangeSchema], default: [] },
+    error: String,
+    startedAt: { type: Date, default: Date.now },
+    finishedAt: Date,
+  },
+  { timestamps: true }
+);
+const RegradeLog = mongoose.model("RegradeLog", RegradeLogSchema);
+
+// Histórico da correção manual: cada nota dada ou alterada, com a anterior
+const ManualGradeLogSchema = new mongoose.Schema(
+  {
+    assessmentId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Assessment",
+      required: true,
+      index: true,
+    },
+    studentAnswerId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "StudentAnswer",
+      required: true,
+      index: true,
+    },
+    questionNumber: Number,
+    previous: { type: ManualGradeSchema },
+    grade: { type: ManualGradeSchema },
+  },
+  { timestamps: true }
+);
+const ManualGradeLog = mongoose.model("ManualGradeLog", ManualGradeLogSchema);
+
+// Leitura óptica: uma página digitalizada por documento
+const ScanAnswerSchema = new mongoose.Schema(
+  {
+    questionNumber: Number,
+    answer: { type: String, match: /^[A-E]{1,5}$/ }, // várias: "AC"
+    fills: [Number],
+    flag: { type: String, enum: ["blank", "multiple", "ambiguous"] },
+  },
+  { _id: false }
+);
+const AnswerSheetScanSchema = new mongoose.Schema(
+  {
+    assessmentId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Assessment",
+      required: true,
+      index: true,
+    },
+    uploadedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+    fileName: String,
+    page: Number,
+    code: String,
+    version: String,
+    classId: { type: mongoose.Schema.Types.ObjectId, ref: "Class" },
+    rosterEntryId: { type: mongoose.Schema.Types.ObjectId },
+    studentName: String,
+    // recorded (corrigida) | review (revisão manual) | failed | discarded
+    status: {
+      type: String,
+      enum: ["recorded", "review", "failed", "discarded"],
+      index: true,
+    },
+    issues: { type: [String], default: [] },
+    answers: { type: [ScanAnswerSchema], default: [] },
+    studentAnswerId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "StudentAnswer",
+    },
+  },
+  { timestamps: true }
+);
+const AnswerSheetScan = mongoose.model(
+  "AnswerSheetScan",
+  AnswerSheetScanSchema
+);
+
+// Formulário público
+const FormSchema = new mongoose.Schema(
+  {
+    formId: { type: String, unique: true, index: true },
+    assessmentId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Assessment",
+      required: true,
+    },
+    title: String,
+    description: String,
+    requireName: { type: Boolean, default: true },
+    classIds: [{ type: mongoose.Schema.Types.ObjectId, ref: "Class" }],
+    ownerId: ownerField,
+
+    // Aplicação: janela, código de acesso, tempo e tentativas
+    // anonymous | name (nome livre) | roster (nome/matrícula) | login (conta)
+    identityMode: {
+      type: String,
+      enum: ["anonymous", "name", "roster", "login"],
+    },
+    opensAt: { type: Date },
+    closesAt: { type: Date },
+    closed: { type: Boolean, default: false },
+    closedAt: { type: Date },
+    accessCodeHash: { type: String },
+    timeLimitMinutes: { type: Number, min: 0, default: 0 }, // 0 = sem limite
+    maxAttempts: { type: Number, min: 1, default: 1 },
+    shuffleQuestions: { type: Boolean, default: false },
+    shuffleOptions: { type: Boolean, default: false },
+  },
+  { timestamps: true }
+);
+const Form = mongoose.model("Form", FormSchema);
+
+// Tentativa de um aluno em um formulário (token guardado como hash)
+const FormAttemptSchema = new mongoose.Schema(
+  {
+    formId: { type: String, required: true, index: true },
+    assessmentId: { type: mongoose.Schema.Types.ObjectId, ref: "Assessment" },
+    tokenHash: { type: String, required: true, unique: true },
+    studentKey: { type: String, index: true }, // null em formulários anônimos
+    studentName: String,
+    studentId: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+    classId: { type: mongoose.Schema.Types.ObjectId, ref: "Class" },
+    rosterEntryId: { type: mongoose.Schema.Types.ObjectId },
+    attemptNumber: { type: Number, default: 1 },
+    seed: { type: Number },
+    permutation: { type: PermutationSchema },
+    status: {
+      type: String,
+      enum: ["open", "submitted", "expired"],
+      default: "open",
+    },
+    startedAt: { type: Date, default: Date.now },
+    expiresAt: { type: Date },
+    submittedAt: { type: Date },
+    // Liberada pelo professor: o próximo "começar" retoma em outro navegador
+    resumeAllowed: { type: Boolean, default: false },
+  },
+  { timestamps: true }
+);
+// Número da tentativa único por aluno: dois "começar" simultâneos não
+// passam do limite de tentativas (anônimos ficam de fora)
+FormAttemptSchema.index(
+  { formId: 1, studentKey: 1, attemptNumber: 1 },
+  { unique: true, partialFilterExpression: { studentKey: { $type: "string" } } }
+);
+const FormAttempt = mongoose.model("FormAttempt", FormAttemptSchema);
+
+// Estatísticas de um item em uma avaliação aplicada
+const ItemStatsSchema = new mongoose.Schema(
+  {
+    assessmentId: { type: mongoose.Schema.Types.ObjectId, ref: "Assessment" },
+    n: Number,
+    pValue: Number,
+    discrimination: Number, // ponto-bisserial (escore sem o item)
+    discriminationIndex: Number, // D = p(superior) - p(inferior)
+    computedAt: { type: Date, default: Date.now },
+  },
+  { _id: false }
+);
+
+// Revisão por pares é opcional (QUESTION_PEER_REVIEW=true): questões novas
+// começam em rascunho e só outro professor (ou um admin) aprova. Sem ela, o
+// próprio autor aprova, e o que é criado ou importado já entra aprovado
+const QUESTION_PEER_REVIEW = process.env.QUESTION_PEER_REVIEW === "true";
+
+// Fluxo editorial do banco: draft → review → approved → retired
+const QUESTION_STATUSES = ["draft", "review", "approved", "retired"];
+const QUESTION_TRANSITIONS = {
+  draft: QUESTION_PEER_REVIEW ? ["review"] : ["review", "approved"],
+  review: ["draft", "approved"],
+  approved: ["retired", "draft"],
+  retired: ["draft"],
+};
+
+// Comentário de revisão (qualquer professor com acesso de leitura)
+const ReviewCommentSchema = new mongoose.Schema(
+  {
+    authorId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    text: { type: String, required: true, trim: true, maxlength: 2000 },
+    resolved: { type: Boolean, default: false },
+    resolvedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+    resolvedAt: Date,
+  },
+  { timestamps: true }
+);
+
+// Banco de Questões
+const QuestionSchema = new mongoose.Schema(
+  {
+    statement: { type: String, required: true },
+    // "html": enunciado e alternativas em HTML limpo (ver lib/richContent)
+    contentFormat: { type: String, enum: CONTENT_FORMATS, default: "text" },
+    // Tipo da questão e resposta conforme o tipo (ver lib/questionTypes)
+    type: {
+      type: String,
+      enum: QUESTION_TYPES,
+      default: "choice",
+      index: true,
+    },
+    options: { A: String, B: String, C: String, D: String, E: String },
+    correctAnswer: { type: String, enum: ["A", "B", "C", "D", "E"] },
+    correctAnswers: { type: [String], default: undefined }, // multiple
+    propositions: {
+      type: [{ text: String, correct: Boolean, _id: false }],
+      default: undefined,
+    }, // truefalse: 01, 02, 04... na ordem
+    numericAnswer: { value: Number, unit: String, tolerance: Number },
+    answerGuide: String, // open: resposta esperada / orientação de correção
+    // parametric: {a} no enunciado, sorteado em [min, max]; resposta =
+    // formula (unidade e tolerância em numericAnswer)
+    parameters: { type: [ParameterSchema], default: undefined },
+    formula: String,
+    images: { type: [String], default: [] }, // URLs das figuras
+    subject: { type: String, index: true },
+    difficulty: {
+      type: String,
+      enum: ["Fácil", "Médio", "Difícil"],
+      index: true,
+    },
+    exam: {
+      type: String,
+      enum: ["ENEM", "ITA", "IME", "VESTIBULAR", "OUTRO"],
+      index: true,
+    },
+    year: { type: Number, index: true },
+    tags: [{ type: String, index: true }],
+    questionCode: { type: String },
+    source: { type: String },
+
+    // ===== Novos campos para OER / LibreTexts/ADAPT =====
+    license: { type: String }, // ex.: "CC BY-NC-SA 4.0"
+    sourceUrl: { type: String }, // URL do recurso original
+    attribution: { type: String }, // texto curto de crédito
+
+    // Calibração a partir de dados reais (ver /item-analysis/apply)
+    itemStats: { type: [ItemStatsSchema], default: [] },
+    calibration: {
+      n: Number,
+      pValue: Number,
+      discrimination: Number,
+      updatedAt: Date,
+    },
+    difficultySource: {
+      type: String,
+      enum: ["manual", "calibrated"],
+      default: "manual",
+    },
+
+    // Sem ownerId = questão pública (seed/legado), somente leitura
+    ownerId: ownerField,
+    sharedWith: { type: [ShareSchema], default: [] },
+
+    // Revisão: só questões aprovadas entram em /assessments/from-bank
+    status: {
+      type: String,
+      enum: QUESTION_STATUSES,
+      default: QUESTION_PEER_REVIEW ? "draft" : "approved",
+      index: true,
+    },
+    statusChangedAt: Date,
+    statusChangedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+    reviewComments: { type: [ReviewCommentSchema], default: [] },
+
+    // Exclusão lógica: some do banco, mas os snapshots nas avaliações ficam
+    deletedAt: { type: Date, index: true },
+    deletedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+
+    // Número da revisão atual (histórico em QuestionRevision)
+    revision: { type: Number, default: 1 },
+
+    // Detecção de duplicatas (ver src/lib/dedupe.js)
+    contentHash: { type: String, index: true },
+    lshBands: { type: [String], index: true, select: false },
+  },
+  { timestamps: true }
+);
+// Índice textual para busca por "search"
+QuestionSchema.index({ statement: "text", tags: "text" });
+
+const Question = mongoose.model("Question", QuestionSchema);
+
+// Revisões do banco: imutáveis (só inserção), uma por alteração
+const QuestionRevisionSchema = new mongoose.Schema({
+  questionId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Question",
+    required: true,
+  },
+  revision: { type: Number, required: true },
+  authorId: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+  // create | update | rollback | baseline (conteúdo anterior ao histórico)
+  reason: {
+    type: String,
+    enum: ["create", "update", "rollback", "baseline"],
+    default: "update",
+  },
+  changedFields: { type: [String], default: [] },
+  rolledBackFrom: Number,
+  content: { type: mongoose.Schema.Types.Mixed, required: true },
+  createdAt: { type: Date, default: Date.now },
+});
+QuestionRevisionSchema.index({ questionId: 1, revision: 1 }, { unique: true });
+const QuestionRevision = mongoose.model(
+  "QuestionRevision",
+  QuestionRevisionSchema
+);
+
+// Figuras enviadas (bytes no disco ou no GridFS, ver lib/mediaStore)
+const MediaSchema = new mongoose.Schema(
+  {
+    ownerId: { ...ownerField, required: true },
+    fileName: String,
+    contentType: { type: String, required: true },
+    size: Number,
+    width: Number,
+    height: Number,
+    sha256: { type: String, required: true },
+    storage: { type: String, enum: ["disk", "gridfs"], required: true },
+    key: { type: String, required: true },
+  },
+  { timestamps: true }
+);
+MediaSchema.index({ ownerId: 1, sha256: 1 }, { unique: true });
+const Media = mongoose.model("Media", MediaSchema);
+
+module.exports = {
+  User,
+  RoleRequest,
+  ProfessorInvite,
+  Class,
+  Assessment,
+  AnswerKey,
+  StudentAnswer,
+  RegradeLog,
+  ManualGradeLog,
+  AnswerSheetScan,
+  Form,
+  FormAttempt,
+  QUESTION_PEER_REVIEW,
+  QUESTION_STATUSES,
+  QUESTION_TRANSITIONS,
+  Question,
+  QuestionRevision,
+  Media,
+};
@@ -0,0 +1,265 @@
+// src/routes/exports.js
+// Exportação de provas, gabaritos, folhas de resposta e resultados
+// em .docx / .pdf.
+
+const express = require("express");
+
+const { buildExamData } = require("../exporters/examData");
+const { buildExamDocx, buildAnswerKeyDocx } = require("../exporters/docx");
+const {
+  buildExamPdf,
+  buildAnswerKeyPdf,
+  buildAnswerSheetPdf,
+  buildResultsReportPdf,
+} = require("../exporters/pdf");
+const { sheetCode } = require("../lib/omr");
+
+const { Class, Assessment } = require("../models");
+const {
+  auth,
+  onlyProfessor,
+  isId,
+  readableBy,
+  latestKey,
+} = require("../helpers");
+const { imageResolvers } = require("./media");
+const { computeResults } = require("./results");
+
+const router = express.Router();
+
+// Carrega avaliação + gabarito vigente e monta os dados de impressão
+async function loadExamData(req) {
+  const { id } = req.params;
+  if (!isId(id)) return { status: 400, error: "ID inválido" };
+  const assessment = await Assessment.findOne({
+    _id: id,
+    ...readableBy(req.user.uid),
+  }).lean();
+  if (!assessment) return { status: 404, error: "Avaliação não encontrada." };
+  const key = await latestKey(id);
+  const exam = buildExamData(assessment, key, {
+    version: req.query.version ? String(req.query.version) : undefined,
+    school: req.query.school ? String(req.query.school) : undefined,
+  });
+  if (!exam) return { status: 404, error: "Versão não encontrada." };
+  return { exam };
+}
+
+const DOCX_TYPE =
+  "application/vnd.openxmlformats-officedocument.wordprocessingml.document";
+const exportFileName = (prefix, exam, ext) =>
+  `${prefix}-${exam.id}${exam.version ? `-${exam.version}` : ""}.${ext}`;
+
+// GET ?version=B&columns=1|2&answerKey=none|appendix&pageBreakEvery=0&school=
+router.get(
+  "/assessments/:id/export/docx",
+  auth,
+  onlyProfessor,
+  async (req, res) => {
+    try {
+      const { exam, status, error } = await loadExamData(req);
+      if (error) return res.status(status).json({ error });
+
+      const answerKey =
+        req.query.answerKey === "appendix" ? "appendix" : "none";
+      if (answerKey === "appendix" && !exam.answerKey)
+        return res
+          .status(400)
+          .json({ error: "Gabarito não definido para esta avaliação." });
+
+      const buffer = await buildExamDocx(exam, {
+        columns: req.query.columns === "2" ? 2 : 1,
+        answerKey,
+        pageBreakEvery: req.query.pageBreakEvery,
+        imageResolvers,
+      });
+      res.setHeader("Content-Type", DOCX_TYPE);
+      res.setHeader(
+        "Content-Disposition",
+        `attachment; filename="${exportFileName("prova", exam, "docx")}"`
+      );
+      res.send(buffer);
+    } catch (e) {
+      console.error(e);
+      res.status(500).json({ error: "Falha ao exportar .docx" });
+    }
+  }
+);
+
+// Gabarito em documento separado
+router.get(
+  "/assessments/:id/export/docx/answer-key",
+  auth,
+  onlyProfessor,
+  async (req, res) => {
+    try {
+      const { exam, status, error } = await loadExamData(req);
+      if (error) return res.status(status).json({ error });
+      if (!exam.answerKey)
+        return res
+          .status(400)
+          .json({ error: "Gabarito não definido para esta avaliação." });
+
+      const buffer = await buildAnswerKeyDocx(exam);
+      res.setHeader("Content-Type", DOCX_TYPE);
+      res.setHeader(
+        "Content-Disposition",
+        `attachment; filename="${exportFileName("gabarito", exam, "docx")}"`
+      );
+      res.send(buffer);
+    } catch (e) {
+      console.error(e);
+      res.status(500).json({ error: "Falha ao exportar .docx" });
+    }
+  }
+);
+
+const PDF_TYPE = "application/pdf";
+const sendPdf = (res, name, buffer) => {
+  res.setHeader("Content-Type", PDF_TYPE);
+  res.setHeader("Content-Disposition", `attachment; filename="${name}"`);
+  res.send(buffer);
+};
+
+// GET ?version=B&columns=1|2&answerKey=none|appendix&school=
+router.get(
+  "/assessments/:id/export/pdf",
+  auth,
+  onlyProfessor,
+  async (req, res) => {
+    try {
+      const { exam, status, error } = await loadExamData(req);
+      if (error) return res.status(status).json({ error });
+
+      const answerKey =
+        req.query.answerKey === "appendix" ? "appendix" : "none";
+      if (answerKey === "appendix" && !exam.answerKey)
+        return res
+          .status(400)
+          .json({ error: "Gabarito não definido para esta avaliação." });
+
+      const buffer = await buildExamPdf(exam, {
+        columns: req.query.columns === "2" ? 2 : 1,
+        answerKey,
+        imageResolvers,
+      });
+      sendPdf(res, exportFileName("prova", exam, "pdf"), buffer);
+    } catch (e) {
+      console.error(e);
+      res.status(500).json({ error: "Falha ao exportar PDF" });
+    }
+  }
+);
+
+router.get(
+  "/assessments/:id/export/pdf/answer-key",
+  auth,
+  onlyProfessor,
+  async (req, res) => {
+    try {
+      const { exam, status, error } = await loadExamData(req);
+      if (error) return res.status(status).json({ error });
+      if (!exam.answerKey)
+        return res
+          .status(400)
+          .json({ error: "Gabarito não definido para esta avaliação." });
+
+      const buffer = await buildAnswerKeyPdf(exam);
+      sendPdf(res, exportFileName("gabarito", exam, "pdf"), buffer);
+    } catch (e) {
+      console.error(e);
+      res.status(500).json({ error: "Falha ao exportar PDF" });
+    }
+  }
+);
+
+// Folha de respostas: ?version=B&classId= (uma página por aluno da turma).
+// O QR de cada folha identifica avaliação, versão e aluno para a leitura óptica.
+router.get(
+  "/assessments/:id/export/pdf/answer-sheet",
+  auth,
+  onlyProfessor,
+  async (req, res) => {
+    try {
+      const { classId } = req.query;
+      if (classId && !isId(classId))
+        return res.status(400).json({ error: "ID inválido" });
+      const { exam, status, error } = await loadExamData(req);
+      if (error) return res.status(status).json({ error });
+
+      let sheets = [];
+      if (classId) {
+        const cls = await Class.findOne({
+          _id: classId,
+          ownerId: req.user.uid,
+        }).lean();
+        if (!cls)
+          return res.status(404).json({ error: "Turma não encontrada." });
+        sheets = [...cls.students]
+          .sort((a, b) => a.name.localeCompare(b.name, "pt-BR"))
+          .map((st) => ({
+            studentName: st.name,
+            registration: st.registration,
+            className: cls.name,
+            idCode: sheetCode({
+              assessmentId: exam.id,
+              version: exam.version,
+              classId,
+              rosterEntryId: st._id,
+            }),
+          }));
+      } else {
+        sheets = [
+          {
+            idCode: sheetCode({ assessmentId: exam.id, version: exam.version }),
+          },
+        ];
+      }
+
+      const buffer = await buildAnswerSheetPdf(exam, sheets);
+      sendPdf(res, exportFileName("folha-respostas", exam, "pdf"), buffer);
+    } catch (e) {
+      console.error(e);
+      res.status(500).json({ error: "Falha ao exportar PDF" });
+    }
+  }
+);
+
+// Relatório de resultados: ?classId=
+router.get(
+  "/assessments/:id/export/pdf/results",
+  auth,
+  onlyProfessor,
+  async (req, res) => {
+    try {
+      const { classId } = req.query;
+      if (classId && !isId(classId))
+        return res.status(400).json({ error: "ID inválido" });
+      const { exam, status, error } = await loadExamData(req);
+      if (error) return res.status(status).json({ error });
+
+      let className;
+      if (classId) {
+        const cls = await Class.findOne(
+          { _id: classId, ownerId: req.user.uid },
+          { name: 1 }
+        ).lean();
+        if (!cls)
+          return res.status(404).json({ error: "Turma não encontrada." });
+        className = cls.name;
+      }
+
+      const results = await computeResults(
+        { _id: exam.id, questionsCount: exam.questions.length },
+        classId
+      );
+      const buffer = await buildResultsReportPdf(exam, results, { className });
+      sendPdf(res, exportFileName("resultados", exam, "pdf"), buffer);
+    } catch (e) {
+      console.error(e);
+      res.status(500).json({ error: "Falha ao exportar PDF" });
+    }
+  }
+);
+
+module.exports = { router };
@@ -0,0 +1,917 @@
+// src/routes/forms.js
+// Form online: gestão pelo professor e página pública do aluno, com
+// identificação (token ou roster), tentativas com retomada, limite de
+// envios e liberação de resultados.
+
+const express = require("express");
+const crypto = require("crypto");
+const bcrypt = require("bcryptjs");
+const { rateLimit, ipKeyGenerator } = require("express-rate-limit");
+
+const {
+  seedFrom,
+  buildPermutation,
+  applyPermutation,
+  toCanonicalLetter,
+} = require("../lib/shuffle");
+const { renderContent } = require("../lib/richContent");
+const {
+  BUBBLE_TYPES,
+  normalizeAnswer,
+  propositionLabel,
+  MAX_OPEN_ANSWER,
+} = require("../lib/questionTypes");
+
+const {
+  User,
+  Assessment,
+  StudentAnswer,
+  Form,
+  FormAttempt,
+} = require("../models");
+const {
+  BASE_URL,
+  auth,
+  onlyProfessor,
+  hashToken,
+  isId,
+  editableBy,
+  normalizeName,
+  findRosterEntry,
+  LETTERS,
+  latestKey,
+  gradeSubmission,
+  itemTypeOf,
+  escapeHtml,
+  rosterStudentFields,
+} = require("../helpers");
+
+const router = express.Router();
+
+// Formulário público: senha do aluno e código de acesso passam por bcrypt.
+// Conta só as tentativas recusadas, por IP + formulário (a turma inteira
+// pode estar atrás do mesmo IP da escola)
+const formLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000,
+  max: 30,
+  standardHeaders: true,
+  legacyHeaders: false,
+  skipSuccessfulRequests: true,
+  message: "Muitas tentativas recusadas. Aguarde alguns minutos.",
+  keyGenerator: (req) => `${ipKeyGenerator(req.ip)}|${req.params.formId}`,
+});
+router.post("/form/:formId/:action", formLimiter);
+
+const FORM_GRACE_MS = 60 * 1000; // tolerância de envio após o tempo limite
+
+// O token da tentativa também fica num cookie do navegador que a começou:
+// só ele retoma a tentativa aberta (outro aluno com o mesmo nome/matrícula
+// não toma a prova de ninguém). Um cookie por aluno, no caminho do formulário
+const attemptCookie = (formId, studentKey) => ({
+  name: `attempt_${hashToken(`${formId}|${studentKey}`).slice(0, 16)}`,
+  path: `/form/${formId}`,
+});
+const readCookie = (req, name) => {
+  for (const part of String(req.headers.cookie || "").split(";")) {
+    const i = part.indexOf("=");
+    if (i > 0 && part.slice(0, i).trim() === name)
+      try {
+        return decodeURIComponent(part.slice(i + 1).trim());
+      } catch {
+        return null;
+      }
+  }
+  return null;
+};
+
+// Formulários antigos não têm identityMode: deriva das turmas/requireName
+const formIdentityMode = (form) =>
+  form.identityMode ||
+  (form.classIds?.length
+    ? "roster"
+    : form.requireName === false
+    ? "anonymous"
+    : "name");
+
+// Valida/normaliza as configurações de aplicação enviadas em POST/PUT /forms
+async function parseFormSettings(body, classIds) {
+  const out = {};
+  if (body.title !== undefined)
+    out.title = String(body.title || "Avaliação Online");
+  if (body.description !== undefined)
+    out.description = String(body.description || "");
+  if (typeof body.requireName === "boolean") out.requireName = body.requireName;
+
+  if (body.identityMode !== undefined) {
+    if (!["anonymous", "name", "roster", "login"].includes(body.identityMode))
+      return { error: "identityMode inválido." };
+    out.identityMode = body.identityMode;
+  }
+  const mode = out.identityMode;
+  if (classIds.length && mode && !["roster", "login"].includes(mode))
+    return {
+      error: "Formulários de turma exigem identificação por roster ou login.",
+    };
+  if (!classIds.length && mode === "roster")
+    return { error: "Identificação por roster exige turmas." };
+
+  for (const field of ["opensAt", "closesAt"]) {
+    if (body[field] === undefined) continue;
+    if (body[field] === null || body[field] === "") out[field] = null;
+    else if (isNaN(Date.parse(body[field])))
+      return { error: `${field} inválido.` };
+    else out[field] = new Date(body[field]);
+  }
+  if (out.opensAt && out.closesAt && out.opensAt >= out.closesAt)
+    return { error: "closesAt deve ser depois de opensAt." };
+
+  if (body.timeLimitMinutes !== undefined) {
+    const v = Number(body.timeLimitMinutes) || 0;
+    if (v < 0 || v > 24 * 60) return { error: "timeLimitMinutes inválido." };
+    out.timeLimitMinutes = v;
+  }
+  if (body.maxAttempts !== undefined) {
+    const v = parseInt(body.maxAttempts);
+    if (!(v >= 1 && v <= 20)) return { error: "maxAttempts inválido." };
+    out.maxAttempts = v;
+  }
+  for (const field of ["shuffleQuestions", "shuffleOptions"]) {
+    if (typeof body[field] === "boolean") out[field] = body[field];
+  }
+  if (body.accessCode !== undefined) {
+    out.accessCodeHash = body.accessCode
+      ? await bcrypt.hash(String(body.accessCode), 10)
+      : null;
+  }
+  return { settings: out };
+}
+
+// Retorna mensagem se o formulário não aceita respostas agora
+function formUnavailable(form, now = new Date()) {
+  if (form.closed) return "Este formulário está encerrado.";
+  if (form.opensAt && now < form.opensAt)
+    return `Este formulário abre em ${form.opensAt.toLocaleString("pt-BR")}.`;
+  if (form.closesAt && now > form.closesAt)
+    return "O prazo deste formulário terminou.";
+  return null;
+}
+
+const formPublicView = (form) => ({
+  formId: form.formId,
+  url: `${BASE_URL}/form/${form.formId}`,
+  assessmentId: form.assessmentId,
+  title: form.title,
+  description: form.description,
+  classIds: form.classIds,
+  identityMode: formIdentityMode(form),
+  opensAt: form.opensAt || null,
+  closesAt: form.closesAt || null,
+  closed: Boolean(form.closed),
+  hasAccessCode: Boolean(form.accessCodeHash),
+  timeLimitMinutes: form.timeLimitMinutes || 0,
+  maxAttempts: form.maxAttempts || 1,
+  shuffleQuestions: Boolean(form.shuffleQuestions),
+  shuffleOptions: Boolean(form.shuffleOptions),
+});
+
+router.post("/forms", auth, onlyProfessor, async (req, res) => {
+  try {
+    const { assessmentId, classIds } = req.body;
+    if (!assessmentId || !isId(assessmentId))
+      return res.status(400).json({ error: "assessmentId é obrigatório." });
+
+    const assessment = await Assessment.findOne(
+      { _id: assessmentId, ...editableBy(req.user.uid) },
+      { classIds: 1 }
+    ).lean();
+    if (!assessment)
+      return res.status(404).json({ error: "Avaliação não encontrada." });
+
+    // Por padrão o formulário vale para as turmas da avaliação
+    const assessmentClasses = (assessment.classIds || []).map(String);
+    let formClasses = assessmentClasses;
+    if (Array.isArray(classIds) && classIds.length) {
+      formClasses = [...new Set(classIds.map(String))];
+      if (!formClasses.every((c) => assessmentClasses.includes(c)))
+        return res
+          .status(400)
+          .json({ error: "Turmas do formulário devem ser da avaliação." });
+    }
+
+    const { settings, error } = await parseFormSettings(req.body, formClasses);
+    if (error) return res.status(400).json({ error });
+
+    const formId = crypto.randomBytes(6).toString("base64url");
+    const form = await Form.create({
+      title: "Avaliação Online",
+      description: "",
+      requireName: true,
+      ...settings,
+      formId,
+      assessmentId,
+      classIds: formClasses,
+      ownerId: req.user.uid,
+    });
+    if (!form.identityMode) {
+      form.identityMode = formIdentityMode(form);
+      await form.save();
+    }
+
+    res.status(201).json(formPublicView(form));
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ error: "Não foi possível criar o formulário." });
+  }
+});
+
+// GET /forms?assessmentId=
+router.get("/forms", auth, onlyProfessor, async (req, res) => {
+  try {
+    const q = { ownerId: req.user.uid };
+    if (req.query.assessmentId) {
+      if (!isId(req.query.assessmentId))
+        return res.status(400).json({ error: "ID inválido" });
+      q.assessmentId = req.query.assessmentId;
+    }
+    const forms = await Form.find(q).sort({ createdAt: -1 }).lean();
+    res.json({ items: forms.map(formPublicView) });
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ error: "Erro ao listar formulários." });
+  }
+});
+
+router.put("/forms/:formId", auth, onlyProfessor, async (req, res) => {
+  try {
+    const form = await Form.findOne({
+      formId: req.params.formId,
+      ownerId: req.user.uid,
+    });
+    if (!form)
+      return res.status(404).json({ error: "Formulário não encontrado." });
+
+    const { settings, error } = await parseFormSettings(
+      req.body,
+      (form.classIds || []).map(String)
+    );
+    if (error) return res.status(400).json({ error });
+    form.set(settings);
+    if (form.opensAt && form.closesAt && form.opensAt >= form.closesAt)
+      return res
+        .status(400)
+        .json({ error: "closesAt deve ser depois de opensAt." });
+    await form.save();
+    res.json(formPublicView(form));
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ error: "Não foi possível atualizar o formulário." });
+  }
+});
+
+router.post("/forms/:formId/close", auth, onlyProfessor, async (req, res) => {
+  try {
+    const form = await Form.findOneAndUpdate(
+      { formId: req.params.formId, ownerId: req.user.uid },
+      { closed: true, closedAt: new Date() },
+      { new: true }
+    ).lean();
+    if (!form)
+      return res.status(404).json({ error: "Formulário não encontrado." });
+    // Tentativas em andamento não podem mais ser enviadas
+    await FormAttempt.updateMany(
+      { formId: form.formId, status: "open" },
+      { status: "expired" }
+    );
+    res.json(formPublicView(form));
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ error: "Não foi possível encerrar o formulário." });
+  }
+});
+
+// Reabre; aceita { closesAt } para um novo prazo
+router.post("/forms/:formId/reopen", auth, onlyProfessor, async (req, res) => {
+  try {
+    const update = { closed: false, $unset: { closedAt: 1 } };
+    if (req.body.closesAt !== undefined) {
+      if (req.body.closesAt && isNaN(Date.parse(req.body.closesAt)))
+        return res.status(400).json({ error: "closesAt inválido." });
+      update.closesAt = req.body.closesAt ? new Date(req.body.closesAt) : null;
+    }
+    const form = await Form.findOneAndUpdate(
+      { formId: req.params.formId, ownerId: req.user.uid },
+      update,
+      { new: true }
+    ).lean();
+    if (!form)
+      return res.status(404).json({ error: "Formulário não encontrado." });
+    res.json(formPublicView(form));
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ error: "Não foi possível reabrir o formulário." });
+  }
+});
+
+// Aluno trocou de navegador/computador: a tentativa aberta pode ser
+// retomada uma vez em outro lugar (o token antigo deixa de valer)
+router.post(
+  "/forms/:formId/attempts/:attemptId/release",
+  auth,
+  onlyProfessor,
+  async (req, res) => {
+    try {
+      const { formId, attemptId } = req.params;
+      if (!isId(attemptId))
+        return res.status(400).json({ error: "ID inválido" });
+      const form = await Form.exists({ formId, ownerId: req.user.uid });
+      if (!form)
+        return res.status(404).json({ error: "Formulário não encontrado." });
+      const attempt = await FormAttempt.findOneAndUpdate(
+        { _id: attemptId, formId, status: "open" },
+        { resumeAllowed: true },
+        { new: true, projection: { tokenHash: 0 } }
+      ).lean();
+      if (!attempt)
+        return res
+          .status(404)
+          .json({ error: "Tentativa aberta não encontrada." });
+      res.json(attempt);
+    } catch (e) {
+      console.error(e);
+      res.status(500).json({ error: "Não foi possível liberar a tentativa." });
+    }
+  }
+);
+
+router.get("/forms/:formId/attempts", auth, onlyProfessor, async (req, res) => {
+  try {
+    const form = await Form.findOne(
+      { formId: req.params.formId, ownerId: req.user.uid },
+      { formId: 1 }
+    ).lean();
+    if (!form)
+      return res.status(404).json({ error: "Formulário não encontrado." });
+    const items = await FormAttempt.find(
+      { formId: form.formId },
+      { tokenHash: 0 }
+    )
+      .sort({ startedAt: -1 })
+      .lean();
+    res.json({ items });
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ error: "Erro ao listar tentativas." });
+  }
+});
+
+// Campo de resposta conforme o tipo: rádio (escolha única), caixas
+// (várias corretas / proposições da somatória), número ou texto livre
+function renderFormAnswer(q, type, { required, unit }) {
+  const content = (v) => renderContent(v, q.contentFormat);
+  const name = `q${q.number}`;
+  const req = required ? " required" : "";
+  if (type === "numeric")
+    return `<label style="display:block;margin:6px 0">Resposta: <input type="text" name="${name}" inputmode="decimal" autocomplete="off" style="width:160px"${req}/> ${escapeHtml(
+      unit
+    )}</label>`;
+  if (type === "open")
+    return `<textarea name="${name}" rows="5" maxlength="${MAX_OPEN_ANSWER}" style="width:100%;box-sizing:border-box"${req}></textarea>`;
+  if (type === "truefalse")
+    return `<p style="margin:6px 0"><em>Marque as proposições verdadeiras.</em></p>${(
+      q.propositions || []
+    )
+      .map(
+        (text, i) =>
+          `<label style="display:block;margin:6px 0"><input type="checkbox" name="${name}" value="${
+            2 ** i
+          }"> <strong>${propositionLabel(i)})</strong> <span>${content(
+            text
+          )}</span></label>`
+      )
+      .join("")}`;
+
+  // Caixas não têm "required" de grupo: a obrigatoriedade é checada no envio
+  const input =
+    type === "multiple"
+      ? (letter) => `<input type="checkbox" name="${name}" value="${letter}">`
+      : (letter) =>
+          `<input type="radio" name="${name}" value="${letter}"${req}>`;
+  const withText = LETTERS.filter((letter) => q.options?.[letter]);
+  return `${
+    type === "multiple"
+      ? `<p style="margin:6px 0"><em>Marque todas as alternativas corretas.</em></p>`
+      : ""
+  }${(withText.length ? withText : LETTERS)
+    .map((letter) =>
+      withText.length
+        ? `<label style="display:block;margin:6px 0">${input(
+            letter
+          )} <strong>${letter})</strong> <span>${content(
+            q.options[letter]
+          )}</span></label>`
+        : `<label style="margin-right:12px">${input(letter)} ${letter}</label>`
+    )
+    .join("")}`;
+}
+
+// Questão com enunciado/alternativas (ou só A–E em avaliações sem conteúdo)
+function renderFormQuestion(q, { required = true, keyItem } = {}) {
+  const content = (v) => renderContent(v, q.contentFormat);
+  const images = (q.images || [])
+    .map(
+      (src) =>
+        `<img src="${escapeHtml(
+          src
+        )}" alt="" style="max-width:100%;margin:8px 0"/>`
+    )
+    .join("");
+  const options = renderFormAnswer(q, itemTypeOf(q, keyItem), {
+    required,
+    unit: keyItem?.unit || q.unit || "",
+  });
+  return `
+      <div style="margin:12px 0;padding:10px;border:1px solid #ddd;border-radius:8px">
+        <strong>Questão ${q.displayNumber || q.number} - ${escapeHtml(
+    q.subject
+  )}</strong><br/>
+        ${q.statement ? `<div>${content(q.statement)}</div>` : ""}
+        ${images}
+        ${options}
+      </div>`;
+}
+
+function renderFormPage(title, body) {
+  return `<!DOCTYPE html>
+<html lang="pt-BR"><head>
+<meta charset="utf-8"/>
+<meta name="viewport" content="width=device-width,initial-scale=1"/>
+<title>${escapeHtml(title)}</title>
+<link rel="stylesheet" href="/assets/katex/katex.min.css"/>
+</head>
+<body style="font-family:Arial,Helvetica,sans-serif;max-width:900px;margin:30px auto;padding:0 16px">
+${body}
+</body></html>`;
+}
+
+function sendFormMessage(res, status, title, message) {
+  res.status(status);
+  res.setHeader("Content-Type", "text/html; charset=utf-8");
+  res.send(
+    renderFormPage(
+      title,
+      `<h2>${escapeHtml(title)}</h2><p>${escapeHtml(message)}</p>`
+    )
+  );
+}
+
+// Identifica o aluno conforme o modo do formulário
+async function resolveFormStudent(form, body) {
+  const mode = formIdentityMode(form);
+  const studentName = String(body.studentName || "")
+    .trim()
+    .replace(/\s+/g, " ");
+  const registration = String(body.registration || "").trim();
+
+  if (mode === "anonymous")
+    return { student: { studentName: "Anônimo" }, studentKey: null };
+
+  if (mode === "name") {
+    if (!studentName) return { error: "Informe seu nome." };
+    return {
+      student: { studentName },
+      studentKey: `name:${normalizeName(studentName)}`,
+    };
+  }
+
+  if (mode === "roster") {
+    // Entradas com matrícula exigem a matrícula (nome sozinho não basta)
+    const found = await findRosterEntry(
+      form.classIds,
+      registration ? { registration } : { studentName }
+    );
+    if (!found)
+      return {
+        error: "Aluno não encontrado na turma. Confira nome e matrícula.",
+      };
+    if (!registration && found.entry.registration)
+      return { error: "Informe sua matrícula." };
+    // Matrícula se adivinha: com nome no roster, o nome também confere
+    if (registration && found.entry.name) {
+      if (!studentName) return { error: "Informe seu nome e a matrícula." };
+      if (normalizeName(found.entry.name) !== normalizeName(studentName))
+        return { error: "Nome e matrícula não conferem." };
+    }
+    return {
+      student: rosterStudentFields(found),
+      studentKey: `roster:${found.entry._id}`,
+    };
+  }
+
+  // login: conta de aluno ativa (e matriculada, se houver turmas)
+  const email = String(body.email || "")
+    .toLowerCase()
+    .trim();
+  const user = email ? await User.findOne({ email }).lean() : null;
+  const ok =
+    user &&
+    (await bcrypt.compare(String(body.password || ""), user.passwordHash));
+  if (!ok || user.active === false || user.role !== "aluno")
+    return { error: "Login de aluno inválido." };
+  if (form.classIds?.length) {
+    const found = await findRosterEntry(form.classIds, { studentId: user._id });
+    if (!found) return { error: "Você não está matriculado nesta turma." };
+    return {
+      student: rosterStudentFields(found),
+      studentKey: `user:${user._id}`,
+    };
+  }
+  return {
+    student: { studentName: user.name, studentId: user._id },
+    studentKey: `user:${user._id}`,
+  };
+}
+
+// Página inicial: identificação + código de acesso
+router.get("/form/:formId", async (req, res) => {
+  try {
+    const form = await Form.findOne({ formId: req.params.formId }).lean();
+    if (!form) return res.status(404).send("Formulário não encontrado.");
+    const unavailable = formUnavailable(form);
+    if (unavailable) return sendFormMessage(res, 403, form.title, unavailable);
+
+    const mode = formIdentityMode(form);
+    const field = (label, name, type = "text", required = true) =>
+      `<div style="margin:12px 0"><label>${label}: <input name="${name}" type="${type}"${
+        required ? " required" : ""
+      } style="padding:8px"/></label></div>`;
+    const identity = {
+      anonymous: "",
+      name: field("Nome do aluno", "studentName"),
+      roster:
+        field("Nome do aluno", "studentName") +
+        field("Matrícula", "registration", "text", false),
+      login:
+        field("E-mail", "email", "email") +
+        field("Senha", "password", "password"),
+    }[mode];
+    const rules = [
+      form.timeLimitMinutes
+        ? `Tempo limite: ${form.timeLimitMinutes} min após iniciar.`
+        : "",
+      form.closesAt
+        ? `Prazo: ${new Date(form.closesAt).toLocaleString("pt-BR")}.`
+        : "",
+      `Tentativas permitidas: ${form.maxAttempts || 1}.`,
+    ]
+      .filter(Boolean)
+      .map((r) => `<li>${escapeHtml(r)}</li>`)
+      .join("");
+
+    res.setHeader("Content-Type", "text/html; charset=utf-8");
+    res.send(
+      renderFormPage(
+        form.title,
+        `<h1>${escapeHtml(form.title)}</h1>
+  <p>${escapeHtml(form.description)}</p>
+  <ul>${rules}</ul>
+  <form method="POST" action="${BASE_URL}/form/${form.formId}/start">
+    ${identity}
+    ${
+      form.accessCodeHash
+        ? field("Código de acesso", "accessCode", "password")
+        : ""
+    }
+    <button type="submit" style="padding:10px 16px;border-radius:6px;border:0;background:#5a7dff;color:#fff">Iniciar</button>
+  </form>`
+      )
+    );
+  } catch (e) {
+    console.error(e);
+    res.status(500).send("Erro ao carregar formulário.");
+  }
+});
+
+// Abre (ou retoma) uma tentativa e mostra as questões
+router.post(
+  "/form/:formId/start",
+  express.urlencoded({ extended: true }),
+  async (req, res) => {
+    try {
+      const form = await Form.findOne({ formId: req.params.formId }).lean();
+      if (!form) return res.status(404).send("Formulário não encontrado.");
+      const unavailable = formUnavailable(form);
+      if (unavailable)
+        return sendFormMessage(res, 403, form.title, unavailable);
+
+      if (
+        form.accessCodeHash &&
+        !(await bcrypt.compare(
+          String(req.body.accessCode || ""),
+          form.accessCodeHash
+        ))
+      )
+        return sendFormMessage(
+          res,
+          403,
+          form.title,
+          "Código de acesso inválido."
+        );
+
+      const assessment = await Assessment.findById(form.assessmentId).lean();
+      const keyDoc = assessment && (await latestKey(assessment._id));
+      if (!assessment || !keyDoc)
+        return res.status(400).send("Formulário incompleto.");
+
+      const { student, studentKey, error } = await resolveFormStudent(
+        form,
+        req.body
+      );
+      if (error) return sendFormMessage(res, 400, form.title, error);
+
+      const now = new Date();
+      let attempt = null;
+      let token = null;
+      let attemptNumber = 1;
+      if (studentKey) {
+        // Tentativas abertas que já passaram do tempo são encerradas
+        await FormAttempt.updateMany(
+          {
+            formId: form.formId,
+            studentKey,
+            status: "open",
+            expiresAt: { $lt: new Date(now - FORM_GRACE_MS) },
+          },
+          { status: "expired" }
+        );
+        const used = await FormAttempt.countDocuments({
+          formId: form.formId,
+          studentKey,
+        });
+        attemptNumber = used + 1;
+        const open = await FormAttempt.findOne({
+          formId: form.formId,
+          studentKey,
+          status: "open",
+        });
+        if (open) {
+          // Retomar (mesmo relógio) só no navegador que começou, ou em
+          // outro depois que o professor liberar
+          const saved = readCookie(
+            req,
+            attemptCookie(form.formId, studentKey).name
+          );
+          if (saved && hashToken(saved) === open.tokenHash) {
+            token = saved;
+          } else if (open.resumeAllowed) {
+            token = crypto.randomBytes(18).toString("base64url");
+            open.tokenHash = hashToken(token);
+            open.resumeAllowed = false;
+            await open.save();
+          } else {
+            return sendFormMessage(
+              res,
+              409,
+              form.title,
+              "Esta tentativa já está aberta em outro navegador. Peça ao professor para liberá-la."
+            );
+          }
+          attempt = open;
+        } else if (used >= (form.maxAttempts || 1)) {
+          return sendFormMessage(
+            res,
+            403,
+            form.title,
+            "Você já usou todas as tentativas deste formulário."
+          );
+        }
+      }
+      if (!attempt) {
+        token = crypto.randomBytes(18).toString("base64url");
+        const limit = form.timeLimitMinutes
+          ? new Date(now.getTime() + form.timeLimitMinutes * 60 * 1000)
+          : null;
+        const closes = form.closesAt ? new Date(form.closesAt) : null;
+        const expiresAt =
+          limit && closes ? new Date(Math.min(limit, closes)) : limit || closes;
+        try {
+          attempt = await FormAttempt.create({
+            formId: form.formId,
+            assessmentId: form.assessmentId,
+            tokenHash: hashToken(token),
+            studentKey,
+            ...student,
+            attemptNumber,
+            startedAt: now,
+            expiresAt,
+          });
+        } catch (e) {
+          if (e.code !== 11000) throw e;
+          // Outra requisição abriu esta mesma tentativa
+          return sendFormMessage(
+            res,
+            409,
+            form.title,
+            "Esta tentativa já foi aberta. Volte e comece de novo para retomá-la."
+          );
+        }
+        // Ordem e valores das parametrizadas próprios por aluno/tentativa
+        // (anônimo: por token)
+        if (
+          form.shuffleQuestions ||
+          form.shuffleOptions ||
+          assessment.questions.some((q) => q.type === "parametric")
+        ) {
+          attempt.seed = seedFrom(
+            form.formId,
+            studentKey || token,
+            attemptNumber
+          );
+          attempt.permutation = buildPermutation(
+            assessment.questions,
+            form,
+            attempt.seed
+          );
+          await attempt.save();
+        }
+      }
+
+      if (studentKey) {
+        const cookie = attemptCookie(form.formId, studentKey);
+        res.cookie(cookie.name, token, {
+          path: cookie.path,
+          httpOnly: true,
+          sameSite: "lax",
+          secure: req.secure,
+          expires: new Date(
+            attempt.expiresAt
+              ? attempt.expiresAt.getTime() + FORM_GRACE_MS
+              : Date.now() + 7 * 24 * 60 * 60 * 1000
+          ),
+        });
+      }
+
+      const timed = Boolean(attempt.expiresAt);
+      const keyByNumber = new Map(
+        keyDoc.answers.map((k) => [k.questionNumber, k])
+      );
+      const questions = applyPermutation(
+        assessment.questions,
+        attempt.permutation
+      )
+        .map((q) =>
+          renderFormQuestion(q, {
+            required: !timed,
+            keyItem: keyByNumber.get(q.number),
+          })
+        )
+        .join("");
+      res.setHeader("Content-Type", "text/html; charset=utf-8");
+      res.send(
+        renderFormPage(
+          form.title,
+          `<h1>${escapeHtml(form.title)}</h1>
+  <p>Aluno: <strong>${escapeHtml(attempt.studentName)}</strong> — tentativa ${
+            attempt.attemptNumber
+          }</p>
+  ${
+    timed
+      ? `<p><strong>Envie até ${escapeHtml(
+          attempt.expiresAt.toLocaleString("pt-BR")
+        )}.</strong></p>`
+      : ""
+  }
+  <form method="POST" action="${BASE_URL}/form/${form.formId}/submit">
+    <input type="hidden" name="attemptToken" value="${token}"/>
+    ${questions}
+    <button type="submit" style="padding:10px 16px;border-radius:6px;border:0;background:#5a7dff;color:#fff">Enviar</button>
+  </form>`
+        )
+      );
+    } catch (e) {
+      console.error(e);
+      res.status(500).send("Erro ao iniciar formulário.");
+    }
+  }
+);
+
+router.post(
+  "/form/:formId/submit",
+  express.urlencoded({ extended: true }),
+  async (req, res) => {
+    try {
+      const { formId } = req.params;
+      const form = await Form.findOne({ formId }).lean();
+      if (!form) return res.status(404).send("Formulário não encontrado.");
+      // Mesma janela do início (o prazo pode ter sido antecipado depois que
+      // a tentativa abriu), com a tolerância de envio da tentativa. A
+      // abertura já foi conferida no início
+      const unavailable = formUnavailable(
+        { ...form, opensAt: null },
+        new Date(Date.now() - FORM_GRACE_MS)
+      );
+      if (unavailable)
+        return sendFormMessage(res, 403, form.title, unavailable);
+
+      const attempt = await FormAttempt.findOne({
+        formId,
+        tokenHash: hashToken(String(req.body.attemptToken || "")),
+      }).lean();
+      if (!attempt || attempt.status !== "open")
+        return sendFormMessage(
+          res,
+          403,
+          form.title,
+          "Tentativa inválida ou já enviada."
+        );
+      if (
+        attempt.expiresAt &&
+        Date.now() > attempt.expiresAt.getTime() + FORM_GRACE_MS
+      ) {
+        await FormAttempt.updateOne(
+          { _id: attempt._id, status: "open" },
+          { status: "expired" }
+        );
+        return sendFormMessage(
+          res,
+          403,
+          form.title,
+          "O tempo desta tentativa acabou."
+        );
+      }
+
+      const assessment = await Assessment.findById(form.assessmentId).lean();
+      const keyDoc = await latestKey(form.assessmentId);
+      if (!assessment || !keyDoc)
+        return res.status(400).send("Formulário incompleto.");
+
+      // Letras marcadas (ordem exibida) → letras do gabarito canônico;
+      // demais tipos → texto canônico (soma, número, texto)
+      const keyByNumber = new Map(
+        keyDoc.answers.map((k) => [k.questionNumber, k])
+      );
+      const answers = assessment.questions.map((q) => {
+        const keyItem = keyByNumber.get(q.number);
+        const type = itemTypeOf(q, keyItem);
+        let val = req.body[`q${q.number}`];
+        // Somatória sem proposição marcada: todas falsas (soma 00)
+        if (type === "truefalse") val = val ?? "0";
+        if (BUBBLE_TYPES.includes(type) && val)
+          val = toCanonicalLetter(attempt.permutation, q.number, val);
+        const answer = normalizeAnswer({ ...keyItem, type }, val);
+        return { questionNumber: q.number, answer, subject: q.subject };
+      });
+      const invalid = answers.find((a) => a.answer === null);
+      if (invalid) {
+        const order = attempt.permutation?.questionOrder || [];
+        const shown = order.length
+          ? order.indexOf(invalid.questionNumber) + 1
+          : invalid.questionNumber;
+        return res.status(400).send(`Resposta inválida na questão ${shown}.`);
+      }
+      // Sem tempo limite, todas as questões são obrigatórias
+      if (!attempt.expiresAt && answers.some((a) => !a.answer)) {
+        return res.status(400).send("Preencha todas as questões.");
+      }
+
+      // Marca como enviada de forma atômica (impede envio duplo)
+      const claimed = await FormAttempt.findOneAndUpdate(
+        { _id: attempt._id, status: "open" },
+        { status: "submitted", submittedAt: new Date() }
+      );
+      if (!claimed)
+        return sendFormMessage(
+          res,
+          403,
+          form.title,
+          "Tentativa inválida ou já enviada."
+        );
+
+      await StudentAnswer.create({
+        assessmentId: form.assessmentId,
+        studentName: attempt.studentName,
+        studentId: attempt.studentId,
+        classId: attempt.classId,
+        rosterEntryId: attempt.rosterEntryId,
+        formId,
+        attemptId: attempt._id,
+        permutation: attempt.permutation,
+        ...gradeSubmission(assessment, keyDoc, answers, attempt.permutation),
+        keyVersion: keyDoc.version,
+        gradedAt: new Date(),
+      });
+
+      res.setHeader("Content-Type", "text/html; charset=utf-8");
+      return res.send(`
+      <html><body style="font-family:Arial;max-width:700px;margin:30px auto">
+        <h2>Respostas enviadas com sucesso!</h2>
+        <p>Obrigado por participar.</p>
+      </body></html>
+    `);
+    } catch (e) {
+      console.error(e);
+      res.status(500).send("Erro ao enviar respostas.");
+    }
+  }
+);
+
+module.exports = { router };
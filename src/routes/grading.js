@@ -0,0 +1,372 @@
+// src/routes/grading.js
+// Correção manual das questões abertas: fila por questão, rubricas, notas
+// e histórico de alterações.
+
+const express = require("express");
+const mongoose = require("mongoose");
+
+const { typeOf } = require("../lib/questionTypes");
+const {
+  rubricCriteria,
+  manualGradeFrom,
+  blindAlias,
+} = require("../lib/manualGrading");
+const { computeGrade } = require("../lib/grading");
+
+const { Assessment, StudentAnswer, ManualGradeLog } = require("../models");
+const {
+  auth,
+  onlyProfessor,
+  isId,
+  readableBy,
+  editableBy,
+  latestKey,
+} = require("../helpers");
+
+const router = express.Router();
+
+// Questões corrigidas à mão no gabarito vigente (abertas não anuladas)
+const manualNumbers = (keyDoc) =>
+  (keyDoc?.answers || [])
+    .filter((k) => typeOf(k) === "open" && !k.annulled)
+    .map((k) => k.questionNumber);
+
+// Resposta na fila; às cegas, um apelido no lugar do aluno
+const queueEntry = (sub, item, blind) => ({
+  studentAnswerId: sub._id,
+  questionNumber: item.questionNumber,
+  answer: item.answer,
+  status: item.manualGrade?.gradedAt ? "graded" : "pending",
+  isCorrect: item.isCorrect ?? null,
+  score: item.score ?? null,
+  manualGrade: item.manualGrade || null,
+  submittedAt: sub.createdAt,
+  ...(blind
+    ? { alias: blindAlias(sub._id) }
+    : {
+        studentName: sub.studentName,
+        studentId: sub.studentId || null,
+        classId: sub.classId || null,
+      }),
+});
+
+// GET /assessments/:id/grading-queue?questionNumber=&status=pending|graded|all&blind=true&page=1&limit=20
+router.get(
+  "/assessments/:id/grading-queue",
+  auth,
+  onlyProfessor,
+  async (req, res) => {
+    try {
+      const { id } = req.params;
+      if (!isId(id)) return res.status(400).json({ error: "ID inválido" });
+      const status = req.query.status || "pending";
+      if (!["pending", "graded", "all"].includes(status))
+        return res
+          .status(400)
+          .json({ error: "status inválido (use pending, graded ou all)." });
+      const page = Math.max(parseInt(req.query.page) || 1, 1);
+      const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+
+      const assessment = await Assessment.findOne(
+        { _id: id, ...editableBy(req.user.uid) },
+        { questions: 1, rubrics: 1, blindGrading: 1 }
+      ).lean();
+      if (!assessment)
+        return res.status(404).json({ error: "Avaliação não encontrada." });
+      // Às cegas por configuração da avaliação ou a pedido de quem corrige
+      const blind = Boolean(
+        assessment.blindGrading || req.query.blind === "true"
+      );
+
+      let numbers = manualNumbers(await latestKey(id));
+      if (req.query.questionNumber !== undefined) {
+        const n = Number(req.query.questionNumber);
+        if (!numbers.includes(n))
+          return res
+            .status(400)
+            .json({ error: "Questão sem correção manual nesta avaliação." });
+        numbers = [n];
+      }
+
+      const itemMatch = {
+        "answers.questionNumber": { $in: numbers },
+        "answers.answer": { $nin: [null, ""] },
+      };
+      const graded = { $ifNull: ["$answers.manualGrade.gradedAt", false] };
+      const [counts, [found]] = await Promise.all([
+        StudentAnswer.aggregate([
+          { $match: { assessmentId: new mongoose.Types.ObjectId(id) } },
+          { $unwind: "$answers" },
+          { $match: itemMatch },
+          {
+            $group: {
+              _id: "$answers.questionNumber",
+              pending: { $sum: { $cond: [graded, 0, 1] } },
+              graded: { $sum: { $cond: [graded, 1, 0] } },
+            },
+          },
+        ]),
+        StudentAnswer.aggregate([
+          { $match: { assessmentId: new mongoose.Types.ObjectId(id) } },
+          { $unwind: "$answers" },
+          {
+            $match: {
+              ...itemMatch,
+              ...(status !== "all" && {
+                "answers.manualGrade.gradedAt": {
+                  $exists: status === "graded",
+                },
+              }),
+            },
+          },
+          { $sort: { "answers.questionNumber": 1, createdAt: 1, _id: 1 } },
+          {
+            $facet: {
+              items: [{ $skip: (page - 1) * limit }, { $limit: limit }],
+              total: [{ $count: "n" }],
+            },
+          },
+        ]),
+      ]);
+
+      const countsBy = new Map(counts.map((c) => [c._id, c]));
+      const rubrics = new Map(
+        (assessment.rubrics || []).map((r) => [r.questionNumber, r])
+      );
+      const total = found.total[0]?.n || 0;
+      res.json({
+        blind,
+        questions: numbers.map((number) => {
+          const q = assessment.questions.find((x) => x.number === number);
+          return {
+            questionNumber: number,
+            subject: q?.subject,
+            statement: q?.statement,
+            contentFormat: q?.contentFormat || "text",
+            rubric: rubrics.get(number) || null,
+            pending: countsBy.get(number)?.pending || 0,
+            graded: countsBy.get(number)?.graded || 0,
+          };
+        }),
+        items: found.items.map((sub) => queueEntry(sub, sub.answers, blind)),
+        total,
+        page,
+        pages: Math.max(Math.ceil(total / limit), 1),
+      });
+    } catch (e) {
+      console.error(e);
+      res.status(500).json({ error: "Erro ao carregar a fila de correção." });
+    }
+  }
+);
+
+// Correção manual de uma resposta aberta (?blind=true como na fila):
+// { questionNumber, isCorrect | score (0–1) | criteria: [{ criterionId, points }], comment }
+router.post(
+  "/student-answers/:id/manual-grade",
+  auth,
+  onlyProfessor,
+  async (req, res) => {
+    try {
+      const { id } = req.params;
+      const questionNumber = Number(req.body.questionNumber);
+      if (!isId(id) || !Number.isInteger(questionNumber))
+        return res.status(400).json({ error: "Dados inválidos." });
+      const sub = await StudentAnswer.findById(id);
+      const assessment =
+        sub &&
+        (await Assessment.findOne(
+          { _id: sub.assessmentId, ...editableBy(req.user.uid) },
+          { rubrics: 1, blindGrading: 1, questions: 1, grading: 1 }
+        ).lean());
+      if (!assessment)
+        return res.status(404).json({ error: "Respostas não encontradas." });
+
+      const key = await latestKey(sub.assessmentId);
+      const keyItem = key?.answers.find(
+        (k) => k.questionNumber === questionNumber
+      );
+      if (typeOf(keyItem) !== "open")
+        return res.status(409).json({
+          error: "Só respostas abertas são corrigidas manualmente.",
+        });
+      const item = sub.answers.find((a) => a.questionNumber === questionNumber);
+      if (!item?.answer)
+        return res
+          .status(400)
+          .json({ error: "Questão em branco para este aluno." });
+
+      const rubric = (assessment.rubrics || []).find(
+        (r) => r.questionNumber === questionNumber
+      );
+      const { grade, error } = manualGradeFrom(req.body, rubric);
+      if (error) return res.status(400).json({ error });
+
+      const previous = item.manualGrade?.gradedAt
+        ? item.manualGrade.toObject()
+        : undefined;
+      item.manualGrade = {
+        ...grade,
+        gradedBy: req.user.uid,
+        gradedAt: new Date(),
+      };
+      // Anulada continua valendo para todos
+      item.isCorrect = keyItem.annulled ? true : grade.isCorrect;
+      item.score = keyItem.annulled ? undefined : grade.score;
+      // A nota final da submissão acompanha a correção
+      sub.grade = {
+        ...computeGrade(assessment, key, sub.answers),
+        computedAt: new Date(),
+      };
+      await sub.save();
+      await ManualGradeLog.create({
+        assessmentId: sub.assessmentId,
+        studentAnswerId: sub._id,
+        questionNumber,
+        previous,
+        grade: item.manualGrade,
+      });
+      res.json(
+        queueEntry(
+          sub,
+          item,
+          Boolean(assessment.blindGrading || req.query.blind === "true")
+        )
+      );
+    } catch (e) {
+      console.error(e);
+      res.status(500).json({ error: "Não foi possível registrar a correção." });
+    }
+  }
+);
+
+// Histórico das notas manuais de uma resposta (?questionNumber=)
+router.get(
+  "/student-answers/:id/manual-grades",
+  auth,
+  onlyProfessor,
+  async (req, res) => {
+    try {
+      const { id } = req.params;
+      if (!isId(id)) return res.status(400).json({ error: "ID inválido" });
+      const sub = await StudentAnswer.findById(id, { assessmentId: 1 }).lean();
+      const assessment =
+        sub &&
+        (await Assessment.exists({
+          _id: sub.assessmentId,
+          ...editableBy(req.user.uid),
+        }));
+      if (!assessment)
+        return res.status(404).json({ error: "Respostas não encontradas." });
+
+      const filter = { studentAnswerId: id };
+      if (req.query.questionNumber !== undefined)
+        filter.questionNumber = Number(req.query.questionNumber);
+      const items = await ManualGradeLog.find(filter)
+        .sort({ createdAt: -1 })
+        .populate("grade.gradedBy", "name email")
+        .lean();
+      res.json({ items });
+    } catch (e) {
+      console.error(e);
+      res.status(500).json({ error: "Erro ao carregar o histórico." });
+    }
+  }
+);
+
+router.get(
+  "/assessments/:id/rubrics",
+  auth,
+  onlyProfessor,
+  async (req, res) => {
+    try {
+      const { id } = req.params;
+      if (!isId(id)) return res.status(400).json({ error: "ID inválido" });
+      const assessment = await Assessment.findOne(
+        { _id: id, ...readableBy(req.user.uid) },
+        { rubrics: 1 }
+      ).lean();
+      if (!assessment)
+        return res.status(404).json({ error: "Avaliação não encontrada." });
+      res.json({ items: assessment.rubrics || [] });
+    } catch (e) {
+      console.error(e);
+      res.status(500).json({ error: "Erro ao listar rubricas." });
+    }
+  }
+);
+
+// PUT { criteria: [{ id?, title, description, points }] } — cria ou substitui
+// a rubrica da questão. Notas já dadas guardam os critérios da época.
+router.put(
+  "/assessments/:id/rubrics/:number",
+  auth,
+  onlyProfessor,
+  async (req, res) => {
+    try {
+      const { id } = req.params;
+      const number = Number(req.params.number);
+      if (!isId(id) || !Number.isInteger(number))
+        return res.status(400).json({ error: "ID inválido" });
+      const assessment = await Assessment.findOne({
+        _id: id,
+        ...editableBy(req.user.uid),
+      });
+      if (!assessment)
+        return res.status(404).json({ error: "Avaliação não encontrada." });
+      if (!assessment.questions.some((q) => q.number === number))
+        return res.status(404).json({ error: "Questão não encontrada." });
+
+      const current = assessment.rubrics.find(
+        (r) => r.questionNumber === number
+      );
+      const { criteria, error } = rubricCriteria(
+        req.body.criteria,
+        current?.criteria
+      );
+      if (error) return res.status(400).json({ error });
+
+      const rubric = {
+        questionNumber: number,
+        criteria,
+        updatedBy: req.user.uid,
+        updatedAt: new Date(),
+      };
+      assessment.rubrics = [
+        ...assessment.rubrics.filter((r) => r.questionNumber !== number),
+        rubric,
+      ].sort((a, b) => a.questionNumber - b.questionNumber);
+      await assessment.save();
+      res.json(assessment.rubrics.find((r) => r.questionNumber === number));
+    } catch (e) {
+      console.error(e);
+      res.status(500).json({ error: "Não foi possível salvar a rubrica." });
+    }
+  }
+);
+
+router.delete(
+  "/assessments/:id/rubrics/:number",
+  auth,
+  onlyProfessor,
+  async (req, res) => {
+    try {
+      const { id } = req.params;
+      const number = Number(req.params.number);
+      if (!isId(id) || !Number.isInteger(number))
+        return res.status(400).json({ error: "ID inválido" });
+      const result = await Assessment.updateOne(
+        { _id: id, ...editableBy(req.user.uid) },
+        { $pull: { rubrics: { questionNumber: number } } }
+      );
+      if (!result.matchedCount)
+        return res.status(404).json({ error: "Avaliação não encontrada." });
+      res.json({ ok: true });
+    } catch (e) {
+      console.error(e);
+      res.status(500).json({ error: "Não foi possível remover a rubrica." });
+    }
+  }
+);
+
+module.exports = { router };
@@ -0,0 +1,242 @@
+// src/routes/media.js
+// Mídia das questões (upload e download) e resolução de imagens para os
+// exportadores e para o conteúdo rico renderizado.
+
+const express = require("express");
+const crypto = require("crypto");
+
+const { imageInfo } = require("../exporters/images");
+const { CONTENT_FORMATS, renderContent } = require("../lib/richContent");
+const { createMediaStore } = require("../lib/mediaStore");
+
+const { Assessment, Question, QuestionRevision, Media } = require("../models");
+const {
+  BASE_URL,
+  auth,
+  onlyProfessor,
+  isId,
+  LETTERS,
+  singleFile,
+} = require("../helpers");
+
+const router = express.Router();
+
+// Um backend por tipo: registros antigos continuam legíveis se MEDIA_STORE mudar
+const mediaStores = {};
+const storeFor = (kind) =>
+  (mediaStores[kind] = mediaStores[kind] || createMediaStore({ kind }));
+const mediaStore = storeFor(process.env.MEDIA_STORE || "disk");
+const mediaFile = singleFile(5);
+const MEDIA_TYPES = { png: "image/png", jpg: "image/jpeg" };
+
+const mediaJson = (m) => ({
+  _id: m._id,
+  url: `/media/${m._id}`,
+  fileName: m.fileName,
+  contentType: m.contentType,
+  size: m.size,
+  width: m.width,
+  height: m.height,
+  createdAt: m.createdAt,
+});
+
+// Bytes de "/media/<id>" (ou BASE_URL/media/<id>); null para outras URLs
+async function resolveMedia(src) {
+  const m = /^(?:\/|.*?\/\/[^/]+\/)media\/([a-f0-9]{24})$/.exec(String(src));
+  if (!m || !(src.startsWith("/") || src.startsWith(`${BASE_URL}/`)))
+    return null;
+  const media = await Media.findById(m[1]).lean();
+  return media ? storeFor(media.storage).get(media.key) : null;
+}
+const imageResolvers = [resolveMedia];
+
+/**
+ * Figuras do próprio sistema viram data: URI (em images e nas <img> do
+ * HTML), para o arquivo exportado não depender do servidor.
+ */
+async function inlineMedia(questions) {
+  const cache = new Map();
+  const dataUri = async (src) => {
+    if (!cache.has(src)) {
+      const data = await resolveMedia(src);
+      const info = data && imageInfo(data);
+      cache.set(
+        src,
+        info
+          ? `data:${MEDIA_TYPES[info.type]};base64,${data.toString("base64")}`
+          : src
+      );
+    }
+    return cache.get(src);
+  };
+  const inHtml = async (html) => {
+    let out = String(html ?? "");
+    for (const [, src] of out.matchAll(/src="(\/media\/[a-f0-9]{24})"/g))
+      out = out.split(`src="${src}"`).join(`src="${await dataUri(src)}"`);
+    return out;
+  };
+  for (const q of questions) {
+    q.images = await Promise.all((q.images || []).map(dataUri));
+    if (q.contentFormat !== "html") continue;
+    q.statement = await inHtml(q.statement);
+    for (const l of LETTERS)
+      if (q.options?.[l]) q.options[l] = await inHtml(q.options[l]);
+  }
+  return questions;
+}
+
+// POST /media (multipart: file) — figura PNG/JPEG até 5 MB.
+// A mesma figura enviada de novo pelo mesmo dono devolve o registro existente.
+router.post("/media", auth, onlyProfessor, mediaFile, async (req, res) => {
+  try {
+    if (!req.file)
+      return res
+        .status(400)
+        .json({ error: "Envie a figura (PNG ou JPEG) no campo 'file'." });
+    const info = imageInfo(req.file.buffer);
+    if (!info)
+      return res
+        .status(400)
+        .json({ error: "Formato não suportado: envie PNG ou JPEG." });
+
+    const sha256 = crypto
+      .createHash("sha256")
+      .update(req.file.buffer)
+      .digest("hex");
+    const existing = await Media.findOne({
+      ownerId: req.user.uid,
+      sha256,
+    }).lean();
+    if (existing) return res.json(mediaJson(existing));
+
+    const contentType = MEDIA_TYPES[info.type];
+    const fileName = req.file.originalname || `figura.${info.type}`;
+    const key = await mediaStore.put(req.file.buffer, {
+      sha256,
+      contentType,
+      fileName,
+    });
+    const media = await Media.create({
+      ownerId: req.user.uid,
+      fileName,
+      contentType,
+      size: req.file.size,
+      width: info.width,
+      height: info.height,
+      sha256,
+      storage: mediaStore.name,
+      key,
+    });
+    res.status(201).json(mediaJson(media));
+  } catch (e) {
+    console.error("Erro upload de mídia:", e);
+    res.status(500).json({ error: "Não foi possível salvar a figura." });
+  }
+});
+
+// Figuras do usuário (mais recentes primeiro)
+router.get("/media", auth, onlyProfessor, async (req, res) => {
+  try {
+    const pg = Math.max(parseInt(req.query.page) || 1, 1);
+    const lim = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+    const filter = { ownerId: req.user.uid };
+    const [items, total] = await Promise.all([
+      Media.find(filter)
+        .sort({ createdAt: -1 })
+        .skip((pg - 1) * lim)
+        .limit(lim)
+        .lean(),
+      Media.countDocuments(filter),
+    ]);
+    res.json({
+      items: items.map(mediaJson),
+      total,
+      page: pg,
+      pages: Math.max(Math.ceil(total / lim), 1),
+    });
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ error: "Erro ao listar figuras." });
+  }
+});
+
+// Pública: as figuras aparecem no formulário online e em arquivos exportados
+router.get("/media/:id", async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!isId(id)) return res.status(400).json({ error: "ID inválido" });
+    const media = await Media.findById(id).lean();
+    if (!media)
+      return res.status(404).json({ error: "Figura não encontrada." });
+    const data = await storeFor(media.storage).get(media.key);
+    if (!data)
+      return res
+        .status(404)
+        .json({ error: "Arquivo da figura não encontrado." });
+    // Conteúdo imutável (id novo a cada envio)
+    res.setHeader("Content-Type", media.contentType);
+    res.setHeader("Cache-Control", "public, max-age=31536000, immutable");
+    res.setHeader("ETag", `"${media.sha256}"`);
+    res.send(data);
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ error: "Erro ao carregar figura." });
+  }
+});
+
+// Só o dono apaga, e só se nenhuma questão, revisão ou avaliação usa a figura
+router.delete("/media/:id", auth, onlyProfessor, async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!isId(id)) return res.status(400).json({ error: "ID inválido" });
+    const media = await Media.findOne({ _id: id, ownerId: req.user.uid });
+    if (!media)
+      return res.status(404).json({ error: "Figura não encontrada." });
+
+    const url = `/media/${media._id}`;
+    // Proposições: { text } no banco e nas revisões, texto na avaliação
+    const usedBy = (prefix, propositions) => ({
+      $or: [
+        { [`${prefix}images`]: { $regex: `${url}$` } },
+        { [`${prefix}statement`]: { $regex: url } },
+        { [propositions]: { $regex: url } },
+        ...LETTERS.map((l) => ({ [`${prefix}options.${l}`]: { $regex: url } })),
+      ],
+    });
+    // Revisões antigas voltam com o rollback: a figura precisa continuar lá
+    const [inQuestion, inRevision, inAssessment] = await Promise.all([
+      Question.exists(usedBy("", "propositions.text")),
+      QuestionRevision.exists(usedBy("content.", "content.propositions.text")),
+      Assessment.exists(usedBy("questions.", "questions.propositions")),
+    ]);
+    if (inQuestion || inRevision || inAssessment)
+      return res.status(409).json({
+        error: "A figura está em uso em questões, revisões ou avaliações.",
+      });
+
+    await media.deleteOne();
+    // No disco o arquivo é compartilhado por registros com o mesmo conteúdo
+    const shared = await Media.exists({
+      storage: media.storage,
+      key: media.key,
+    });
+    if (!shared) await storeFor(media.storage).remove(media.key);
+    res.json({ ok: true });
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ error: "Não foi possível remover a figura." });
+  }
+});
+
+// Pré-visualização do enunciado/alternativa como o aluno verá
+// body: { value, format: "text" | "html" }
+router.post("/content/preview", auth, onlyProfessor, (req, res) => {
+  const format = req.body.format || "text";
+  if (!CONTENT_FORMATS.includes(format))
+    return res
+      .status(400)
+      .json({ error: "format inválido (use text ou html)." });
+  res.json({ html: renderContent(req.body.value, format) });
+});
+
+module.exports = { router, imageResolvers, inlineMedia };
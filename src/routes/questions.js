@@ -0,0 +1,1565 @@
+// src/routes/questions.js
+// Banco de questões: CRUD, lixeira, revisões, status e comentários de
+// revisão, e importação/exportação nos formatos de src/formats.
+
+const express = require("express");
+const mongoose = require("mongoose");
+
+const { diffWords } = require("../lib/diff");
+const {
+  PROBABLE_DUPLICATE,
+  dedupeKeys,
+  shingles,
+  jaccard,
+} = require("../lib/dedupe");
+const questionFormats = require("../formats");
+const {
+  CONTENT_FORMATS,
+  sanitizeRich,
+  hasRichMarkup,
+  plainToHtml,
+  htmlToPlain,
+  normalizeContent,
+  isBlankContent,
+} = require("../lib/richContent");
+const {
+  QUESTION_TYPES,
+  typeOf,
+  answerFields,
+  answerError,
+} = require("../lib/questionTypes");
+
+const {
+  QUESTION_PEER_REVIEW,
+  QUESTION_STATUSES,
+  QUESTION_TRANSITIONS,
+  Question,
+  QuestionRevision,
+} = require("../models");
+const {
+  auth,
+  onlyProfessor,
+  isId,
+  editableBy,
+  questionReadableBy,
+  normalizeName,
+  escapeRegex,
+  LETTERS,
+  singleFile,
+  spreadsheetFile,
+  loadSpreadsheet,
+  rowErrors,
+  importOptions,
+} = require("../helpers");
+const { inlineMedia } = require("./media");
+
+const router = express.Router();
+
+// GET /questions?search=&subject=&difficulty=&exam=&year=&tag=&status=&type=&deleted=true&page=1&limit=10
+router.get("/questions", auth, onlyProfessor, async (req, res) => {
+  try {
+    const {
+      search = "",
+      subject = "",
+      difficulty = "",
+      exam = "",
+      year = "",
+      tag = "",
+      status = "",
+      type = "",
+      deleted = "",
+      page = 1,
+      limit = 10,
+    } = req.query;
+
+    // Lixeira: só as próprias questões excluídas
+    const q =
+      deleted === "true"
+        ? { ownerId: req.user.uid, deletedAt: { $ne: null } }
+        : questionReadableBy(req.user.uid);
+    if (subject) q.subject = { $regex: new RegExp(escapeRegex(subject), "i") };
+    if (difficulty) q.difficulty = difficulty;
+    if (exam) q.exam = exam;
+    if (year) q.year = Number(year);
+    if (tag) q.tags = { $in: [new RegExp(escapeRegex(tag), "i")] };
+    if (QUESTION_STATUSES.includes(status)) q.status = status;
+    // Questões anteriores aos tipos não têm o campo: escolha única
+    if (type === "choice") q.type = { $in: ["choice", null] };
+    else if (QUESTION_TYPES.includes(type)) q.type = type;
+
+    const pg = Math.max(parseInt(page) || 1, 1);
+    const lim = Math.min(Math.max(parseInt(limit) || 10, 1), 50);
+
+    let items, total;
+    if (search) {
+      // Busca textual por índice
+      const query = Question.find({ ...q, $text: { $search: search } })
+        .select({ score: { $meta: "textScore" } })
+        .sort({ score: { $meta: "textScore" } })
+        .skip((pg - 1) * lim)
+        .limit(lim)
+        .lean();
+      [items, total] = await Promise.all([
+        query,
+        Question.countDocuments({ ...q, $text: { $search: search } }),
+      ]);
+    } else {
+      [items, total] = await Promise.all([
+        Question.find(q)
+          .sort({ year: -1, createdAt: -1 })
+          .skip((pg - 1) * lim)
+          .limit(lim)
+          .lean(),
+        Question.countDocuments(q),
+      ]);
+    }
+
+    res.json({
+      items,
+      total,
+      page: pg,
+      pages: Math.max(Math.ceil(total / lim), 1),
+    });
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ error: "Erro ao buscar questões." });
+  }
+});
+
+// Criar nova questão no banco (somente professor)
+router.post("/questions", auth, onlyProfessor, async (req, res) => {
+  try {
+    const {
+      statement,
+      options,
+      correctAnswer,
+      subject,
+      difficulty,
+      exam,
+      year,
+      tags,
+      questionCode,
+      source,
+      license,
+      sourceUrl,
+      attribution,
+      images,
+      contentFormat = "text",
+      type = "choice",
+    } = req.body;
+
+    if (!CONTENT_FORMATS.includes(contentFormat))
+      return res
+        .status(400)
+        .json({ error: "contentFormat inválido (use text ou html)." });
+    if (!QUESTION_TYPES.includes(type))
+      return res.status(400).json({
+        error: `Tipo inválido (use ${QUESTION_TYPES.join(", ")}).`,
+      });
+    const content = {
+      statement: normalizeContent(statement, contentFormat),
+      options:
+        options &&
+        Object.fromEntries(
+          LETTERS.filter((l) => !isBlankContent(options[l], contentFormat)).map(
+            (l) => [l, normalizeContent(options[l], contentFormat)]
+          )
+        ),
+    };
+
+    if (
+      isBlankContent(content.statement, contentFormat) ||
+      (type === "choice" && (!options || !correctAnswer))
+    ) {
+      return res.status(400).json({
+        error: "Enunciado, alternativas e resposta correta são obrigatórios.",
+      });
+    }
+    const answer = answerFields(req.body, contentFormat);
+    const answerProblem = answerError({ ...content, ...answer, type });
+    if (answerProblem) return res.status(400).json({ error: answerProblem });
+
+    const q = await createQuestion({
+      ...content,
+      ...answer,
+      contentFormat,
+      type,
+      subject: subject || "Assunto",
+      difficulty: ["Fácil", "Médio", "Difícil"].includes(difficulty)
+        ? difficulty
+        : "Médio",
+      exam: ["ENEM", "ITA", "IME", "VESTIBULAR", "OUTRO"].includes(exam)
+        ? exam
+        : "OUTRO",
+      year: year ? Number(year) : new Date().getFullYear(),
+      tags: Array.isArray(tags) ? tags : [],
+      images: Array.isArray(images) ? images : [],
+      questionCode,
+      source: source || "Manual",
+      license: license || "",
+      sourceUrl: sourceUrl || "",
+      attribution: attribution || "",
+      ownerId: req.user.uid,
+    });
+
+    res.status(201).json(q);
+  } catch (e) {
+    console.error("Erro ao criar questão:", e);
+    res.status(500).json({ error: "Não foi possível salvar a questão." });
+  }
+});
+
+// Campos editáveis via PUT /questions/:id (mesmas regras do cadastro)
+const QUESTION_TEXT_FIELDS = [
+  "subject",
+  "questionCode",
+  "source",
+  "license",
+  "sourceUrl",
+  "attribution",
+];
+const QUESTION_CONTENT_FIELDS = [
+  "statement",
+  "contentFormat",
+  "type",
+  "options",
+  "correctAnswer",
+  "correctAnswers",
+  "propositions",
+  "numericAnswer",
+  "answerGuide",
+  "parameters",
+  "formula",
+  "images",
+];
+// Campos que mudam a resposta: PUT revalida a questão inteira
+const QUESTION_ANSWER_FIELDS = [
+  "type",
+  "options",
+  "correctAnswer",
+  "correctAnswers",
+  "propositions",
+  "numericAnswer",
+  "parameters",
+  "formula",
+];
+// current: questão atual (formato do conteúdo quando o corpo não informa)
+function questionUpdate(body, current) {
+  const update = {};
+  const currentFormat = current?.contentFormat || "text";
+  const format = body.contentFormat ?? currentFormat;
+  if (body.contentFormat !== undefined) {
+    if (!CONTENT_FORMATS.includes(body.contentFormat))
+      return { error: "contentFormat inválido (use text ou html)." };
+    update.contentFormat = body.contentFormat;
+  }
+  if (body.type !== undefined && !QUESTION_TYPES.includes(body.type))
+    return { error: "Tipo inválido." };
+  if (body.statement !== undefined) {
+    if (isBlankContent(body.statement, format))
+      return { error: "Enunciado obrigatório." };
+    update.statement = normalizeContent(body.statement, format);
+  }
+  if (body.options !== undefined) {
+    if (!body.options || typeof body.options !== "object")
+      return { error: "Alternativas inválidas." };
+    update.options = Object.fromEntries(
+      LETTERS.filter((l) => !isBlankContent(body.options[l], format)).map(
+        (l) => [l, normalizeContent(body.options[l], format)]
+      )
+    );
+    if (Object.keys(update.options).length < 2)
+      return { error: "Informe ao menos duas alternativas." };
+  }
+  // Troca de formato sem conteúdo novo: converte o que já existe
+  if (current && format !== currentFormat) {
+    const convert = format === "html" ? plainToHtml : htmlToPlain;
+    if (update.statement === undefined)
+      update.statement = convert(current.statement);
+    if (update.options === undefined && current.options)
+      update.options = Object.fromEntries(
+        LETTERS.filter((l) => current.options[l]).map((l) => [
+          l,
+          convert(current.options[l]),
+        ])
+      );
+    if (body.propositions === undefined && current.propositions?.length)
+      update.propositions = current.propositions.map((p) => ({
+        text: convert(p.text),
+        correct: p.correct,
+      }));
+  }
+  if (body.correctAnswer !== undefined && !LETTERS.includes(body.correctAnswer))
+    return { error: "Resposta correta inválida." };
+  Object.assign(update, answerFields(body, format));
+  if (body.difficulty !== undefined) {
+    if (!["Fácil", "Médio", "Difícil"].includes(body.difficulty))
+      return { error: "Dificuldade inválida." };
+    update.difficulty = body.difficulty;
+    update.difficultySource = "manual";
+  }
+  if (body.exam !== undefined) {
+    if (!["ENEM", "ITA", "IME", "VESTIBULAR", "OUTRO"].includes(body.exam))
+      return { error: "Exame inválido." };
+    update.exam = body.exam;
+  }
+  if (body.year !== undefined) {
+    const year = Number(body.year);
+    if (!Number.isInteger(year)) return { error: "Ano inválido." };
+    update.year = year;
+  }
+  if (body.tags !== undefined) {
+    if (!Array.isArray(body.tags)) return { error: "Tags inválidas." };
+    update.tags = body.tags.map((t) => String(t).trim()).filter(Boolean);
+  }
+  if (body.images !== undefined) {
+    if (!Array.isArray(body.images)) return { error: "Imagens inválidas." };
+    update.images = body.images.map(String);
+  }
+  for (const field of QUESTION_TEXT_FIELDS)
+    if (body[field] !== undefined) update[field] = String(body[field] ?? "");
+  return { update };
+}
+
+// Conteúdo versionado: o que o aluno vê + metadados editáveis
+const REVISION_FIELDS = [
+  ...QUESTION_CONTENT_FIELDS,
+  "difficulty",
+  "exam",
+  "year",
+  "tags",
+  ...QUESTION_TEXT_FIELDS,
+];
+const questionContent = (q) => ({
+  ...Object.fromEntries(REVISION_FIELDS.map((f) => [f, q[f]])),
+  // Revisões anteriores ao conteúdo rico/aos tipos: texto, escolha única
+  contentFormat: q.contentFormat || "text",
+  type: q.type || "choice",
+});
+
+// Revisão 1 das questões recém-criadas
+const createInitialRevisions = (questions, authorId) =>
+  QuestionRevision.insertMany(
+    questions.map((q) => ({
+      questionId: q._id,
+      revision: 1,
+      authorId,
+      reason: "create",
+      content: questionContent(q),
+    })),
+    { ordered: false }
+  );
+
+// Cadastro (POST /questions e seed): chaves de duplicata e revisão 1,
+// escrita pelo dono (nenhum nas questões públicas do seed)
+async function createQuestion(doc) {
+  const question = await Question.create({ ...doc, ...dedupeKeys(doc) });
+  await createInitialRevisions([question], doc.ownerId);
+  return question;
+}
+
+// Revisão N; a atual de questões sem histórico vem do próprio documento
+async function findRevision(question, revision) {
+  const doc = await QuestionRevision.findOne({
+    questionId: question._id,
+    revision,
+  })
+    .populate("authorId", "name email")
+    .lean();
+  if (doc) return doc;
+  if (revision !== question.revision) return null;
+  return {
+    questionId: question._id,
+    revision,
+    reason: "baseline",
+    changedFields: [],
+    content: questionContent(question),
+    createdAt: question.updatedAt,
+  };
+}
+
+/**
+ * Aplica `update` como nova revisão (PUT e rollback). Conteúdo de questão
+ * aprovada que muda volta para revisão. Se outra pessoa salvou antes,
+ * o save falha com DocumentNotFoundError.
+ */
+async function reviseQuestion(question, update, userId, extra = {}) {
+  const before = question.toObject();
+  question.set(update);
+  const after = question.toObject();
+  const changedFields = REVISION_FIELDS.filter(
+    (f) => JSON.stringify(before[f]) !== JSON.stringify(after[f])
+  );
+  if (!changedFields.length) return changedFields;
+  if (changedFields.some((f) => f === "statement" || f === "options"))
+    question.set(dedupeKeys(after));
+
+  // Questão sem histórico: o conteúdo anterior vira a revisão base
+  if (!(await QuestionRevision.exists({ questionId: question._id })))
+    await QuestionRevision.create({
+      questionId: question._id,
+      revision: before.revision,
+      authorId: before.ownerId,
+      reason: "baseline",
+      content: questionContent(before),
+      createdAt: before.updatedAt,
+    });
+
+  if (
+    QUESTION_PEER_REVIEW &&
+    question.status === "approved" &&
+    changedFields.some((f) => QUESTION_CONTENT_FIELDS.includes(f))
+  ) {
+    question.status = "review";
+    question.statusChangedAt = new Date();
+    question.statusChangedBy = userId;
+  }
+  question.revision = before.revision + 1;
+  question.$where = { revision: before.revision };
+  await question.save();
+  await QuestionRevision.create({
+    questionId: question._id,
+    revision: question.revision,
+    authorId: userId,
+    reason: extra.reason || "update",
+    rolledBackFrom: extra.rolledBackFrom,
+    changedFields,
+    content: questionContent(after),
+  });
+  return changedFields;
+}
+
+// Diferenças campo a campo; enunciado e alternativas também por palavra
+function diffContent(a, b) {
+  const changes = [];
+  const compare = (field, x = null, y = null) => {
+    if (JSON.stringify(x) === JSON.stringify(y)) return;
+    const change = { field, before: x, after: y };
+    if (field === "statement" || field.startsWith("options."))
+      change.segments = diffWords(x, y);
+    changes.push(change);
+  };
+  for (const f of REVISION_FIELDS) {
+    if (f === "options")
+      for (const l of LETTERS)
+        compare(`options.${l}`, a.options?.[l], b.options?.[l]);
+    else if (f === "contentFormat") compare(f, a[f] || "text", b[f] || "text");
+    else if (f === "type") compare(f, a[f] || "choice", b[f] || "choice");
+    else compare(f, a[f], b[f]);
+  }
+  return changes;
+}
+
+const REVISION_CONFLICT =
+  "A questão foi alterada por outra pessoa; recarregue e tente de novo.";
+
+router.get("/questions/:id", auth, onlyProfessor, async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!isId(id)) return res.status(400).json({ error: "ID inválido" });
+    const question = await Question.findOne({
+      _id: id,
+      ...questionReadableBy(req.user.uid),
+    })
+      .populate("reviewComments.authorId", "name email")
+      .lean();
+    if (!question)
+      return res.status(404).json({ error: "Questão não encontrada." });
+    res.json(question);
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ error: "Erro ao carregar questão." });
+  }
+});
+
+// PUT: atualização parcial; cada alteração vira uma revisão
+router.put("/questions/:id", auth, onlyProfessor, async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!isId(id)) return res.status(400).json({ error: "ID inválido" });
+    const question = await Question.findOne({
+      _id: id,
+      deletedAt: null,
+      ...editableBy(req.user.uid),
+    });
+    if (!question)
+      return res.status(404).json({ error: "Questão não encontrada." });
+    const { update, error } = questionUpdate(req.body, question);
+    if (error) return res.status(400).json({ error });
+
+    if (QUESTION_ANSWER_FIELDS.some((f) => update[f] !== undefined)) {
+      const problem = answerError({ ...question.toObject(), ...update });
+      if (problem) return res.status(400).json({ error: problem });
+    }
+
+    await reviseQuestion(question, update, req.user.uid);
+    res.json(question);
+  } catch (e) {
+    if (e instanceof mongoose.Error.DocumentNotFoundError)
+      return res.status(409).json({ error: REVISION_CONFLICT });
+    console.error(e);
+    res.status(500).json({ error: "Não foi possível atualizar a questão." });
+  }
+});
+
+// Exclusão lógica (somente o dono); avaliações já montadas não mudam
+router.delete("/questions/:id", auth, onlyProfessor, async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!isId(id)) return res.status(400).json({ error: "ID inválido" });
+    const question = await Question.findOneAndUpdate(
+      { _id: id, ownerId: req.user.uid, deletedAt: null },
+      { deletedAt: new Date(), deletedBy: req.user.uid }
+    );
+    if (!question)
+      return res.status(404).json({ error: "Questão não encontrada." });
+    res.json({ ok: true });
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ error: "Não foi possível excluir a questão." });
+  }
+});
+
+router.post("/questions/:id/restore", auth, onlyProfessor, async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!isId(id)) return res.status(400).json({ error: "ID inválido" });
+    const question = await Question.findOneAndUpdate(
+      { _id: id, ownerId: req.user.uid, deletedAt: { $ne: null } },
+      { $unset: { deletedAt: 1, deletedBy: 1 } },
+      { new: true }
+    );
+    if (!question)
+      return res.status(404).json({ error: "Questão não encontrada." });
+    res.json(question);
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ error: "Não foi possível restaurar a questão." });
+  }
+});
+
+// POST { status, comment? } — transições em QUESTION_TRANSITIONS
+router.post("/questions/:id/status", auth, onlyProfessor, async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!isId(id)) return res.status(400).json({ error: "ID inválido" });
+    const { status, comment } = req.body;
+    if (!QUESTION_STATUSES.includes(status))
+      return res.status(400).json({ error: "Status inválido." });
+
+    const question = await Question.findOne({
+      _id: id,
+      deletedAt: null,
+      ...editableBy(req.user.uid),
+    });
+    if (!question)
+      return res.status(404).json({ error: "Questão não encontrada." });
+    if (!QUESTION_TRANSITIONS[question.status].includes(status))
+      return res.status(409).json({
+        error: `Não é possível passar de "${question.status}" para "${status}".`,
+      });
+    // Com revisão por pares, a aprovação é de outro professor: nem o dono
+    // nem quem escreveu alguma revisão aprova a própria questão (admin pode)
+    if (
+      QUESTION_PEER_REVIEW &&
+      status === "approved" &&
+      req.user.role !== "admin"
+    ) {
+      const authored =
+        String(question.ownerId) === String(req.user.uid) ||
+        (await QuestionRevision.exists({
+          questionId: question._id,
+          authorId: req.user.uid,
+        }));
+      if (authored)
+        return res
+          .status(403)
+          .json({ error: "O autor não pode aprovar a própria questão." });
+    }
+
+    question.status = status;
+    question.statusChangedAt = new Date();
+    question.statusChangedBy = req.user.uid;
+    if (comment && String(comment).trim())
+      question.reviewComments.push({
+        authorId: req.user.uid,
+        text: String(comment).trim(),
+      });
+    await question.save();
+    res.json(question);
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ error: "Não foi possível mudar o status." });
+  }
+});
+
+// Comentários de revisão: qualquer professor que enxerga a questão
+router.post(
+  "/questions/:id/comments",
+  auth,
+  onlyProfessor,
+  async (req, res) => {
+    try {
+      const { id } = req.params;
+      if (!isId(id)) return res.status(400).json({ error: "ID inválido" });
+      const text = String(req.body.text || "").trim();
+      if (!text || text.length > 2000)
+        return res
+          .status(400)
+          .json({ error: "Comentário vazio ou muito longo (máx. 2000)." });
+
+      const question = await Question.findOneAndUpdate(
+        { _id: id, ...questionReadableBy(req.user.uid) },
+        { $push: { reviewComments: { authorId: req.user.uid, text } } },
+        { new: true, projection: { reviewComments: { $slice: -1 } } }
+      ).lean();
+      if (!question)
+        return res.status(404).json({ error: "Questão não encontrada." });
+      res.status(201).json(question.reviewComments[0]);
+    } catch (e) {
+      console.error(e);
+      res.status(500).json({ error: "Não foi possível comentar." });
+    }
+  }
+);
+
+// Marcar como resolvido: quem pode editar a questão
+router.post(
+  "/questions/:id/comments/:commentId/resolve",
+  auth,
+  onlyProfessor,
+  async (req, res) => {
+    try {
+      const { id, commentId } = req.params;
+      if (!isId(id) || !isId(commentId))
+        return res.status(400).json({ error: "ID inválido" });
+      const question = await Question.findOneAndUpdate(
+        {
+          _id: id,
+          deletedAt: null,
+          "reviewComments._id": commentId,
+          ...editableBy(req.user.uid),
+        },
+        {
+          "reviewComments.$.resolved": true,
+          "reviewComments.$.resolvedBy": req.user.uid,
+          "reviewComments.$.resolvedAt": new Date(),
+        },
+        { new: true }
+      ).lean();
+      if (!question)
+        return res.status(404).json({ error: "Comentário não encontrado." });
+      res.json(
+        question.reviewComments.find((c) => String(c._id) === commentId)
+      );
+    } catch (e) {
+      console.error(e);
+      res
+        .status(500)
+        .json({ error: "Não foi possível resolver o comentário." });
+    }
+  }
+);
+
+// Autor remove o próprio comentário
+router.delete(
+  "/questions/:id/comments/:commentId",
+  auth,
+  onlyProfessor,
+  async (req, res) => {
+    try {
+      const { id, commentId } = req.params;
+      if (!isId(id) || !isId(commentId))
+        return res.status(400).json({ error: "ID inválido" });
+      // O filtro acha o comentário do autor: updatedAt sempre muda, então
+      // modifiedCount não diz se algo foi removido
+      const mine = { _id: commentId, authorId: req.user.uid };
+      const result = await Question.updateOne(
+        {
+          _id: id,
+          ...questionReadableBy(req.user.uid),
+          reviewComments: { $elemMatch: mine },
+        },
+        { $pull: { reviewComments: mine } }
+      );
+      if (!result.matchedCount)
+        return res.status(404).json({ error: "Comentário não encontrado." });
+      res.json({ ok: true });
+    } catch (e) {
+      console.error(e);
+      res.status(500).json({ error: "Não foi possível remover o comentário." });
+    }
+  }
+);
+
+// Histórico: GET → { current, items } (sem o conteúdo)
+router.get(
+  "/questions/:id/revisions",
+  auth,
+  onlyProfessor,
+  async (req, res) => {
+    try {
+      const { id } = req.params;
+      if (!isId(id)) return res.status(400).json({ error: "ID inválido" });
+      const question = await Question.findOne(
+        { _id: id, ...questionReadableBy(req.user.uid) },
+        { revision: 1 }
+      ).lean();
+      if (!question)
+        return res.status(404).json({ error: "Questão não encontrada." });
+      const items = await QuestionRevision.find(
+        { questionId: id },
+        { content: 0 }
+      )
+        .sort({ revision: -1 })
+        .populate("authorId", "name email")
+        .lean();
+      res.json({ current: question.revision, items });
+    } catch (e) {
+      console.error(e);
+      res.status(500).json({ error: "Erro ao listar revisões." });
+    }
+  }
+);
+
+// GET ?from=1&to=3 (to padrão = revisão atual)
+router.get(
+  "/questions/:id/revisions/diff",
+  auth,
+  onlyProfessor,
+  async (req, res) => {
+    try {
+      const { id } = req.params;
+      if (!isId(id)) return res.status(400).json({ error: "ID inválido" });
+      const question = await Question.findOne({
+        _id: id,
+        ...questionReadableBy(req.user.uid),
+      }).lean();
+      if (!question)
+        return res.status(404).json({ error: "Questão não encontrada." });
+
+      const from = parseInt(req.query.from);
+      const to = req.query.to ? parseInt(req.query.to) : question.revision;
+      if (!Number.isInteger(from) || !Number.isInteger(to))
+        return res
+          .status(400)
+          .json({ error: "Informe as revisões from e to." });
+      const [a, b] = await Promise.all([
+        findRevision(question, from),
+        findRevision(question, to),
+      ]);
+      if (!a || !b)
+        return res.status(404).json({ error: "Revisão não encontrada." });
+      res.json({ from, to, changes: diffContent(a.content, b.content) });
+    } catch (e) {
+      console.error(e);
+      res.status(500).json({ error: "Erro ao comparar revisões." });
+    }
+  }
+);
+
+router.get(
+  "/questions/:id/revisions/:revision",
+  auth,
+  onlyProfessor,
+  async (req, res) => {
+    try {
+      const { id } = req.params;
+      const revision = parseInt(req.params.revision);
+      if (!isId(id) || !Number.isInteger(revision))
+        return res.status(400).json({ error: "ID inválido" });
+      const question = await Question.findOne({
+        _id: id,
+        ...questionReadableBy(req.user.uid),
+      }).lean();
+      if (!question)
+        return res.status(404).json({ error: "Questão não encontrada." });
+      const doc = await findRevision(question, revision);
+      if (!doc)
+        return res.status(404).json({ error: "Revisão não encontrada." });
+      res.json(doc);
+    } catch (e) {
+      console.error(e);
+      res.status(500).json({ error: "Erro ao carregar revisão." });
+    }
+  }
+);
+
+// POST { revision } — o conteúdo antigo volta como uma nova revisão
+router.post(
+  "/questions/:id/rollback",
+  auth,
+  onlyProfessor,
+  async (req, res) => {
+    try {
+      const { id } = req.params;
+      const revision = parseInt(req.body.revision);
+      if (!isId(id) || !Number.isInteger(revision))
+        return res.status(400).json({ error: "Revisão inválida." });
+      const question = await Question.findOne({
+        _id: id,
+        deletedAt: null,
+        ...editableBy(req.user.uid),
+      });
+      if (!question)
+        return res.status(404).json({ error: "Questão não encontrada." });
+      if (revision === question.revision)
+        return res.status(400).json({ error: "Esta já é a revisão atual." });
+      const target = await findRevision(question, revision);
+      if (!target)
+        return res.status(404).json({ error: "Revisão não encontrada." });
+
+      const changedFields = await reviseQuestion(
+        question,
+        questionContent(target.content),
+        req.user.uid,
+        { reason: "rollback", rolledBackFrom: revision }
+      );
+      if (!changedFields.length)
+        return res
+          .status(400)
+          .json({ error: "O conteúdo já é igual ao da revisão escolhida." });
+      res.json(question);
+    } catch (e) {
+      if (e instanceof mongoose.Error.DocumentNotFoundError)
+        return res.status(409).json({ error: REVISION_CONFLICT });
+      console.error(e);
+      res.status(500).json({ error: "Não foi possível restaurar a revisão." });
+    }
+  }
+);
+
+/**
+ * Importação idempotente, usada por /questions/bulk e /questions/import/adapt.
+ * entries: [{ index, doc }] já normalizados. Para cada item:
+ *  - mesma origem (questionCode/sourceUrl) do mesmo dono → atualiza (revisão)
+ *  - mesmo conteúdo normalizado → duplicata (não insere)
+ *  - conteúdo parecido (Jaccard ≥ PROBABLE_DUPLICATE) → provável duplicata
+ *    (só insere com allowProbable)
+ * dryRun: só monta o relatório.
+ */
+async function importQuestions(entries, userId, { dryRun, allowProbable }) {
+  const items = [];
+  const pending = []; // inseridos neste lote (para comparar entre si)
+
+  for (const { index, doc } of entries) {
+    const keys = dedupeKeys(doc);
+    const docShingles = shingles(doc);
+
+    const origin = [
+      doc.questionCode && { questionCode: doc.questionCode },
+      doc.sourceUrl && { sourceUrl: doc.sourceUrl },
+    ].filter(Boolean);
+    const existing =
+      origin.length &&
+      (await Question.findOne({
+        ownerId: userId,
+        deletedAt: null,
+        $or: origin,
+      }));
+    if (existing) {
+      const update = Object.fromEntries(
+        Object.entries(questionContent(doc)).filter(([, v]) => v !== undefined)
+      );
+      const current = existing.toObject();
+      const changedFields = dryRun
+        ? Object.keys(update).filter(
+            (f) => JSON.stringify(current[f]) !== JSON.stringify(update[f])
+          )
+        : await reviseQuestion(existing, update, userId);
+      items.push({
+        index,
+        status: changedFields.length ? "updated" : "unchanged",
+        questionId: existing._id,
+        changedFields,
+      });
+      continue;
+    }
+
+    const sameInBatch = pending.find(
+      (p) => p.doc.contentHash === keys.contentHash
+    );
+    const same =
+      sameInBatch ||
+      (await Question.findOne(
+        { contentHash: keys.contentHash, ...questionReadableBy(userId) },
+        { _id: 1 }
+      ).lean());
+    if (same) {
+      items.push({
+        index,
+        status: "duplicate",
+        ...(sameInBatch
+          ? { duplicateOfIndex: sameInBatch.index }
+          : { existingId: same._id }),
+      });
+      continue;
+    }
+
+    const candidates = await Question.find(
+      { lshBands: { $in: keys.lshBands }, ...questionReadableBy(userId) },
+      { statement: 1, options: 1 }
+    )
+      .limit(50)
+      .lean();
+    let similar = null;
+    for (const c of [...candidates, ...pending]) {
+      const similarity = jaccard(docShingles, c.shingles || shingles(c));
+      if (!similar || similarity > similar.similarity)
+        similar = { similarity, match: c };
+    }
+    if (similar && similar.similarity >= PROBABLE_DUPLICATE) {
+      const ref = similar.match.doc
+        ? { similarToIndex: similar.match.index }
+        : { similarTo: similar.match._id };
+      const similarity = Math.round(similar.similarity * 100) / 100;
+      if (!allowProbable) {
+        items.push({ index, status: "probable-duplicate", similarity, ...ref });
+        continue;
+      }
+      items.push({ index, status: "inserted", similarity, ...ref });
+    } else {
+      items.push({ index, status: "inserted" });
+    }
+    pending.push({
+      index,
+      doc: { ...doc, ...keys },
+      shingles: docShingles,
+      statement: doc.statement,
+      options: doc.options,
+      item: items[items.length - 1],
+    });
+  }
+
+  if (!dryRun && pending.length) {
+    // _id definido antes: o resultado é casado pelo id, não pela posição
+    // (com ordered: false, uma falha desloca os índices dos inseridos)
+    for (const p of pending) p.doc._id = new mongoose.Types.ObjectId();
+    let inserted;
+    try {
+      inserted = await Question.insertMany(
+        pending.map((p) => p.doc),
+        { ordered: false }
+      );
+    } catch (e) {
+      if (!e.insertedDocs) throw e;
+      console.error("Importação com falhas:", e.message);
+      inserted = e.insertedDocs;
+    }
+    await createInitialRevisions(inserted, userId);
+    const ids = new Set(inserted.map((q) => String(q._id)));
+    for (const p of pending) {
+      if (ids.has(String(p.doc._id))) p.item.questionId = p.doc._id;
+      else
+        Object.assign(p.item, {
+          status: "failed",
+          errors: ["Não foi possível gravar a questão."],
+        });
+    }
+  }
+
+  const count = (status) => items.filter((it) => it.status === status).length;
+  return {
+    dryRun: Boolean(dryRun),
+    inserted: count("inserted"),
+    updated: count("updated"),
+    unchanged: count("unchanged"),
+    duplicates: count("duplicate"),
+    probableDuplicates: count("probable-duplicate"),
+    failed: count("failed"),
+    items,
+  };
+}
+
+// Itens inválidos ({ index, errors }) entram no relatório com os motivos
+// (skipped mantém o formato antigo)
+const withInvalid = (report, invalid) => ({
+  ...report,
+  skipped: invalid.length,
+  items: [
+    ...report.items,
+    ...invalid.map(({ index, errors }) => ({
+      index,
+      status: "invalid",
+      errors,
+    })),
+  ].sort((a, b) => a.index - b.index),
+});
+// Acrescenta a cada item do relatório dados da entrada (linha, avisos...)
+const annotateItems = (report, extra) => ({
+  ...report,
+  items: report.items.map((it) => ({ ...it, ...extra(it) })),
+});
+
+const DIFFICULTIES = ["Fácil", "Médio", "Difícil"];
+const EXAMS = ["ENEM", "ITA", "IME", "VESTIBULAR", "OUTRO"];
+
+// Lista em texto ("a; b, c") ou array
+const splitList = (v, sep = /[;,]/) =>
+  (Array.isArray(v) ? v : String(v ?? "").split(sep))
+    .map((s) => String(s).trim())
+    .filter(Boolean);
+
+/**
+ * Validação comum das importações (bulk, formatos e planilhas).
+ * Retorna { doc, warnings } pronto para importQuestions ou
+ * { errors, warnings }. Dificuldade/banca desconhecidas usam o padrão,
+ * com aviso; sem acento/caixa também valem ("facil", "enem").
+ */
+function questionFromItem(it, ownerId) {
+  const errors = [];
+  const warnings = [];
+
+  // contentFormat "html": enunciado/alternativas passam pela lista permitida
+  let contentFormat = String(it.contentFormat ?? "")
+    .trim()
+    .toLowerCase();
+  if (!contentFormat) contentFormat = "text";
+  else if (!CONTENT_FORMATS.includes(contentFormat)) {
+    errors.push(`contentFormat '${it.contentFormat}' é inválido`);
+    contentFormat = "text";
+  }
+  const content = (v) =>
+    normalizeContent(String(v ?? "").trim(), contentFormat, warnings);
+
+  const statement = content(it.statement);
+  if (isBlankContent(statement, contentFormat))
+    errors.push("statement é obrigatório");
+
+  const type =
+    String(it.type ?? "")
+      .trim()
+      .toLowerCase() || "choice";
+  if (!QUESTION_TYPES.includes(type))
+    errors.push(`type '${it.type}' é inválido`);
+
+  const options = {};
+  if (it.options && typeof it.options === "object") {
+    for (const l of LETTERS) {
+      const text = content(it.options[l]);
+      if (!isBlankContent(text, contentFormat)) options[l] = text;
+    }
+  }
+  const correctAnswer = String(it.correctAnswer ?? "")
+    .trim()
+    .toUpperCase();
+  // Demais tipos: mesmas regras do cadastro (lib/questionTypes)
+  const answer =
+    type === "choice"
+      ? {}
+      : answerFields(
+          { ...it, correctAnswer: undefined },
+          contentFormat,
+          warnings
+        );
+  if (type === "choice") {
+    if (Object.keys(options).length < 2)
+      errors.push("são necessárias ao menos duas alternativas (A–E)");
+    if (!correctAnswer) errors.push("correctAnswer é obrigatório");
+    else if (!LETTERS.includes(correctAnswer))
+      errors.push(`correctAnswer '${it.correctAnswer}' é inválido`);
+    else if (Object.keys(options).length >= 2 && !options[correctAnswer])
+      errors.push(
+        `correctAnswer '${correctAnswer}' aponta para alternativa vazia`
+      );
+  } else if (QUESTION_TYPES.includes(type)) {
+    const problem = answerError({ ...answer, statement, options, type });
+    if (problem) errors.push(problem);
+  }
+
+  const pick = (field, allowed, fallback) => {
+    const value = it[field];
+    if (value === undefined || value === null || value === "") return fallback;
+    const found = allowed.find(
+      (a) => normalizeName(a) === normalizeName(value)
+    );
+    if (!found)
+      warnings.push(`${field} '${value}' desconhecido; usado '${fallback}'`);
+    return found || fallback;
+  };
+  const difficulty = pick("difficulty", DIFFICULTIES, "Médio");
+  const exam = pick("exam", EXAMS, "OUTRO");
+
+  let year = new Date().getFullYear();
+  if (it.year !== undefined && it.year !== null && it.year !== "") {
+    year = Number(it.year);
+    if (!Number.isInteger(year) || year < 1900 || year > 2100)
+      errors.push(`year '${it.year}' é inválido`);
+  }
+
+  if (errors.length) return { errors, warnings: [...new Set(warnings)] };
+  return {
+    warnings: [...new Set(warnings)],
+    doc: {
+      statement,
+      contentFormat,
+      ...answer,
+      type,
+      options,
+      correctAnswer: type === "choice" ? correctAnswer : undefined,
+      subject: String(it.subject ?? "").trim() || "Assunto",
+      difficulty,
+      exam,
+      year,
+      tags: splitList(it.tags),
+      images: splitList(it.images, /\s+/),
+      questionCode: String(it.questionCode ?? "").trim() || undefined,
+      source: it.source || "Import",
+      license: it.license || "",
+      sourceUrl: it.sourceUrl || "",
+      attribution: it.attribution || "",
+      ownerId,
+    },
+  };
+}
+
+// Importar várias questões de uma vez (somente professor).
+// ?dryRun=true só relata; ?allowProbable=true insere prováveis duplicatas
+router.post("/questions/bulk", auth, onlyProfessor, async (req, res) => {
+  try {
+    const { items } = req.body;
+    if (!Array.isArray(items) || items.length === 0) {
+      return res
+        .status(400)
+        .json({ error: "Envie um array 'items' com questões." });
+    }
+
+    const docs = [];
+    const invalid = [];
+    const warnings = {};
+
+    for (const [index, it] of items.entries()) {
+      const result = questionFromItem(it || {}, req.user.uid);
+      if (result.warnings.length) warnings[index] = result.warnings;
+      if (result.errors) invalid.push({ index, errors: result.errors });
+      else docs.push({ index, doc: result.doc });
+    }
+
+    if (!docs.length)
+      return res.status(400).json({
+        error: "Nada válido para inserir.",
+        items: invalid.map((it) => ({ ...it, status: "invalid" })),
+      });
+
+    const report = await importQuestions(
+      docs,
+      req.user.uid,
+      importOptions(req)
+    );
+    res.json(
+      annotateItems(withInvalid(report, invalid), (it) =>
+        warnings[it.index] ? { warnings: warnings[it.index] } : {}
+      )
+    );
+  } catch (e) {
+    console.error("Bulk import error:", e.message);
+    res.status(500).json({ error: "Falha no import em massa." });
+  }
+});
+
+// ======== IMPORTAR DO LIBRETEXTS/ADAPT ========
+router.post(
+  "/questions/import/adapt",
+  auth,
+  onlyProfessor,
+  async (req, res) => {
+    try {
+      const { items } = req.body;
+      if (!Array.isArray(items) || items.length === 0) {
+        return res
+          .status(400)
+          .json({ error: "Envie 'items' (array) com questões." });
+      }
+
+      const htmlToText = (html) => {
+        if (!html) return "";
+        return String(html)
+          .replace(/<br\s*\/?>/gi, "\n")
+          .replace(/<\/p>/gi, "\n")
+          .replace(/<[^>]+>/g, "")
+          .replace(/&nbsp;/g, " ")
+          .replace(/&lt;/g, "<")
+          .replace(/&gt;/g, ">")
+          .replace(/&amp;/g, "&")
+          .replace(/\s+\n/g, "\n")
+          .replace(/\n{2,}/g, "\n")
+          .trim();
+      };
+
+      const normDifficulty = (d) =>
+        ["Fácil", "Médio", "Difícil"].includes(d) ? d : "Médio";
+      const safeExam = "OUTRO";
+
+      const docs = [];
+      const invalid = [];
+
+      for (const [index, it] of items.entries()) {
+        try {
+          const rawStatement = it.question || it.statement || it.prompt || "";
+          const rawAnswers = Array.isArray(it.answers)
+            ? it.answers
+            : it.options;
+          const answerHtml = (a) =>
+            a.text || a.html || a.value || a.label || "";
+
+          // Sobrescritos, fórmulas, tabelas...: guarda o HTML limpo
+          const contentFormat = [
+            rawStatement,
+            ...(Array.isArray(rawAnswers) ? rawAnswers.slice(0, 5) : []).map(
+              (a) => answerHtml(a || {})
+            ),
+          ].some((html) => hasRichMarkup(sanitizeRich(html)))
+            ? "html"
+            : "text";
+          const toContent = (html) =>
+            contentFormat === "html" ? sanitizeRich(html) : htmlToText(html);
+
+          const statement = toContent(rawStatement);
+          if (isBlankContent(statement, contentFormat)) {
+            invalid.push({ index, errors: ["statement é obrigatório"] });
+            continue;
+          }
+
+          if (!Array.isArray(rawAnswers) || rawAnswers.length === 0) {
+            invalid.push({ index, errors: ["answers é obrigatório"] });
+            continue;
+          }
+
+          const trimmed = rawAnswers
+            .slice(0, 5)
+            .map((a) => ({
+              text: toContent(answerHtml(a)),
+              correct: Boolean(a.is_correct || a.correct),
+            }))
+            .filter((a) => !isBlankContent(a.text, contentFormat));
+
+          if (trimmed.length < 2) {
+            invalid.push({
+              index,
+              errors: ["são necessárias ao menos duas alternativas"],
+            });
+            continue;
+          }
+
+          let correctIndex = trimmed.findIndex((a) => a.correct);
+          if (correctIndex < 0) correctIndex = 0;
+
+          const letters = ["A", "B", "C", "D", "E"];
+          const options = {};
+          for (let i = 0; i < trimmed.length && i < letters.length; i++) {
+            options[letters[i]] = trimmed[i].text;
+          }
+
+          const qdoc = {
+            statement,
+            contentFormat,
+            options,
+            correctAnswer: letters[correctIndex],
+            subject: (it.subject || "Assunto").trim(),
+            difficulty: normDifficulty(it.difficulty),
+            exam: safeExam,
+            year: it.year ? Number(it.year) : new Date().getFullYear(),
+            tags: Array.isArray(it.tags) ? it.tags : [],
+            questionCode: it.questionCode || it.code || "",
+            source: "LibreTexts/ADAPT",
+            license: it.license || "CC BY-NC-SA 4.0",
+            sourceUrl: it.url || it.sourceUrl || "",
+            attribution:
+              it.attribution ||
+              (it.title
+                ? `LibreTexts/ADAPT – ${it.title}`
+                : "LibreTexts/ADAPT"),
+            ownerId: req.user.uid,
+          };
+
+          docs.push({ index, doc: qdoc });
+        } catch {
+          invalid.push({ index, errors: ["item malformado"] });
+        }
+      }
+
+      if (docs.length === 0) {
+        return res.status(400).json({
+          error: "Nenhum item válido para importar.",
+          skipped: invalid.length,
+          items: invalid.map((it) => ({ ...it, status: "invalid" })),
+        });
+      }
+
+      const options = importOptions(req);
+      const report = await importQuestions(docs, req.user.uid, options);
+      res.status(options.dryRun ? 200 : 201).json(withInvalid(report, invalid));
+    } catch (e) {
+      console.error("Erro import/adapt:", e);
+      res.status(500).json({ error: "Falha ao importar do LibreTexts/ADAPT." });
+    }
+  }
+);
+
+// ======== PLANILHAS (.CSV / .XLSX) ========
+// Cabeçalhos reconhecidos (comparados sem acento, caixa e espaços); outros
+// nomes via mapping = JSON { campo: "Cabeçalho" }
+const QUESTION_COLUMNS = {
+  statement: ["enunciado", "questão", "pergunta"],
+  A: ["alternativa a", "opção a", "option a", "a)"],
+  B: ["alternativa b", "opção b", "option b", "b)"],
+  C: ["alternativa c", "opção c", "option c", "c)"],
+  D: ["alternativa d", "opção d", "option d", "d)"],
+  E: ["alternativa e", "opção e", "option e", "e)"],
+  correctAnswer: ["gabarito", "resposta", "resposta correta", "correta"],
+  subject: ["assunto", "disciplina", "matéria"],
+  difficulty: ["dificuldade", "nível"],
+  exam: ["banca", "exame", "vestibular"],
+  year: ["ano"],
+  tags: ["palavras-chave", "etiquetas"],
+  questionCode: ["código", "code", "id"],
+  source: ["fonte"],
+  license: ["licença"],
+  sourceUrl: ["url", "link"],
+  attribution: ["atribuição", "créditos", "autoria"],
+  images: ["imagens", "figuras"],
+  contentFormat: ["formato", "formato do conteúdo"],
+};
+
+// POST /questions/import/spreadsheet  (multipart: file, mapping?, sheet?)
+// Mesma validação e relatório do /questions/bulk, com a linha de cada item
+// e a lista "errors" ("linha 14: correctAnswer 'F' é inválido").
+router.post(
+  "/questions/import/spreadsheet",
+  auth,
+  onlyProfessor,
+  spreadsheetFile,
+  async (req, res) => {
+    try {
+      const loaded = await loadSpreadsheet(req, QUESTION_COLUMNS);
+      if (loaded.error)
+        return res
+          .status(loaded.status)
+          .json({ error: loaded.error, headers: loaded.headers });
+      const { columns, unmapped, rows } = loaded.value;
+      if (!columns.statement || !columns.correctAnswer)
+        return res.status(400).json({
+          error: "A planilha precisa das colunas de enunciado e gabarito.",
+          columns,
+          unmapped,
+        });
+
+      const docs = [];
+      const invalid = [];
+      const warnings = {};
+      rows.forEach(({ data }, index) => {
+        const result = questionFromItem(
+          {
+            ...data,
+            options: Object.fromEntries(LETTERS.map((l) => [l, data[l]])),
+            source: data.source || "Planilha",
+          },
+          req.user.uid
+        );
+        if (result.warnings.length) warnings[index] = result.warnings;
+        if (result.errors) invalid.push({ index, errors: result.errors });
+        else docs.push({ index, doc: result.doc });
+      });
+
+      // Índices → linhas da planilha (inclusive nas referências a duplicatas)
+      const rowOf = (index) => rows[index].row;
+      const rowDetails = (it) => ({
+        row: rowOf(it.index),
+        ...(it.duplicateOfIndex !== undefined && {
+          duplicateOfRow: rowOf(it.duplicateOfIndex),
+        }),
+        ...(it.similarToIndex !== undefined && {
+          similarToRow: rowOf(it.similarToIndex),
+        }),
+        ...(warnings[it.index] && { warnings: warnings[it.index] }),
+      });
+
+      if (!docs.length) {
+        const items = invalid.map((it) => ({
+          ...it,
+          status: "invalid",
+          ...rowDetails(it),
+        }));
+        return res.status(400).json({
+          error: "Nenhuma linha válida para importar.",
+          columns,
+          unmapped,
+          errors: rowErrors(items),
+          items,
+        });
+      }
+
+      const options = importOptions(req);
+      const report = annotateItems(
+        withInvalid(
+          await importQuestions(docs, req.user.uid, options),
+          invalid
+        ),
+        rowDetails
+      );
+      res.status(options.dryRun ? 200 : 201).json({
+        ...report,
+        columns,
+        unmapped,
+        errors: rowErrors(report.items),
+      });
+    } catch (e) {
+      console.error("Erro import de planilha:", e);
+      res.status(500).json({ error: "Falha ao importar a planilha." });
+    }
+  }
+);
+
+// ======== MOODLE XML / GIFT / QTI 2.1 ========
+// Arquivo no campo "file" (multipart) ou texto em body.content
+const formatFile = singleFile(20);
+
+// POST /questions/import/:format  (moodle | gift | qti)
+// Mesmo relatório do /questions/bulk; cada item traz title e warnings
+// (conversões com perda) e, se inválido, os motivos em errors.
+router.post(
+  "/questions/import/:format",
+  auth,
+  onlyProfessor,
+  formatFile,
+  async (req, res) => {
+    try {
+      const format = questionFormats[req.params.format];
+      if (!format)
+        return res.status(404).json({
+          error: `Formato desconhecido. Use: ${Object.keys(
+            questionFormats
+          ).join(", ")}.`,
+        });
+      const input = req.file ? req.file.buffer : req.body.content;
+      if (!input)
+        return res
+          .status(400)
+          .json({ error: "Envie o arquivo (campo 'file') ou 'content'." });
+
+      let parsed;
+      try {
+        parsed = await format.parse(
+          format.name === "qti" ? input : String(input)
+        );
+      } catch (e) {
+        return res
+          .status(400)
+          .json({ error: `Arquivo ${format.name} inválido: ${e.message}` });
+      }
+
+      const docs = [];
+      const invalid = [];
+      const warnings = parsed.map((it) => [...(it.warnings || [])]);
+      parsed.forEach((it, index) => {
+        if (it.error || !it.question)
+          return invalid.push({ index, errors: [it.error || "item vazio"] });
+        const result = questionFromItem(it.question, req.user.uid);
+        warnings[index].push(...result.warnings);
+        if (result.errors) invalid.push({ index, errors: result.errors });
+        else docs.push({ index, doc: result.doc });
+      });
+
+      if (!docs.length)
+        return res.status(400).json({
+          error: "Nenhum item válido para importar.",
+          items: invalid.map((it) => ({
+            ...it,
+            status: "invalid",
+            title: parsed[it.index].title,
+          })),
+        });
+
+      const options = importOptions(req);
+      const report = annotateItems(
+        withInvalid(
+          await importQuestions(docs, req.user.uid, options),
+          invalid
+        ),
+        (it) => ({
+          title: parsed[it.index].title,
+          warnings: warnings[it.index],
+        })
+      );
+      report.lossy = report.items.filter((it) => it.warnings.length).length;
+      res.status(options.dryRun ? 200 : 201).json(report);
+    } catch (e) {
+      console.error("Erro import de formato:", e);
+      res.status(500).json({ error: "Falha ao importar questões." });
+    }
+  }
+);
+
+// GET /questions/export/:format?ids=a,b&subject=&tag=&status=&report=true
+// Baixa o arquivo; ?report=true devolve só o relatório de perdas por item.
+router.get(
+  "/questions/export/:format",
+  auth,
+  onlyProfessor,
+  async (req, res) => {
+    try {
+      const format = questionFormats[req.params.format];
+      if (!format)
+        return res.status(404).json({
+          error: `Formato desconhecido. Use: ${Object.keys(
+            questionFormats
+          ).join(", ")}.`,
+        });
+
+      const { ids = "", subject = "", tag = "", status = "" } = req.query;
+      const q = questionReadableBy(req.user.uid);
+      if (ids) {
+        const list = String(ids).split(",").filter(Boolean);
+        if (!list.every(isId))
+          return res.status(400).json({ error: "ids inválidos." });
+        q._id = { $in: list };
+      }
+      if (subject)
+        q.subject = { $regex: new RegExp(escapeRegex(subject), "i") };
+      if (tag) q.tags = { $in: [new RegExp(escapeRegex(tag), "i")] };
+      if (QUESTION_STATUSES.includes(status)) q.status = status;
+
+      const questions = await Question.find(q)
+        .sort({ subject: 1, createdAt: 1 })
+        .limit(1000)
+        .lean();
+      if (!questions.length)
+        return res.status(404).json({ error: "Nenhuma questão encontrada." });
+
+      // Os conversores só representam escolha única; os outros tipos ficam
+      // fora do arquivo e aparecem no relatório
+      const supported = questions.filter((q) => typeOf(q) === "choice");
+      const { content, items } = await format.serialize(
+        await inlineMedia(supported)
+      );
+      for (const q of questions)
+        if (typeOf(q) !== "choice")
+          items.push({
+            questionId: q._id,
+            warnings: [`Tipo '${q.type}' não exportado neste formato.`],
+            skipped: true,
+          });
+      const lossy = items.filter((it) => it.warnings.length).length;
+      if (req.query.report === "true")
+        return res.json({
+          format: format.name,
+          total: items.length,
+          lossy,
+          items,
+        });
+
+      res.setHeader("Content-Type", format.contentType);
+      res.setHeader(
+        "Content-Disposition",
+        `attachment; filename="questoes.${format.extension}"`
+      );
+      res.setHeader("X-Export-Warnings", String(lossy));
+      res.send(content);
+    } catch (e) {
+      console.error("Erro export de formato:", e);
+      res.status(500).json({ error: "Falha ao exportar questões." });
+    }
+  }
+);
+
+module.exports = { router, createQuestion };
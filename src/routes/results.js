@@ -0,0 +1,241 @@
+// src/routes/results.js
+// Resultados das avaliações por aluno e por questão (agregações no MongoDB).
+
+const express = require("express");
+const mongoose = require("mongoose");
+
+const { typeOf } = require("../lib/questionTypes");
+
+const { Assessment, StudentAnswer } = require("../models");
+const {
+  auth,
+  onlyProfessor,
+  isId,
+  readableBy,
+  latestKey,
+} = require("../helpers");
+
+const router = express.Router();
+
+// Crédito do item (0–1): nota parcial da correção manual ou acerto
+const itemCredit = (item) => ({
+  $ifNull: [`${item}.score`, { $cond: [`${item}.isCorrect`, 1, 0] }],
+});
+
+// Nota/percentual/posição por aluno (rank requer MongoDB 5+).
+// correct soma os créditos; pendingGrades = abertas ainda sem correção.
+// percentage vem da nota gravada (pesos/descontos) quando existe
+function studentResultsPipeline(match, questionsCount) {
+  return [
+    { $match: match },
+    {
+      $project: {
+        studentName: 1,
+        studentId: 1,
+        classId: 1,
+        createdAt: 1,
+        grade: 1,
+        correct: {
+          $round: [
+            {
+              $sum: {
+                $map: { input: "$answers", in: itemCredit("$$this") },
+              },
+            },
+            2,
+          ],
+        },
+        pendingGrades: {
+          $size: {
+            $filter: {
+              input: "$answers",
+              cond: { $eq: [{ $ifNull: ["$$this.isCorrect", null] }, null] },
+            },
+          },
+        },
+      },
+    },
+    {
+      $addFields: {
+        total: questionsCount,
+        percentage: {
+          $round: [
+            {
+              $ifNull: [
+                "$grade.percentage",
+                {
+                  $multiply: [{ $divide: ["$correct", questionsCount] }, 100],
+                },
+              ],
+            },
+            1,
+          ],
+        },
+      },
+    },
+    {
+      $setWindowFields: {
+        sortBy: { percentage: -1 },
+        output: { rank: { $rank: {} } },
+      },
+    },
+    { $sort: { rank: 1, studentName: 1 } },
+  ];
+}
+
+// Acerto por assunto (usa o subject gravado em cada item)
+function subjectResultsPipeline(match) {
+  return [
+    { $match: match },
+    { $unwind: "$answers" },
+    {
+      $group: {
+        _id: { $ifNull: ["$answers.subject", "Assunto"] },
+        correct: { $sum: itemCredit("$answers") },
+        total: { $sum: 1 },
+      },
+    },
+    {
+      $project: {
+        _id: 0,
+        subject: "$_id",
+        correct: { $round: ["$correct", 2] },
+        total: 1,
+        accuracy: {
+          $round: [
+            { $multiply: [{ $divide: ["$correct", "$total"] }, 100] },
+            1,
+          ],
+        },
+      },
+    },
+    { $sort: { accuracy: 1, subject: 1 } },
+  ];
+}
+
+// Taxa de acerto e distribuição de alternativas por questão
+function questionResultsPipeline(match) {
+  return [
+    { $match: match },
+    { $unwind: "$answers" },
+    {
+      $group: {
+        _id: {
+          questionNumber: "$answers.questionNumber",
+          answer: { $ifNull: ["$answers.answer", ""] },
+        },
+        subject: { $first: "$answers.subject" },
+        correct: { $sum: itemCredit("$answers") },
+        count: { $sum: 1 },
+      },
+    },
+    {
+      $group: {
+        _id: "$_id.questionNumber",
+        subject: { $first: "$subject" },
+        correct: { $sum: "$correct" },
+        total: { $sum: "$count" },
+        choices: { $push: { k: "$_id.answer", v: "$count" } },
+      },
+    },
+    {
+      $project: {
+        _id: 0,
+        questionNumber: "$_id",
+        subject: 1,
+        correct: { $round: ["$correct", 2] },
+        total: 1,
+        hitRate: {
+          $round: [
+            { $multiply: [{ $divide: ["$correct", "$total"] }, 100] },
+            1,
+          ],
+        },
+        choices: {
+          $arrayToObject: {
+            $map: {
+              input: "$choices",
+              in: {
+                k: { $cond: [{ $eq: ["$$this.k", ""] }, "blank", "$$this.k"] },
+                v: "$$this.v",
+              },
+            },
+          },
+        },
+      },
+    },
+    { $sort: { questionNumber: 1 } },
+  ];
+}
+
+// Ranking, assuntos e questões de uma avaliação (opcionalmente por turma)
+async function computeResults(assessment, classId) {
+  // Aggregate não converte tipos: ObjectId explícito
+  const match = {
+    assessmentId: new mongoose.Types.ObjectId(String(assessment._id)),
+  };
+  if (classId) match.classId = new mongoose.Types.ObjectId(String(classId));
+
+  const [students, subjects, byQuestion, key] = await Promise.all([
+    StudentAnswer.aggregate(
+      studentResultsPipeline(match, assessment.questionsCount)
+    ),
+    StudentAnswer.aggregate(subjectResultsPipeline(match)),
+    StudentAnswer.aggregate(questionResultsPipeline(match)),
+    latestKey(assessment._id),
+  ]);
+  // Abertas: o texto de cada resposta não é distribuição; só respondidas.
+  // Parametrizadas: a letra muda de aluno para aluno, idem.
+  const keyByNumber = new Map(
+    (key?.answers || []).map((k) => [k.questionNumber, k])
+  );
+  const questions = byQuestion.map((q) => {
+    const type = typeOf(keyByNumber.get(q.questionNumber));
+    if (type !== "open" && type !== "parametric") return { ...q, type };
+    const blank = q.choices?.blank || 0;
+    return { ...q, type, choices: { answered: q.total - blank, blank } };
+  });
+
+  const scores = students.map((st) => st.percentage);
+  const summary = {
+    submissions: students.length,
+    average: scores.length
+      ? Math.round((scores.reduce((a, b) => a + b, 0) / scores.length) * 10) /
+        10
+      : 0,
+    highest: scores.length ? Math.max(...scores) : 0,
+    lowest: scores.length ? Math.min(...scores) : 0,
+    // Abertas ainda sem correção manual (a nota pode subir)
+    pendingGrades: students.reduce((acc, st) => acc + st.pendingGrades, 0),
+  };
+  return { summary, students, subjects, questions };
+}
+
+// GET /assessments/:id/results?classId=
+router.get(
+  "/assessments/:id/results",
+  auth,
+  onlyProfessor,
+  async (req, res) => {
+    try {
+      const { id } = req.params;
+      const { classId } = req.query;
+      if (!isId(id) || (classId && !isId(classId)))
+        return res.status(400).json({ error: "ID inválido" });
+      const assessment = await Assessment.findOne(
+        { _id: id, ...readableBy(req.user.uid) },
+        { name: 1, questionsCount: 1, classIds: 1 }
+      ).lean();
+      if (!assessment)
+        return res.status(404).json({ error: "Avaliação não encontrada." });
+
+      const results = await computeResults(assessment, classId);
+      res.json({ assessment, ...results });
+    } catch (e) {
+      console.error(e);
+      res.status(500).json({ error: "Erro ao calcular resultados." });
+    }
+  }
+);
+
+module.exports = { router, computeResults };
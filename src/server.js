@@ -7,16 +7,95 @@ const cors = require("cors");
 const crypto = require("crypto");
 const path = require("path");
 const bcrypt = require("bcryptjs");
-const jwt = require("jsonwebtoken");
 
 // Segurança e robustez
 const helmet = require("helmet");
-const rateLimit = require("express-rate-limit");
+const { rateLimit } = require("express-rate-limit");
 const mongoSanitize = require("express-mongo-sanitize");
 const morgan = require("morgan");
-
-// Export .docx (opcional, já incluído)
-const { Document, Packer, Paragraph, TextRun } = require("docx");
+const multer = require("multer");
+
+// Exportadores (.docx / .pdf)
+const { buildExamData } = require("./exporters/examData");
+
+const { analyzeItems, difficultyLabel } = require("./lib/itemAnalysis");
+const {
+  seedFrom,
+  buildPermutation,
+  basePermutation,
+  answersToCanonical,
+  deriveVersionKey,
+} = require("./lib/shuffle");
+
+const { readUpload } = require("./lib/omrWorker");
+
+const { dedupeKeys } = require("./lib/dedupe");
+
+const {
+  BUBBLE_TYPES,
+  typeOf,
+  normalizeAnswer,
+  keyItemFrom,
+  keyFromQuestion,
+} = require("./lib/questionTypes");
+
+const { gradingOf, gradingConfig, parsePoints } = require("./lib/grading");
+
+const {
+  User,
+  RoleRequest,
+  ProfessorInvite,
+  Class,
+  Assessment,
+  AnswerKey,
+  StudentAnswer,
+  RegradeLog,
+  ManualGradeLog,
+  AnswerSheetScan,
+  Form,
+  FormAttempt,
+  Question,
+  QuestionRevision,
+  Media,
+} = require("./models");
+const {
+  signToken,
+  auth,
+  isTeacherRole,
+  onlyProfessor,
+  onlyAdmin,
+  hashToken,
+  publicUser,
+  isId,
+  readableBy,
+  editableBy,
+  questionReadableBy,
+  normalizeName,
+  escapeRegex,
+  newInviteCode,
+  resolveOwnedClassIds,
+  findRosterEntry,
+  snapshotQuestion,
+  cleanQuestionRefs,
+  latestKey,
+  gradeSubmission,
+  rosterStudentFields,
+  spreadsheetFile,
+  loadSpreadsheet,
+  rowErrors,
+  importOptions,
+} = require("./helpers");
+
+// Rotas por área
+const {
+  router: questionRoutes,
+  createQuestion,
+} = require("./routes/questions");
+const { router: mediaRoutes } = require("./routes/media");
+const { router: gradingRoutes } = require("./routes/grading");
+const { router: resultRoutes } = require("./routes/results");
+const { router: formRoutes } = require("./routes/forms");
+const { router: exportRoutes } = require("./routes/exports");
 
 const app = express();
 
@@ -25,7 +104,6 @@ const app = express();
    ========================= */
 const PORT = process.env.PORT || 5000;
 const MONGODB_URI = process.env.MONGODB_URI;
-const BASE_URL = process.env.BASE_URL || `http://localhost:${PORT}`;
 const JWT_SECRET = process.env.JWT_SECRET;
 
 if (!MONGODB_URI) {
@@ -45,6 +123,10 @@ app.use(express.urlencoded({ extended: true }));
 app.use(
   helmet({
     crossOriginResourcePolicy: { policy: "cross-origin" },
+    // Figuras das questões podem estar em outros sites (https)
+    contentSecurityPolicy: {
+      directives: { "img-src": ["'self'", "data:", "https:"] },
+    },
   })
 );
 app.use(mongoSanitize());
@@ -87,190 +169,100 @@ app.options("*", cors());
    ========================= */
 app.use(express.static(path.join(__dirname, "public")));
 app.use("/assets", express.static(path.join(__dirname, "public", "assets")));
+// CSS e fontes do KaTeX (fórmulas renderizadas no servidor)
+app.use(
+  "/assets/katex",
+  express.static(
+    path.join(path.dirname(require.resolve("katex/package.json")), "dist")
+  )
+);
 
 /* =========================
    CONEXÃO AO MONGODB
    ========================= */
-mongoose
-  .connect(MONGODB_URI, {
-    autoIndex: true,
-    serverSelectionTimeoutMS: 10000,
-    maxPoolSize: 20,
-  })
-  .then(() => console.log("✅ MongoDB conectado"))
-  .catch((err) => {
-    console.error("❌ Erro ao conectar ao MongoDB:", err.message);
-    process.exit(1);
-  });
-
-/* =========================
-   SCHEMAS & MODELS
-   ========================= */
-// Usuários
-const UserSchema = new mongoose.Schema(
-  {
-    name: { type: String, required: true, trim: true },
-    email: { type: String, required: true, unique: true, index: true },
-    passwordHash: { type: String, required: true },
-    role: { type: String, enum: ["aluno", "professor"], default: "aluno" },
-  },
-  { timestamps: true }
-);
-const User = mongoose.model("User", UserSchema);
-
-// Avaliação
-const QuestionRefSchema = new mongoose.Schema(
-  {
-    number: Number,
-    subject: String,
-  },
-  { _id: false }
-);
-const AssessmentSchema = new mongoose.Schema(
-  {
-    name: { type: String, required: true },
-    questionsCount: { type: Number, required: true, min: 1, max: 50 },
-    questions: { type: [QuestionRefSchema], default: [] },
-  },
-  { timestamps: true }
-);
-const Assessment = mongoose.model("Assessment", AssessmentSchema);
-
-// Gabarito
-const AnswerKeyItemSchema = new mongoose.Schema(
-  {
-    questionNumber: Number,
-    correctAnswer: { type: String, enum: ["A", "B", "C", "D", "E"] },
-    subject: String,
-  },
-  { _id: false }
-);
-const AnswerKeySchema = new mongoose.Schema(
-  {
-    assessmentId: {
-      type: mongoose.Schema.Types.ObjectId,
-      ref: "Assessment",
-      required: true,
-    },
-    answers: { type: [AnswerKeyItemSchema], default: [] },
-  },
-  { timestamps: true }
-);
-const AnswerKey = mongoose.model("AnswerKey", AnswerKeySchema);
-
-// Respostas dos alunos
-const StudentAnswerItemSchema = new mongoose.Schema(
-  {
-    questionNumber: Number,
-    answer: { type: String, enum: ["A", "B", "C", "D", "E"] },
-    isCorrect: Boolean,
-    subject: String,
-  },
-  { _id: false }
-);
-const StudentAnswerSchema = new mongoose.Schema(
-  {
-    assessmentId: {
-      type: mongoose.Schema.Types.ObjectId,
-      ref: "Assessment",
-      required: true,
-    },
-    studentName: { type: String, required: true },
-    answers: { type: [StudentAnswerItemSchema], default: [] },
-  },
-  { timestamps: true }
-);
-const StudentAnswer = mongoose.model("StudentAnswer", StudentAnswerSchema);
-
-// Formulário público
-const FormSchema = new mongoose.Schema(
-  {
-    formId: { type: String, unique: true, index: true },
-    assessmentId: {
-      type: mongoose.Schema.Types.ObjectId,
-      ref: "Assessment",
-      required: true,
-    },
-    title: String,
-    description: String,
-    requireName: { type: Boolean, default: true },
-  },
-  { timestamps: true }
-);
-const Form = mongoose.model("Form", FormSchema);
-
-// Banco de Questões
-const QuestionSchema = new mongoose.Schema(
-  {
-    statement: { type: String, required: true },
-    options: { A: String, B: String, C: String, D: String, E: String },
-    correctAnswer: { type: String, enum: ["A", "B", "C", "D", "E"] },
-    subject: { type: String, index: true },
-    difficulty: {
-      type: String,
-      enum: ["Fácil", "Médio", "Difícil"],
-      index: true,
-    },
-    exam: {
-      type: String,
-      enum: ["ENEM", "ITA", "IME", "VESTIBULAR", "OUTRO"],
-      index: true,
-    },
-    year: { type: Number, index: true },
-    tags: [{ type: String, index: true }],
-    questionCode: { type: String },
-    source: { type: String },
-
-    // ===== Novos campos para OER / LibreTexts/ADAPT =====
-    license: { type: String }, // ex.: "CC BY-NC-SA 4.0"
-    sourceUrl: { type: String }, // URL do recurso original
-    attribution: { type: String }, // texto curto de crédito
-  },
-  { timestamps: true }
-);
-// Índice textual para busca por "search"
-QuestionSchema.index({ statement: "text", tags: "text" });
-
-const Question = mongoose.model("Question", QuestionSchema);
+// Chamada no START; os testes de rota conectam no próprio banco
+function connectDatabase() {
+  return mongoose
+    .connect(MONGODB_URI, {
+      autoIndex: true,
+      serverSelectionTimeoutMS: 10000,
+      maxPoolSize: 20,
+    })
+    .then(() => console.log("✅ MongoDB conectado"))
+    .catch((err) => {
+      console.error("❌ Erro ao conectar ao MongoDB:", err.message);
+      process.exit(1);
+    });
+}
 
 /* Garantir índices após conexão */
 mongoose.connection.on("open", async () => {
   await Promise.all([
     User.init(),
+    RoleRequest.init(),
+    ProfessorInvite.init(),
+    Class.init(),
     Question.init(),
+    QuestionRevision.init(),
+    Media.init(),
     Assessment.init(),
     AnswerKey.init(),
     StudentAnswer.init(),
+    RegradeLog.init(),
+    AnswerSheetScan.init(),
     Form.init(),
+    FormAttempt.init(),
   ]);
-});
 
-/* =========================
-   HELPERS / MIDDLEWARES
-   ========================= */
-function signToken(user) {
-  return jwt.sign({ uid: user._id, role: user.role }, JWT_SECRET, {
-    expiresIn: "7d",
-  });
-}
-function auth(req, res, next) {
-  const h = req.headers.authorization || "";
-  const token = h.startsWith("Bearer ") ? h.slice(7) : null;
-  if (!token) return res.status(401).json({ error: "Token ausente." });
-  try {
-    const payload = jwt.verify(token, JWT_SECRET);
-    req.user = payload;
-    return next();
-  } catch {
-    return res.status(401).json({ error: "Token inválido." });
+  // Gabaritos antigos (sem versão): numera pela ordem de criação
+  const legacyKeys = await AnswerKey.find(
+    { version: { $exists: false } },
+    { assessmentId: 1 }
+  )
+    .sort({ createdAt: 1 })
+    .lean();
+  const nextVersion = new Map();
+  for (const k of legacyKeys) {
+    const aid = String(k.assessmentId);
+    const version = (nextVersion.get(aid) || 0) + 1;
+    nextVersion.set(aid, version);
+    await AnswerKey.updateOne({ _id: k._id }, { version });
   }
-}
-function onlyProfessor(req, res, next) {
-  if (req.user?.role !== "professor")
-    return res.status(403).json({ error: "Apenas professores." });
-  next();
-}
-const isId = (v) => mongoose.Types.ObjectId.isValid(v);
+
+  // Questões anteriores ao fluxo de revisão já estavam em uso: aprovadas
+  await Question.updateMany(
+    { status: { $exists: false } },
+    { status: "approved" }
+  );
+  await Question.updateMany({ revision: { $exists: false } }, { revision: 1 });
+
+  // Chaves de duplicata para questões anteriores à detecção
+  const unhashed = Question.find(
+    { contentHash: { $exists: false } },
+    { statement: 1, options: 1 }
+  )
+    .lean()
+    .cursor();
+  let ops = [];
+  for await (const q of unhashed) {
+    ops.push({
+      updateOne: { filter: { _id: q._id }, update: dedupeKeys(q) },
+    });
+    if (ops.length === 500) {
+      await Question.bulkWrite(ops, { ordered: false });
+      ops = [];
+    }
+  }
+  if (ops.length) await Question.bulkWrite(ops, { ordered: false });
+
+  // Primeiro admin: definido por e-mail no .env
+  if (process.env.ADMIN_EMAIL) {
+    await User.updateOne(
+      { email: process.env.ADMIN_EMAIL.toLowerCase().trim() },
+      { role: "admin", active: true }
+    );
+  }
+});
 
 /* =========================
    RATE LIMIT /auth
@@ -295,7 +287,7 @@ app.get("/health", (req, res) =>
    ========================= */
 app.post("/auth/signup", async (req, res) => {
   try {
-    const { name, email, password, role } = req.body;
+    const { name, email, password, inviteToken } = req.body;
     if (!name || !email || !password)
       return res.status(400).json({ error: "Dados obrigatórios ausentes." });
 
@@ -304,24 +296,28 @@ app.post("/auth/signup", async (req, res) => {
     });
     if (exists) return res.status(409).json({ error: "E-mail já cadastrado." });
 
+    // Cadastro sempre cria aluno; professor só com convite válido
+    let invite = null;
+    if (inviteToken) {
+      invite = await findUsableInvite(inviteToken, email);
+      if (!invite)
+        return res.status(400).json({ error: "Convite inválido ou expirado." });
+    }
+
     const passwordHash = await bcrypt.hash(password, 10);
     const user = await User.create({
       name: name.trim(),
       email: email.toLowerCase().trim(),
       passwordHash,
-      role: role === "professor" ? "professor" : "aluno",
+      role: "aluno",
     });
+    if (invite && (await redeemInvite(invite, user._id))) {
+      user.role = "professor";
+      await user.save();
+    }
 
     const token = signToken(user);
-    res.status(201).json({
-      token,
-      user: {
-        id: user._id,
-        name: user.name,
-        email: user.email,
-        role: user.role,
-      },
-    });
+    res.status(201).json({ token, user: publicUser(user) });
   } catch (e) {
     console.error(e);
     res.status(500).json({ error: "Erro no cadastro." });
@@ -338,6 +334,8 @@ app.post("/auth/login", async (req, res) => {
 
     const ok = await bcrypt.compare(password || "", user.passwordHash);
     if (!ok) return res.status(401).json({ error: "Credenciais inválidas." });
+    if (user.active === false)
+      return res.status(403).json({ error: "Conta desativada." });
 
     const token = signToken(user);
     res.json({
@@ -355,317 +353,522 @@ app.post("/auth/login", async (req, res) => {
   }
 });
 
-app.post("/me/role", auth, async (req, res) => {
+async function findUsableInvite(token, email) {
+  const invite = await ProfessorInvite.findOne({
+    tokenHash: hashToken(String(token)),
+    usedBy: null,
+    expiresAt: { $gt: new Date() },
+  }).lean();
+  if (!invite) return null;
+  if (invite.email && invite.email !== String(email).toLowerCase().trim())
+    return null;
+  return invite;
+}
+// Marca o convite como usado de forma atômica (evita uso duplo)
+async function redeemInvite(invite, userId) {
+  const result = await ProfessorInvite.updateOne(
+    { _id: invite._id, usedBy: null },
+    { usedBy: userId, usedAt: new Date() }
+  );
+  return result.modifiedCount === 1;
+}
+
+app.get("/me", auth, async (req, res) => {
   try {
-    const { role } = req.body;
-    if (!["aluno", "professor"].includes(role))
-      return res.status(400).json({ error: "Role inválida." });
-    const user = await User.findByIdAndUpdate(
-      req.user.uid,
-      { role },
-      { new: true }
-    ).lean();
+    const user = await User.findById(req.user.uid).lean();
     if (!user)
       return res.status(404).json({ error: "Usuário não encontrado." });
-    res.json({
-      user: {
-        id: user._id,
-        name: user.name,
-        email: user.email,
-        role: user.role,
-      },
-    });
+    const pendingRequest = await RoleRequest.findOne({
+      userId: user._id,
+      status: "pending",
+    }).lean();
+    res.json({ user: publicUser(user), pendingRequest });
   } catch (e) {
     console.error(e);
-    res.status(500).json({ error: "Erro ao definir role." });
+    res.status(500).json({ error: "Erro ao carregar usuário." });
   }
 });
 
-/* =========================
-   BANCO DE QUESTÕES
-   ========================= */
-// GET /questions?search=&subject=&difficulty=&exam=&year=&tag=&page=1&limit=10
-app.get("/questions", auth, async (req, res) => {
+// Aluno pede o perfil professor; um admin aprova ou recusa
+app.post("/me/role", auth, async (req, res) => {
   try {
-    const {
-      search = "",
-      subject = "",
-      difficulty = "",
-      exam = "",
-      year = "",
-      tag = "",
-      page = 1,
-      limit = 10,
-    } = req.query;
+    const { role, message } = req.body;
+    if (role !== "professor")
+      return res.status(400).json({ error: "Role inválida." });
+    if (req.user.role !== "aluno")
+      return res.status(400).json({ error: "Você já possui esse perfil." });
 
-    const q = {};
-    if (subject) q.subject = { $regex: new RegExp(subject, "i") };
-    if (difficulty) q.difficulty = difficulty;
-    if (exam) q.exam = exam;
-    if (year) q.year = Number(year);
-    if (tag) q.tags = { $in: [new RegExp(tag, "i")] };
-
-    const pg = Math.max(parseInt(page) || 1, 1);
-    const lim = Math.min(Math.max(parseInt(limit) || 10, 1), 50);
-
-    let items, total;
-    if (search) {
-      // Busca textual por índice
-      const query = Question.find({ ...q, $text: { $search: search } })
-        .select({ score: { $meta: "textScore" } })
-        .sort({ score: { $meta: "textScore" } })
-        .skip((pg - 1) * lim)
-        .limit(lim)
-        .lean();
-      [items, total] = await Promise.all([
-        query,
-        Question.countDocuments({ ...q, $text: { $search: search } }),
-      ]);
-    } else {
-      [items, total] = await Promise.all([
-        Question.find(q)
-          .sort({ year: -1, createdAt: -1 })
-          .skip((pg - 1) * lim)
-          .limit(lim)
-          .lean(),
-        Question.countDocuments(q),
-      ]);
-    }
+    const pending = await RoleRequest.findOne({
+      userId: req.user.uid,
+      status: "pending",
+    }).lean();
+    if (pending)
+      return res.status(409).json({ error: "Já existe um pedido pendente." });
 
-    res.json({
-      items,
-      total,
-      page: pg,
-      pages: Math.max(Math.ceil(total / lim), 1),
+    const request = await RoleRequest.create({
+      userId: req.user.uid,
+      requestedRole: "professor",
+      message: message || "",
     });
+    res.status(202).json(request);
   } catch (e) {
     console.error(e);
-    res.status(500).json({ error: "Erro ao buscar questões." });
+    res.status(500).json({ error: "Erro ao solicitar perfil." });
   }
 });
 
-// Criar nova questão no banco (somente professor)
-app.post("/questions", auth, onlyProfessor, async (req, res) => {
+// Usuário já cadastrado vira professor com um convite válido
+app.post("/me/redeem-invite", auth, async (req, res) => {
   try {
-    const {
-      statement,
-      options,
-      correctAnswer,
-      subject,
-      difficulty,
-      exam,
-      year,
-      tags,
-      questionCode,
-      source,
-      license,
-      sourceUrl,
-      attribution,
-    } = req.body;
+    if (req.user.role !== "aluno")
+      return res.status(400).json({ error: "Você já possui esse perfil." });
+    const user = await User.findById(req.user.uid);
+    if (!user)
+      return res.status(404).json({ error: "Usuário não encontrado." });
 
-    if (!statement || !options || !correctAnswer) {
-      return res
-        .status(400)
-        .json({
-          error: "Enunciado, alternativas e resposta correta são obrigatórios.",
-        });
-    }
+    const invite = await findUsableInvite(req.body.token || "", user.email);
+    if (!invite || !(await redeemInvite(invite, user._id)))
+      return res.status(400).json({ error: "Convite inválido ou expirado." });
 
-    const q = await Question.create({
-      statement,
-      options,
-      correctAnswer,
-      subject: subject || "Assunto",
-      difficulty: ["Fácil", "Médio", "Difícil"].includes(difficulty)
-        ? difficulty
-        : "Médio",
-      exam: ["ENEM", "ITA", "IME", "VESTIBULAR", "OUTRO"].includes(exam)
-        ? exam
-        : "OUTRO",
+    user.role = "professor";
+    await user.save();
+    await RoleRequest.updateMany(
+      { userId: user._id, status: "pending" },
+      { status: "approved", decidedAt: new Date(), note: "Convite" }
+    );
+    res.json({ token: signToken(user), user: publicUser(user) });
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ error: "Erro ao usar o convite." });
+  }
+});
+
+/* =========================
+   TURMAS
+   ========================= */
+app.post("/classes", auth, onlyProfessor, async (req, res) => {
+  try {
+    const { name, year, description } = req.body;
+    if (!name)
+      return res.status(400).json({ error: "Nome da turma é obrigatório." });
+
+    const cls = await Class.create({
+      name,
       year: year ? Number(year) : new Date().getFullYear(),
-      tags: Array.isArray(tags) ? tags : [],
-      questionCode,
-      source: source || "Manual",
-      license: license || "",
-      sourceUrl: sourceUrl || "",
-      attribution: attribution || "",
+      description: description || "",
+      ownerId: req.user.uid,
+      inviteCode: newInviteCode(),
     });
-
-    res.status(201).json(q);
+    res.status(201).json(cls);
   } catch (e) {
-    console.error("Erro ao criar questão:", e);
-    res.status(500).json({ error: "Não foi possível salvar a questão." });
+    console.error(e);
+    res.status(500).json({ error: "Não foi possível criar a turma." });
   }
 });
 
-// Importar várias questões de uma vez (somente professor)
-app.post("/questions/bulk", auth, onlyProfessor, async (req, res) => {
+// Professor: suas turmas | Aluno: turmas em que está matriculado
+app.get("/classes", auth, async (req, res) => {
   try {
-    const { items } = req.body;
-    if (!Array.isArray(items) || items.length === 0) {
-      return res
-        .status(400)
-        .json({ error: "Envie um array 'items' com questões." });
+    if (req.user.role === "aluno") {
+      const items = await Class.find(
+        { "students.userId": req.user.uid },
+        { name: 1, year: 1, description: 1 }
+      )
+        .sort({ year: -1, name: 1 })
+        .lean();
+      return res.json({ items });
     }
+    const items = await Class.find({ ownerId: req.user.uid })
+      .sort({ year: -1, name: 1 })
+      .lean();
+    res.json({ items });
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ error: "Erro ao listar turmas." });
+  }
+});
 
-    const docs = [];
-    let skipped = 0;
+app.get("/classes/:id", auth, onlyProfessor, async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!isId(id)) return res.status(400).json({ error: "ID inválido" });
+    const cls = await Class.findOne({ _id: id, ownerId: req.user.uid }).lean();
+    if (!cls) return res.status(404).json({ error: "Turma não encontrada." });
+    res.json(cls);
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ error: "Erro ao carregar turma." });
+  }
+});
 
-    for (const it of items) {
-      try {
-        if (!it.statement || !it.options || !it.correctAnswer) {
-          skipped++;
-          continue;
-        }
-        docs.push({
-          statement: it.statement,
-          options: it.options,
-          correctAnswer: it.correctAnswer,
-          subject: it.subject || "Assunto",
-          difficulty: ["Fácil", "Médio", "Difícil"].includes(it.difficulty)
-            ? it.difficulty
-            : "Médio",
-          exam: ["ENEM", "ITA", "IME", "VESTIBULAR", "OUTRO"].includes(it.exam)
-            ? it.exam
-            : "OUTRO",
-          year: it.year ? Number(it.year) : new Date().getFullYear(),
-          tags: Array.isArray(it.tags) ? it.tags : [],
-          questionCode: it.questionCode,
-          source: it.source || "Import",
-          license: it.license || "",
-          sourceUrl: it.sourceUrl || "",
-          attribution: it.attribution || "",
-        });
-      } catch {
-        skipped++;
-      }
-    }
+app.put("/classes/:id", auth, onlyProfessor, async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!isId(id)) return res.status(400).json({ error: "ID inválido" });
+
+    const update = {};
+    if (req.body.name !== undefined) update.name = String(req.body.name).trim();
+    if (req.body.year !== undefined) update.year = Number(req.body.year);
+    if (req.body.description !== undefined)
+      update.description = String(req.body.description);
+    if (typeof req.body.inviteEnabled === "boolean")
+      update.inviteEnabled = req.body.inviteEnabled;
+    if (update.name === "")
+      return res.status(400).json({ error: "Nome da turma é obrigatório." });
+
+    const cls = await Class.findOneAndUpdate(
+      { _id: id, ownerId: req.user.uid },
+      update,
+      { new: true, runValidators: true }
+    ).lean();
+    if (!cls) return res.status(404).json({ error: "Turma não encontrada." });
+    res.json(cls);
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ error: "Não foi possível atualizar a turma." });
+  }
+});
 
-    if (!docs.length)
-      return res.status(400).json({ error: "Nada válido para inserir." });
+app.delete("/classes/:id", auth, onlyProfessor, async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!isId(id)) return res.status(400).json({ error: "ID inválido" });
+    const cls = await Class.findOneAndDelete({
+      _id: id,
+      ownerId: req.user.uid,
+    });
+    if (!cls) return res.status(404).json({ error: "Turma não encontrada." });
 
-    const result = await Question.insertMany(docs, { ordered: false });
-    res.json({ inserted: result.length, skipped });
+    // Avaliações e formulários deixam de apontar para a turma removida
+    await Promise.all([
+      Assessment.updateMany({ classIds: id }, { $pull: { classIds: id } }),
+      Form.updateMany({ classIds: id }, { $pull: { classIds: id } }),
+    ]);
+    res.json({ ok: true });
   } catch (e) {
-    console.error("Bulk import error:", e.message);
-    res.status(500).json({ error: "Falha no import em massa." });
+    console.error(e);
+    res.status(500).json({ error: "Não foi possível remover a turma." });
   }
 });
 
-// ======== IMPORTAR DO LIBRETEXTS/ADAPT ========
-app.post("/questions/import/adapt", auth, onlyProfessor, async (req, res) => {
+// Matricular: { userId } | { email } de um aluno cadastrado, ou { name, registration }
+app.post("/classes/:id/students", auth, onlyProfessor, async (req, res) => {
   try {
-    const { items } = req.body;
-    if (!Array.isArray(items) || items.length === 0) {
+    const { id } = req.params;
+    if (!isId(id)) return res.status(400).json({ error: "ID inválido" });
+    const cls = await Class.findOne({ _id: id, ownerId: req.user.uid });
+    if (!cls) return res.status(404).json({ error: "Turma não encontrada." });
+
+    const { userId, email, name, registration } = req.body;
+    let user = null;
+    if (userId || email) {
+      if (userId && !isId(userId))
+        return res.status(400).json({ error: "userId inválido." });
+      user = await User.findOne(
+        userId ? { _id: userId } : { email: String(email).toLowerCase().trim() }
+      ).lean();
+      if (!user)
+        return res.status(404).json({ error: "Usuário não encontrado." });
+      if (user.role !== "aluno")
+        return res.status(400).json({
+          error: "Apenas usuários com perfil aluno podem ser matriculados.",
+        });
+      if (cls.students.some((st) => String(st.userId) === String(user._id)))
+        return res.status(409).json({ error: "Aluno já matriculado." });
+    } else if (!name) {
       return res
         .status(400)
-        .json({ error: "Envie 'items' (array) com questões." });
+        .json({ error: "Informe userId, email ou nome do aluno." });
     }
+    if (
+      registration &&
+      cls.students.some((st) => st.registration === String(registration).trim())
+    )
+      return res
+        .status(409)
+        .json({ error: "Matrícula já cadastrada na turma." });
+
+    cls.students.push({
+      userId: user?._id,
+      name: name || user.name,
+      registration: registration ? String(registration).trim() : undefined,
+      email: user?.email || email,
+    });
+    await cls.save();
+    res.status(201).json(cls.students[cls.students.length - 1]);
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ error: "Não foi possível matricular o aluno." });
+  }
+});
 
-    const htmlToText = (html) => {
-      if (!html) return "";
-      return String(html)
-        .replace(/<br\s*\/?>/gi, "\n")
-        .replace(/<\/p>/gi, "\n")
-        .replace(/<[^>]+>/g, "")
-        .replace(/&nbsp;/g, " ")
-        .replace(/&lt;/g, "<")
-        .replace(/&gt;/g, ">")
-        .replace(/&amp;/g, "&")
-        .replace(/\s+\n/g, "\n")
-        .replace(/\n{2,}/g, "\n")
-        .trim();
-    };
+app.delete(
+  "/classes/:id/students/:entryId",
+  auth,
+  onlyProfessor,
+  async (req, res) => {
+    try {
+      const { id, entryId } = req.params;
+      if (!isId(id) || !isId(entryId))
+        return res.status(400).json({ error: "ID inválido" });
+      const result = await Class.updateOne(
+        { _id: id, ownerId: req.user.uid, "students._id": entryId },
+        { $pull: { students: { _id: entryId } } }
+      );
+      if (!result.matchedCount)
+        return res.status(404).json({ error: "Matrícula não encontrada." });
+      res.json({ ok: true });
+    } catch (e) {
+      console.error(e);
+      res.status(500).json({ error: "Não foi possível remover a matrícula." });
+    }
+  }
+);
 
-    const normDifficulty = (d) =>
-      ["Fácil", "Médio", "Difícil"].includes(d) ? d : "Médio";
-    const safeExam = "OUTRO";
+// Importar alunos de planilha (multipart: file, mapping?, sheet?, dryRun?)
+// Colunas: nome, matrícula, e-mail. E-mail de aluno cadastrado liga a conta;
+// quem já está na turma (conta, matrícula, e-mail ou só o nome) não duplica.
+const ROSTER_COLUMNS = {
+  name: ["nome", "aluno", "nome do aluno", "nome completo", "estudante"],
+  registration: ["matrícula", "ra", "registro"],
+  email: ["e-mail", "email do aluno"],
+};
+const EMAIL_RE = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
 
-    const docs = [];
-    let skipped = 0;
+app.post(
+  "/classes/:id/students/import",
+  auth,
+  onlyProfessor,
+  spreadsheetFile,
+  async (req, res) => {
+    try {
+      const { id } = req.params;
+      if (!isId(id)) return res.status(400).json({ error: "ID inválido" });
+      const cls = await Class.findOne({ _id: id, ownerId: req.user.uid });
+      if (!cls) return res.status(404).json({ error: "Turma não encontrada." });
 
-    for (const it of items) {
-      try {
-        const statement = htmlToText(
-          it.question || it.statement || it.prompt || ""
-        );
-        if (!statement) {
-          skipped++;
-          continue;
-        }
+      const loaded = await loadSpreadsheet(req, ROSTER_COLUMNS);
+      if (loaded.error)
+        return res
+          .status(loaded.status)
+          .json({ error: loaded.error, headers: loaded.headers });
+      const { columns, unmapped, rows } = loaded.value;
+      if (!columns.name && !columns.email)
+        return res.status(400).json({
+          error: "A planilha precisa de uma coluna de nome ou e-mail.",
+          columns,
+          unmapped,
+        });
 
-        const rawAnswers = Array.isArray(it.answers) ? it.answers : it.options;
-        if (!Array.isArray(rawAnswers) || rawAnswers.length === 0) {
-          skipped++;
+      const emails = rows
+        .map((r) =>
+          String(r.data.email || "")
+            .toLowerCase()
+            .trim()
+        )
+        .filter(Boolean);
+      const users = await User.find(
+        { email: { $in: emails } },
+        { name: 1, email: 1, role: 1 }
+      ).lean();
+      const userByEmail = new Map(users.map((u) => [u.email, u]));
+
+      const { dryRun } = importOptions(req);
+      const addedAt = new Map(); // entrada nova → linha de origem
+      const items = [];
+      for (const { row, data } of rows) {
+        const name = String(data.name || "")
+          .trim()
+          .replace(/\s+/g, " ");
+        const email = String(data.email || "")
+          .toLowerCase()
+          .trim();
+        const registration = String(data.registration || "").trim();
+        const user = email ? userByEmail.get(email) : null;
+
+        const errors = [];
+        if (!name && !email) errors.push("nome ou e-mail é obrigatório");
+        if (email && !EMAIL_RE.test(email))
+          errors.push(`e-mail '${data.email}' é inválido`);
+        else if (user && user.role !== "aluno")
+          errors.push(`e-mail '${email}' não pertence a um aluno`);
+        else if (!name && !user)
+          errors.push(`e-mail '${email}' não cadastrado; informe o nome`);
+        if (errors.length) {
+          items.push({ row, status: "invalid", errors });
           continue;
         }
 
-        const trimmed = rawAnswers
-          .slice(0, 5)
-          .map((a) => ({
-            text: htmlToText(a.text || a.html || a.value || a.label || ""),
-            correct: Boolean(a.is_correct || a.correct),
-          }))
-          .filter((a) => a.text);
-
-        if (trimmed.length < 2) {
-          skipped++;
-          continue;
+        const existing = cls.students.find(
+          (st) =>
+            (user && String(st.userId) === String(user._id)) ||
+            (registration && st.registration === registration) ||
+            (email && st.email === email) ||
+            (!registration &&
+              !email &&
+              !st.registration &&
+              !st.email &&
+              normalizeName(st.name) === normalizeName(name))
+        );
+        if (existing && addedAt.has(existing)) {
+          items.push({
+            row,
+            status: "invalid",
+            errors: [`aluno repetido (linha ${addedAt.get(existing)})`],
+          });
+        } else if (existing) {
+          // Entrada só com nome/matrícula ganha a conta do aluno
+          const link = user && !existing.userId;
+          if (link) {
+            existing.userId = user._id;
+            existing.email = user.email;
+          }
+          items.push({
+            row,
+            status: link ? "linked" : "existing",
+            entryId: existing._id,
+            name: existing.name,
+          });
+        } else {
+          cls.students.push({
+            userId: user?._id,
+            name: name || user.name,
+            registration: registration || undefined,
+            email: user?.email || email || undefined,
+          });
+          const entry = cls.students[cls.students.length - 1];
+          addedAt.set(entry, row);
+          items.push({
+            row,
+            status: "enrolled",
+            entryId: dryRun ? undefined : entry._id,
+            name: entry.name,
+            withAccount: Boolean(user),
+          });
         }
+      }
 
-        let correctIndex = trimmed.findIndex((a) => a.correct);
-        if (correctIndex < 0) correctIndex = 0;
-
-        const letters = ["A", "B", "C", "D", "E"];
-        const options = {};
-        for (let i = 0; i < trimmed.length && i < letters.length; i++) {
-          options[letters[i]] = trimmed[i].text;
-        }
+      if (!dryRun) await cls.save();
+      const count = (status) =>
+        items.filter((it) => it.status === status).length;
+      res.status(dryRun ? 200 : 201).json({
+        dryRun,
+        enrolled: count("enrolled"),
+        linked: count("linked"),
+        existing: count("existing"),
+        skipped: count("invalid"),
+        columns,
+        unmapped,
+        errors: rowErrors(items),
+        items,
+      });
+    } catch (e) {
+      console.error(e);
+      res.status(500).json({ error: "Não foi possível importar os alunos." });
+    }
+  }
+);
 
-        const qdoc = {
-          statement,
-          options,
-          correctAnswer: letters[correctIndex],
-          subject: (it.subject || "Assunto").trim(),
-          difficulty: normDifficulty(it.difficulty),
-          exam: safeExam,
-          year: it.year ? Number(it.year) : new Date().getFullYear(),
-          tags: Array.isArray(it.tags) ? it.tags : [],
-          questionCode: it.questionCode || it.code || "",
-          source: "LibreTexts/ADAPT",
-          license: it.license || "CC BY-NC-SA 4.0",
-          sourceUrl: it.url || it.sourceUrl || "",
-          attribution:
-            it.attribution ||
-            (it.title ? `LibreTexts/ADAPT – ${it.title}` : "LibreTexts/ADAPT"),
-        };
+// Gera um novo código de convite (invalida o anterior)
+app.post("/classes/:id/invite-code", auth, onlyProfessor, async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!isId(id)) return res.status(400).json({ error: "ID inválido" });
+    const cls = await Class.findOneAndUpdate(
+      { _id: id, ownerId: req.user.uid },
+      { inviteCode: newInviteCode(), inviteEnabled: true },
+      { new: true }
+    ).lean();
+    if (!cls) return res.status(404).json({ error: "Turma não encontrada." });
+    res.json({ inviteCode: cls.inviteCode });
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ error: "Não foi possível gerar o convite." });
+  }
+});
 
-        docs.push(qdoc);
-      } catch {
-        skipped++;
-      }
-    }
+// Aluno entra na turma pelo código de convite
+app.post("/classes/join", auth, async (req, res) => {
+  try {
+    if (req.user.role !== "aluno")
+      return res.status(403).json({ error: "Apenas alunos." });
+    const code = String(req.body.inviteCode || "")
+      .trim()
+      .toUpperCase();
+    if (!code)
+      return res.status(400).json({ error: "Código de convite ausente." });
+
+    const [cls, user] = await Promise.all([
+      Class.findOne({ inviteCode: code, inviteEnabled: true }),
+      User.findById(req.user.uid).lean(),
+    ]);
+    if (!cls) return res.status(404).json({ error: "Convite inválido." });
+    if (!user)
+      return res.status(404).json({ error: "Usuário não encontrado." });
 
-    if (docs.length === 0) {
-      return res
-        .status(400)
-        .json({ error: "Nenhum item válido para importar.", skipped });
+    if (cls.students.some((st) => String(st.userId) === String(user._id)))
+      return res.json({ id: cls._id, name: cls.name, year: cls.year });
+
+    // Vincula a entrada do roster já existente (mesmo e-mail/matrícula/nome)
+    const registration = req.body.registration
+      ? String(req.body.registration).trim()
+      : "";
+    const entry = cls.students.find(
+      (st) =>
+        !st.userId &&
+        ((st.email && st.email === user.email) ||
+          (registration && st.registration === registration) ||
+          normalizeName(st.name) === normalizeName(user.name))
+    );
+    if (entry) {
+      entry.userId = user._id;
+      entry.email = user.email;
+    } else {
+      cls.students.push({
+        userId: user._id,
+        name: user.name,
+        email: user.email,
+        registration: registration || undefined,
+      });
     }
-
-    const inserted = await Question.insertMany(docs, { ordered: false });
-    res.status(201).json({ inserted: inserted.length, skipped });
+    await cls.save();
+    res.status(201).json({ id: cls._id, name: cls.name, year: cls.year });
   } catch (e) {
-    console.error("Erro import/adapt:", e);
-    res.status(500).json({ error: "Falha ao importar do LibreTexts/ADAPT." });
+    console.error(e);
+    res.status(500).json({ error: "Não foi possível entrar na turma." });
   }
 });
 
+/* =========================
+   BANCO DE QUESTÕES
+   ========================= */
+app.use(questionRoutes);
+
+/* =========================
+   MÍDIA E CONTEÚDO RICO
+   ========================= */
+app.use(mediaRoutes);
+
 /* =========================
    AVALIAÇÕES / GABARITO / RESPOSTAS
    ========================= */
 app.get("/all-data", auth, async (req, res) => {
   try {
-    const assessment = await Assessment.findOne()
+    const isAluno = req.user.role === "aluno";
+    let filter = readableBy(req.user.uid);
+    if (isAluno) {
+      // Aluno: última avaliação das suas turmas, apenas as próprias respostas
+      const classes = await Class.find(
+        { "students.userId": req.user.uid },
+        { _id: 1 }
+      ).lean();
+      filter = { classIds: { $in: classes.map((c) => c._id) } };
+    }
+    // Fórmula da parametrizada é a resolução: não vai para o aluno
+    const assessment = await Assessment.findOne(filter, {
+      sharedWith: 0,
+      ...(isAluno ? { "questions.formula": 0 } : {}),
+    })
       .sort({ createdAt: -1 })
       .lean();
     if (!assessment)
@@ -675,11 +878,10 @@ app.get("/all-data", auth, async (req, res) => {
         studentAnswers: [],
       });
 
-    const answerKey = await AnswerKey.findOne({ assessmentId: assessment._id })
-      .sort({ createdAt: -1 })
-      .lean();
+    const answerKey = isAluno ? null : await latestKey(assessment._id);
     const studentAnswers = await StudentAnswer.find({
       assessmentId: assessment._id,
+      ...(isAluno ? { studentId: req.user.uid } : {}),
     })
       .sort({ createdAt: -1 })
       .lean();
@@ -697,7 +899,7 @@ app.get("/all-data", auth, async (req, res) => {
 
 app.post("/assessments", auth, onlyProfessor, async (req, res) => {
   try {
-    const { name, questionsCount, questions } = req.body;
+    const { name, questionsCount, questions, classIds } = req.body;
     if (!name || !questionsCount || !Array.isArray(questions)) {
       return res.status(400).json({ error: "Dados da avaliação inválidos." });
     }
@@ -706,10 +908,15 @@ app.post("/assessments", auth, onlyProfessor, async (req, res) => {
         .status(400)
         .json({ error: "Quantidade de questões inconsistente." });
     }
+    const classes = await resolveOwnedClassIds(classIds, req.user.uid);
+    if (!classes) return res.status(400).json({ error: "Turmas inválidas." });
+
     const assessment = await Assessment.create({
       name,
       questionsCount,
-      questions,
+      questions: cleanQuestionRefs(questions),
+      classIds: classes,
+      ownerId: req.user.uid,
     });
     res.status(201).json(assessment);
   } catch (e) {
@@ -721,43 +928,58 @@ app.post("/assessments", auth, onlyProfessor, async (req, res) => {
 // Criar avaliação a partir do banco
 app.post("/assessments/from-bank", auth, onlyProfessor, async (req, res) => {
   try {
-    const { name, questionIds } = req.body;
+    const { name, questionIds, classIds } = req.body;
     if (!name || !Array.isArray(questionIds) || questionIds.length === 0) {
       return res.status(400).json({ error: "Dados inválidos para builder." });
     }
     if (!questionIds.every(isId)) {
       return res.status(400).json({ error: "IDs de questões inválidos." });
     }
+    const classes = await resolveOwnedClassIds(classIds, req.user.uid);
+    if (!classes) return res.status(400).json({ error: "Turmas inválidas." });
 
-    const questions = await Question.find({ _id: { $in: questionIds } }).lean();
+    const questions = await Question.find({
+      _id: { $in: questionIds },
+      ...questionReadableBy(req.user.uid),
+    }).lean();
     if (questions.length !== questionIds.length) {
       return res
         .status(400)
         .json({ error: "Algumas questões não foram encontradas." });
     }
+    const pending = questions.filter((q) => q.status !== "approved");
+    if (pending.length) {
+      return res.status(400).json({
+        error: "Somente questões aprovadas podem entrar na avaliação.",
+        questionIds: pending.map((q) => q._id),
+      });
+    }
 
     const byId = new Map(questions.map((q) => [q._id.toString(), q]));
-    const ordered = questionIds.map((id, idx) => {
-      const q = byId.get(id);
-      return { number: idx + 1, subject: q?.subject || "Assunto" };
-    });
+    const ordered = questionIds.map((id, idx) =>
+      snapshotQuestion(byId.get(id), idx + 1)
+    );
 
     const assessment = await Assessment.create({
       name,
       questionsCount: ordered.length,
       questions: ordered,
+      classIds: classes,
+      ownerId: req.user.uid,
     });
 
     const answers = questionIds.map((id, idx) => {
       const q = byId.get(id);
       return {
         questionNumber: idx + 1,
-        correctAnswer: q?.correctAnswer || "A",
+        ...keyFromQuestion(q || {}),
         subject: q?.subject || "Assunto",
       };
     });
     const key = await AnswerKey.create({
       assessmentId: assessment._id,
+      ownerId: req.user.uid,
+      createdBy: req.user.uid,
       answers,
     });
 
@@ -768,62 +990,784 @@ app.post("/assessments/from-bank", auth, onlyProfessor, async (req, res) => {
   }
 });
 
-app.post("/answer-keys", auth, onlyProfessor, async (req, res) => {
+// GET /assessments?name=&from=&to=&classId=&page=1&limit=20
+app.get("/assessments", auth, onlyProfessor, async (req, res) => {
   try {
-    const { assessmentId, answers } = req.body;
-    if (
-      !assessmentId ||
-      !isId(assessmentId) ||
-      !Array.isArray(answers) ||
-      !answers.length
-    ) {
-      return res.status(400).json({ error: "Gabarito inválido." });
+    const { name = "", from = "", to = "", classId = "" } = req.query;
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+
+    const q = readableBy(req.user.uid);
+    if (name) q.name = { $regex: new RegExp(escapeRegex(name), "i") };
+    if (classId) {
+      if (!isId(classId)) return res.status(400).json({ error: "ID inválido" });
+      q.classIds = classId;
     }
-    const exists = await Assessment.exists({ _id: assessmentId });
-    if (!exists)
-      return res.status(404).json({ error: "Avaliação não encontrada." });
+    const createdAt = {};
+    if (from && !isNaN(Date.parse(from))) createdAt.$gte = new Date(from);
+    if (to && !isNaN(Date.parse(to))) createdAt.$lte = new Date(to);
+    if (Object.keys(createdAt).length) q.createdAt = createdAt;
 
-    const key = await AnswerKey.create({ assessmentId, answers });
-    res.status(201).json(key.answers);
+    const [items, total] = await Promise.all([
+      Assessment.find(q, { questions: 0 })
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .lean(),
+      Assessment.countDocuments(q),
+    ]);
+
+    // Nº de respostas por avaliação da página
+    const counts = await StudentAnswer.aggregate([
+      { $match: { assessmentId: { $in: items.map((a) => a._id) } } },
+      { $group: { _id: "$assessmentId", n: { $sum: 1 } } },
+    ]);
+    const byId = new Map(counts.map((c) => [String(c._id), c.n]));
+    items.forEach((a) => (a.submissions = byId.get(String(a._id)) || 0));
+
+    res.json({
+      items,
+      total,
+      page,
+      pages: Math.max(Math.ceil(total / limit), 1),
+    });
   } catch (e) {
     console.error(e);
-    res.status(500).json({ error: "Não foi possível salvar o gabarito." });
+    res.status(500).json({ error: "Erro ao listar avaliações." });
   }
 });
 
-app.post("/student-answers", auth, async (req, res) => {
+app.get("/assessments/:id", auth, onlyProfessor, async (req, res) => {
   try {
-    const { assessmentId, studentName, answers } = req.body;
-    if (
-      !assessmentId ||
-      !isId(assessmentId) ||
-      !studentName ||
-      !Array.isArray(answers)
-    ) {
-      return res.status(400).json({ error: "Dados de respostas inválidos." });
-    }
+    const { id } = req.params;
+    if (!isId(id)) return res.status(400).json({ error: "ID inválido" });
+    const assessment = await Assessment.findOne({
+      _id: id,
+      ...readableBy(req.user.uid),
+    }).lean();
+    if (!assessment)
+      return res.status(404).json({ error: "Avaliação não encontrada." });
 
-    const keyDoc = await AnswerKey.findOne({ assessmentId })
-      .sort({ createdAt: -1 })
-      .lean();
-    if (!keyDoc)
-      return res
+    const [answerKey, submissions] = await Promise.all([
+      latestKey(id),
+      StudentAnswer.countDocuments({ assessmentId: id }),
+    ]);
+    res.json({
+      assessment,
+      answerKey: answerKey?.answers || null,
+      submissions,
+    });
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ error: "Erro ao carregar avaliação." });
+  }
+});
+
+// Questões só podem mudar enquanto ninguém respondeu
+app.put("/assessments/:id", auth, onlyProfessor, async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!isId(id)) return res.status(400).json({ error: "ID inválido" });
+    const assessment = await Assessment.findOne({
+      _id: id,
+      ...editableBy(req.user.uid),
+    });
+    if (!assessment)
+      return res.status(404).json({ error: "Avaliação não encontrada." });
+
+    const { name, classIds, questions, blindGrading } = req.body;
+    if (name !== undefined) {
+      if (!String(name).trim())
+        return res.status(400).json({ error: "Nome é obrigatório." });
+      assessment.name = String(name).trim();
+    }
+    if (classIds !== undefined) {
+      const classes = await resolveOwnedClassIds(classIds, assessment.ownerId);
+      if (!classes) return res.status(400).json({ error: "Turmas inválidas." });
+      assessment.classIds = classes;
+    }
+    if (questions !== undefined) {
+      if (!Array.isArray(questions) || !questions.length)
+        return res.status(400).json({ error: "Dados da avaliação inválidos." });
+      if (await StudentAnswer.exists({ assessmentId: id }))
+        return res.status(409).json({
+          error:
+            "A avaliação já tem respostas; duplique-a para alterar as questões.",
+        });
+      assessment.questions = cleanQuestionRefs(questions);
+      assessment.questionsCount = questions.length;
+      assessment.versions = []; // permutações antigas não valem mais
+    }
+    if (blindGrading !== undefined) {
+      if (typeof blindGrading !== "boolean")
+        return res.status(400).json({ error: "blindGrading inválido." });
+      assessment.blindGrading = blindGrading;
+    }
+
+    await assessment.save();
+    res.json(assessment);
+  } catch (e) {
+    console.error(e);
+    if (e.name === "ValidationError")
+      return res.status(400).json({ error: "Dados da avaliação inválidos." });
+    res.status(500).json({ error: "Não foi possível atualizar a avaliação." });
+  }
+});
+
+// Remove a avaliação e tudo ligado a ela (somente o dono)
+app.delete("/assessments/:id", auth, onlyProfessor, async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!isId(id)) return res.status(400).json({ error: "ID inválido" });
+    const assessment = await Assessment.findOneAndDelete({
+      _id: id,
+      ownerId: req.user.uid,
+    });
+    if (!assessment)
+      return res.status(404).json({ error: "Avaliação não encontrada." });
+
+    await Promise.all([
+      AnswerKey.deleteMany({ assessmentId: id }),
+      StudentAnswer.deleteMany({ assessmentId: id }),
+      RegradeLog.deleteMany({ assessmentId: id }),
+      ManualGradeLog.deleteMany({ assessmentId: id }),
+      AnswerSheetScan.deleteMany({ assessmentId: id }),
+      Form.deleteMany({ assessmentId: id }),
+      FormAttempt.deleteMany({ assessmentId: id }),
+    ]);
+    res.json({ ok: true });
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ error: "Não foi possível remover a avaliação." });
+  }
+});
+
+// Duplica avaliação + gabarito atual (sem respostas e formulários)
+app.post(
+  "/assessments/:id/duplicate",
+  auth,
+  onlyProfessor,
+  async (req, res) => {
+    try {
+      const { id } = req.params;
+      if (!isId(id)) return res.status(400).json({ error: "ID inválido" });
+      const original = await Assessment.findOne({
+        _id: id,
+        ...readableBy(req.user.uid),
+      }).lean();
+      if (!original)
+        return res.status(404).json({ error: "Avaliação não encontrada." });
+
+      // Turmas do original só são mantidas se forem do mesmo professor
+      const sameOwner = String(original.ownerId) === String(req.user.uid);
+      const classes = await resolveOwnedClassIds(
+        req.body.classIds ?? (sameOwner ? original.classIds : []),
+        req.user.uid
+      );
+      if (!classes) return res.status(400).json({ error: "Turmas inválidas." });
+
+      const assessment = await Assessment.create({
+        name: req.body.name || `${original.name} (cópia)`,
+        questionsCount: original.questionsCount,
+        questions: original.questions,
+        rubrics: original.rubrics,
+        blindGrading: original.blindGrading,
+        grading: original.grading,
+        classIds: classes,
+        ownerId: req.user.uid,
+      });
+
+      const key = await latestKey(id);
+      let answerKey = null;
+      if (key) {
+        const copy = await AnswerKey.create({
+          assessmentId: assessment._id,
+          ownerId: req.user.uid,
+          createdBy: req.user.uid,
+          note: `Cópia do gabarito v${key.version || 1}`,
+          answers: key.answers,
+        });
+        answerKey = copy.answers;
+      }
+
+      res.status(201).json({ assessment, answerKey });
+    } catch (e) {
+      console.error(e);
+      res.status(500).json({ error: "Não foi possível duplicar a avaliação." });
+    }
+  }
+);
+
+// Atualiza as cópias das questões com o conteúdo atual do banco (explícito)
+app.post(
+  "/assessments/:id/sync-questions",
+  auth,
+  onlyProfessor,
+  async (req, res) => {
+    try {
+      const { id } = req.params;
+      if (!isId(id)) return res.status(400).json({ error: "ID inválido" });
+      const assessment = await Assessment.findOne({
+        _id: id,
+        ...editableBy(req.user.uid),
+      });
+      if (!assessment)
+        return res.status(404).json({ error: "Avaliação não encontrada." });
+      if (await StudentAnswer.exists({ assessmentId: id }))
+        return res.status(409).json({
+          error:
+            "A avaliação já tem respostas; as questões aplicadas não mudam.",
+        });
+
+      const ids = assessment.questions.map((q) => q.questionId).filter(Boolean);
+      const bank = await Question.find({
+        _id: { $in: ids },
+        ...questionReadableBy(req.user.uid),
+      }).lean();
+      const byId = new Map(bank.map((q) => [String(q._id), q]));
+
+      let updated = 0;
+      assessment.questions = assessment.questions.map((q) => {
+        const fresh = q.questionId && byId.get(String(q.questionId));
+        if (!fresh) return q;
+        updated++;
+        return snapshotQuestion(fresh, q.number);
+      });
+      await assessment.save();
+      res.json({ updated, assessment });
+    } catch (e) {
+      console.error(e);
+      res
+        .status(500)
+        .json({ error: "Não foi possível atualizar as questões." });
+    }
+  }
+);
+
+// Revisão do banco fixada em cada questão × revisão atual
+app.get(
+  "/assessments/:id/question-revisions",
+  auth,
+  onlyProfessor,
+  async (req, res) => {
+    try {
+      const { id } = req.params;
+      if (!isId(id)) return res.status(400).json({ error: "ID inválido" });
+      const assessment = await Assessment.findOne(
+        { _id: id, ...readableBy(req.user.uid) },
+        { questions: 1 }
+      ).lean();
+      if (!assessment)
+        return res.status(404).json({ error: "Avaliação não encontrada." });
+
+      const ids = assessment.questions.map((q) => q.questionId).filter(Boolean);
+      const bank = await Question.find(
+        { _id: { $in: ids } },
+        { revision: 1, deletedAt: 1 }
+      ).lean();
+      const byId = new Map(bank.map((q) => [String(q._id), q]));
+
+      res.json({
+        items: assessment.questions.map((q) => {
+          const current = q.questionId && byId.get(String(q.questionId));
+          return {
+            number: q.number,
+            questionId: q.questionId || null,
+            pinnedRevision: q.questionRevision ?? null,
+            currentRevision: current?.revision ?? null,
+            outdated: Boolean(
+              current &&
+                q.questionRevision != null &&
+                q.questionRevision !== current.revision
+            ),
+            deleted: Boolean(current?.deletedAt),
+          };
+        }),
+      });
+    } catch (e) {
+      console.error(e);
+      res.status(500).json({ error: "Erro ao carregar revisões." });
+    }
+  }
+);
+
+/* =========================
+   GABARITO: VERSÕES E RECORREÇÃO
+   ========================= */
+// Itens do gabarito normalizados pelo tipo (lib/questionTypes) ou null
+function parseKeyAnswers(answers) {
+  if (!Array.isArray(answers) || !answers.length) return null;
+  const items = answers.map(keyItemFrom);
+  return items.every(Boolean) ? items : null;
+}
+
+// Cria a próxima versão do gabarito (retenta se duas gravações colidirem)
+async function createKeyVersion(assessment, answers, { createdBy, note } = {}) {
+  for (let attempt = 0; attempt < 3; attempt++) {
+    const last = await latestKey(assessment._id);
+    try {
+      return await AnswerKey.create({
+        assessmentId: assessment._id,
+        version: (last?.version || 0) + 1,
+        ownerId: assessment.ownerId,
+        createdBy,
+        note: note || "",
+        answers,
+      });
+    } catch (e) {
+      if (e.code !== 11000) throw e;
+    }
+  }
+  throw new Error("Conflito ao versionar o gabarito.");
+}
+
+// Recorrige todas as respostas salvas com o gabarito informado.
+// Cada submissão só é gravada se não mudou desde a leitura (updatedAt):
+// uma nota manual dada no meio do caminho não é sobrescrita, a submissão
+// é relida e corrigida de novo. Corrigidas com gabarito mais novo ficam.
+async function runRegrade(log, keyDoc) {
+  const BATCH = 500;
+  const RETRIES = 3;
+  const notNewer = { keyVersion: { $not: { $gt: keyDoc.version } } };
+  let assessment;
+
+  const regradeOne = (sub, gradedAt) => {
+    const { answers, grade } = gradeSubmission(
+      assessment,
+      keyDoc,
+      sub.answers,
+      sub.permutation
+    );
+    const changed =
+      answers.some((a, i) => a.isCorrect !== sub.answers[i].isCorrect) ||
+      Boolean(sub.grade && grade.display !== sub.grade.display);
+    return {
+      change: changed && {
+        studentAnswerId: sub._id,
+        studentName: sub.studentName,
+        correctBefore: sub.answers.filter((a) => a.isCorrect).length,
+        correctAfter: answers.filter((a) => a.isCorrect).length,
+        gradeBefore: sub.grade?.display,
+        gradeAfter: grade.display,
+      },
+      op: {
+        updateOne: {
+          filter: { _id: sub._id, updatedAt: sub.updatedAt, ...notNewer },
+          update: {
+            $set: { answers, grade, keyVersion: keyDoc.version, gradedAt },
+          },
+        },
+      },
+    };
+  };
+
+  // Grava um lote; as que mudaram no meio tempo são relidas e refeitas
+  let unsaved = 0;
+  const flush = async (subs) => {
+    for (let round = 0; subs.length; round++) {
+      if (round === RETRIES) {
+        unsaved += subs.length;
+        return;
+      }
+      const gradedAt = new Date();
+      const results = subs.map((sub) => regradeOne(sub, gradedAt));
+      await StudentAnswer.bulkWrite(
+        results.map((r) => r.op),
+        { ordered: false }
+      );
+      const ids = subs.map((sub) => sub._id);
+      const written = new Set(
+        (
+          await StudentAnswer.find(
+            { _id: { $in: ids }, gradedAt },
+            { _id: 1 }
+          ).lean()
+        ).map((d) => String(d._id))
+      );
+      results.forEach((r, i) => {
+        if (!r.change || !written.has(String(subs[i]._id))) return;
+        log.changedSubmissions++;
+        log.changes.push(r.change);
+      });
+      const skipped = ids.filter((id) => !written.has(String(id)));
+      subs = skipped.length
+        ? await StudentAnswer.find({
+            _id: { $in: skipped },
+            ...notNewer,
+          }).lean()
+        : [];
+    }
+  };
+
+  try {
+    // Pesos e regras da nota final (lib/grading)
+    assessment = await Assessment.findById(log.assessmentId, {
+      questions: 1,
+      grading: 1,
+    }).lean();
+    const cursor = StudentAnswer.find({ assessmentId: log.assessmentId })
+      .lean()
+      .cursor();
+    let batch = [];
+    for await (const sub of cursor) {
+      log.submissions++;
+      batch.push(sub);
+      if (batch.length >= BATCH) {
+        await flush(batch);
+        batch = [];
+      }
+    }
+    await flush(batch);
+    log.status = "done";
+    if (unsaved)
+      log.error = `${unsaved} respostas mudaram durante a recorreção; recorrija de novo.`;
+  } catch (e) {
+    console.error("Recorreção falhou:", e);
+    log.status = "failed";
+    log.error = e.message;
+  }
+  log.finishedAt = new Date();
+  await log.save();
+  return log;
+}
+
+// Uma recorreção por avaliação de cada vez: a seguinte espera a anterior
+// terminar (o registro fica "running" enquanto espera)
+const regradeQueue = new Map();
+
+// Dispara a recorreção em segundo plano e devolve o registro de auditoria
+async function startRegrade(assessmentId, keyDoc, { reason, triggeredBy }) {
+  const log = await RegradeLog.create({
+    assessmentId,
+    reason,
+    keyVersion: keyDoc.version,
+    triggeredBy,
+  });
+  const queueKey = String(assessmentId);
+  const run = (regradeQueue.get(queueKey) || Promise.resolve())
+    .then(() => runRegrade(log, keyDoc))
+    .catch((e) => console.error(e))
+    .finally(() => {
+      if (regradeQueue.get(queueKey) === run) regradeQueue.delete(queueKey);
+    });
+  regradeQueue.set(queueKey, run);
+  return log;
+}
+
+async function saveKeyAndRegrade(req, assessment, answers, reason) {
+  const key = await createKeyVersion(assessment, answers, {
+    createdBy: req.user.uid,
+    note: req.body.note,
+  });
+  let regrade = null;
+  if (await StudentAnswer.exists({ assessmentId: assessment._id })) {
+    regrade = await startRegrade(assessment._id, key, {
+      reason,
+      triggeredBy: req.user.uid,
+    });
+  }
+  return { key, regrade };
+}
+
+// Rota legada: responde só com os itens do gabarito
+app.post("/answer-keys", auth, onlyProfessor, async (req, res) => {
+  try {
+    const { assessmentId } = req.body;
+    const answers = parseKeyAnswers(req.body.answers);
+    if (!assessmentId || !isId(assessmentId) || !answers) {
+      return res.status(400).json({ error: "Gabarito inválido." });
+    }
+    const assessment = await Assessment.findOne(
+      { _id: assessmentId, ...editableBy(req.user.uid) },
+      { ownerId: 1 }
+    ).lean();
+    if (!assessment)
+      return res.status(404).json({ error: "Avaliação não encontrada." });
+
+    const { key } = await saveKeyAndRegrade(
+      req,
+      assessment,
+      answers,
+      "answer-key"
+    );
+    res.status(201).json(key.answers);
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ error: "Não foi possível salvar o gabarito." });
+  }
+});
+
+// Histórico de versões do gabarito
+app.get(
+  "/assessments/:id/answer-keys",
+  auth,
+  onlyProfessor,
+  async (req, res) => {
+    try {
+      const { id } = req.params;
+      if (!isId(id)) return res.status(400).json({ error: "ID inválido" });
+      if (!(await Assessment.exists({ _id: id, ...readableBy(req.user.uid) })))
+        return res.status(404).json({ error: "Avaliação não encontrada." });
+      const items = await AnswerKey.find({ assessmentId: id })
+        .sort({ version: -1, createdAt: -1 })
+        .populate("createdBy", "name email")
+        .lean();
+      res.json({ items });
+    } catch (e) {
+      console.error(e);
+      res.status(500).json({ error: "Erro ao listar gabaritos." });
+    }
+  }
+);
+
+// Nova versão do gabarito (+ recorreção automática)
+app.post(
+  "/assessments/:id/answer-keys",
+  auth,
+  onlyProfessor,
+  async (req, res) => {
+    try {
+      const { id } = req.params;
+      if (!isId(id)) return res.status(400).json({ error: "ID inválido" });
+      const answers = parseKeyAnswers(req.body.answers);
+      if (!answers)
+        return res.status(400).json({ error: "Gabarito inválido." });
+      const assessment = await Assessment.findOne(
+        { _id: id, ...editableBy(req.user.uid) },
+        { ownerId: 1 }
+      ).lean();
+      if (!assessment)
+        return res.status(404).json({ error: "Avaliação não encontrada." });
+
+      const { key, regrade } = await saveKeyAndRegrade(
+        req,
+        assessment,
+        answers,
+        "answer-key"
+      );
+      res.status(201).json({ answerKey: key, regradeId: regrade?._id || null });
+    } catch (e) {
+      console.error(e);
+      res.status(500).json({ error: "Não foi possível salvar o gabarito." });
+    }
+  }
+);
+
+// Anular (ou desanular) uma questão: { questionNumber, annulled = true }
+app.post(
+  "/assessments/:id/answer-key/annul",
+  auth,
+  onlyProfessor,
+  async (req, res) => {
+    try {
+      const { id } = req.params;
+      const questionNumber = Number(req.body.questionNumber);
+      const annulled = req.body.annulled !== false;
+      if (!isId(id) || !Number.isInteger(questionNumber))
+        return res.status(400).json({ error: "Dados inválidos." });
+      const assessment = await Assessment.findOne(
+        { _id: id, ...editableBy(req.user.uid) },
+        { ownerId: 1 }
+      ).lean();
+      if (!assessment)
+        return res.status(404).json({ error: "Avaliação não encontrada." });
+
+      const current = await latestKey(id);
+      const item = current?.answers.find(
+        (a) => a.questionNumber === questionNumber
+      );
+      if (!item)
+        return res
+          .status(404)
+          .json({ error: "Questão não encontrada no gabarito." });
+      if (Boolean(item.annulled) === annulled)
+        return res.json({ answerKey: current, regradeId: null });
+
+      const answers = current.answers.map((a) =>
+        a.questionNumber === questionNumber ? { ...a, annulled } : a
+      );
+      const { key, regrade } = await saveKeyAndRegrade(
+        req,
+        assessment,
+        answers,
+        "annul"
+      );
+      res.status(201).json({ answerKey: key, regradeId: regrade?._id || null });
+    } catch (e) {
+      console.error(e);
+      res.status(500).json({ error: "Não foi possível anular a questão." });
+    }
+  }
+);
+
+// Recorreção manual com o gabarito vigente
+app.post("/assessments/:id/regrade", auth, onlyProfessor, async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!isId(id)) return res.status(400).json({ error: "ID inválido" });
+    if (!(await Assessment.exists({ _id: id, ...editableBy(req.user.uid) })))
+      return res.status(404).json({ error: "Avaliação não encontrada." });
+    const key = await latestKey(id);
+    if (!key)
+      return res
         .status(400)
         .json({ error: "Gabarito não definido para esta avaliação." });
 
-    const keyMap = new Map(
-      keyDoc.answers.map((k) => [k.questionNumber, k.correctAnswer])
+    const log = await startRegrade(id, key, {
+      reason: "manual",
+      triggeredBy: req.user.uid,
+    });
+    res.status(202).json({ regradeId: log._id, status: log.status });
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ error: "Não foi possível recorrigir." });
+  }
+});
+
+// Trilha de auditoria das recorreções
+app.get("/assessments/:id/regrades", auth, onlyProfessor, async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!isId(id)) return res.status(400).json({ error: "ID inválido" });
+    if (!(await Assessment.exists({ _id: id, ...readableBy(req.user.uid) })))
+      return res.status(404).json({ error: "Avaliação não encontrada." });
+    const items = await RegradeLog.find({ assessmentId: id }, { changes: 0 })
+      .sort({ createdAt: -1 })
+      .populate("triggeredBy", "name email")
+      .lean();
+    res.json({ items });
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ error: "Erro ao listar recorreções." });
+  }
+});
+
+app.get("/regrades/:id", auth, onlyProfessor, async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!isId(id)) return res.status(400).json({ error: "ID inválido" });
+    const log = await RegradeLog.findById(id)
+      .populate("triggeredBy", "name email")
+      .lean();
+    if (
+      !log ||
+      !(await Assessment.exists({
+        _id: log.assessmentId,
+        ...readableBy(req.user.uid),
+      }))
+    )
+      return res.status(404).json({ error: "Recorreção não encontrada." });
+    res.json(log);
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ error: "Erro ao carregar recorreção." });
+  }
+});
+
+// Corrige e grava as respostas de um aluno (envio manual e leitura óptica).
+// Respostas de uma versão impressa chegam na numeração/letras da versão;
+// sem versão, as parametrizadas usam os valores da impressão única.
+async function recordStudentAnswers(assessment, student, answers, version) {
+  let examVersion = null;
+  if (version) {
+    examVersion = (assessment.versions || []).find(
+      (v) => v.name === String(version)
     );
-    const normalized = answers.map((a) => ({
-      ...a,
-      isCorrect: keyMap.get(a.questionNumber) === a.answer,
-    }));
+    if (!examVersion)
+      return { status: 400, error: "Versão da prova inválida." };
+  }
+
+  const keyDoc = await latestKey(assessment._id);
+  if (!keyDoc)
+    return { status: 400, error: "Gabarito não definido para esta avaliação." };
+
+  const subjects = new Map(
+    assessment.questions.map((q) => [q.number, q.subject])
+  );
+  const keyByNumber = new Map(keyDoc.answers.map((k) => [k.questionNumber, k]));
+  const canonical = (
+    examVersion ? answersToCanonical(examVersion.permutation, answers) : answers
+  ).map((a) => {
+    // Só número e resposta: isCorrect enviado pelo cliente é descartado
+    const number = Number(a.questionNumber);
+    return {
+      questionNumber: number,
+      // Texto canônico do tipo ("AC", "13", "9.81"...)
+      answer: normalizeAnswer(keyByNumber.get(number), a.answer),
+      subject: subjects.get(number) || a.subject,
+    };
+  });
+  const invalid = canonical.find((a) => a.answer === null);
+  if (invalid)
+    return {
+      status: 400,
+      error: `Resposta inválida na questão ${invalid.questionNumber}.`,
+    };
+
+  const permutation = examVersion
+    ? examVersion.permutation
+    : basePermutation(assessment);
+  const saved = await StudentAnswer.create({
+    assessmentId: assessment._id,
+    ...student,
+    version: examVersion?.name,
+    permutation: permutation || undefined,
+    ...gradeSubmission(assessment, keyDoc, canonical, permutation),
+    keyVersion: keyDoc.version,
+    gradedAt: new Date(),
+  });
+  return { saved };
+}
 
-    const saved = await StudentAnswer.create({
+// Só professores lançam respostas direto; o aluno responde pelo
+// formulário online, que controla prazo, código e tentativas
+app.post("/student-answers", auth, onlyProfessor, async (req, res) => {
+  try {
+    const {
       assessmentId,
       studentName,
-      answers: normalized,
-    });
+      studentId,
+      rosterEntryId,
+      answers,
+      version,
+    } = req.body;
+    if (!assessmentId || !isId(assessmentId) || !Array.isArray(answers)) {
+      return res.status(400).json({ error: "Dados de respostas inválidos." });
+    }
+    const who = { studentName, studentId, rosterEntryId };
+
+    const assessment = await Assessment.findOne(
+      { _id: assessmentId, ...editableBy(req.user.uid) },
+      { classIds: 1, questions: 1, versions: 1, grading: 1 }
+    ).lean();
+    if (!assessment)
+      return res.status(404).json({ error: "Avaliação não encontrada." });
+
+    let student;
+    if (assessment.classIds?.length) {
+      const found = await findRosterEntry(assessment.classIds, who);
+      if (!found)
+        return res
+          .status(400)
+          .json({ error: "Aluno não matriculado nas turmas da avaliação." });
+      student = rosterStudentFields(found);
+    } else {
+      if (!studentName)
+        return res.status(400).json({ error: "Dados de respostas inválidos." });
+      student = {
+        studentName,
+        studentId:
+          who.studentId && isId(who.studentId) ? who.studentId : undefined,
+      };
+    }
+
+    const { saved, status, error } = await recordStudentAnswers(
+      assessment,
+      student,
+      answers,
+      version
+    );
+    if (error) return res.status(status).json({ error });
     res.status(201).json(saved);
   } catch (e) {
     console.error(e);
@@ -834,151 +1778,507 @@ app.post("/student-answers", auth, async (req, res) => {
 });
 
 /* =========================
-   FORM ONLINE (público)
+   CORREÇÃO MANUAL (fila, rubricas, histórico)
    ========================= */
-app.post("/forms", auth, onlyProfessor, async (req, res) => {
-  try {
-    const { assessmentId, title, description, requireName } = req.body;
-    if (!assessmentId || !isId(assessmentId))
-      return res.status(400).json({ error: "assessmentId é obrigatório." });
+app.use(gradingRoutes);
 
-    const exists = await Assessment.exists({ _id: assessmentId });
-    if (!exists)
+/* =========================
+   NOTA FINAL (pesos, descontos, escala)
+   ========================= */
+const gradingView = (assessment) => ({
+  grading: gradingOf(assessment),
+  questions: (assessment.questions || []).map((q) => ({
+    number: q.number,
+    subject: q.subject,
+    points: q.points || 1,
+  })),
+});
+
+app.get("/assessments/:id/grading", auth, onlyProfessor, async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!isId(id)) return res.status(400).json({ error: "ID inválido" });
+    const assessment = await Assessment.findOne(
+      { _id: id, ...readableBy(req.user.uid) },
+      { questions: 1, grading: 1 }
+    ).lean();
+    if (!assessment)
       return res.status(404).json({ error: "Avaliação não encontrada." });
+    res.json(gradingView(assessment));
+  } catch (e) {
+    console.error(e);
+    res
+      .status(500)
+      .json({ error: "Erro ao carregar a configuração de notas." });
+  }
+});
 
-    const formId = crypto.randomBytes(6).toString("base64url");
-    const form = await Form.create({
-      formId,
-      assessmentId,
-      title: title || "Avaliação Online",
-      description: description || "",
-      requireName: typeof requireName === "boolean" ? requireName : true,
+// PUT { scale, partialCredit, penalty: { mode, value }, floorAtZero,
+//       rounding: { mode, step }, letters: [{ letter, min }],
+//       points: [{ number, points }] }
+// Só os campos enviados mudam; com gabarito e submissões, recorrige tudo.
+app.put("/assessments/:id/grading", auth, onlyProfessor, async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!isId(id)) return res.status(400).json({ error: "ID inválido" });
+    const assessment = await Assessment.findOne({
+      _id: id,
+      ...editableBy(req.user.uid),
     });
+    if (!assessment)
+      return res.status(404).json({ error: "Avaliação não encontrada." });
 
+    const { grading, error } = gradingConfig(
+      req.body,
+      assessment.toObject().grading || {}
+    );
+    if (error) return res.status(400).json({ error });
+
+    if (req.body.points !== undefined) {
+      if (!Array.isArray(req.body.points))
+        return res.status(400).json({ error: "points deve ser uma lista." });
+      const byNumber = new Map(assessment.questions.map((q) => [q.number, q]));
+      for (const p of req.body.points) {
+        const q = byNumber.get(Number(p?.number));
+        if (!q)
+          return res
+            .status(400)
+            .json({ error: `Questão ${p?.number} não existe na avaliação.` });
+        const points = parsePoints(p.points);
+        if (points === null)
+          return res
+            .status(400)
+            .json({ error: `Pontos inválidos na questão ${q.number}.` });
+        q.points = points;
+      }
+    }
+    assessment.grading = grading;
+    await assessment.save();
+
+    let regrade = null;
+    const key = await latestKey(id);
+    if (key && (await StudentAnswer.exists({ assessmentId: id }))) {
+      regrade = await startRegrade(id, key, {
+        reason: "grading",
+        triggeredBy: req.user.uid,
+      });
+    }
+    res.json({
+      ...gradingView(assessment),
+      regradeId: regrade?._id || null,
+    });
+  } catch (e) {
+    console.error(e);
     res
-      .status(201)
-      .json({ formId: form.formId, url: `${BASE_URL}/form/${form.formId}` });
+      .status(500)
+      .json({ error: "Não foi possível salvar a configuração de notas." });
+  }
+});
+
+/* =========================
+   VERSÕES DA PROVA (A/B/C/D)
+   ========================= */
+const versionNames = (count) =>
+  Array.from({ length: count }, (_, i) => String.fromCharCode(65 + i));
+
+// Versão com o gabarito derivado do gabarito canônico vigente
+const versionView = (v, key) => ({
+  name: v.name,
+  createdAt: v.createdAt,
+  questionOrder: v.permutation?.questionOrder || [],
+  answerKey: key ? deriveVersionKey(v.permutation, key.answers) : null,
+});
+
+// POST { count = 4 | names: ["A","B"], shuffleQuestions = true, shuffleOptions = true }
+app.post("/assessments/:id/versions", auth, onlyProfessor, async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!isId(id)) return res.status(400).json({ error: "ID inválido" });
+    const assessment = await Assessment.findOne({
+      _id: id,
+      ...editableBy(req.user.uid),
+    });
+    if (!assessment)
+      return res.status(404).json({ error: "Avaliação não encontrada." });
+
+    const names = Array.isArray(req.body.names)
+      ? [
+          ...new Set(
+            req.body.names.map((n) => String(n).trim()).filter(Boolean)
+          ),
+        ]
+      : versionNames(Math.min(Math.max(parseInt(req.body.count) || 4, 1), 26));
+    if (!names.length || names.length > 26)
+      return res.status(400).json({ error: "Informe de 1 a 26 versões." });
+
+    // Gerar de novo invalidaria folhas já corrigidas
+    if (
+      await StudentAnswer.exists({
+        assessmentId: id,
+        version: { $exists: true },
+      })
+    )
+      return res.status(409).json({
+        error: "Já existem respostas por versão; as versões não podem mudar.",
+      });
+
+    const options = {
+      shuffleQuestions: req.body.shuffleQuestions !== false,
+      shuffleOptions: req.body.shuffleOptions !== false,
+    };
+    const generation = Date.now();
+    assessment.versions = names.map((name) => {
+      const seed = seedFrom(assessment._id, name, generation);
+      return {
+        name,
+        seed,
+        permutation: buildPermutation(assessment.questions, options, seed),
+      };
+    });
+    await assessment.save();
+
+    const key = await latestKey(id);
+    res.status(201).json({
+      items: assessment.versions.map((v) => versionView(v.toObject(), key)),
+    });
   } catch (e) {
     console.error(e);
-    res.status(500).json({ error: "Não foi possível criar o formulário." });
+    res.status(500).json({ error: "Não foi possível gerar as versões." });
   }
 });
 
-app.get("/form/:formId", async (req, res) => {
+app.get("/assessments/:id/versions", auth, onlyProfessor, async (req, res) => {
   try {
-    const form = await Form.findOne({ formId: req.params.formId }).lean();
-    if (!form) return res.status(404).send("Formulário não encontrado.");
+    const { id } = req.params;
+    if (!isId(id)) return res.status(400).json({ error: "ID inválido" });
+    const assessment = await Assessment.findOne(
+      { _id: id, ...readableBy(req.user.uid) },
+      { versions: 1 }
+    ).lean();
+    if (!assessment)
+      return res.status(404).json({ error: "Avaliação não encontrada." });
+    const key = await latestKey(id);
+    res.json({ items: assessment.versions.map((v) => versionView(v, key)) });
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ error: "Erro ao listar versões." });
+  }
+});
 
-    const assessment = await Assessment.findById(form.assessmentId).lean();
-    const keyDoc = await AnswerKey.findOne({
-      assessmentId: assessment?._id,
-    }).lean();
-    if (!assessment || !keyDoc)
-      return res.status(400).send("Formulário incompleto.");
-
-    const questions = assessment.questions
-      .map(
-        (q) => `
-      <div style="margin:12px 0;padding:10px;border:1px solid #ddd;border-radius:8px">
-        <strong>Questão ${q.number} - ${q.subject}</strong><br/>
-        ${["A", "B", "C", "D", "E"]
-          .map(
-            (letter) => `
-          <label style="margin-right:12px">
-            <input type="radio" name="q${q.number}" value="${letter}" required> ${letter}
-          </label>`
-          )
-          .join("")}
-      </div>`
+// Gabarito derivado de uma versão
+app.get(
+  "/assessments/:id/versions/:name/answer-key",
+  auth,
+  onlyProfessor,
+  async (req, res) => {
+    try {
+      const { id, name } = req.params;
+      if (!isId(id)) return res.status(400).json({ error: "ID inválido" });
+      const assessment = await Assessment.findOne(
+        { _id: id, ...readableBy(req.user.uid) },
+        { versions: 1 }
+      ).lean();
+      const v = assessment?.versions.find((x) => x.name === name);
+      if (!v) return res.status(404).json({ error: "Versão não encontrada." });
+      const key = await latestKey(id);
+      if (!key)
+        return res
+          .status(400)
+          .json({ error: "Gabarito não definido para esta avaliação." });
+      res.json({
+        version: v.name,
+        keyVersion: key.version,
+        answers: deriveVersionKey(v.permutation, key.answers),
+      });
+    } catch (e) {
+      console.error(e);
+      res.status(500).json({ error: "Erro ao gerar gabarito da versão." });
+    }
+  }
+);
+
+app.delete(
+  "/assessments/:id/versions",
+  auth,
+  onlyProfessor,
+  async (req, res) => {
+    try {
+      const { id } = req.params;
+      if (!isId(id)) return res.status(400).json({ error: "ID inválido" });
+      if (
+        await StudentAnswer.exists({
+          assessmentId: id,
+          version: { $exists: true },
+        })
       )
-      .join("");
-
-    const html = `<!DOCTYPE html>
-<html lang="pt-BR"><head>
-<meta charset="utf-8"/>
-<meta name="viewport" content="width=device-width,initial-scale=1"/>
-<title>${form.title}</title>
-</head>
-<body style="font-family:Arial,Helvetica,sans-serif;max-width:900px;margin:30px auto;padding:0 16px">
-  <h1>${form.title}</h1>
-  <p>${form.description || ""}</p>
-  <form method="POST" action="${BASE_URL}/form/${form.formId}/submit">
-    ${
-      form.requireName
-        ? `<div style="margin:12px 0"><label>Nome do aluno: <input name="studentName" required style="padding:8px"/></label></div>`
-        : `<input type="hidden" name="studentName" value="Anônimo"/>`
+        return res.status(409).json({
+          error: "Já existem respostas por versão; as versões não podem mudar.",
+        });
+      const result = await Assessment.updateOne(
+        { _id: id, ...editableBy(req.user.uid) },
+        { versions: [] }
+      );
+      if (!result.matchedCount)
+        return res.status(404).json({ error: "Avaliação não encontrada." });
+      res.json({ ok: true });
+    } catch (e) {
+      console.error(e);
+      res.status(500).json({ error: "Não foi possível remover as versões." });
+    }
+  }
+);
+
+/* =========================
+   RESULTADOS (agregações no MongoDB)
+   ========================= */
+app.use(resultRoutes);
+
+/* =========================
+   ANÁLISE DE ITENS (TCT)
+   ========================= */
+async function loadItemAnalysis(id, uid) {
+  const assessment = await Assessment.findOne(
+    { _id: id, ...readableBy(uid) },
+    { name: 1, questions: 1 }
+  ).lean();
+  if (!assessment) return null;
+  const [submissions, key] = await Promise.all([
+    StudentAnswer.find({ assessmentId: id }, { answers: 1 }).lean(),
+    latestKey(id),
+  ]);
+  const numbers = assessment.questions.map((q) => q.number);
+  const analysis = analyzeItems(submissions, numbers);
+
+  const keyByNumber = new Map(
+    (key?.answers || []).map((k) => [k.questionNumber, k])
+  );
+  const byNumber = new Map(assessment.questions.map((q) => [q.number, q]));
+  analysis.items = analysis.items.map((it) => ({
+    ...it,
+    subject: byNumber.get(it.questionNumber)?.subject,
+    questionId: byNumber.get(it.questionNumber)?.questionId || null,
+    type: typeOf(keyByNumber.get(it.questionNumber)),
+    correctAnswer: keyByNumber.get(it.questionNumber)?.correctAnswer || null,
+    annulled: Boolean(keyByNumber.get(it.questionNumber)?.annulled),
+  }));
+  return { assessment, analysis };
+}
+
+// p, ponto-bisserial, distratores por grupo superior/inferior e KR-20
+app.get(
+  "/assessments/:id/item-analysis",
+  auth,
+  onlyProfessor,
+  async (req, res) => {
+    try {
+      const { id } = req.params;
+      if (!isId(id)) return res.status(400).json({ error: "ID inválido" });
+      const result = await loadItemAnalysis(id, req.user.uid);
+      if (!result)
+        return res.status(404).json({ error: "Avaliação não encontrada." });
+      res.json({
+        assessment: {
+          _id: result.assessment._id,
+          name: result.assessment.name,
+        },
+        ...result.analysis,
+      });
+    } catch (e) {
+      console.error(e);
+      res.status(500).json({ error: "Erro na análise de itens." });
     }
-    ${questions}
-    <button type="submit" style="padding:10px 16px;border-radius:6px;border:0;background:#5a7dff;color:#fff">Enviar</button>
-  </form>
-</body></html>`;
-
-    res.setHeader("Content-Type", "text/html; charset=utf-8");
-    res.send(html);
-  } catch (e) {
-    console.error(e);
-    res.status(500).send("Erro ao carregar formulário.");
   }
-});
+);
 
+// Grava as estatísticas nas questões do banco e recalibra a dificuldade
+// POST { minN = 20 } — só recalibra com amostra acumulada >= minN
 app.post(
-  "/form/:formId/submit",
-  express.urlencoded({ extended: true }),
+  "/assessments/:id/item-analysis/apply",
+  auth,
+  onlyProfessor,
   async (req, res) => {
     try {
-      const { formId } = req.params;
-      const form = await Form.findOne({ formId }).lean();
-      if (!form) return res.status(404).send("Formulário não encontrado.");
-
-      const assessment = await Assessment.findById(form.assessmentId).lean();
-      const keyDoc = await AnswerKey.findOne({
-        assessmentId: form.assessmentId,
-      }).lean();
-      if (!assessment || !keyDoc)
-        return res.status(400).send("Formulário incompleto.");
+      const { id } = req.params;
+      if (!isId(id)) return res.status(400).json({ error: "ID inválido" });
+      const minN = Math.max(parseInt(req.body.minN) || 20, 1);
+      const result = await loadItemAnalysis(id, req.user.uid);
+      if (!result)
+        return res.status(404).json({ error: "Avaliação não encontrada." });
+      if (!result.analysis.n)
+        return res.status(400).json({ error: "Nenhuma resposta registrada." });
+
+      const report = { updated: [], skipped: [] };
+      for (const it of result.analysis.items) {
+        if (!it.questionId || it.annulled || it.pValue === null) {
+          report.skipped.push({
+            questionNumber: it.questionNumber,
+            reason: it.annulled ? "anulada" : "sem questão do banco",
+          });
+          continue;
+        }
+        const question = await Question.findOne({
+          _id: it.questionId,
+          ...editableBy(req.user.uid),
+        });
+        if (!question) {
+          report.skipped.push({
+            questionNumber: it.questionNumber,
+            reason: "sem permissão",
+          });
+          continue;
+        }
 
-      const keyMap = new Map(
-        keyDoc.answers.map((k) => [k.questionNumber, k.correctAnswer])
-      );
+        // Uma entrada por avaliação (reaplicar substitui)
+        question.itemStats = question.itemStats.filter(
+          (st) => String(st.assessmentId) !== String(id)
+        );
+        question.itemStats.push({
+          assessmentId: id,
+          n: it.n,
+          pValue: it.pValue,
+          discrimination: it.discrimination,
+          discriminationIndex: it.discriminationIndex,
+        });
 
-      const studentName = (req.body.studentName || "Anônimo")
-        .toString()
-        .trim()
-        .replace(/\s+/g, " ");
-
-      const answers = assessment.questions.map((q) => {
-        const val = (req.body[`q${q.number}`] || "").toString();
-        const answer = ["A", "B", "C", "D", "E"].includes(val) ? val : "";
-        return {
-          questionNumber: q.number,
-          answer,
-          isCorrect: keyMap.get(q.number) === answer,
-          subject: q.subject,
+        // Média ponderada pelo nº de respondentes de todas as aplicações
+        const total = question.itemStats.reduce((acc, st) => acc + st.n, 0);
+        const pooled = (field) => {
+          const valid = question.itemStats.filter(
+            (st) => typeof st[field] === "number"
+          );
+          const w = valid.reduce((acc, st) => acc + st.n, 0);
+          return w
+            ? Math.round(
+                (valid.reduce((acc, st) => acc + st[field] * st.n, 0) / w) *
+                  1000
+              ) / 1000
+            : null;
         };
-      });
-
-      if (answers.some((a) => !a.answer)) {
-        return res.status(400).send("Preencha todas as questões.");
+        question.calibration = {
+          n: total,
+          pValue: pooled("pValue"),
+          discrimination: pooled("discrimination"),
+          updatedAt: new Date(),
+        };
+        const before = question.difficulty;
+        if (total >= minN) {
+          question.difficulty = difficultyLabel(question.calibration.pValue);
+          question.difficultySource = "calibrated";
+        }
+        await question.save();
+        report.updated.push({
+          questionNumber: it.questionNumber,
+          questionId: question._id,
+          n: total,
+          pValue: question.calibration.pValue,
+          difficultyBefore: before,
+          difficulty: question.difficulty,
+          calibrated: total >= minN,
+        });
       }
+      res.json(report);
+    } catch (e) {
+      console.error(e);
+      res
+        .status(500)
+        .json({ error: "Não foi possível gravar as estatísticas." });
+    }
+  }
+);
 
-      await StudentAnswer.create({
-        assessmentId: form.assessmentId,
-        studentName,
-        answers,
-      });
+/* =========================
+   FORM ONLINE (público)
+   ========================= */
+app.use(formRoutes);
 
-      res.setHeader("Content-Type", "text/html; charset=utf-8");
-      return res.send(`
-      <html><body style="font-family:Arial;max-width:700px;margin:30px auto">
-        <h2>Respostas enviadas com sucesso!</h2>
-        <p>Obrigado por participar.</p>
-      </body></html>
-    `);
+/* =========================
+   COMPARTILHAMENTO
+   ========================= */
+// POST { email | userId, permission } — somente o dono compartilha
+function shareHandler(Model, notFound) {
+  return async (req, res) => {
+    try {
+      const { id } = req.params;
+      if (!isId(id)) return res.status(400).json({ error: "ID inválido" });
+      const { userId, email } = req.body;
+      const permission = req.body.permission === "edit" ? "edit" : "view";
+
+      const doc = await Model.findOne({ _id: id, ownerId: req.user.uid });
+      if (!doc) return res.status(404).json({ error: notFound });
+
+      if (userId && !isId(userId))
+        return res.status(400).json({ error: "userId inválido." });
+      const colleague = await User.findOne(
+        userId
+          ? { _id: userId }
+          : {
+              email: String(email || "")
+                .toLowerCase()
+                .trim(),
+            },
+        { name: 1, email: 1, role: 1 }
+      ).lean();
+      if (!colleague || !isTeacherRole(colleague.role))
+        return res.status(404).json({ error: "Professor não encontrado." });
+      if (String(colleague._id) === String(req.user.uid))
+        return res.status(400).json({ error: "Você já é o dono." });
+
+      const current = doc.sharedWith.find(
+        (s) => String(s.userId) === String(colleague._id)
+      );
+      if (current) current.permission = permission;
+      else doc.sharedWith.push({ userId: colleague._id, permission });
+      await doc.save();
+      res.json({ sharedWith: doc.sharedWith });
     } catch (e) {
       console.error(e);
-      res.status(500).send("Erro ao enviar respostas.");
+      res.status(500).json({ error: "Não foi possível compartilhar." });
     }
-  }
+  };
+}
+function unshareHandler(Model, notFound) {
+  return async (req, res) => {
+    try {
+      const { id, userId } = req.params;
+      if (!isId(id) || !isId(userId))
+        return res.status(400).json({ error: "ID inválido" });
+      const doc = await Model.findOneAndUpdate(
+        { _id: id, ownerId: req.user.uid },
+        { $pull: { sharedWith: { userId } } },
+        { new: true }
+      ).lean();
+      if (!doc) return res.status(404).json({ error: notFound });
+      res.json({ sharedWith: doc.sharedWith });
+    } catch (e) {
+      console.error(e);
+      res.status(500).json({ error: "Não foi possível remover o acesso." });
+    }
+  };
+}
+
+app.post(
+  "/questions/:id/share",
+  auth,
+  onlyProfessor,
+  shareHandler(Question, "Questão não encontrada.")
+);
+app.delete(
+  "/questions/:id/share/:userId",
+  auth,
+  onlyProfessor,
+  unshareHandler(Question, "Questão não encontrada.")
+);
+app.post(
+  "/assessments/:id/share",
+  auth,
+  onlyProfessor,
+  shareHandler(Assessment, "Avaliação não encontrada.")
+);
+app.delete(
+  "/assessments/:id/share/:userId",
+  auth,
+  onlyProfessor,
+  unshareHandler(Assessment, "Avaliação não encontrada.")
 );
 
 /* =========================
@@ -986,11 +2286,19 @@ app.post(
    ========================= */
 app.delete("/clear-data", auth, onlyProfessor, async (req, res) => {
   try {
+    // Apenas as avaliações do próprio professor (e tudo ligado a elas)
+    const owned = await Assessment.find({ ownerId: req.user.uid }, { _id: 1 })
+      .lean()
+      .then((list) => list.map((a) => a._id));
     await Promise.all([
-      Assessment.deleteMany({}),
-      AnswerKey.deleteMany({}),
-      StudentAnswer.deleteMany({}),
-      Form.deleteMany({}),
+      Assessment.deleteMany({ _id: { $in: owned } }),
+      AnswerKey.deleteMany({ assessmentId: { $in: owned } }),
+      RegradeLog.deleteMany({ assessmentId: { $in: owned } }),
+      ManualGradeLog.deleteMany({ assessmentId: { $in: owned } }),
+      StudentAnswer.deleteMany({ assessmentId: { $in: owned } }),
+      AnswerSheetScan.deleteMany({ assessmentId: { $in: owned } }),
+      Form.deleteMany({ assessmentId: { $in: owned } }),
+      FormAttempt.deleteMany({ assessmentId: { $in: owned } }),
     ]);
     res.json({ ok: true });
   } catch (e) {
@@ -999,90 +2307,577 @@ app.delete("/clear-data", auth, onlyProfessor, async (req, res) => {
   }
 });
 
-// /users paginado (somente professor)
-app.get("/users", auth, onlyProfessor, async (req, res) => {
+// /users paginado (somente admin) — ?role=&active=&search=
+app.get("/users", auth, onlyAdmin, async (req, res) => {
   try {
     const page = Math.max(parseInt(req.query.page) || 1, 1);
     const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
 
+    const q = {};
+    if (["aluno", "professor", "admin"].includes(req.query.role))
+      q.role = req.query.role;
+    if (req.query.active === "true") q.active = { $ne: false };
+    if (req.query.active === "false") q.active = false;
+    if (req.query.search) {
+      const rx = new RegExp(escapeRegex(req.query.search), "i");
+      q.$or = [{ name: rx }, { email: rx }];
+    }
+
     const [items, total] = await Promise.all([
-      User.find({}, { passwordHash: 0 })
+      User.find(q, { passwordHash: 0 })
         .sort({ createdAt: -1 })
         .skip((page - 1) * limit)
         .limit(limit)
         .lean(),
-      User.countDocuments(),
+      User.countDocuments(q),
     ]);
 
-    res.json({ items, total, page, pages: Math.ceil(total / limit) });
+    res.json({
+      items,
+      total,
+      page,
+      pages: Math.max(Math.ceil(total / limit), 1),
+    });
   } catch (e) {
     console.error(e);
     res.status(500).json({ error: "Erro ao listar usuários." });
   }
 });
 
+const ROLE_RANK = { aluno: 0, professor: 1, admin: 2 };
+
+// Evita que o sistema fique sem nenhum admin ativo
+async function isLastAdmin(user) {
+  if (user.role !== "admin" || user.active === false) return false;
+  const admins = await User.countDocuments({
+    role: "admin",
+    active: { $ne: false },
+  });
+  return admins <= 1;
+}
+
+async function changeRole(req, res, direction) {
+  try {
+    const { id } = req.params;
+    if (!isId(id)) return res.status(400).json({ error: "ID inválido" });
+    const role =
+      req.body.role || (direction === "promote" ? "professor" : "aluno");
+    if (!(role in ROLE_RANK))
+      return res.status(400).json({ error: "Role inválida." });
+
+    const user = await User.findById(id);
+    if (!user)
+      return res.status(404).json({ error: "Usuário não encontrado." });
+    const delta = ROLE_RANK[role] - ROLE_RANK[user.role];
+    if (
+      (direction === "promote" && delta <= 0) ||
+      (direction === "demote" && delta >= 0)
+    )
+      return res.status(400).json({
+        error: `Não é possível ${
+          direction === "promote" ? "promover" : "rebaixar"
+        } para ${role}.`,
+      });
+    if (direction === "demote" && (await isLastAdmin(user)))
+      return res.status(400).json({ error: "Não remova o último admin." });
+
+    user.role = role;
+    await user.save();
+    if (ROLE_RANK[role] >= ROLE_RANK.professor) {
+      await RoleRequest.updateMany(
+        { userId: user._id, status: "pending" },
+        { status: "approved", decidedBy: req.user.uid, decidedAt: new Date() }
+      );
+    }
+    res.json({ user: publicUser(user) });
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ error: "Erro ao alterar role." });
+  }
+}
+
+app.post("/users/:id/promote", auth, onlyAdmin, (req, res) =>
+  changeRole(req, res, "promote")
+);
+app.post("/users/:id/demote", auth, onlyAdmin, (req, res) =>
+  changeRole(req, res, "demote")
+);
+
+app.post("/users/:id/deactivate", auth, onlyAdmin, async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!isId(id)) return res.status(400).json({ error: "ID inválido" });
+    if (String(id) === String(req.user.uid))
+      return res
+        .status(400)
+        .json({ error: "Você não pode desativar a própria conta." });
+    const user = await User.findById(id);
+    if (!user)
+      return res.status(404).json({ error: "Usuário não encontrado." });
+    if (await isLastAdmin(user))
+      return res.status(400).json({ error: "Não remova o último admin." });
+
+    user.active = false;
+    user.deactivatedAt = new Date();
+    await user.save();
+    res.json({ user: { ...publicUser(user), active: user.active } });
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ error: "Erro ao desativar usuário." });
+  }
+});
+
+app.post("/users/:id/activate", auth, onlyAdmin, async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!isId(id)) return res.status(400).json({ error: "ID inválido" });
+    const user = await User.findByIdAndUpdate(
+      id,
+      { active: true, $unset: { deactivatedAt: 1 } },
+      { new: true }
+    ).lean();
+    if (!user)
+      return res.status(404).json({ error: "Usuário não encontrado." });
+    res.json({ user: { ...publicUser(user), active: user.active } });
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ error: "Erro ao reativar usuário." });
+  }
+});
+
+// Pedidos de perfil professor
+app.get("/admin/role-requests", auth, onlyAdmin, async (req, res) => {
+  try {
+    const status = ["pending", "approved", "rejected"].includes(
+      req.query.status
+    )
+      ? req.query.status
+      : "pending";
+    const items = await RoleRequest.find({ status })
+      .populate("userId", "name email role")
+      .sort({ createdAt: 1 })
+      .lean();
+    res.json({ items });
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ error: "Erro ao listar pedidos." });
+  }
+});
+
+async function decideRoleRequest(req, res, approve) {
+  try {
+    const { id } = req.params;
+    if (!isId(id)) return res.status(400).json({ error: "ID inválido" });
+    const request = await RoleRequest.findOneAndUpdate(
+      { _id: id, status: "pending" },
+      {
+        status: approve ? "approved" : "rejected",
+        decidedBy: req.user.uid,
+        decidedAt: new Date(),
+        note: req.body.note || "",
+      },
+      { new: true }
+    ).lean();
+    if (!request)
+      return res.status(404).json({ error: "Pedido pendente não encontrado." });
+
+    if (approve) {
+      await User.updateOne(
+        { _id: request.userId, role: "aluno" },
+        { role: request.requestedRole }
+      );
+    }
+    res.json(request);
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ error: "Erro ao decidir pedido." });
+  }
+}
+
+app.post("/admin/role-requests/:id/approve", auth, onlyAdmin, (req, res) =>
+  decideRoleRequest(req, res, true)
+);
+app.post("/admin/role-requests/:id/reject", auth, onlyAdmin, (req, res) =>
+  decideRoleRequest(req, res, false)
+);
+
+// Convites de professor: o token só é mostrado na criação
+app.post("/admin/invites", auth, onlyAdmin, async (req, res) => {
+  try {
+    const days = Math.min(
+      Math.max(parseInt(req.body.expiresInDays) || 7, 1),
+      90
+    );
+    const token = crypto.randomBytes(24).toString("base64url");
+    const invite = await ProfessorInvite.create({
+      tokenHash: hashToken(token),
+      email: req.body.email || undefined,
+      createdBy: req.user.uid,
+      expiresAt: new Date(Date.now() + days * 24 * 60 * 60 * 1000),
+    });
+    res.status(201).json({
+      id: invite._id,
+      token,
+      email: invite.email || null,
+      expiresAt: invite.expiresAt,
+    });
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ error: "Não foi possível criar o convite." });
+  }
+});
+
+app.get("/admin/invites", auth, onlyAdmin, async (req, res) => {
+  try {
+    const items = await ProfessorInvite.find({}, { tokenHash: 0 })
+      .populate("usedBy", "name email")
+      .sort({ createdAt: -1 })
+      .limit(200)
+      .lean();
+    res.json({ items });
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ error: "Erro ao listar convites." });
+  }
+});
+
+app.delete("/admin/invites/:id", auth, onlyAdmin, async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!isId(id)) return res.status(400).json({ error: "ID inválido" });
+    const result = await ProfessorInvite.deleteOne({ _id: id, usedBy: null });
+    if (!result.deletedCount)
+      return res.status(404).json({ error: "Convite não encontrado." });
+    res.json({ ok: true });
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ error: "Erro ao revogar convite." });
+  }
+});
+
 /* =========================
-   EXPORT .DOCX (opcional)
+   EXPORT .DOCX / .PDF
    ========================= */
-app.get(
-  "/assessments/:id/export/docx",
+app.use(exportRoutes);
+
+/* =========================
+   LEITURA ÓPTICA (folhas digitalizadas)
+   ========================= */
+// Arquivos ficam só em memória; cada página vira um AnswerSheetScan.
+// A leitura roda no worker (lib/omrWorker), um arquivo por vez
+const SCAN_MAX_FILES = 10;
+const SCAN_MAX_MB = 8;
+const scanUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: SCAN_MAX_MB * 1024 * 1024, files: SCAN_MAX_FILES },
+}).array("files");
+const scanFiles = (req, res, next) =>
+  scanUpload(req, res, (err) =>
+    err
+      ? res.status(400).json({
+          error: `Arquivos inválidos (até ${SCAN_MAX_FILES} arquivos de ${SCAN_MAX_MB} MB).`,
+        })
+      : next()
+  );
+
+// Grade de bolhas de cada versão impressa ("" = sem versão)
+function scanGrids(assessment, key) {
+  const names = ["", ...(assessment.versions || []).map((v) => v.name)];
+  const grids = {};
+  for (const name of names) {
+    const exam = buildExamData(assessment, key, { version: name || undefined });
+    if (exam)
+      grids[name] = exam.questions.map((q) => ({
+        number: q.number,
+        optionCount: q.options.length,
+        multiple: q.type === "multiple",
+        skip: !BUBBLE_TYPES.includes(q.type),
+      }));
+  }
+  return grids;
+}
+
+const scanSummary = (scan) => ({
+  _id: scan._id,
+  fileName: scan.fileName,
+  page: scan.page,
+  status: scan.status,
+  issues: scan.issues,
+  studentName: scan.studentName,
+  version: scan.version,
+  studentAnswerId: scan.studentAnswerId,
+  flagged: scan.answers
+    .filter((a) => a.flag)
+    .map((a) => ({ questionNumber: a.questionNumber, flag: a.flag })),
+});
+
+// Identifica aluno/versão e corrige a página, ou a deixa para revisão
+async function processScan(scan, assessment, { acceptBlank, classId }) {
+  const issues = [...scan.issues];
+  if (scan.answers.some((a) => a.flag === "multiple" || a.flag === "ambiguous"))
+    issues.push("Marcações múltiplas ou ambíguas.");
+  if (!acceptBlank && scan.answers.some((a) => a.flag === "blank"))
+    issues.push("Questões em branco.");
+
+  let student = null;
+  if (assessment.classIds?.length) {
+    const found = scan.rosterEntryId
+      ? await findRosterEntry(classId ? [classId] : assessment.classIds, {
+          rosterEntryId: scan.rosterEntryId,
+        })
+      : null;
+    if (found) {
+      student = rosterStudentFields(found);
+      scan.studentName = student.studentName;
+      scan.classId = student.classId;
+    } else issues.push("Aluno não identificado.");
+  } else if (scan.studentName) {
+    student = { studentName: scan.studentName };
+  } else issues.push("Aluno não identificado.");
+
+  if (
+    student?.rosterEntryId &&
+    (await StudentAnswer.exists({
+      assessmentId: assessment._id,
+      rosterEntryId: student.rosterEntryId,
+    }))
+  )
+    issues.push("Já existem respostas deste aluno.");
+
+  scan.issues = [...new Set(issues)];
+  if (scan.issues.length) {
+    scan.status = "review";
+    return scan.save();
+  }
+
+  const answers = scan.answers.map((a) => ({
+    questionNumber: a.questionNumber,
+    answer: a.answer,
+  }));
+  const { saved, error } = await recordStudentAnswers(
+    assessment,
+    student,
+    answers,
+    scan.version
+  );
+  if (error) {
+    scan.status = "review";
+    scan.issues = [error];
+  } else {
+    scan.status = "recorded";
+    scan.studentAnswerId = saved._id;
+  }
+  return scan.save();
+}
+
+// POST multipart: files[] (PNG/JPEG/PDF) + version, classId (quando a folha
+// não tem QR) e acceptBlank=true (em branco não vai para revisão)
+app.post(
+  "/assessments/:id/scans",
   auth,
   onlyProfessor,
+  scanFiles,
   async (req, res) => {
     try {
       const { id } = req.params;
       if (!isId(id)) return res.status(400).json({ error: "ID inválido" });
-
-      const assessment = await Assessment.findById(id).lean();
-      const key = await AnswerKey.findOne({ assessmentId: id }).lean();
-      if (!assessment || !key)
+      const classId = req.body.classId;
+      if (classId && !isId(classId))
+        return res.status(400).json({ error: "ID inválido" });
+      if (!req.files?.length)
+        return res.status(400).json({ error: "Envie ao menos um arquivo." });
+
+      const assessment = await Assessment.findOne({
+        _id: id,
+        ...editableBy(req.user.uid),
+      }).lean();
+      if (!assessment)
+        return res.status(404).json({ error: "Avaliação não encontrada." });
+      if (classId && !assessment.classIds?.some((c) => String(c) === classId))
         return res
-          .status(404)
-          .json({ error: "Avaliação/gabarito não encontrados" });
-
-      const doc = new Document({
-        sections: [
-          {
-            properties: {},
-            children: [
-              new Paragraph({
-                children: [
-                  new TextRun({ text: assessment.name, bold: true, size: 32 }),
-                ],
-              }),
-              ...assessment.questions.map(
-                (q) =>
-                  new Paragraph({
-                    children: [
-                      new TextRun({
-                        text: `Q${q.number} - ${q.subject}`,
-                        size: 24,
-                      }),
-                    ],
-                  })
-              ),
-            ],
-          },
-        ],
-      });
+          .status(400)
+          .json({ error: "Turma não vinculada à avaliação." });
+      const key = await latestKey(id);
+      if (!key)
+        return res
+          .status(400)
+          .json({ error: "Gabarito não definido para esta avaliação." });
+
+      const options = { acceptBlank: req.body.acceptBlank === "true", classId };
+      const grids = scanGrids(assessment, key);
+      const scans = [];
+      for (const file of req.files) {
+        // A versão lida no QR escolhe a grade dentro do worker
+        const pages = await readUpload(file.buffer, {
+          grids,
+          version: req.body.version,
+        });
+        file.buffer = null;
+        for (const { page, read, error } of pages) {
+          const scan = new AnswerSheetScan({
+            assessmentId: id,
+            uploadedBy: req.user.uid,
+            fileName: file.originalname,
+            page,
+          });
+          if (error) {
+            scan.status = "failed";
+            scan.issues = [error];
+            scans.push(await scan.save());
+            continue;
+          }
+
+          if (read.error) {
+            scan.status = "failed";
+            scan.issues = [read.error];
+            scans.push(await scan.save());
+            continue;
+          }
+          scan.code = read.rawCode;
+          if (read.code && read.code.assessmentId !== id) {
+            scan.status = "failed";
+            scan.issues = ["Folha de outra avaliação."];
+            scans.push(await scan.save());
+            continue;
+          }
+          scan.version = read.code?.version || req.body.version || undefined;
+          if (!grids[scan.version || ""])
+            scan.issues.push("Versão da prova não identificada.");
+          else if (assessment.versions?.length && !scan.version)
+            scan.issues.push("Versão da prova não informada.");
+          scan.rosterEntryId = read.code?.rosterEntryId;
+          scan.answers = read.answers;
+          scans.push(await processScan(scan, assessment, options));
+        }
+      }
 
-      const buffer = await Packer.toBuffer(doc);
-      res.setHeader(
-        "Content-Type",
-        "application/vnd.openxmlformats-officedocument.wordprocessingml.document"
-      );
-      res.setHeader(
-        "Content-Disposition",
-        `attachment; filename="prova-${assessment._id}.docx"`
-      );
-      res.send(buffer);
+      const count = (status) => scans.filter((s) => s.status === status).length;
+      res.status(201).json({
+        recorded: count("recorded"),
+        review: count("review"),
+        failed: count("failed"),
+        scans: scans.map(scanSummary),
+      });
     } catch (e) {
       console.error(e);
-      res.status(500).json({ error: "Falha ao exportar .docx" });
+      res.status(500).json({ error: "Falha ao processar as folhas." });
     }
   }
 );
 
+// GET ?status=review
+app.get("/assessments/:id/scans", auth, onlyProfessor, async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!isId(id)) return res.status(400).json({ error: "ID inválido" });
+    if (!(await Assessment.exists({ _id: id, ...readableBy(req.user.uid) })))
+      return res.status(404).json({ error: "Avaliação não encontrada." });
+    const filter = { assessmentId: id };
+    if (req.query.status) filter.status = String(req.query.status);
+    const items = await AnswerSheetScan.find(filter)
+      .sort({ createdAt: -1 })
+      .lean();
+    res.json({ items: items.map(scanSummary) });
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ error: "Erro ao listar leituras." });
+  }
+});
+
+// Carrega a leitura + avaliação (com permissão de edição)
+async function loadScan(req) {
+  const { id } = req.params;
+  if (!isId(id)) return { status: 400, error: "ID inválido" };
+  const scan = await AnswerSheetScan.findById(id);
+  const assessment =
+    scan &&
+    (await Assessment.findOne({
+      _id: scan.assessmentId,
+      ...editableBy(req.user.uid),
+    }).lean());
+  if (!assessment) return { status: 404, error: "Leitura não encontrada." };
+  return { scan, assessment };
+}
+
+app.get("/scans/:id", auth, onlyProfessor, async (req, res) => {
+  try {
+    const { scan, status, error } = await loadScan(req);
+    if (error) return res.status(status).json({ error });
+    res.json(scan);
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ error: "Erro ao carregar leitura." });
+  }
+});
+
+// Revisão manual: POST { answers: [{ questionNumber, answer|null }],
+// rosterEntryId | studentName, version }
+app.post("/scans/:id/resolve", auth, onlyProfessor, async (req, res) => {
+  try {
+    const { scan, assessment, status, error } = await loadScan(req);
+    if (error) return res.status(status).json({ error });
+    if (scan.status !== "review")
+      return res
+        .status(409)
+        .json({ error: "Esta leitura não está aguardando revisão." });
+
+    const { answers = [], rosterEntryId, studentName, version } = req.body;
+    if (!Array.isArray(answers) || (rosterEntryId && !isId(rosterEntryId)))
+      return res.status(400).json({ error: "Dados de revisão inválidos." });
+    const decided = new Map(
+      answers.map((a) => [Number(a.questionNumber), a.answer || undefined])
+    );
+    if ([...decided.values()].some((a) => a && !/^[A-E]{1,5}$/.test(a)))
+      return res.status(400).json({ error: "Alternativa inválida." });
+
+    // Decisão do professor substitui a leitura; em branco passa a valer
+    scan.answers = scan.answers.map((a) => {
+      const item = a.toObject();
+      if (!decided.has(item.questionNumber)) return item;
+      return {
+        ...item,
+        answer: decided.get(item.questionNumber),
+        flag: undefined,
+      };
+    });
+    if (scan.answers.some((a) => a.flag && a.flag !== "blank"))
+      return res
+        .status(400)
+        .json({ error: "Ainda há questões com marcação ambígua." });
+    if (rosterEntryId) scan.rosterEntryId = rosterEntryId;
+    if (studentName) scan.studentName = String(studentName).trim();
+    if (version) scan.version = String(version);
+    if (assessment.versions?.length && !scan.version)
+      return res.status(400).json({ error: "Informe a versão da prova." });
+    scan.issues = [];
+
+    await processScan(scan, assessment, { acceptBlank: true });
+    if (scan.status !== "recorded")
+      return res.status(400).json({ error: scan.issues.join(" ") });
+    res.json(scanSummary(scan));
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ error: "Erro ao revisar leitura." });
+  }
+});
+
+app.post("/scans/:id/discard", auth, onlyProfessor, async (req, res) => {
+  try {
+    const { scan, status, error } = await loadScan(req);
+    if (error) return res.status(status).json({ error });
+    if (scan.status === "recorded")
+      return res
+        .status(409)
+        .json({ error: "Leitura já corrigida; exclua as respostas do aluno." });
+    scan.status = "discarded";
+    await scan.save();
+    res.json(scanSummary(scan));
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ error: "Erro ao descartar leitura." });
+  }
+});
+
 /* =========================
    SEED (opcional)
    ========================= */
@@ -1108,6 +2903,7 @@ async function seedQuestionsIfNeeded() {
         tags: ["MRUV", "cinemática"],
         questionCode: "Q1",
         source: "Seed",
+        status: "approved",
         license: "",
         sourceUrl: "",
         attribution: "",
@@ -1130,12 +2926,36 @@ async function seedQuestionsIfNeeded() {
         tags: ["lançamento horizontal", "gravidade"],
         questionCode: "Q2",
         source: "Seed",
+        status: "approved",
+        license: "",
+        sourceUrl: "",
+        attribution: "",
+      },
+      {
+        // Parametrizada: cada aluno/versão recebe a e t próprios
+        type: "parametric",
+        statement:
+          "Um carro parte do repouso com aceleração constante de {a} m/s². Qual sua velocidade após {t} s?",
+        parameters: [
+          { name: "a", min: 1, max: 5, step: 0.5 },
+          { name: "t", min: 2, max: 10, step: 1 },
+        ],
+        formula: "a * t",
+        numericAnswer: { unit: "m/s", tolerance: 0.01 },
+        subject: "Cinemática",
+        difficulty: "Fácil",
+        exam: "ENEM",
+        year: 2019,
+        tags: ["MRUV", "parametrizada"],
+        questionCode: "Q3",
+        source: "Seed",
+        status: "approved",
         license: "",
         sourceUrl: "",
         attribution: "",
       },
     ];
-    await Question.insertMany(sample);
+    for (const doc of sample) await createQuestion(doc);
     console.log(`🌱 Seed: ${sample.length} questões inseridas.`);
   } catch (e) {
     console.error("Seed falhou:", e.message);
@@ -1145,9 +2965,14 @@ async function seedQuestionsIfNeeded() {
 /* =========================
    START
    ========================= */
-app.listen(PORT, async () => {
-  console.log(`🚀 Servidor rodando na porta ${PORT}`);
-  if (process.env.SEED === "true") {
-    await seedQuestionsIfNeeded();
-  }
-});
+if (require.main === module) {
+  connectDatabase();
+  app.listen(PORT, async () => {
+    console.log(`🚀 Servidor rodando na porta ${PORT}`);
+    if (process.env.SEED === "true") {
+      await seedQuestionsIfNeeded();
+    }
+  });
+}
+
+module.exports = app;
@@ -0,0 +1,57 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const {
+  PROBABLE_DUPLICATE,
+  normalizeText,
+  contentHash,
+  shingles,
+  jaccard,
+  dedupeKeys,
+} = require("../../src/lib/dedupe");
+
+const question = {
+  statement: "Qual é a velocidade final de um corpo em queda livre após 2 s?",
+  options: { A: "10 m/s", B: "20 m/s", C: "30 m/s", D: "40 m/s", E: "50 m/s" },
+};
+
+test("normalizeText ignora acentos, caixa, tags e pontuação", () => {
+  assert.equal(normalizeText("<p>Ação, <b>REAÇÃO</b>!</p>"), "acao reacao");
+});
+
+test("mesma questão com alternativas embaralhadas tem o mesmo hash", () => {
+  const shuffled = {
+    statement: "QUAL é a velocidade final de um corpo em queda livre após 2 s",
+    options: {
+      A: "50 m/s",
+      B: "40 m/s",
+      C: "30 m/s",
+      D: "20 m/s",
+      E: "10 m/s",
+    },
+  };
+  assert.equal(contentHash(question), contentHash(shuffled));
+  assert.notEqual(
+    contentHash(question),
+    contentHash({ ...question, statement: "Outra pergunta" })
+  );
+});
+
+test("quase iguais passam do limiar e compartilham banda LSH", () => {
+  const similar = {
+    ...question,
+    statement:
+      "Qual é a velocidade final de um corpo em queda livre depois de 2 s?",
+  };
+  const similarity = jaccard(shingles(question), shingles(similar));
+  assert.ok(similarity >= PROBABLE_DUPLICATE - 0.1, String(similarity));
+  const a = dedupeKeys(question).lshBands;
+  const b = dedupeKeys(similar).lshBands;
+  assert.equal(a.length, 8);
+  assert.ok(a.some((band) => b.includes(band)));
+});
+
+test("jaccard de conjuntos vazios e disjuntos", () => {
+  assert.equal(jaccard(new Set(), new Set()), 1);
+  assert.equal(jaccard(new Set(["a b"]), new Set(["c d"])), 0);
+});
@@ -0,0 +1,45 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { compile, RESERVED } = require("../../src/lib/formula");
+
+const evaluate = (src, values) => compile(src).evaluate(values);
+
+test("precedência e associatividade", () => {
+  assert.equal(evaluate("2 + 3 * 4"), 14);
+  assert.equal(evaluate("(2 + 3) * 4"), 20);
+  assert.equal(evaluate("2 ^ 3 ^ 2"), 512);
+  assert.equal(evaluate("2 ** 3"), 8);
+  assert.equal(evaluate("-2 ^ 2"), -4);
+  assert.equal(evaluate("10 / 4 - 1"), 1.5);
+  assert.equal(evaluate("3 × 2 · 2"), 12);
+});
+
+test("variáveis, constantes e funções", () => {
+  const f = compile("sqrt(2 * g * h)");
+  assert.deepEqual(f.variables.sort(), ["g", "h"]);
+  assert.equal(f.evaluate({ g: 10, h: 5 }), 10);
+  assert.equal(evaluate("max(2, 5, 3)"), 5);
+  assert.equal(evaluate("sen(rad(90))"), 1);
+  assert.equal(evaluate("log(1000)"), 3);
+  assert.ok(Math.abs(evaluate("2 * π") - 2 * Math.PI) < 1e-12);
+  assert.equal(evaluate("1.5e3"), 1500);
+  // Parâmetro com nome de constante vale o parâmetro
+  assert.equal(evaluate("e * 2", { e: 3 }), 6);
+  assert.ok(RESERVED.includes("sqrt") && RESERVED.includes("pi"));
+});
+
+test("variável sem valor dá NaN", () => {
+  assert.ok(Number.isNaN(evaluate("a * t", { a: 2 })));
+});
+
+test("erros de sintaxe", () => {
+  for (const src of ["", "2 +", "(1 + 2", "foo(2)", "2 $ 3", "1 2"])
+    assert.throws(() => compile(src), /Fórmula inválida/, src);
+  assert.throws(() => compile("1+".repeat(300) + "1"), /mais de 500/);
+});
+
+test("não acessa propriedades do objeto (constructor, __proto__)", () => {
+  assert.throws(() => compile("constructor(1)"), /não existe/);
+  assert.ok(Number.isNaN(evaluate("__proto__")));
+});
@@ -0,0 +1,156 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const {
+  gradingOf,
+  gradingConfig,
+  parsePoints,
+  roundGrade,
+  computeGrade,
+} = require("../../src/lib/grading");
+
+const OPTIONS = { A: "a", B: "b", C: "c", D: "d", E: "e" };
+
+// Q1 vale 2 pontos; Q3 é aberta; Q4 ficou em branco
+const assessment = (grading = {}) => ({
+  questions: [
+    { number: 1, points: 2, options: OPTIONS },
+    { number: 2, options: OPTIONS },
+    { number: 3 },
+    { number: 4, options: OPTIONS },
+  ],
+  grading,
+});
+const key = {
+  answers: [
+    { questionNumber: 1, correctAnswer: "A" },
+    { questionNumber: 2, correctAnswer: "B" },
+    { questionNumber: 3, type: "open" },
+    { questionNumber: 4, correctAnswer: "C" },
+  ],
+};
+const answers = [
+  { questionNumber: 1, answer: "A", isCorrect: true },
+  { questionNumber: 2, answer: "C", isCorrect: false },
+  { questionNumber: 3, answer: "texto", isCorrect: null },
+  { questionNumber: 4, answer: "", isCorrect: false },
+];
+
+test("gradingOf preenche os padrões", () => {
+  const g = gradingOf({});
+  assert.equal(g.scale, "0-10");
+  assert.deepEqual(g.penalty, { mode: "none", value: 0 });
+  assert.equal(g.floorAtZero, true);
+  assert.deepEqual(g.rounding, { mode: "nearest", step: 0.1 });
+  assert.equal(gradingOf({ grading: { scale: "0-100" } }).rounding.step, 1);
+});
+
+test("computeGrade soma pontos com peso e marca nota provisória", () => {
+  const grade = computeGrade(assessment(), key, answers);
+  assert.equal(grade.points, 2);
+  assert.equal(grade.maxPoints, 5);
+  assert.equal(grade.percentage, 40);
+  assert.equal(grade.value, 4);
+  assert.equal(grade.display, "4");
+  // Aberta sem correção manual
+  assert.equal(grade.provisional, true);
+});
+
+test("desconto fixo só vale para erro marcado", () => {
+  const grade = computeGrade(
+    assessment({ penalty: { mode: "fixed", value: 0.5 } }),
+    key,
+    answers
+  );
+  // Q2 errada (peso 1 × 0,5); Q4 em branco não perde
+  assert.equal(grade.penalty, 0.5);
+  assert.equal(grade.percentage, 30);
+  assert.equal(grade.display, "3");
+});
+
+test("correção de chute desconta 1/(alternativas − 1)", () => {
+  const grade = computeGrade(
+    assessment({ penalty: { mode: "guess" } }),
+    key,
+    answers
+  );
+  assert.equal(grade.penalty, 0.25);
+});
+
+test("nota não fica negativa com floorAtZero", () => {
+  const wrong = [{ questionNumber: 2, answer: "C", isCorrect: false }];
+  const floor = computeGrade(
+    assessment({ penalty: { mode: "fixed", value: 1 } }),
+    key,
+    wrong
+  );
+  assert.equal(floor.value, 0);
+  const negative = computeGrade(
+    assessment({ penalty: { mode: "fixed", value: 1 }, floorAtZero: false }),
+    key,
+    wrong
+  );
+  assert.equal(negative.percentage, -20);
+});
+
+test("escala de conceitos usa o menor percentual de cada letra", () => {
+  const grade = computeGrade(
+    assessment({ scale: "letters" }),
+    key,
+    answers.map((a) => ({ ...a, isCorrect: a.questionNumber !== 4 }))
+  );
+  // 4 de 5 pontos = 80% → B (75–89)
+  assert.equal(grade.letter, "B");
+  assert.equal(grade.display, "B");
+});
+
+test("crédito parcial entra pelo score do item", () => {
+  const grade = computeGrade(assessment(), key, [
+    { questionNumber: 1, answer: "B", isCorrect: false, score: 0.5 },
+  ]);
+  assert.equal(grade.points, 1);
+});
+
+test("roundGrade arredonda pelo passo e modo", () => {
+  assert.equal(roundGrade(7.45, { mode: "nearest", step: 0.1 }), 7.5);
+  assert.equal(roundGrade(7.3, { mode: "nearest", step: 0.5 }), 7.5);
+  assert.equal(roundGrade(7.01, { mode: "up", step: 0.5 }), 7.5);
+  assert.equal(roundGrade(7.49, { mode: "down", step: 0.5 }), 7);
+  assert.equal(roundGrade(7.123, { mode: "none", step: 0.1 }), 7.123);
+});
+
+test("gradingConfig valida e mantém o que não foi enviado", () => {
+  const { grading } = gradingConfig(
+    { scale: "0-100" },
+    { partialCredit: true }
+  );
+  assert.equal(grading.scale, "0-100");
+  assert.equal(grading.partialCredit, true);
+
+  assert.match(gradingConfig({ scale: "0-20" }).error, /Escala inválida/);
+  assert.match(
+    gradingConfig({ penalty: { mode: "fixed", value: 2 } }).error,
+    /entre 0 e 1/
+  );
+  assert.match(
+    gradingConfig({ letters: [{ letter: "A", min: 50 }] }).error,
+    /começar em 0%/
+  );
+  const letters = gradingConfig({
+    letters: [
+      { letter: "I", min: 0 },
+      { letter: "S", min: 60 },
+    ],
+  }).grading.letters;
+  assert.deepEqual(
+    letters.map((l) => l.letter),
+    ["S", "I"]
+  );
+});
+
+test("parsePoints aceita pesos positivos até 1000", () => {
+  assert.equal(parsePoints("2.5"), 2.5);
+  assert.equal(parsePoints(0), null);
+  assert.equal(parsePoints(1001), null);
+  assert.equal(parsePoints("x"), null);
+});
@@ -0,0 +1,70 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const {
+  analyzeItems,
+  difficultyLabel,
+  pointBiserial,
+} = require("../../src/lib/itemAnalysis");
+
+// Gabarito: 1 → A, 2 → B, 3 → C
+const KEY = { 1: "A", 2: "B", 3: "C" };
+const submission = (choices) => ({
+  answers: choices.map((answer, i) => ({
+    questionNumber: i + 1,
+    answer,
+    isCorrect: answer === KEY[i + 1],
+  })),
+});
+
+const submissions = [
+  submission(["A", "B", "C"]),
+  submission(["A", "B", "C"]),
+  submission(["A", "B", "D"]),
+  submission(["A", "C", "D"]),
+  submission(["B", "C", ""]),
+];
+
+test("dificuldade (p) e rótulos", () => {
+  const { items, n, k } = analyzeItems(submissions, [1, 2, 3]);
+  assert.equal(n, 5);
+  assert.equal(k, 3);
+  assert.deepEqual(
+    items.map((it) => it.pValue),
+    [0.8, 0.6, 0.4]
+  );
+  assert.deepEqual(
+    items.map((it) => it.difficulty),
+    ["Fácil", "Médio", "Médio"]
+  );
+  assert.equal(difficultyLabel(0.1), "Difícil");
+  assert.equal(difficultyLabel(null), null);
+});
+
+test("distratores por grupo superior e inferior", () => {
+  const { items, groupSize } = analyzeItems(submissions, [1, 2, 3]);
+  assert.equal(groupSize, 1);
+  const q3 = items[2].distractors;
+  assert.equal(q3.C.count, 2);
+  assert.equal(q3.D.count, 2);
+  assert.equal(q3.blank.count, 1);
+  // Melhor aluno marcou C; o pior deixou em branco
+  assert.equal(q3.C.upper, 1);
+  assert.equal(q3.blank.lower, 1);
+  assert.equal(items[2].discriminationIndex, 1);
+});
+
+test("ponto-bisserial positivo para item que separa os grupos", () => {
+  const { items } = analyzeItems(submissions, [1, 2, 3]);
+  for (const it of items) assert.ok(it.discrimination > 0);
+  // Item que todos acertam não discrimina
+  assert.equal(pointBiserial([1, 1, 1], [1, 2, 3]), null);
+});
+
+test("KR-20 da prova", () => {
+  const { kr20, meanScore } = analyzeItems(submissions, [1, 2, 3]);
+  assert.equal(meanScore, 1.8);
+  // k/(k−1) · (1 − Σpq / variância) = 1,5 · (1 − 0,64 / 1,36)
+  assert.equal(kr20, Math.round(1.5 * (1 - 0.64 / 1.36) * 1000) / 1000);
+  assert.equal(analyzeItems([], [1, 2]).kr20, null);
+});
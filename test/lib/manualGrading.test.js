@@ -0,0 +1,94 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const {
+  rubricCriteria,
+  manualGradeFrom,
+  blindAlias,
+} = require("../../src/lib/manualGrading");
+
+const rubric = {
+  criteria: [
+    { _id: "c1", title: "Conceito", points: 2 },
+    { _id: "c2", title: "Cálculo", points: 3 },
+  ],
+};
+
+test("rubricCriteria valida e mantém o id dos critérios existentes", () => {
+  const { criteria } = rubricCriteria(
+    [
+      { id: "c1", title: " Conceito ", points: "2" },
+      { title: "Unidade", points: 1 },
+    ],
+    rubric.criteria
+  );
+  assert.equal(criteria[0]._id, "c1");
+  assert.equal(criteria[0].title, "Conceito");
+  assert.equal(criteria[1]._id, undefined);
+  assert.match(rubricCriteria([]).error, /de 1 a 20/);
+  assert.match(
+    rubricCriteria([{ title: "X", points: 0 }]).error,
+    /Pontuação inválida/
+  );
+});
+
+test("nota por critérios vira crédito proporcional", () => {
+  const { grade } = manualGradeFrom(
+    {
+      criteria: [
+        { criterionId: "c1", points: 2 },
+        { criterionId: "c2", points: 1.5 },
+      ],
+      comment: " Faltou a unidade ",
+    },
+    rubric
+  );
+  assert.equal(grade.points, 3.5);
+  assert.equal(grade.maxPoints, 5);
+  assert.equal(grade.score, 0.7);
+  assert.equal(grade.isCorrect, false);
+  assert.equal(grade.comment, "Faltou a unidade");
+});
+
+test("critério faltando, acima do máximo ou inexistente é erro", () => {
+  assert.match(
+    manualGradeFrom({ criteria: [{ criterionId: "c1", points: 2 }] }, rubric)
+      .error,
+    /Cálculo/
+  );
+  assert.match(
+    manualGradeFrom(
+      {
+        criteria: [
+          { criterionId: "c1", points: 3 },
+          { criterionId: "c2", points: 0 },
+        ],
+      },
+      rubric
+    ).error,
+    /0 a 2/
+  );
+  assert.match(
+    manualGradeFrom({ criteria: [{ criterionId: "x", points: 1 }] }, rubric)
+      .error,
+    /inexistente/
+  );
+  assert.match(manualGradeFrom({ criteria: [] }, null).error, /sem rubrica/);
+});
+
+test("score ou isCorrect sem rubrica", () => {
+  assert.deepEqual(manualGradeFrom({ score: 1 }).grade, {
+    score: 1,
+    isCorrect: true,
+    comment: undefined,
+  });
+  assert.equal(manualGradeFrom({ isCorrect: false }).grade.score, 0);
+  assert.match(manualGradeFrom({ score: 1.5 }).error, /entre 0 e 1/);
+  assert.match(manualGradeFrom({}).error, /Informe/);
+});
+
+test("apelido da correção às cegas é estável", () => {
+  assert.equal(blindAlias("abc"), blindAlias("abc"));
+  assert.notEqual(blindAlias("abc"), blindAlias("abd"));
+  assert.match(blindAlias("abc"), /^Aluno [0-9A-F]{6}$/);
+});
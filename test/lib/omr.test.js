@@ -0,0 +1,38 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { PNG } = require("pngjs");
+
+const {
+  sheetCode,
+  parseSheetCode,
+  decodeUpload,
+  readSheet,
+} = require("../../src/lib/omr");
+
+test("código do QR vai e volta", () => {
+  const text = sheetCode({
+    assessmentId: "64b7f0c2a1b2c3d4e5f60718",
+    version: "B",
+    rosterEntryId: "64b7f0c2a1b2c3d4e5f60719",
+  });
+  assert.equal(text.split("|").length, 5);
+  const code = parseSheetCode(text);
+  assert.equal(code.assessmentId, "64b7f0c2a1b2c3d4e5f60718");
+  assert.equal(code.version, "B");
+  assert.equal(parseSheetCode("outro|qr"), null);
+});
+
+test("decodeUpload recusa formatos desconhecidos", async () => {
+  const pages = await decodeUpload(Buffer.from("não é imagem"));
+  assert.equal(pages.length, 1);
+  assert.match(pages[0].error, /Formato não suportado/);
+});
+
+test("página em branco: PNG lido, marcadores não encontrados", async () => {
+  const png = new PNG({ width: 300, height: 400 });
+  png.data.fill(255);
+  const [page] = await decodeUpload(PNG.sync.write(png));
+  assert.equal(page.page, 1);
+  assert.ok(page.image);
+  assert.match(readSheet(page.image, []).error, /Marcadores/);
+});
@@ -0,0 +1,102 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const {
+  templateVariables,
+  parametricError,
+  drawValues,
+  drawInstance,
+  formatNumber,
+  renderInstance,
+  expectedValue,
+  choiceValue,
+} = require("../../src/lib/parametric");
+const { mulberry32 } = require("../../src/lib/shuffle");
+
+const question = {
+  number: 3,
+  statement: "Um carro acelera a {a} m/s² por {t} s.",
+  parameters: [
+    { name: "a", min: 1, max: 5, step: 0.5 },
+    { name: "t", min: 2, max: 10 },
+  ],
+  formula: "a * t",
+  tolerance: 0.01,
+  unit: "m/s",
+};
+
+test("placeholders do enunciado", () => {
+  assert.deepEqual(templateVariables(question.statement), ["a", "t"]);
+  assert.deepEqual(templateVariables("{x} e {x}"), ["x"]);
+});
+
+test("parametricError aponta o primeiro problema", () => {
+  assert.equal(parametricError(question), null);
+  assert.match(
+    parametricError({ ...question, formula: "a * v" }),
+    /"v", que não é parâmetro/
+  );
+  assert.match(
+    parametricError({ ...question, statement: "Só {a}." }),
+    /"t" não aparece/
+  );
+  assert.match(
+    parametricError({
+      ...question,
+      parameters: [{ name: "sqrt", min: 1, max: 2 }],
+    }),
+    /Nome de parâmetro inválido/
+  );
+  assert.match(
+    parametricError({ ...question, formula: "a / (t - t)" }),
+    /valor finito/
+  );
+});
+
+test("valores sorteados caem na grade min + k·passo", () => {
+  const rand = mulberry32(1);
+  for (let i = 0; i < 50; i++) {
+    const [a, t] = drawValues(question.parameters, rand);
+    assert.ok(a.value >= 1 && a.value <= 5 && (a.value * 2) % 1 === 0);
+    assert.ok(Number.isInteger(t.value) && t.value >= 2 && t.value <= 10);
+  }
+});
+
+test("instância: cinco alternativas distintas e só uma correta", () => {
+  const rand = mulberry32(99);
+  for (let i = 0; i < 20; i++) {
+    const instance = drawInstance(question, rand);
+    assert.equal(instance.choices.length, 5);
+    const expected = expectedValue(question.formula, instance);
+    const correct = ["A", "B", "C", "D", "E"].filter(
+      (l) => Math.abs(choiceValue(instance, l) - expected) < 1e-9
+    );
+    assert.equal(correct.length, 1);
+    // Distratores longe da tolerância (mínimo 10% de distância)
+    for (const c of instance.choices)
+      if (c !== expected)
+        assert.ok(Math.abs(c - expected) > 0.05 * Math.abs(expected));
+  }
+});
+
+test("formatNumber usa vírgula e potência de 10", () => {
+  assert.equal(formatNumber(12.5), "12,5");
+  assert.equal(formatNumber(2 / 3, 3), "0,667");
+  assert.equal(formatNumber(1.5e-7, 3), "1,5 × 10^-7");
+  assert.equal(formatNumber(NaN), "?");
+});
+
+test("renderInstance substitui valores e monta as alternativas", () => {
+  const instance = {
+    values: [
+      { name: "a", value: 2.5 },
+      { name: "t", value: 4 },
+    ],
+    choices: [10, 5, 20, 40, 1],
+  };
+  const shown = renderInstance(question, instance);
+  assert.equal(shown.statement, "Um carro acelera a 2,5 m/s² por 4 s.");
+  assert.equal(shown.options.A, "10 m/s");
+  assert.equal(shown.options.E, "1 m/s");
+  assert.equal(renderInstance(question, null), question);
+});
@@ -0,0 +1,88 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const {
+  parseNumber,
+  parseLetters,
+  parseSum,
+  normalizeAnswer,
+  gradeAnswer,
+  partialCredit,
+  keyItemFrom,
+  formatKeyAnswer,
+} = require("../../src/lib/questionTypes");
+
+test("números com vírgula, milhar e notação científica", () => {
+  assert.equal(parseNumber("3,5"), 3.5);
+  assert.equal(parseNumber("-0.25"), -0.25);
+  assert.equal(parseNumber("1.234,5"), 1234.5);
+  assert.equal(parseNumber("2 × 10^3"), 2000);
+  assert.ok(!Number.isFinite(parseNumber("abc")));
+});
+
+test("letras e somatória", () => {
+  assert.deepEqual(parseLetters("c, a"), ["A", "C"]);
+  assert.equal(parseLetters("AF"), null);
+  assert.equal(parseSum("13"), 13);
+  assert.equal(parseSum([1, 4, 8]), 13);
+  assert.equal(parseSum([3]), null);
+  assert.equal(parseSum("128"), null);
+});
+
+test("normalizeAnswer por tipo (undefined = branco, null = inválida)", () => {
+  assert.equal(normalizeAnswer({}, " b "), "B");
+  assert.equal(normalizeAnswer({}, "F"), null);
+  assert.equal(normalizeAnswer({}, ""), undefined);
+  assert.equal(normalizeAnswer({ type: "multiple" }, "ca"), "AC");
+  assert.equal(normalizeAnswer({ type: "truefalse" }, [1, 2]), "3");
+  assert.equal(
+    normalizeAnswer({ type: "numeric", unit: "m/s" }, "9,8 m/s"),
+    "9.8"
+  );
+  assert.equal(normalizeAnswer({ type: "open" }, "  texto \r\n"), "texto");
+});
+
+test("gradeAnswer: anulada, alternativas aceitas, tolerância e aberta", () => {
+  assert.equal(gradeAnswer({ correctAnswer: "A", annulled: true }, "B"), true);
+  assert.equal(
+    gradeAnswer({ correctAnswer: "A", acceptedAnswers: ["C"] }, "C"),
+    true
+  );
+  assert.equal(gradeAnswer({ correctAnswer: "A" }, undefined), false);
+  const numeric = { type: "numeric", correctAnswer: "9.8", tolerance: 0.01 };
+  assert.equal(gradeAnswer(numeric, "9.89"), true);
+  assert.equal(gradeAnswer(numeric, "9.95"), false);
+  assert.equal(gradeAnswer({ type: "open" }, "resposta"), null);
+  assert.equal(
+    gradeAnswer({ type: "multiple", correctAnswer: "AC" }, "AC"),
+    true
+  );
+  assert.equal(
+    gradeAnswer({ type: "multiple", correctAnswer: "AC" }, "A"),
+    false
+  );
+});
+
+test("partialCredit em várias corretas e somatória", () => {
+  const multiple = { type: "multiple", correctAnswer: "ACE" };
+  assert.equal(partialCredit(multiple, "AC"), 2 / 3);
+  assert.equal(partialCredit(multiple, "AB"), 0);
+  // Somatória 13 = 01 + 04 + 08
+  const sum = { type: "truefalse", correctAnswer: "13" };
+  assert.equal(partialCredit(sum, "5"), 2 / 3);
+  assert.equal(partialCredit(sum, "7"), 0);
+  assert.equal(partialCredit({ correctAnswer: "A" }, "B"), null);
+});
+
+test("keyItemFrom normaliza o item do gabarito", () => {
+  assert.deepEqual(
+    keyItemFrom({ questionNumber: "2", correctAnswer: "b" }).correctAnswer,
+    "B"
+  );
+  assert.equal(keyItemFrom({ questionNumber: 1, type: "xyz" }), null);
+  assert.equal(keyItemFrom({ questionNumber: "x", correctAnswer: "A" }), null);
+  assert.equal(
+    formatKeyAnswer({ type: "truefalse", correctAnswer: "13" }).includes("13"),
+    true
+  );
+});
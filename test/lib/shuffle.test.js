@@ -0,0 +1,141 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const {
+  seedFrom,
+  mulberry32,
+  buildPermutation,
+  basePermutation,
+  applyPermutation,
+  toCanonicalLetter,
+  toDisplayedLetter,
+  answersToCanonical,
+  deriveVersionKey,
+} = require("../../src/lib/shuffle");
+
+const questions = [1, 2, 3, 4].map((number) => ({
+  number,
+  statement: `Questão ${number}`,
+  options: { A: "a", B: "b", C: "c", D: "d", E: "e" },
+}));
+const options = { shuffleQuestions: true, shuffleOptions: true };
+
+test("mesma semente gera a mesma permutação", () => {
+  const seed = seedFrom("form", "aluno", 1);
+  assert.equal(seed, seedFrom("form", "aluno", 1));
+  assert.notEqual(seed, seedFrom("form", "aluno", 2));
+  assert.deepEqual(
+    buildPermutation(questions, options, seed),
+    buildPermutation(questions, options, seed)
+  );
+  const rand = mulberry32(42);
+  const value = rand();
+  assert.ok(value >= 0 && value < 1);
+});
+
+test("permutação cobre todas as questões e letras", () => {
+  const perm = buildPermutation(questions, options, 7);
+  assert.deepEqual([...perm.questionOrder].sort(), [1, 2, 3, 4]);
+  for (const { order } of perm.optionOrders)
+    assert.deepEqual([...order].sort(), ["A", "B", "C", "D", "E"]);
+  assert.deepEqual(perm.instances, []);
+});
+
+test("letra exibida e canônica são inversas", () => {
+  const perm = buildPermutation(questions, options, 11);
+  for (const q of questions)
+    for (const letter of ["A", "B", "C", "D", "E"]) {
+      const shown = toDisplayedLetter(perm, q.number, letter);
+      assert.equal(toCanonicalLetter(perm, q.number, shown), letter);
+    }
+  // Várias letras voltam ordenadas
+  const order = perm.optionOrders[0];
+  const shownAC = toDisplayedLetter(perm, order.questionNumber, "AC");
+  assert.equal(toCanonicalLetter(perm, order.questionNumber, shownAC), "AC");
+});
+
+test("applyPermutation mostra a questão e as alternativas na ordem da versão", () => {
+  const perm = buildPermutation(questions, options, 3);
+  const shown = applyPermutation(questions, perm);
+  shown.forEach((q, i) => {
+    assert.equal(q.displayNumber, i + 1);
+    assert.equal(q.number, perm.questionOrder[i]);
+    const order = perm.optionOrders.find(
+      (o) => o.questionNumber === q.number
+    ).order;
+    assert.equal(q.options.A, order[0].toLowerCase());
+  });
+});
+
+test("gabarito da versão corrige as respostas da versão", () => {
+  const perm = buildPermutation(questions, options, 5);
+  const keyAnswers = [
+    { questionNumber: 1, correctAnswer: "A" },
+    { questionNumber: 2, correctAnswer: "B", acceptedAnswers: ["C"] },
+    { questionNumber: 3, correctAnswer: "D", annulled: true },
+    { questionNumber: 4, correctAnswer: "E" },
+  ];
+  const versionKey = deriveVersionKey(perm, keyAnswers);
+  assert.deepEqual(
+    versionKey.map((k) => k.canonicalNumber),
+    perm.questionOrder
+  );
+  // Marcar o gabarito da versão = acertar tudo no gabarito canônico
+  const canonical = answersToCanonical(
+    perm,
+    versionKey.map((k) => ({
+      questionNumber: k.questionNumber,
+      answer: k.correctAnswer,
+    }))
+  );
+  const byNumber = new Map(keyAnswers.map((k) => [k.questionNumber, k]));
+  for (const a of canonical)
+    assert.equal(a.answer, byNumber.get(a.questionNumber).correctAnswer);
+
+  const q2 = versionKey.find((k) => k.canonicalNumber === 2);
+  assert.equal(toCanonicalLetter(perm, 2, q2.acceptedAnswers[0]), "C");
+  assert.equal(versionKey.find((k) => k.canonicalNumber === 3).annulled, true);
+});
+
+test("sem permutação nada muda", () => {
+  assert.equal(toCanonicalLetter(null, 1, "B"), "B");
+  assert.deepEqual(
+    applyPermutation(questions, null).map((q) => q.number),
+    [1, 2, 3, 4]
+  );
+  assert.equal(basePermutation({ _id: "x", questions }), null);
+});
+
+test("parametrizada: valores fixos por avaliação e gabarito com a letra certa", () => {
+  const parametric = {
+    number: 1,
+    type: "parametric",
+    statement: "a = {a} m/s², t = {t} s. Qual a velocidade?",
+    parameters: [
+      { name: "a", min: 1, max: 5, step: 1 },
+      { name: "t", min: 2, max: 10, step: 1 },
+    ],
+    formula: "a * t",
+    tolerance: 0.01,
+    unit: "m/s",
+  };
+  const assessment = { _id: "abc", questions: [parametric] };
+  const perm = basePermutation(assessment);
+  assert.deepEqual(perm, basePermutation(assessment));
+  assert.equal(perm.instances.length, 1);
+
+  const [versionKey] = deriveVersionKey(perm, [
+    {
+      questionNumber: 1,
+      type: "parametric",
+      formula: "a * t",
+      tolerance: 0.01,
+    },
+  ]);
+  const values = Object.fromEntries(
+    perm.instances[0].values.map((v) => [v.name, v.value])
+  );
+  assert.equal(versionKey.value, values.a * values.t);
+  const index = "ABCDE".indexOf(versionKey.correctAnswer);
+  assert.equal(perm.instances[0].choices[index], versionKey.value);
+});
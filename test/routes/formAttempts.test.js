@@ -0,0 +1,173 @@
+const assert = require("node:assert/strict");
+
+const {
+  useTestApp,
+  routeTest,
+  request,
+  createUser,
+  model,
+} = require("./setup");
+
+useTestApp();
+
+// Turma com roster, avaliação de 2 questões com gabarito e o formulário
+async function rosterForm(settings = {}) {
+  const prof = await createUser("Ana", "professor");
+  const cls = await request("POST", "/classes", {
+    token: prof.token,
+    body: { name: "3º C" },
+  });
+  for (const student of [
+    { name: "João Silva", registration: "2024001" },
+    { name: "Maria Souza", registration: "2024002" },
+  ])
+    await request("POST", `/classes/${cls.body._id}/students`, {
+      token: prof.token,
+      body: student,
+    });
+  const assessment = await request("POST", "/assessments", {
+    token: prof.token,
+    body: {
+      name: "Prova online",
+      questionsCount: 2,
+      questions: [
+        { number: 1, subject: "Física" },
+        { number: 2, subject: "Química" },
+      ],
+      classIds: [cls.body._id],
+    },
+  });
+  await request("POST", `/assessments/${assessment.body._id}/answer-keys`, {
+    token: prof.token,
+    body: {
+      answers: [
+        { questionNumber: 1, correctAnswer: "A" },
+        { questionNumber: 2, correctAnswer: "C" },
+      ],
+    },
+  });
+  const form = await request("POST", "/forms", {
+    token: prof.token,
+    body: { assessmentId: assessment.body._id, ...settings },
+  });
+  assert.equal(form.status, 201);
+  assert.equal(form.body.identityMode, "roster");
+  return { prof, formId: form.body.formId, assessmentId: assessment.body._id };
+}
+
+const joao = { studentName: "João Silva", registration: "2024001" };
+const start = (formId, form, cookie) =>
+  request("POST", `/form/${formId}/start`, { form, cookie });
+const submit = (formId, attemptToken, answers = { q1: "A", q2: "B" }) =>
+  request("POST", `/form/${formId}/submit`, {
+    form: { attemptToken, ...answers },
+  });
+const tokenOf = (html) => html.match(/name="attemptToken" value="([^"]+)"/)[1];
+
+routeTest("roster: matrícula só vale com o nome do aluno", async () => {
+  const { formId } = await rosterForm();
+
+  const noName = await start(formId, { registration: "2024001" });
+  assert.equal(noName.status, 400);
+  assert.match(noName.body, /Informe seu nome e a matrícula/);
+
+  const wrongName = await start(formId, {
+    studentName: "Maria Souza",
+    registration: "2024001",
+  });
+  assert.equal(wrongName.status, 400);
+  assert.match(wrongName.body, /Nome e matrícula não conferem/);
+
+  const noRegistration = await start(formId, { studentName: "João Silva" });
+  assert.equal(noRegistration.status, 400);
+  assert.match(noRegistration.body, /Informe sua matrícula/);
+
+  // Sem acento/caixa também confere
+  const ok = await start(formId, {
+    studentName: "joao  SILVA",
+    registration: "2024001",
+  });
+  assert.equal(ok.status, 200);
+  assert.match(ok.body, /Aluno: <strong>João Silva<\/strong> — tentativa 1/);
+  assert.match(ok.cookies, /^attempt_[0-9a-f]{16}=/);
+});
+
+routeTest("retomada só no mesmo navegador ou após liberação", async () => {
+  const { prof, formId } = await rosterForm();
+  const first = await start(formId, joao);
+  assert.equal(first.status, 200);
+  const token = tokenOf(first.body);
+
+  // Colega com o mesmo nome/matrícula em outro navegador: recusado
+  const other = await start(formId, joao);
+  assert.equal(other.status, 409);
+  assert.match(other.body, /Peça ao professor para liberá-la/);
+
+  const resumed = await start(formId, joao, first.cookies);
+  assert.equal(resumed.status, 200);
+  assert.equal(tokenOf(resumed.body), token);
+
+  const attempts = await request("GET", `/forms/${formId}/attempts`, {
+    token: prof.token,
+  });
+  assert.equal(attempts.body.items.length, 1);
+  assert.equal(attempts.body.items[0].tokenHash, undefined);
+  const releaseUrl = `/forms/${formId}/attempts/${attempts.body.items[0]._id}/release`;
+
+  const stranger = await createUser("Bruno", "professor");
+  const foreign = await request("POST", releaseUrl, {
+    token: stranger.token,
+  });
+  assert.equal(foreign.status, 404);
+
+  const released = await request("POST", releaseUrl, { token: prof.token });
+  assert.equal(released.status, 200);
+  assert.equal(released.body.resumeAllowed, true);
+
+  // Liberada: o novo navegador ganha outro token e o antigo deixa de valer
+  const moved = await start(formId, joao);
+  assert.equal(moved.status, 200);
+  const newToken = tokenOf(moved.body);
+  assert.notEqual(newToken, token);
+  assert.equal((await start(formId, joao)).status, 409);
+  const stale = await submit(formId, token);
+  assert.equal(stale.status, 403);
+  assert.match(stale.body, /Tentativa inválida ou já enviada/);
+
+  const sent = await submit(formId, newToken);
+  assert.equal(sent.status, 200);
+  assert.match(sent.body, /Respostas enviadas com sucesso/);
+  const saved = await model("StudentAnswer").findOne({ formId }).lean();
+  assert.equal(saved.studentName, "João Silva");
+  assert.deepEqual(
+    saved.answers.map((a) => a.isCorrect),
+    [true, false]
+  );
+
+  const again = await start(formId, joao, moved.cookies);
+  assert.equal(again.status, 403);
+  assert.match(again.body, /já usou todas as tentativas/);
+  assert.equal((await submit(formId, newToken)).status, 403);
+});
+
+routeTest("limite de tentativas e envio após encerrar", async () => {
+  const { prof, formId } = await rosterForm({ maxAttempts: 2 });
+  const first = await start(formId, joao);
+  assert.equal((await submit(formId, tokenOf(first.body))).status, 200);
+
+  const second = await start(formId, joao);
+  assert.equal(second.status, 200);
+  assert.match(second.body, /tentativa 2/);
+  const incomplete = await submit(formId, tokenOf(second.body), { q1: "A" });
+  assert.equal(incomplete.status, 400);
+
+  const closed = await request("POST", `/forms/${formId}/close`, {
+    token: prof.token,
+  });
+  assert.equal(closed.status, 200);
+  const late = await submit(formId, tokenOf(second.body));
+  assert.equal(late.status, 403);
+  assert.match(late.body, /encerrado/);
+  assert.equal((await start(formId, joao, second.cookies)).status, 403);
+  assert.equal(await model("StudentAnswer").countDocuments({ formId }), 1);
+});
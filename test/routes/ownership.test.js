@@ -0,0 +1,143 @@
+const assert = require("node:assert/strict");
+
+const { useTestApp, routeTest, request, createUser } = require("./setup");
+
+useTestApp();
+
+const question = {
+  statement: "Quanto é 2 + 2?",
+  options: { A: "3", B: "4", C: "5", D: "6", E: "7" },
+  correctAnswer: "B",
+  subject: "Aritmética",
+};
+
+routeTest("turma só aparece e muda para o dono", async () => {
+  const ana = await createUser("Ana", "professor");
+  const bruno = await createUser("Bruno", "professor");
+  const cls = await request("POST", "/classes", {
+    token: ana.token,
+    body: { name: "1º A" },
+  });
+  assert.equal(cls.status, 201);
+  const url = `/classes/${cls.body._id}`;
+
+  assert.equal((await request("GET", url, { token: ana.token })).status, 200);
+  assert.equal((await request("GET", url, { token: bruno.token })).status, 404);
+  const renamed = await request("PUT", url, {
+    token: bruno.token,
+    body: { name: "Tomada" },
+  });
+  assert.equal(renamed.status, 404);
+  assert.equal(
+    (await request("DELETE", url, { token: bruno.token })).status,
+    404
+  );
+  const students = await request("POST", `${url}/students`, {
+    token: bruno.token,
+    body: { name: "Intruso" },
+  });
+  assert.equal(students.status, 404);
+
+  const list = await request("GET", "/classes", { token: bruno.token });
+  assert.equal(list.status, 200);
+  assert.ok(!JSON.stringify(list.body).includes(cls.body._id));
+});
+
+routeTest("questão privada até ser compartilhada", async () => {
+  const ana = await createUser("Ana", "professor");
+  const bruno = await createUser("Bruno", "professor");
+  const created = await request("POST", "/questions", {
+    token: ana.token,
+    body: question,
+  });
+  assert.equal(created.status, 201);
+  const url = `/questions/${created.body._id}`;
+  const edit = { token: bruno.token, body: { subject: "Outro" } };
+
+  assert.equal((await request("GET", url, { token: bruno.token })).status, 404);
+  assert.equal((await request("PUT", url, edit)).status, 404);
+  assert.equal(
+    (await request("DELETE", url, { token: bruno.token })).status,
+    404
+  );
+
+  // Leitura: vê, mas não edita nem compartilha
+  const share = (permission) =>
+    request("POST", `${url}/share`, {
+      token: ana.token,
+      body: { email: bruno.email, permission },
+    });
+  assert.equal((await share("view")).status, 200);
+  assert.equal((await request("GET", url, { token: bruno.token })).status, 200);
+  assert.equal((await request("PUT", url, edit)).status, 404);
+  const reshare = await request("POST", `${url}/share`, {
+    token: bruno.token,
+    body: { email: ana.email },
+  });
+  assert.equal(reshare.status, 404);
+
+  // Edição: edita, mas só o dono exclui
+  assert.equal((await share("edit")).status, 200);
+  const edited = await request("PUT", url, edit);
+  assert.equal(edited.status, 200);
+  assert.equal(edited.body.subject, "Outro");
+  assert.equal(
+    (await request("DELETE", url, { token: bruno.token })).status,
+    404
+  );
+});
+
+routeTest("avaliação fica fora do alcance de outro professor", async () => {
+  const ana = await createUser("Ana", "professor");
+  const bruno = await createUser("Bruno", "professor");
+  const cls = await request("POST", "/classes", {
+    token: ana.token,
+    body: { name: "2º B" },
+  });
+  const body = {
+    name: "Prova 1",
+    questionsCount: 1,
+    questions: [{ number: 1, subject: "Aritmética" }],
+  };
+
+  const foreign = await request("POST", "/assessments", {
+    token: bruno.token,
+    body: { ...body, classIds: [cls.body._id] },
+  });
+  assert.equal(foreign.status, 400);
+  assert.equal(foreign.body.error, "Turmas inválidas.");
+
+  const own = await request("POST", "/assessments", {
+    token: ana.token,
+    body: { ...body, classIds: [cls.body._id] },
+  });
+  assert.equal(own.status, 201);
+  const url = `/assessments/${own.body._id}`;
+  assert.equal((await request("GET", url, { token: bruno.token })).status, 404);
+  const key = await request("POST", `${url}/answer-keys`, {
+    token: bruno.token,
+    body: { answers: [{ questionNumber: 1, correctAnswer: "A" }] },
+  });
+  assert.equal(key.status, 404);
+  const list = await request("GET", "/assessments", { token: bruno.token });
+  assert.equal(list.status, 200);
+  assert.equal(list.body.total, 0);
+});
+
+routeTest("aluno e visitante não chegam às rotas de professor", async () => {
+  const aluno = await createUser("Carla");
+  assert.equal((await request("GET", "/questions")).status, 401);
+  assert.equal(
+    (await request("GET", "/questions", { token: aluno.token })).status,
+    403
+  );
+  const cls = await request("POST", "/classes", {
+    token: aluno.token,
+    body: { name: "Minha" },
+  });
+  assert.equal(cls.status, 403);
+  assert.equal(
+    (await request("GET", "/users", { token: aluno.token })).status,
+    403
+  );
+});
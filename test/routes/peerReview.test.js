@@ -0,0 +1,74 @@
+const assert = require("node:assert/strict");
+
+const { useTestApp, routeTest, request, createUser } = require("./setup");
+
+// Revisão por pares ligada: a aprovação é de outro professor
+process.env.QUESTION_PEER_REVIEW = "true";
+useTestApp();
+
+const question = {
+  statement: "Qual grandeza se mede em hertz?",
+  options: {
+    A: "frequência",
+    B: "período",
+    C: "potência",
+    D: "energia",
+    E: "carga",
+  },
+  correctAnswer: "A",
+  subject: "Ondulatória",
+};
+
+routeTest("autor e quem revisou não aprovam; outro professor sim", async () => {
+  const ana = await createUser("Ana", "professor");
+  const bruno = await createUser("Bruno", "professor");
+  const carla = await createUser("Carla", "professor");
+  const created = await request("POST", "/questions", {
+    token: ana.token,
+    body: question,
+  });
+  assert.equal(created.status, 201);
+  assert.equal(created.body.status, "draft");
+  const url = `/questions/${created.body._id}`;
+  const status = (user, value) =>
+    request("POST", `${url}/status`, {
+      token: user.token,
+      body: { status: value },
+    });
+  for (const colleague of [bruno, carla])
+    await request("POST", `${url}/share`, {
+      token: ana.token,
+      body: { email: colleague.email, permission: "edit" },
+    });
+
+  // Rascunho passa pela revisão antes de aprovar
+  assert.equal((await status(ana, "approved")).status, 409);
+  assert.equal((await status(ana, "review")).status, 200);
+  const own = await status(ana, "approved");
+  assert.equal(own.status, 403);
+  assert.equal(own.body.error, "O autor não pode aprovar a própria questão.");
+
+  const edited = await request("PUT", url, {
+    token: bruno.token,
+    body: { subject: "Ondas" },
+  });
+  assert.equal(edited.status, 200);
+  assert.equal((await status(bruno, "approved")).status, 403);
+
+  const approved = await status(carla, "approved");
+  assert.equal(approved.status, 200);
+  assert.equal(approved.body.status, "approved");
+  const built = await request("POST", "/assessments/from-bank", {
+    token: ana.token,
+    body: { name: "Prova revisada", questionIds: [created.body._id] },
+  });
+  assert.equal(built.status, 201);
+
+  // Mudar o conteúdo de uma aprovada devolve para revisão
+  const changed = await request("PUT", url, {
+    token: ana.token,
+    body: { correctAnswer: "B" },
+  });
+  assert.equal(changed.status, 200);
+  assert.equal(changed.body.status, "review");
+});
@@ -0,0 +1,179 @@
+const assert = require("node:assert/strict");
+
+const {
+  useTestApp,
+  routeTest,
+  request,
+  createUser,
+  model,
+} = require("./setup");
+
+useTestApp();
+
+// Q1 de alternativa (gabarito A) e Q2 aberta, com as respostas de dois alunos
+async function gradedAssessment() {
+  const prof = await createUser("Ana", "professor");
+  const assessment = await request("POST", "/assessments", {
+    token: prof.token,
+    body: {
+      name: "Prova com recorreção",
+      questionsCount: 2,
+      questions: [
+        { number: 1, subject: "Física" },
+        { number: 2, subject: "Redação", type: "open" },
+      ],
+    },
+  });
+  const url = `/assessments/${assessment.body._id}`;
+  const key = await request("POST", `${url}/answer-keys`, {
+    token: prof.token,
+    body: {
+      answers: [
+        { questionNumber: 1, correctAnswer: "A" },
+        { questionNumber: 2, type: "open" },
+      ],
+    },
+  });
+  assert.equal(key.status, 201);
+  assert.equal(key.body.regradeId, null);
+
+  const answer = (studentName, letter) =>
+    request("POST", "/student-answers", {
+      token: prof.token,
+      body: {
+        assessmentId: assessment.body._id,
+        studentName,
+        answers: [
+          { questionNumber: 1, answer: letter },
+          { questionNumber: 2, answer: "Texto da resposta" },
+        ],
+      },
+    });
+  const bia = await answer("Bia", "B");
+  const caio = await answer("Caio", "C");
+  assert.equal(bia.status, 201);
+  return { prof, url, bia: bia.body, caio: caio.body };
+}
+
+// A recorreção roda em segundo plano: espera o registro sair de "running"
+async function finished(regradeId, token) {
+  for (let i = 0; i < 100; i++) {
+    const log = await request("GET", `/regrades/${regradeId}`, { token });
+    if (log.body.status !== "running") return log.body;
+    await new Promise((resolve) => setTimeout(resolve, 50));
+  }
+  throw new Error("recorreção não terminou");
+}
+
+const saved = (id) => model("StudentAnswer").findById(id).lean();
+
+routeTest("novo gabarito recorrige e mantém a nota manual", async () => {
+  const { prof, url, bia, caio } = await gradedAssessment();
+  const manual = await request(
+    "POST",
+    `/student-answers/${bia._id}/manual-grade`,
+    {
+      token: prof.token,
+      body: { questionNumber: 2, isCorrect: true, comment: "Boa" },
+    }
+  );
+  assert.equal(manual.status, 200);
+
+  const key = await request("POST", `${url}/answer-keys`, {
+    token: prof.token,
+    body: {
+      answers: [
+        { questionNumber: 1, correctAnswer: "B" },
+        { questionNumber: 2, type: "open" },
+      ],
+    },
+  });
+  assert.equal(key.status, 201);
+  assert.equal(key.body.answerKey.version, 2);
+  const log = await finished(key.body.regradeId, prof.token);
+  assert.equal(log.status, "done");
+  assert.equal(log.reason, "answer-key");
+  assert.equal(log.keyVersion, 2);
+  assert.equal(log.submissions, 2);
+  assert.equal(log.changedSubmissions, 1);
+  assert.equal(log.changes[0].studentName, "Bia");
+  assert.equal(log.changes[0].correctBefore, 1);
+  assert.equal(log.changes[0].correctAfter, 2);
+
+  const after = await saved(bia._id);
+  assert.equal(after.keyVersion, 2);
+  assert.deepEqual(
+    after.answers.map((a) => a.isCorrect),
+    [true, true]
+  );
+  assert.equal(after.answers[1].manualGrade.comment, "Boa");
+  assert.equal((await saved(caio._id)).answers[0].isCorrect, false);
+});
+
+routeTest("anular questão vale para todos e fica no histórico", async () => {
+  const { prof, url, caio } = await gradedAssessment();
+  const annul = await request("POST", `${url}/answer-key/annul`, {
+    token: prof.token,
+    body: { questionNumber: 1 },
+  });
+  assert.equal(annul.status, 201);
+  const log = await finished(annul.body.regradeId, prof.token);
+  assert.equal(log.reason, "annul");
+  assert.equal((await saved(caio._id)).answers[0].isCorrect, true);
+
+  // Anular de novo não cria versão nem recorreção
+  const repeat = await request("POST", `${url}/answer-key/annul`, {
+    token: prof.token,
+    body: { questionNumber: 1 },
+  });
+  assert.equal(repeat.status, 200);
+  assert.equal(repeat.body.regradeId, null);
+
+  const keys = await request("GET", `${url}/answer-keys`, {
+    token: prof.token,
+  });
+  assert.deepEqual(
+    keys.body.items.map((k) => k.version),
+    [2, 1]
+  );
+  const regrades = await request("GET", `${url}/regrades`, {
+    token: prof.token,
+  });
+  assert.equal(regrades.body.items.length, 1);
+  assert.equal(regrades.body.items[0].changes, undefined);
+});
+
+routeTest("recorreção manual só para quem edita a avaliação", async () => {
+  const { prof, url } = await gradedAssessment();
+  const stranger = await createUser("Bruno", "professor");
+  const started = await request("POST", `${url}/regrade`, {
+    token: prof.token,
+  });
+  assert.equal(started.status, 202);
+  const log = await finished(started.body.regradeId, prof.token);
+  assert.equal(log.changedSubmissions, 0);
+
+  assert.equal(
+    (await request("POST", `${url}/regrade`, { token: stranger.token })).status,
+    404
+  );
+  const foreign = await request("GET", `/regrades/${log._id}`, {
+    token: stranger.token,
+  });
+  assert.equal(foreign.status, 404);
+
+  const empty = await request("POST", "/assessments", {
+    token: prof.token,
+    body: {
+      name: "Sem gabarito",
+      questionsCount: 1,
+      questions: [{ number: 1, subject: "Física" }],
+    },
+  });
+  const noKey = await request(
+    "POST",
+    `/assessments/${empty.body._id}/regrade`,
+    { token: prof.token }
+  );
+  assert.equal(noKey.status, 400);
+});
@@ -0,0 +1,125 @@
+const assert = require("node:assert/strict");
+
+const { useTestApp, routeTest, request, createUser } = require("./setup");
+
+useTestApp();
+
+const question = {
+  statement: "Qual é a unidade de força no SI?",
+  options: { A: "joule", B: "newton", C: "watt", D: "pascal", E: "volt" },
+  correctAnswer: "B",
+  subject: "Dinâmica",
+};
+
+routeTest("dono aprova a própria questão; prova só com aprovadas", async () => {
+  const ana = await createUser("Ana", "professor");
+  const created = await request("POST", "/questions", {
+    token: ana.token,
+    body: question,
+  });
+  assert.equal(created.status, 201);
+  assert.equal(created.body.status, "approved");
+  const id = created.body._id;
+  const status = (value) =>
+    request("POST", `/questions/${id}/status`, {
+      token: ana.token,
+      body: { status: value },
+    });
+  const build = () =>
+    request("POST", "/assessments/from-bank", {
+      token: ana.token,
+      body: { name: "Prova do banco", questionIds: [id] },
+    });
+
+  assert.equal((await build()).status, 201);
+  assert.equal((await status("draft")).status, 200);
+  const blocked = await build();
+  assert.equal(blocked.status, 400);
+  assert.deepEqual(blocked.body.questionIds, [id]);
+
+  const approved = await status("approved");
+  assert.equal(approved.status, 200);
+  assert.equal(approved.body.statusChangedBy, ana.id);
+  assert.equal((await build()).status, 201);
+
+  assert.equal((await status("retired")).status, 200);
+  const invalid = await status("approved");
+  assert.equal(invalid.status, 409);
+  assert.equal((await status("draft")).status, 200);
+  assert.equal((await status("approved")).status, 200);
+
+  // Sem revisão por pares, editar não tira a aprovação
+  const edited = await request("PUT", `/questions/${id}`, {
+    token: ana.token,
+    body: { statement: "Qual a unidade de força no SI?" },
+  });
+  assert.equal(edited.status, 200);
+  assert.equal(edited.body.status, "approved");
+  assert.equal(edited.body.revision, 2);
+  const revisions = await request("GET", `/questions/${id}/revisions`, {
+    token: ana.token,
+  });
+  assert.equal(revisions.body.current, 2);
+  assert.deepEqual(
+    revisions.body.items.map((r) => r.revision),
+    [2, 1]
+  );
+});
+
+routeTest("quem lê comenta; quem edita resolve", async () => {
+  const ana = await createUser("Ana", "professor");
+  const bruno = await createUser("Bruno", "professor");
+  const carla = await createUser("Carla", "professor");
+  const created = await request("POST", "/questions", {
+    token: ana.token,
+    body: question,
+  });
+  const url = `/questions/${created.body._id}`;
+  await request("POST", `${url}/share`, {
+    token: ana.token,
+    body: { email: bruno.email, permission: "view" },
+  });
+
+  const comment = await request("POST", `${url}/comments`, {
+    token: bruno.token,
+    body: { text: "Falta a unidade nas alternativas." },
+  });
+  assert.equal(comment.status, 201);
+  assert.equal(comment.body.resolved, false);
+  const outsider = await request("POST", `${url}/comments`, {
+    token: carla.token,
+    body: { text: "Sem acesso" },
+  });
+  assert.equal(outsider.status, 404);
+
+  // Leitura não muda status nem resolve
+  const status = await request("POST", `${url}/status`, {
+    token: bruno.token,
+    body: { status: "draft" },
+  });
+  assert.equal(status.status, 404);
+  const commentUrl = `${url}/comments/${comment.body._id}`;
+  assert.equal(
+    (await request("POST", `${commentUrl}/resolve`, { token: bruno.token }))
+      .status,
+    404
+  );
+  const resolved = await request("POST", `${commentUrl}/resolve`, {
+    token: ana.token,
+  });
+  assert.equal(resolved.status, 200);
+  assert.equal(resolved.body.resolved, true);
+  assert.equal(resolved.body.resolvedBy, ana.id);
+
+  // Só o autor remove o comentário
+  assert.equal(
+    (await request("DELETE", commentUrl, { token: ana.token })).status,
+    404
+  );
+  assert.equal(
+    (await request("DELETE", commentUrl, { token: bruno.token })).status,
+    200
+  );
+  const after = await request("GET", url, { token: ana.token });
+  assert.equal(after.body.reviewComments.length, 0);
+});
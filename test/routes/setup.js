@@ -0,0 +1,101 @@
+// Apoio dos testes de rota: sobe o app (src/server.js) num banco de teste.
+// MONGODB_URI_TEST aponta para um MongoDB já rodando; sem ela, usa o
+// mongodb-memory-server (baixa o mongod na primeira vez). Sem nenhum dos
+// dois, os testes de rota são pulados com o motivo.
+const test = require("node:test");
+const crypto = require("crypto");
+const { once } = require("events");
+const mongoose = require("mongoose");
+
+const state = { baseUrl: null, skip: null };
+
+// Registra a subida/descida do app no arquivo de teste que chamar
+function useTestApp() {
+  // Antes de carregar o app (o .env do desenvolvedor não vale aqui)
+  process.env.JWT_SECRET = "segredo-dos-testes";
+  process.env.MONGODB_URI = process.env.MONGODB_URI_TEST || "mongodb://teste";
+  process.env.QUESTION_PEER_REVIEW ??= "false";
+  process.env.NODE_ENV = "production"; // sem log HTTP (morgan)
+  const app = require("../../src/server");
+  let memoryServer = null;
+  let server = null;
+
+  test.before(async () => {
+    let uri = process.env.MONGODB_URI_TEST;
+    if (!uri) {
+      try {
+        const { MongoMemoryServer } = require("mongodb-memory-server");
+        memoryServer = await MongoMemoryServer.create();
+        uri = memoryServer.getUri();
+      } catch {
+        state.skip = "sem MongoDB de teste (defina MONGODB_URI_TEST)";
+        return;
+      }
+    }
+    await mongoose.connect(uri, {
+      dbName: `rotas_${crypto.randomBytes(4).toString("hex")}`,
+      serverSelectionTimeoutMS: 5000,
+    });
+    // Índices únicos (tentativas, gabaritos...) valem desde o primeiro teste
+    await Promise.all(
+      mongoose.modelNames().map((n) => mongoose.model(n).init())
+    );
+    server = app.listen(0, "127.0.0.1");
+    await once(server, "listening");
+    state.baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  test.after(async () => {
+    if (server) server.close();
+    if (mongoose.connection.readyState === 1) {
+      await mongoose.connection.dropDatabase();
+      await mongoose.disconnect();
+    }
+    if (memoryServer) await memoryServer.stop();
+  });
+}
+
+// test() que pula quando não há banco
+const routeTest = (name, fn) =>
+  test(name, (t) => (state.skip ? t.skip(state.skip) : fn(t)));
+
+// { status, body, cookies }: body em JSON quando der, senão texto (HTML).
+// form: campos enviados como formulário (rotas públicas /form)
+async function request(method, url, { token, body, form, cookie } = {}) {
+  const headers = {};
+  if (token) headers.authorization = `Bearer ${token}`;
+  if (cookie) headers.cookie = cookie;
+  if (body) headers["content-type"] = "application/json";
+  const res = await fetch(state.baseUrl + url, {
+    method,
+    headers,
+    body: form ? new URLSearchParams(form) : body && JSON.stringify(body),
+  });
+  const text = await res.text();
+  let parsed = text;
+  try {
+    parsed = JSON.parse(text);
+  } catch {}
+  const cookies = res.headers
+    .getSetCookie()
+    .map((c) => c.split(";")[0])
+    .join("; ");
+  return { status: res.status, body: parsed, cookies };
+}
+
+// Cadastro sempre cria aluno; o perfil vem direto no banco
+async function createUser(name, role = "aluno") {
+  const email = `${crypto.randomBytes(4).toString("hex")}@teste.br`;
+  const password = "senha-dos-testes";
+  const res = await request("POST", "/auth/signup", {
+    body: { name, email, password },
+  });
+  if (res.status !== 201) throw new Error(`cadastro falhou: ${res.status}`);
+  if (role !== "aluno")
+    await mongoose.model("User").updateOne({ email }, { role });
+  return { ...res.body.user, role, email, password, token: res.body.token };
+}
+
+const model = (name) => mongoose.model(name);
+
+module.exports = { useTestApp, routeTest, request, createUser, model };
@@ -0,0 +1,176 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const { fixtureFetcher } = require("../../scripts/adapt/fetchers");
+const { parseAdaptResponse } = require("../../scripts/adapt/parse");
+const { readUrlList, importFromUrls } = require("../../scripts/adapt/urls");
+
+const FIXTURES = path.join(__dirname, "..", "fixtures", "adapt");
+const URLS = {
+  api: "https://adapt.libretexts.org/api/questions/101",
+  html: "https://chem.libretexts.org/Bookshelves/Quimica/q2",
+  embedded: "https://adapt.libretexts.org/questions/view/205?embed=1",
+  noKey: "https://chem.libretexts.org/Bookshelves/Quimica/sem-gabarito",
+  missing: "https://chem.libretexts.org/Bookshelves/Quimica/nao-existe",
+};
+
+const fetchItem = async (url) =>
+  parseAdaptResponse(url, await fixtureFetcher(FIXTURES)(url));
+
+// Servidor de mentira: aceita tudo e responde como /questions/import/adapt
+const fakeSubmit = (sent) => async (items) => {
+  sent.push(...items);
+  return {
+    items: items.map((item, index) => ({
+      index,
+      status: "inserted",
+      questionId: `q${sent.length - items.length + index}`,
+    })),
+  };
+};
+
+const tempDirs = [];
+const tempProgress = () => {
+  tempDirs.push(fs.mkdtempSync(path.join(os.tmpdir(), "adapt-")));
+  return path.join(tempDirs.at(-1), "progress.json");
+};
+test.after(() => {
+  for (const dir of tempDirs) fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test("readUrlList lê o arquivo, ignora comentários e repetidas", () => {
+  assert.deepEqual(readUrlList([path.join(FIXTURES, "urls.txt")]), [
+    URLS.api,
+    URLS.html,
+    URLS.embedded,
+    URLS.noKey,
+    URLS.missing,
+  ]);
+  assert.deepEqual(readUrlList([URLS.api, URLS.html]), [URLS.api, URLS.html]);
+  assert.throws(() => readUrlList(["nao-existe.txt"]), /não encontrado/);
+  assert.throws(() => readUrlList([URLS.api, "ftp://x"]), /URLs inválidas/);
+});
+
+test("fixtureFetcher acha JSON, HTML e nomes do index.json", async () => {
+  const fetcher = fixtureFetcher(FIXTURES);
+  const api = await fetcher(URLS.api);
+  assert.equal(api.status, 200);
+  assert.equal(api.contentType, "application/json");
+  assert.equal((await fetcher(URLS.html)).contentType, "text/html");
+  assert.match((await fetcher(URLS.embedded)).body, /pH neutro/);
+  assert.equal((await fetcher(URLS.missing)).status, 404);
+});
+
+test("JSON da API com qti_json vira item com licença e código", async () => {
+  const { item } = await fetchItem(URLS.api);
+  assert.equal(item.title, "Mol de água");
+  assert.match(item.question, /H<sub>2<\/sub>O/);
+  assert.deepEqual(
+    item.answers.map((a) => a.is_correct),
+    [false, true, false, false]
+  );
+  assert.equal(item.license, "CC BY 4.0");
+  assert.equal(item.attribution, "LibreTexts");
+  assert.equal(item.questionCode, "ADAPT-101");
+  assert.equal(item.url, URLS.api);
+});
+
+test("página HTML marcada e página com JSON embutido", async () => {
+  const { item } = await fetchItem(URLS.html);
+  assert.equal(item.title, "Ligação iônica");
+  assert.equal(item.question, "Qual composto tem ligação iônica?");
+  assert.equal(item.answers.find((a) => a.is_correct).text, "NaCl");
+  assert.equal(item.license, "CC BY-NC-SA 4.0");
+  assert.equal(item.attribution, "Equipe de Química");
+
+  const embedded = (await fetchItem(URLS.embedded)).item;
+  assert.equal(embedded.questionCode, "ADAPT-205");
+  assert.equal(embedded.answers.find((a) => a.is_correct).text, "7");
+});
+
+test("respostas sem questão ou sem gabarito viram erro", async () => {
+  assert.equal(
+    (await fetchItem(URLS.noKey)).error,
+    "Nenhuma alternativa marcada como correta."
+  );
+  assert.equal(
+    parseAdaptResponse(URLS.api, { contentType: "text/html", body: "<p/>" })
+      .error,
+    "Questão não encontrada na resposta."
+  );
+  assert.match(
+    parseAdaptResponse(URLS.api, {
+      contentType: "application/json",
+      body: "{quebrado",
+    }).error,
+    /JSON/
+  );
+});
+
+test("importFromUrls envia em lotes e retoma pelo arquivo de progresso", async () => {
+  const urls = readUrlList([path.join(FIXTURES, "urls.txt")]);
+  const progressFile = tempProgress();
+  const sent = [];
+  const options = {
+    fetcher: fixtureFetcher(FIXTURES),
+    submit: fakeSubmit(sent),
+    progressFile,
+    batchSize: 2,
+    log: () => {},
+  };
+
+  const first = await importFromUrls(urls, options);
+  assert.equal(first.fetched, 3);
+  assert.equal(first.sent, 3);
+  assert.equal(first.invalid, 1);
+  assert.equal(first.failed, 1);
+  assert.equal(first.reports.length, 2);
+  assert.deepEqual(
+    sent.map((item) => item.title),
+    ["Mol de água", "Ligação iônica", "pH neutro"]
+  );
+
+  const progress = JSON.parse(fs.readFileSync(progressFile, "utf-8")).urls;
+  assert.equal(progress[URLS.api].state, "imported");
+  assert.equal(progress[URLS.api].questionId, "q0");
+  assert.equal(progress[URLS.noKey].state, "invalid");
+  assert.equal(progress[URLS.missing].error, "HTTP 404");
+
+  // Segunda execução: importadas ficam de fora; falhas tentam de novo
+  const second = await importFromUrls(urls, options);
+  assert.equal(second.skipped, 3);
+  assert.equal(second.sent, 0);
+  assert.equal(second.invalid, 1);
+  assert.equal(second.failed, 1);
+  assert.equal(sent.length, 3);
+});
+
+test("simulação não marca como importado", async () => {
+  const progressFile = tempProgress();
+  const sent = [];
+  const options = {
+    fetcher: fixtureFetcher(FIXTURES),
+    submit: fakeSubmit(sent),
+    progressFile,
+    dryRun: true,
+    log: () => {},
+  };
+  await importFromUrls([URLS.api], options);
+  const progress = JSON.parse(fs.readFileSync(progressFile, "utf-8")).urls;
+  assert.equal(progress[URLS.api].state, "fetched");
+
+  // O envio de verdade usa o item salvo, sem buscar de novo
+  const stats = await importFromUrls([URLS.api], {
+    ...options,
+    dryRun: false,
+    fetcher: async () => {
+      throw new Error("não deveria buscar");
+    },
+  });
+  assert.equal(stats.fetched, 0);
+  assert.equal(stats.sent, 1);
+  assert.equal(sent.length, 2);
+});